@@ -0,0 +1,112 @@
+// Courier tracking APIs behind /api/tracking
+// Each carrier's request is signed here with credentials from the environment; the response goes
+// back to the browser unchanged, where the matching CarrierAdapter parses it.
+
+const crypto = require('crypto');
+
+// SF's digest is computed over Java's URLEncoder output: spaces as +, and !'()~ escaped
+function javaUrlEncode(text) {
+    return encodeURIComponent(text)
+        .replace(/%20/g, '+')
+        .replace(/[!'()~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// FedEx access tokens last an hour; one is reused until shortly before it expires
+let fedexToken = null;
+
+async function getFedexToken(baseUrl) {
+    if (fedexToken && fedexToken.expiresAt > Date.now()) return fedexToken.value;
+
+    const response = await fetch(`${baseUrl}/oauth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: process.env.FEDEX_CLIENT_ID,
+            client_secret: process.env.FEDEX_CLIENT_SECRET
+        })
+    });
+    if (!response.ok) throw new Error(`FedEx token request returned HTTP ${response.status}`);
+
+    const { access_token: value, expires_in: expiresIn } = await response.json();
+    fedexToken = { value, expiresAt: Date.now() + (expiresIn - 60) * 1000 };
+    return value;
+}
+
+// env lists the variables a carrier needs; fetch returns the carrier's fetch() Response
+const CARRIERS = {
+    // Route query (EXP_RECE_SEARCH_ROUTES) on the SF Express open platform
+    sf: {
+        env: ['SF_PARTNER_ID', 'SF_CHECKWORD'],
+        fetch(number) {
+            const timestamp = String(Date.now());
+            const msgData = JSON.stringify({ language: '0', trackingType: '1', trackingNumber: [number], methodType: '1' });
+            const msgDigest = crypto.createHash('md5')
+                .update(javaUrlEncode(msgData + timestamp + process.env.SF_CHECKWORD))
+                .digest('base64');
+
+            return fetch(process.env.SF_API_URL || 'https://bspgw.sf-express.com/std/service', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+                body: new URLSearchParams({
+                    partnerID: process.env.SF_PARTNER_ID,
+                    requestID: crypto.randomUUID(),
+                    serviceCode: 'EXP_RECE_SEARCH_ROUTES',
+                    timestamp,
+                    msgDigest,
+                    msgData
+                })
+            });
+        }
+    },
+
+    // Shipment Tracking - Unified API
+    dhl: {
+        env: ['DHL_API_KEY'],
+        fetch(number) {
+            const url = `https://api-eu.dhl.com/track/shipments?service=express&trackingNumber=${encodeURIComponent(number)}`;
+            return fetch(url, { headers: { 'DHL-API-Key': process.env.DHL_API_KEY, Accept: 'application/json' } });
+        }
+    },
+
+    // Track API v1, with client-credentials OAuth
+    fedex: {
+        env: ['FEDEX_CLIENT_ID', 'FEDEX_CLIENT_SECRET'],
+        async fetch(number) {
+            const baseUrl = process.env.FEDEX_API_URL || 'https://apis.fedex.com';
+            const token = await getFedexToken(baseUrl);
+            return fetch(`${baseUrl}/track/v1/trackingnumbers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, 'X-locale': 'en_US' },
+                body: JSON.stringify({
+                    includeDetailedScans: true,
+                    trackingInfo: [{ trackingNumberInfo: { trackingNumber: number } }]
+                })
+            });
+        }
+    },
+
+    // China Post publishes no tracking API, so EMS goes through whichever tracking service the
+    // platform contracts with. EMS_TRACKING_URL has {number} where the mail number goes and must
+    // answer with { mailNo, events: [{ eventCode, eventTime, location, description }] }.
+    ems: {
+        env: ['EMS_TRACKING_URL'],
+        fetch(number) {
+            const url = process.env.EMS_TRACKING_URL.replace('{number}', encodeURIComponent(number));
+            const headers = { Accept: 'application/json' };
+            if (process.env.EMS_API_KEY) headers.Authorization = `Bearer ${process.env.EMS_API_KEY}`;
+            return fetch(url, { headers });
+        }
+    }
+};
+
+function getCarrier(id) {
+    return Object.prototype.hasOwnProperty.call(CARRIERS, id) ? CARRIERS[id] : null;
+}
+
+// Environment variables the carrier needs that are not set
+function getMissingConfig(id) {
+    return getCarrier(id).env.filter(name => !process.env[name]);
+}
+
+module.exports = { getCarrier, getMissingConfig };
@@ -0,0 +1,41 @@
+// Used sign-in nonces
+// A nonce cookie stays valid for its ten minutes, so api/auth/verify records each nonce it accepts
+// and refuses it a second time. Function instances share no memory, so the record is kept in a
+// Redis store reached over its REST API (Vercel KV or Upstash: KV_REST_API_URL and
+// KV_REST_API_TOKEN); each entry expires when the nonce would have.
+
+const { NONCE_TTL_MS } = require('./session');
+
+const KEY_PREFIX = 'yizhen:siwe-nonce:';
+
+function getStore() {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) {
+        throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN must be set to record used nonces');
+    }
+    return { url: url.replace(/\/$/, ''), token };
+}
+
+/**
+ * Record a nonce as used.
+ * @param {string} nonce
+ * @returns {Promise<boolean>} false if it had been used already
+ */
+async function consumeNonce(nonce) {
+    const { url, token } = getStore();
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(['SET', KEY_PREFIX + nonce, '1', 'NX', 'PX', String(NONCE_TTL_MS)])
+    });
+    if (!response.ok) {
+        throw new Error(`Nonce store answered HTTP ${response.status}`);
+    }
+
+    // SET ... NX answers OK when it wrote the key and null when the key was already there
+    const { result } = await response.json();
+    return result === 'OK';
+}
+
+module.exports = { consumeNonce };
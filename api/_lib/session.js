@@ -0,0 +1,123 @@
+// Session cookies for the Yizhen Platform API
+// Sessions are stateless: the cookie carries the verified address and its expiry, signed with
+// SESSION_SECRET so the browser cannot alter it. Signing out clears the cookie; otherwise the
+// session ends at its expiry. The sign-in nonce travels the same way in its own cookie, which a
+// successful sign-in clears. A captured nonce cookie would still be valid for the rest of its ten
+// minutes, so nonces.js records each nonce a sign-in uses and it is accepted only once.
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'yizhen_session';
+const NONCE_COOKIE = 'yizhen_siwe_nonce';
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+function getSecret() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret || secret.length < 32) {
+        throw new Error('SESSION_SECRET must be set to at least 32 characters');
+    }
+    return secret;
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function seal(payload) {
+    const value = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${value}.${sign(value)}`;
+}
+
+// The payload, or null if the token was tampered with or has expired
+function unseal(token, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+    const [value, signature] = token.split('.');
+    if (!value || !signature) return null;
+
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        return payload.expiresAt > now ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseCookies(req) {
+    return String(req.headers.cookie || '').split(';').reduce((cookies, part) => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+        }
+        return cookies;
+    }, {});
+}
+
+function serializeCookie(name, value, maxAgeMs) {
+    return [
+        `${name}=${encodeURIComponent(value)}`,
+        'Path=/',
+        'HttpOnly',
+        'Secure',
+        'SameSite=Strict',
+        `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`
+    ].join('; ');
+}
+
+function createNonce(res, now = Date.now()) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    res.setHeader('Set-Cookie', serializeCookie(NONCE_COOKIE, seal({ nonce, expiresAt: now + NONCE_TTL_MS }), NONCE_TTL_MS));
+    return nonce;
+}
+
+function readNonce(req) {
+    const payload = unseal(parseCookies(req)[NONCE_COOKIE]);
+    return payload ? payload.nonce : null;
+}
+
+/**
+ * Start a session for an address whose signature has been verified.
+ * @param {Object} details address, chainId, and expiresAt if the signed message set one
+ * @returns {Object} The session: address, chainId, issuedAt, expiresAt
+ */
+function issueSession(res, { address, chainId, expiresAt = null }, now = Date.now()) {
+    const session = {
+        address,
+        chainId,
+        issuedAt: now,
+        expiresAt: Math.min(now + SESSION_TTL_MS, expiresAt || Infinity)
+    };
+    res.setHeader('Set-Cookie', [
+        serializeCookie(SESSION_COOKIE, seal(session), session.expiresAt - now),
+        serializeCookie(NONCE_COOKIE, '', 0)
+    ]);
+    return session;
+}
+
+function readSession(req) {
+    return unseal(parseCookies(req)[SESSION_COOKIE]);
+}
+
+function clearSession(res) {
+    res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, '', 0));
+}
+
+// Host the browser addressed, which the signed message must name
+function getHost(req) {
+    return String(req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    NONCE_TTL_MS,
+    createNonce,
+    readNonce,
+    issueSession,
+    readSession,
+    clearSession,
+    getHost
+};
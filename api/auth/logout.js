@@ -0,0 +1,15 @@
+// POST /api/auth/logout
+// Ends the session by clearing its cookie
+
+const { clearSession } = require('../_lib/session');
+
+module.exports = (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    clearSession(res);
+    return res.status(204).end();
+};
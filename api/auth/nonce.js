@@ -0,0 +1,19 @@
+// GET /api/auth/nonce
+// Issues the nonce a Sign-In With Ethereum message must carry, valid for ten minutes in a sealed cookie
+
+const { createNonce } = require('../_lib/session');
+
+module.exports = (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    try {
+        return res.status(200).json({ nonce: createNonce(res) });
+    } catch (error) {
+        console.error('Could not issue nonce:', error.message);
+        return res.status(500).json({ error: 'notConfigured' });
+    }
+};
@@ -0,0 +1,23 @@
+// GET /api/auth/session
+// The signed-in address, chain and expiry, or 401 when there is no valid session
+
+const { readSession } = require('../_lib/session');
+
+module.exports = (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    try {
+        const session = readSession(req);
+        if (!session) {
+            return res.status(401).json({ error: 'signedOut' });
+        }
+        return res.status(200).json(session);
+    } catch (error) {
+        console.error('Could not read session:', error.message);
+        return res.status(500).json({ error: 'notConfigured' });
+    }
+};
@@ -0,0 +1,59 @@
+// POST /api/auth/verify
+// Body: { message, signature }. Checks the EIP-4361 message was issued for this site with the
+// nonce from /api/auth/nonce, recovers the signing address, and starts a session for it. Each nonce
+// signs in once; a replayed message is refused with the same error as a wrong nonce.
+
+const { verifyMessage } = require('ethers');
+const SiweMessage = require('../../public/assets/js/siwe.js');
+const { readNonce, issueSession, getHost } = require('../_lib/session');
+const { consumeNonce } = require('../_lib/nonces');
+
+module.exports = async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    const { message, signature } = req.body || {};
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+        return res.status(400).json({ error: 'invalidRequest' });
+    }
+
+    const siwe = SiweMessage.parse(message);
+    if (!siwe) {
+        return res.status(400).json({ error: 'invalidMessage' });
+    }
+
+    try {
+        const problem = siwe.validate({ domain: getHost(req), nonce: readNonce(req) });
+        if (problem) {
+            return res.status(401).json({ error: problem });
+        }
+
+        // The message names its address in EIP-55 form, which is what recovery returns
+        let signer;
+        try {
+            signer = verifyMessage(message, signature);
+        } catch (error) {
+            return res.status(401).json({ error: 'signature' });
+        }
+        if (signer !== siwe.address) {
+            return res.status(401).json({ error: 'signature' });
+        }
+
+        if (!(await consumeNonce(siwe.nonce))) {
+            return res.status(401).json({ error: 'nonce' });
+        }
+
+        const session = issueSession(res, {
+            address: signer,
+            chainId: siwe.chainId,
+            expiresAt: siwe.expirationTime ? Date.parse(siwe.expirationTime) : null
+        });
+        return res.status(200).json(session);
+    } catch (error) {
+        console.error('Sign-in verification failed:', error.message);
+        return res.status(500).json({ error: 'notConfigured' });
+    }
+};
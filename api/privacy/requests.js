@@ -0,0 +1,54 @@
+// POST /api/privacy/requests
+// Body: { type, data }. A data subject request (access, portability, rectification, erasure,
+// restriction or objection) for the signed-in address. The subject comes from the session cookie,
+// never from the body, so nobody can ask for another wallet's data. PrivacyComplianceManager keeps
+// its inventory in memory, so an instance answers from what was recorded through it.
+
+const { readSession } = require('../_lib/session');
+
+const REQUEST_TYPES = ['access', 'portability', 'rectification', 'erasure', 'restriction', 'objection'];
+
+let privacyManager = null;
+
+// compliance-privacy.js is an ES module, so it is loaded on the first request
+async function getPrivacyManager() {
+    if (!privacyManager) {
+        const { PrivacyComplianceManager } = await import('../../compliance/core/compliance-privacy.js');
+        // An instance lives only as long as its requests, so it must not start the daily scheduler
+        privacyManager = new PrivacyComplianceManager({ scheduleRetention: false });
+    }
+    return privacyManager;
+}
+
+module.exports = async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    const { type, data = {} } = req.body || {};
+    if (!REQUEST_TYPES.includes(type) || typeof data !== 'object' || data === null) {
+        return res.status(400).json({ error: 'invalidRequest' });
+    }
+
+    let session;
+    try {
+        session = readSession(req);
+    } catch (error) {
+        console.error('Could not read session:', error.message);
+        return res.status(500).json({ error: 'notConfigured' });
+    }
+    if (!session) {
+        return res.status(401).json({ error: 'signedOut' });
+    }
+
+    try {
+        const manager = await getPrivacyManager();
+        const result = await manager.handleDataRequest(type, session, data);
+        return res.status(200).json({ type, result });
+    } catch (error) {
+        console.error(`Data request "${type}" failed:`, error.message);
+        return res.status(500).json({ error: 'requestFailed' });
+    }
+};
@@ -0,0 +1,108 @@
+// POST /api/shipments/confirm
+// Body: { tokenId, lotNumber, trackingNumber, chainId, confirmedAt, owner, signature }. Records a
+// collector's signed receipt once the signature covers exactly these fields, the signer owns the
+// token on chain, and the token shipped under that tracking number. Verified receipts are posted
+// to DELIVERY_WEBHOOK_URL, where operations keep the delivery record.
+
+const { ethers } = require('ethers');
+const NetworkRegistry = require('../../public/assets/js/networks.js');
+const ShipmentTracker = require('../../public/assets/js/shipment-tracker.js');
+const nftAbi = require('../../public/assets/abi/nft.json');
+
+// Receipts dated further ahead than this are refused
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const networks = new NetworkRegistry({ target: {} });
+
+// The posted receipt with the owner in EIP-55 form, or null if a field is missing or malformed
+function readConfirmation(body) {
+    const { tokenId, lotNumber, trackingNumber, chainId, confirmedAt, owner, signature } = body || {};
+    if (!/^\d+$/.test(String(tokenId)) || typeof lotNumber !== 'string' || typeof trackingNumber !== 'string' ||
+        !Number.isInteger(chainId) || !Number.isInteger(confirmedAt) || confirmedAt > Date.now() + CLOCK_SKEW_MS ||
+        typeof owner !== 'string' || !ethers.isAddress(owner) || typeof signature !== 'string') {
+        return null;
+    }
+    return { tokenId: String(tokenId), lotNumber, trackingNumber, chainId, confirmedAt, owner: ethers.getAddress(owner), signature };
+}
+
+function recoverSigner(message, signature) {
+    try {
+        return ethers.verifyMessage(message, signature);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readToken(network, tokenId) {
+    const provider = new ethers.JsonRpcProvider(network.rpcUrls[0], network.chainId, {
+        staticNetwork: ethers.Network.from(network.chainId)
+    });
+    try {
+        const nft = new ethers.Contract(network.contracts.nft, nftAbi, provider);
+        const [owner, ceramic] = await Promise.all([nft.ownerOf(tokenId), nft.ceramics(tokenId)]);
+        return { owner, shipped: ceramic.shipped, trackingNumber: ceramic.trackingNumber };
+    } finally {
+        provider.destroy();
+    }
+}
+
+module.exports = async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    const confirmation = readConfirmation(req.body);
+    if (!confirmation) {
+        return res.status(400).json({ error: 'invalidRequest' });
+    }
+
+    const network = networks.getByChainId(confirmation.chainId);
+    if (!network || !ethers.isAddress(network.contracts.nft || '') || network.rpcUrls.length === 0) {
+        return res.status(400).json({ error: 'unsupportedChain' });
+    }
+
+    const message = ShipmentTracker.confirmationMessage(confirmation);
+    if (recoverSigner(message, confirmation.signature) !== confirmation.owner) {
+        return res.status(401).json({ error: 'signature' });
+    }
+
+    const webhookUrl = process.env.DELIVERY_WEBHOOK_URL;
+    if (!webhookUrl) {
+        console.error('DELIVERY_WEBHOOK_URL must be set to record delivery confirmations');
+        return res.status(500).json({ error: 'notConfigured' });
+    }
+
+    let token;
+    try {
+        token = await readToken(network, confirmation.tokenId);
+    } catch (error) {
+        // ownerOf() reverts for tokens that were never minted
+        if (error.code === 'CALL_EXCEPTION') {
+            return res.status(404).json({ error: 'tokenNotFound' });
+        }
+        console.error(`Could not read token ${confirmation.tokenId}:`, error.message);
+        return res.status(502).json({ error: 'chainUnavailable' });
+    }
+    if (token.owner !== confirmation.owner) {
+        return res.status(403).json({ error: 'notTokenOwner' });
+    }
+    if (!token.shipped || token.trackingNumber !== confirmation.trackingNumber) {
+        return res.status(409).json({ error: 'notShipped' });
+    }
+
+    const receipt = { ...confirmation, message, recordedAt: Date.now() };
+    try {
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'deliveryConfirmed', receipt })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        console.error('Could not record delivery confirmation:', error.message);
+        return res.status(502).json({ error: 'notRecorded' });
+    }
+    return res.status(200).json(receipt);
+};
@@ -0,0 +1,46 @@
+// GET /api/tracking/{carrier}/{number}
+// Proxies a courier's tracking API so its credentials stay on the server. The carrier's JSON is
+// returned unchanged for ShipmentTracker's CarrierAdapter to parse.
+
+const { SFExpressAdapter, DHLAdapter, FedExAdapter, EMSAdapter } = require('../../../public/assets/js/carrier-adapters.js');
+const { getCarrier, getMissingConfig } = require('../../_lib/carriers');
+
+const ADAPTERS = new Map([new SFExpressAdapter(), new DHLAdapter(), new FedExAdapter(), new EMSAdapter()]
+    .map(adapter => [adapter.id, adapter]));
+
+module.exports = async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'methodNotAllowed' });
+    }
+
+    const { carrier, number } = req.query;
+    const adapter = ADAPTERS.get(carrier);
+    if (!adapter || !getCarrier(carrier)) {
+        return res.status(404).json({ error: 'unknownCarrier' });
+    }
+    // Only canonical numbers are forwarded, so nothing else can be smuggled into the carrier request
+    if (adapter.normalize(number) !== number) {
+        return res.status(400).json({ error: 'invalidNumber' });
+    }
+
+    const missing = getMissingConfig(carrier);
+    if (missing.length > 0) {
+        console.error(`${adapter.name} tracking needs ${missing.join(', ')}`);
+        return res.status(500).json({ error: 'notConfigured' });
+    }
+
+    try {
+        const response = await getCarrier(carrier).fetch(number);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const body = await response.json();
+        // Scans arrive minutes apart at best, so a short private cache spares the carrier's rate limit
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        return res.status(200).json(body);
+    } catch (error) {
+        console.error(`${adapter.name} tracking failed for ${number}:`, error.message);
+        return res.status(502).json({ error: 'carrierUnavailable' });
+    }
+};
@@ -86,10 +86,10 @@ class ComplianceIntegration {
     overrideConnectWallet() {
         const originalConnect = this.web3Manager.connectWallet.bind(this.web3Manager);
         
-        this.web3Manager.connectWallet = async () => {
+        this.web3Manager.connectWallet = async (...args) => {
             try {
                 // First connect the wallet
-                const connected = await originalConnect();
+                const connected = await originalConnect(...args);
                 
                 if (!connected) return false;
                 
@@ -420,8 +420,14 @@ class ComplianceIntegration {
                 
                 this.showToast('Demo Mode: KYC will complete automatically', 'info');
             } else {
-                // Real KYC integration
-                window.location.href = `${this.config.kycProvider.url}?wallet=${walletAddress}&return=${window.location.href}`;
+                // Real KYC integration: the provider is given the address the visitor proved they
+                // own by signing in, not the one the page passed in
+                const verifiedAddress = await this.requireVerifiedAddress();
+                if (!verifiedAddress) {
+                    this.showToast('Please sign in with your wallet to start verification.', 'warning');
+                    return;
+                }
+                window.location.href = `${this.config.kycProvider.url}?wallet=${verifiedAddress}&return=${encodeURIComponent(window.location.href)}`;
             }
         } catch (error) {
             console.error('KYC process failed:', error);
@@ -692,6 +698,45 @@ class ComplianceIntegration {
         window.open(`https://support.yizhen.com/chat?reason=${reason}`, '_blank');
     }
 
+    // Address proven by Sign-In With Ethereum, or null when not signed in as the connected account
+    getVerifiedAddress() {
+        return this.web3Manager?.getVerifiedAddress ? this.web3Manager.getVerifiedAddress() : null;
+    }
+
+    // Asks the visitor to sign in when there is no session for the connected account
+    async requireVerifiedAddress() {
+        if (!this.getVerifiedAddress() && this.web3Manager?.signIn) {
+            try {
+                await this.web3Manager.signIn();
+            } catch (error) {
+                console.error('Sign-in for compliance failed:', error);
+            }
+        }
+        return this.getVerifiedAddress();
+    }
+
+    /**
+     * Submit a data subject request (access, portability, rectification, erasure, restriction,
+     * objection). The server takes the subject from the session cookie; no address is sent.
+     */
+    async submitDataRequest(requestType, requestData = {}) {
+        const verifiedAddress = await this.requireVerifiedAddress();
+        if (!verifiedAddress) {
+            throw new Error('Sign in with your wallet to make a data request');
+        }
+
+        const response = await fetch('/api/privacy/requests', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: requestType, data: requestData })
+        });
+        if (!response.ok) {
+            throw new Error(`Data request failed: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
     // Public Methods for External Integration
     async getComplianceStatus(walletAddress) {
         const cached = this.complianceHooks.get(walletAddress);
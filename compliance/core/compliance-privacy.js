@@ -43,7 +43,10 @@ class PrivacyComplianceManager {
             },
             
             // Jurisdictions
-            jurisdictions: config.jurisdictions || ['GDPR', 'CCPA', 'LGPD', 'PIPEDA']
+            jurisdictions: config.jurisdictions || ['GDPR', 'CCPA', 'LGPD', 'PIPEDA'],
+            
+            // A serverless function lives only for its requests, so it passes false
+            scheduleRetention: config.scheduleRetention !== false
         };
         
         this.dataInventory = new Map();
@@ -51,6 +54,8 @@ class PrivacyComplianceManager {
         this.processingActivities = new Map();
         this.dataRequests = new Map();
         this.encryptionKeys = new Map();
+        this.restrictions = new Map();
+        this.objections = new Map();
         
         this.initialize();
     }
@@ -65,7 +70,9 @@ class PrivacyComplianceManager {
         this.initializeDataCategories();
         
         // Start retention scheduler
-        this.startRetentionScheduler();
+        if (this.config.scheduleRetention) {
+            this.startRetentionScheduler();
+        }
     }
 
     /**
@@ -115,8 +122,11 @@ class PrivacyComplianceManager {
 
     /**
      * Handle data subject rights requests
+     * @param {Object} session The Sign-In With Ethereum session (readSession() in
+     *   api/_lib/session.js); the data subject is its verified address, never one from the request
      */
-    async handleDataRequest(requestType, dataSubject, requestData = {}) {
+    async handleDataRequest(requestType, session, requestData = {}) {
+        const dataSubject = this.getVerifiedSubject(session);
         const requestId = this.generateRequestId();
         const request = {
             id: requestId,
@@ -174,6 +184,13 @@ class PrivacyComplianceManager {
         }
     }
 
+    getVerifiedSubject(session) {
+        if (!session || !session.address || !(session.expiresAt > Date.now())) {
+            throw new Error('Data subject requests require a signed-in session');
+        }
+        return session.address.toLowerCase();
+    }
+
     /**
      * Handle access request (GDPR Article 15)
      */
@@ -195,7 +212,7 @@ class PrivacyComplianceManager {
         
         // Organize data by category
         for (const [category, data] of userData.entries()) {
-            report.personalData[category] = await this.decryptData(data);
+            report.personalData[category] = data;
             report.dataCategories.push(category);
             
             // Add processing information
@@ -206,13 +223,10 @@ class PrivacyComplianceManager {
             report.retention[category] = this.getRetentionInfo(category);
         }
         
-        // Generate secure download link
-        const downloadLink = await this.generateSecureDownload(report, dataSubject);
-        
+        // The subject is signed in, so the report goes straight back rather than via a link
         return {
             reportId: this.generateReportId(),
-            downloadLink,
-            expiresIn: 48 * 60 * 60 * 1000, // 48 hours
+            report,
             format: 'json',
             summary: {
                 categories: report.dataCategories.length,
@@ -314,6 +328,97 @@ class PrivacyComplianceManager {
         return erasureResult;
     }
 
+    /**
+     * Handle rectification request (GDPR Article 16)
+     * @param {Object} requestData { corrections: { field: value } } for identity and behavioral
+     *   fields; wallet, transaction and KYC data come from the chain and the KYC provider
+     */
+    async handleRectificationRequest(dataSubject, requestData) {
+        console.log(`✏️ Processing rectification request for ${dataSubject}`);
+        
+        const corrections = requestData.corrections || {};
+        const rectifiable = ['identity', 'behavioral']
+            .flatMap(category => this.dataCategories[category].fields);
+        
+        const rectified = Object.keys(corrections).filter(field => rectifiable.includes(field));
+        const rejected = Object.keys(corrections).filter(field => !rectifiable.includes(field));
+        
+        if (rectified.length > 0) {
+            const data = Object.fromEntries(rectified.map(field => [field, corrections[field]]));
+            this.storeData(dataSubject, {
+                data: await this.encryptData(data),
+                purpose: 'account-management',
+                legalBasis: 'contract',
+                timestamp: Date.now(),
+                retention: this.getRetentionPeriod('account-management')
+            });
+        }
+        
+        await this.auditLog('data-rectified', { dataSubject, fields: rectified });
+        
+        return {
+            status: rectified.length > 0 ? 'completed' : 'nothing-to-rectify',
+            rectified,
+            rejected
+        };
+    }
+
+    /**
+     * Handle restriction request (GDPR Article 18)
+     * @param {Object} requestData { categories, reason }; all categories when none are given
+     */
+    async handleRestrictionRequest(dataSubject, requestData) {
+        console.log(`⏸️ Processing restriction request for ${dataSubject}`);
+        
+        const known = Object.keys(this.dataCategories);
+        const categories = (requestData.categories || known).filter(category => known.includes(category));
+        const restriction = {
+            categories,
+            reason: requestData.reason || null,
+            since: Date.now()
+        };
+        
+        const existing = this.restrictions.get(dataSubject) || [];
+        existing.push(restriction);
+        this.restrictions.set(dataSubject, existing);
+        
+        await this.auditLog('processing-restricted', { dataSubject, categories });
+        
+        return {
+            status: 'restricted',
+            categories,
+            since: new Date(restriction.since).toISOString()
+        };
+    }
+
+    /**
+     * Handle objection request (GDPR Article 21)
+     * @param {Object} requestData { purposes } from getRetentionPeriod()'s purposes; an objection to
+     *   processing the law requires is not upheld
+     */
+    async handleObjectionRequest(dataSubject, requestData) {
+        console.log(`✋ Processing objection request for ${dataSubject}`);
+        
+        const required = ['kyc-verification', 'transaction-processing'];
+        const purposes = requestData.purposes || [];
+        const upheld = purposes.filter(purpose => !required.includes(purpose));
+        const rejected = purposes
+            .filter(purpose => required.includes(purpose))
+            .map(purpose => ({ purpose, reason: 'Processing is required by law' }));
+        
+        const objections = this.objections.get(dataSubject) || new Set();
+        upheld.forEach(purpose => objections.add(purpose));
+        this.objections.set(dataSubject, objections);
+        
+        await this.auditLog('objection-recorded', { dataSubject, upheld });
+        
+        return {
+            status: upheld.length > 0 ? 'upheld' : 'rejected',
+            upheld,
+            rejected
+        };
+    }
+
     /**
      * Consent management
      */
@@ -583,6 +688,176 @@ class PrivacyComplianceManager {
         console.log(`♻️ Processed ${deletedCount} expired records`);
     }
 
+    /**
+     * Data inventory
+     */
+    storeData(dataSubject, record) {
+        const inventory = this.dataInventory.get(dataSubject) || [];
+        inventory.push(record);
+        this.dataInventory.set(dataSubject, inventory);
+    }
+
+    // Every field held on the subject, grouped by category; later records win, so a rectification
+    // replaces what it corrects
+    async collectAllUserData(dataSubject, includeRecord = () => true) {
+        const userData = new Map();
+        
+        for (const record of (this.dataInventory.get(dataSubject) || []).filter(includeRecord)) {
+            const data = record.data && record.data.encrypted ? await this.decryptData(record.data) : record.data;
+            
+            for (const [category, config] of Object.entries(this.dataCategories)) {
+                const fields = config.fields.filter(field => Object.prototype.hasOwnProperty.call(data, field));
+                if (fields.length === 0) continue;
+                
+                const entry = userData.get(category) || {};
+                fields.forEach(field => {
+                    entry[field] = data[field];
+                });
+                userData.set(category, entry);
+            }
+        }
+        
+        return userData;
+    }
+
+    // Article 20 covers only what the subject provided, under consent or a contract
+    async collectPortableData(dataSubject) {
+        return this.collectAllUserData(dataSubject, record =>
+            record.legalBasis === 'consent' || record.legalBasis === 'contract'
+        );
+    }
+
+    async eraseData(dataSubject, category) {
+        const fields = this.dataCategories[category].fields;
+        const remaining = [];
+        
+        for (const record of this.dataInventory.get(dataSubject) || []) {
+            const encrypted = !!(record.data && record.data.encrypted);
+            const data = encrypted ? await this.decryptData(record.data) : { ...record.data };
+            fields.forEach(field => delete data[field]);
+            
+            if (Object.keys(data).length > 0) {
+                remaining.push({ ...record, data: encrypted ? await this.encryptData(data, record.data.purpose) : data });
+            }
+        }
+        
+        this.dataInventory.set(dataSubject, remaining);
+    }
+
+    getProcessingActivities(dataSubject, category) {
+        return [...this.processingActivities.values()].filter(activity =>
+            activity.dataSubject === dataSubject &&
+            (activity.dataCategories || []).includes(category)
+        );
+    }
+
+    getRetentionInfo(category) {
+        const config = this.dataCategories[category];
+        return {
+            period: config.retention,
+            days: Math.round(config.retention / (24 * 60 * 60 * 1000)),
+            sensitivity: config.sensitivity
+        };
+    }
+
+    getDataSubjectRights() {
+        return [
+            { right: 'access', article: 'GDPR Article 15' },
+            { right: 'rectification', article: 'GDPR Article 16' },
+            { right: 'erasure', article: 'GDPR Article 17' },
+            { right: 'restriction', article: 'GDPR Article 18' },
+            { right: 'portability', article: 'GDPR Article 20' },
+            { right: 'objection', article: 'GDPR Article 21' }
+        ];
+    }
+
+    // Identity, wallet and preference data is provided by the subject; KYC results and logs are not
+    isPortable(category) {
+        return ['identity', 'financial', 'behavioral'].includes(category);
+    }
+
+    async formatForPortability(data) {
+        return { ...data };
+    }
+
+    async exportAsJSON(formattedData) {
+        return JSON.stringify(formattedData, null, 2);
+    }
+
+    async exportAsCSV(formattedData) {
+        const escape = value => `"${String(typeof value === 'object' ? JSON.stringify(value) : value).replace(/"/g, '""')}"`;
+        const rows = Object.entries(formattedData.data).flatMap(([category, data]) =>
+            Object.entries(data).map(([field, value]) => [category, field, value].map(escape).join(','))
+        );
+        return ['category,field,value', ...rows].join('\n');
+    }
+
+    async exportAsXML(formattedData) {
+        const escape = value => String(typeof value === 'object' ? JSON.stringify(value) : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const categories = Object.entries(formattedData.data).map(([category, data]) =>
+            `  <${category}>\n${Object.entries(data).map(([field, value]) => `    <${field}>${escape(value)}</${field}>`).join('\n')}\n  </${category}>`
+        );
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<export version="${formattedData.version}" exportDate="${formattedData.exportDate}" dataSubject="${formattedData.dataSubject}">`,
+            ...categories,
+            '</export>'
+        ].join('\n');
+    }
+
+    getDataSchema() {
+        return Object.fromEntries(
+            Object.entries(this.dataCategories)
+                .filter(([category]) => this.isPortable(category))
+                .map(([category, config]) => [category, config.fields])
+        );
+    }
+
+    // Records the law makes us keep for their retention period: KYC for anti-money-laundering
+    // checks, transactions for tax and accounting
+    async checkErasureEligibility(dataSubject) {
+        const userData = await this.collectAllUserData(dataSubject);
+        const erasable = [...userData.entries()].some(([category, data]) => this.canErase(category, data));
+        
+        if (userData.size > 0 && !erasable) {
+            return {
+                eligible: false,
+                reason: 'All data held is under a legal retention obligation',
+                legalGrounds: 'GDPR Article 17(3)(b)',
+                alternative: 'restriction'
+            };
+        }
+        return { eligible: true };
+    }
+
+    canErase(category) {
+        return category !== 'kyc' && category !== 'financial';
+    }
+
+    getRetentionReason(category) {
+        return category === 'kyc'
+            ? 'Anti-money-laundering record keeping'
+            : 'Tax and accounting record keeping';
+    }
+
+    getRetentionEndDate(category) {
+        return new Date(Date.now() + this.dataCategories[category].retention).toISOString();
+    }
+
+    // Nothing held here is disclosed to third parties, so there is nobody to pass the request on to
+    async notifyThirdParties() {
+        return [];
+    }
+
+    async logErasure(erasureResult) {
+        await this.auditLog('data-erased', {
+            dataSubject: erasureResult.dataSubject,
+            categories: erasureResult.categories,
+            retained: erasureResult.retainedData.map(retained => retained.category)
+        });
+    }
+
     /**
      * Compliance reporting
      */
@@ -634,7 +909,7 @@ class PrivacyComplianceManager {
      */
     setupEncryption() {
         // Generate master keys for different purposes
-        const purposes = ['storage', 'transmission', 'backup'];
+        const purposes = ['storage', 'transmission', 'backup', 'pseudonymization'];
         
         purposes.forEach(purpose => {
             if (!this.encryptionKeys.has(purpose)) {
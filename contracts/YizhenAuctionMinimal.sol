@@ -4,6 +4,9 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 interface IYizhenCeramicsNFT {
     function mintCeramic(
@@ -21,6 +24,7 @@ interface IYizhenCeramicsNFT {
  * @dev Minimal auction contract to avoid stack too deep issues
  */
 contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
     
     struct Auction {
         // Pack price data together
@@ -52,16 +56,25 @@ contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
     uint256 public platformFeePercentage = 250;
     address public feeRecipient;
     
+    // Soft close: bids inside the window push endTime back by the extension
+    uint64 public softCloseWindow = 5 minutes;
+    uint64 public softCloseExtension = 5 minutes;
+    
     mapping(uint256 => Auction) public auctions;
     mapping(uint256 => AuctionMetadata) public auctionMetadata;
     mapping(uint256 => mapping(address => uint256)) public pendingReturns;
     mapping(address => bool) public authorizedSellers;
     
+    // Currency each auction takes bids in; address(0) is the chain's native currency
+    mapping(uint256 => address) public paymentTokens;
+    
     event AuctionCreated(uint256 indexed auctionId, uint256 startingPrice);
     event BidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 amount);
     event AuctionEnded(uint256 indexed auctionId, address winner, uint256 amount);
+    event AuctionExtended(uint256 indexed auctionId, uint64 newEndTime);
+    event SoftCloseUpdated(uint64 window, uint64 extension);
     
-    constructor(address _nftContract, address _feeRecipient) Ownable(msg.sender) {
+    constructor(address _nftContract, address _feeRecipient) {
         nftContract = IYizhenCeramicsNFT(_nftContract);
         feeRecipient = _feeRecipient;
         authorizedSellers[msg.sender] = true;
@@ -73,6 +86,30 @@ contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
         uint128 minBidIncrement,
         uint64 duration
     ) external onlyAuthorizedSeller whenNotPaused returns (uint256) {
+        return _createAuction(startingPrice, reservePrice, minBidIncrement, duration, address(0));
+    }
+    
+    /**
+     * @dev Auction settled in an ERC-20 token such as USDT; prices are in the token's smallest unit
+     */
+    function createTokenAuction(
+        uint128 startingPrice,
+        uint128 reservePrice,
+        uint128 minBidIncrement,
+        uint64 duration,
+        address paymentToken
+    ) external onlyAuthorizedSeller whenNotPaused returns (uint256) {
+        require(paymentToken != address(0), "Invalid token");
+        return _createAuction(startingPrice, reservePrice, minBidIncrement, duration, paymentToken);
+    }
+    
+    function _createAuction(
+        uint128 startingPrice,
+        uint128 reservePrice,
+        uint128 minBidIncrement,
+        uint64 duration,
+        address paymentToken
+    ) private returns (uint256) {
         require(startingPrice > 0, "Invalid price");
         require(duration >= 1 hours && duration <= 30 days, "Invalid duration");
         
@@ -90,6 +127,7 @@ contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
             nftMinted: false,
             metadataId: auctionId
         });
+        paymentTokens[auctionId] = paymentToken;
         
         emit AuctionCreated(auctionId, startingPrice);
         return auctionId;
@@ -116,30 +154,78 @@ contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
     }
     
     function placeBid(uint256 auctionId) external payable nonReentrant whenNotPaused {
+        require(paymentTokens[auctionId] == address(0), "Token auction");
+        _recordBid(auctionId, msg.value);
+    }
+    
+    /**
+     * @dev Bid in a token auction; the bidder must have approved at least amount to this contract
+     */
+    function placeTokenBid(uint256 auctionId, uint256 amount) external nonReentrant whenNotPaused {
+        _placeTokenBid(auctionId, amount);
+    }
+    
+    /**
+     * @dev Approve and bid in one transaction for tokens with EIP-2612 permit. A permit that fails
+     * (already used, e.g. front-run from the mempool) is ignored and the existing allowance applies.
+     */
+    function placeTokenBidWithPermit(
+        uint256 auctionId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        address token = paymentTokens[auctionId];
+        require(token != address(0), "Native auction");
+        
+        try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _placeTokenBid(auctionId, amount);
+    }
+    
+    function _placeTokenBid(uint256 auctionId, uint256 amount) private {
+        address token = paymentTokens[auctionId];
+        require(token != address(0), "Native auction");
+        
+        _recordBid(auctionId, amount);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+    }
+    
+    function _recordBid(uint256 auctionId, uint256 amount) private {
         Auction storage auction = auctions[auctionId];
         require(block.timestamp < auction.endTime, "Ended");
         require(!auction.ended, "Already ended");
+        require(amount <= type(uint128).max, "Invalid price");
         
         uint256 minBid = auction.highestBid == 0 
             ? auction.startingPrice 
             : auction.highestBid + auction.minBidIncrement;
             
-        require(msg.value >= minBid, "Bid too low");
+        require(amount >= minBid, "Bid too low");
         
         if (auction.highestBidder != address(0)) {
             pendingReturns[auctionId][auction.highestBidder] += auction.highestBid;
         }
         
         auction.highestBidder = msg.sender;
-        auction.highestBid = uint128(msg.value);
+        auction.highestBid = uint128(amount);
         
-        emit BidPlaced(auctionId, msg.sender, msg.value);
+        emit BidPlaced(auctionId, msg.sender, amount);
         
-        if (auction.endTime - block.timestamp < 5 minutes) {
-            auction.endTime += 5 minutes;
+        if (auction.endTime - block.timestamp < softCloseWindow) {
+            auction.endTime += softCloseExtension;
+            emit AuctionExtended(auctionId, auction.endTime);
         }
     }
     
+    function setSoftClose(uint64 window, uint64 extension) external onlyOwner {
+        require(window <= 1 hours && extension <= 1 hours, "Invalid soft close");
+        softCloseWindow = window;
+        softCloseExtension = extension;
+        emit SoftCloseUpdated(window, extension);
+    }
+    
     function endAuction(uint256 auctionId) external nonReentrant {
         Auction storage auction = auctions[auctionId];
         require(block.timestamp >= auction.endTime, "Not ended");
@@ -151,8 +237,8 @@ contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
             uint256 platformFee = (uint256(auction.highestBid) * platformFeePercentage) / 10000;
             uint256 sellerProceeds = uint256(auction.highestBid) - platformFee;
             
-            payable(feeRecipient).transfer(platformFee);
-            payable(owner()).transfer(sellerProceeds);
+            _pay(auctionId, feeRecipient, platformFee);
+            _pay(auctionId, owner(), sellerProceeds);
             
             emit AuctionEnded(auctionId, auction.highestBidder, auction.highestBid);
             
@@ -187,7 +273,17 @@ contract YizhenAuctionMinimal is Ownable, ReentrancyGuard, Pausable {
         require(amount > 0, "Nothing to withdraw");
         
         pendingReturns[auctionId][msg.sender] = 0;
-        payable(msg.sender).transfer(amount);
+        _pay(auctionId, msg.sender, amount);
+    }
+    
+    // Pays out in the auction's own currency
+    function _pay(uint256 auctionId, address to, uint256 amount) private {
+        address token = paymentTokens[auctionId];
+        if (token == address(0)) {
+            payable(to).transfer(amount);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
     }
     
     modifier onlyAuthorizedSeller() {
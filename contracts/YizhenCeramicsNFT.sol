@@ -51,7 +51,7 @@ contract YizhenCeramicsNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard
         _;
     }
     
-    constructor() ERC721("Yizhen Ceramics Collection", "YIZHEN") Ownable(msg.sender) {}
+    constructor() ERC721("Yizhen Ceramics Collection", "YIZHEN") {}
     
     /**
      * @dev Set the auction contract address
@@ -193,21 +193,24 @@ contract YizhenCeramicsNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard
     /**
      * @dev Prevent transfers while item is not shipped
      */
-    function _update(
+    function _beforeTokenTransfer(
+        address from,
         address to,
-        uint256 tokenId,
-        address auth
-    ) internal virtual override returns (address) {
-        address from = _ownerOf(tokenId);
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal virtual override {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
         
         // Allow minting and burning
         if (from == address(0) || to == address(0)) {
-            return super._update(to, tokenId, auth);
+            return;
         }
         
         // Optional: Uncomment to prevent transfers before shipping
-        // require(ceramics[tokenId].shipped, "Cannot transfer before shipping");
-        
-        return super._update(to, tokenId, auth);
+        // require(ceramics[firstTokenId].shipped, "Cannot transfer before shipping");
+    }
+    
+    function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
+        super._burn(tokenId);
     }
 }
\ No newline at end of file
@@ -0,0 +1,536 @@
+// Generated by scripts/extract-abi.js from contracts/YizhenAuctionMinimal.sol. Do not edit;
+// recompile the contract and rerun the script instead.
+
+import { ContractClient } from '../js/contract-client.js';
+
+/** @typedef {import('ethers').ContractRunner} ContractRunner */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/** @typedef {import('ethers').EventLog} EventLog */
+
+/**
+ * @typedef {Object} AuctionMetadataResult
+ * @property {string} lotNumber string
+ * @property {string} title string
+ * @property {string} titleZh string
+ * @property {string} dynasty string
+ * @property {string} tokenURI string
+ */
+
+/**
+ * @typedef {Object} AuctionsResult
+ * @property {bigint} startingPrice uint128
+ * @property {bigint} reservePrice uint128
+ * @property {bigint} minBidIncrement uint128
+ * @property {bigint} highestBid uint128
+ * @property {bigint} startTime uint64
+ * @property {bigint} endTime uint64
+ * @property {string} highestBidder address
+ * @property {boolean} ended bool
+ * @property {boolean} nftMinted bool
+ * @property {bigint} metadataId uint256
+ */
+
+/**
+ * @typedef {Object} AuctionCreatedEvent
+ * @property {bigint} auctionId uint256 indexed
+ * @property {bigint} startingPrice uint256
+ */
+
+/**
+ * @typedef {Object} AuctionEndedEvent
+ * @property {bigint} auctionId uint256 indexed
+ * @property {string} winner address
+ * @property {bigint} amount uint256
+ */
+
+/**
+ * @typedef {Object} AuctionExtendedEvent
+ * @property {bigint} auctionId uint256 indexed
+ * @property {bigint} newEndTime uint64
+ */
+
+/**
+ * @typedef {Object} BidPlacedEvent
+ * @property {bigint} auctionId uint256 indexed
+ * @property {string} bidder address indexed
+ * @property {bigint} amount uint256
+ */
+
+/**
+ * @typedef {Object} OwnershipTransferredEvent
+ * @property {string} previousOwner address indexed
+ * @property {string} newOwner address indexed
+ */
+
+/**
+ * @typedef {Object} PausedEvent
+ * @property {string} account address
+ */
+
+/**
+ * @typedef {Object} SoftCloseUpdatedEvent
+ * @property {bigint} window uint64
+ * @property {bigint} extension uint64
+ */
+
+/**
+ * @typedef {Object} UnpausedEvent
+ * @property {string} account address
+ */
+
+export const ABI = [
+    {"inputs":[{"internalType":"address","name":"_nftContract","type":"address"},{"internalType":"address","name":"_feeRecipient","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"auctionId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"startingPrice","type":"uint256"}],"name":"AuctionCreated","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"auctionId","type":"uint256"},{"indexed":false,"internalType":"address","name":"winner","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"AuctionEnded","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"auctionId","type":"uint256"},{"indexed":false,"internalType":"uint64","name":"newEndTime","type":"uint64"}],"name":"AuctionExtended","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"auctionId","type":"uint256"},{"indexed":true,"internalType":"address","name":"bidder","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"BidPlaced","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"account","type":"address"}],"name":"Paused","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint64","name":"window","type":"uint64"},{"indexed":false,"internalType":"uint64","name":"extension","type":"uint64"}],"name":"SoftCloseUpdated","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"account","type":"address"}],"name":"Unpaused","type":"event"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"auctionMetadata","outputs":[{"internalType":"string","name":"lotNumber","type":"string"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"titleZh","type":"string"},{"internalType":"string","name":"dynasty","type":"string"},{"internalType":"string","name":"tokenURI","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"auctions","outputs":[{"internalType":"uint128","name":"startingPrice","type":"uint128"},{"internalType":"uint128","name":"reservePrice","type":"uint128"},{"internalType":"uint128","name":"minBidIncrement","type":"uint128"},{"internalType":"uint128","name":"highestBid","type":"uint128"},{"internalType":"uint64","name":"startTime","type":"uint64"},{"internalType":"uint64","name":"endTime","type":"uint64"},{"internalType":"address","name":"highestBidder","type":"address"},{"internalType":"bool","name":"ended","type":"bool"},{"internalType":"bool","name":"nftMinted","type":"bool"},{"internalType":"uint256","name":"metadataId","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"authorizedSellers","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint128","name":"startingPrice","type":"uint128"},{"internalType":"uint128","name":"reservePrice","type":"uint128"},{"internalType":"uint128","name":"minBidIncrement","type":"uint128"},{"internalType":"uint64","name":"duration","type":"uint64"}],"name":"createAuction","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint128","name":"startingPrice","type":"uint128"},{"internalType":"uint128","name":"reservePrice","type":"uint128"},{"internalType":"uint128","name":"minBidIncrement","type":"uint128"},{"internalType":"uint64","name":"duration","type":"uint64"},{"internalType":"address","name":"paymentToken","type":"address"}],"name":"createTokenAuction","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"auctionId","type":"uint256"}],"name":"endAuction","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[],"name":"feeRecipient","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"nextAuctionId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"nftContract","outputs":[{"internalType":"contract IYizhenCeramicsNFT","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"paymentTokens","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"address","name":"","type":"address"}],"name":"pendingReturns","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"auctionId","type":"uint256"}],"name":"placeBid","outputs":[],"stateMutability":"payable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"auctionId","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"placeTokenBid","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"auctionId","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint8","name":"v","type":"uint8"},{"internalType":"bytes32","name":"r","type":"bytes32"},{"internalType":"bytes32","name":"s","type":"bytes32"}],"name":"placeTokenBidWithPermit","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[],"name":"platformFeePercentage","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"auctionId","type":"uint256"},{"internalType":"string","name":"lotNumber","type":"string"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"titleZh","type":"string"},{"internalType":"string","name":"dynasty","type":"string"},{"internalType":"string","name":"tokenURI","type":"string"}],"name":"setAuctionMetadata","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint64","name":"window","type":"uint64"},{"internalType":"uint64","name":"extension","type":"uint64"}],"name":"setSoftClose","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[],"name":"softCloseExtension","outputs":[{"internalType":"uint64","name":"","type":"uint64"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"softCloseWindow","outputs":[{"internalType":"uint64","name":"","type":"uint64"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"auctionId","type":"uint256"}],"name":"withdraw","outputs":[],"stateMutability":"nonpayable","type":"function"}
+];
+
+export class YizhenAuctionMinimalClient extends ContractClient {
+    /**
+     * @param {string} address Deployed address, from the network registry
+     * @param {ContractRunner} runner A provider for reads, a signer for transactions
+     */
+    constructor(address, runner) {
+        super(address, ABI, runner);
+    }
+
+    /**
+     * auctionMetadata(uint256) view
+     * @param {bigint|number} arg0 uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<AuctionMetadataResult>}
+     */
+    auctionMetadata(arg0, overrides = {}) {
+        return this.call('auctionMetadata(uint256)', [arg0], overrides);
+    }
+
+    /**
+     * auctions(uint256) view
+     * @param {bigint|number} arg0 uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<AuctionsResult>}
+     */
+    auctions(arg0, overrides = {}) {
+        return this.call('auctions(uint256)', [arg0], overrides);
+    }
+
+    /**
+     * authorizedSellers(address) view
+     * @param {string} arg0 address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    authorizedSellers(arg0, overrides = {}) {
+        return this.call('authorizedSellers(address)', [arg0], overrides);
+    }
+
+    /**
+     * createAuction(uint128 startingPrice, uint128 reservePrice, uint128 minBidIncrement, uint64 duration)
+     * @param {bigint|number} startingPrice uint128
+     * @param {bigint|number} reservePrice uint128
+     * @param {bigint|number} minBidIncrement uint128
+     * @param {bigint|number} duration uint64
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    createAuction(startingPrice, reservePrice, minBidIncrement, duration, overrides = {}) {
+        return this.call('createAuction(uint128,uint128,uint128,uint64)', [startingPrice, reservePrice, minBidIncrement, duration], overrides);
+    }
+
+    /**
+     * createTokenAuction(uint128 startingPrice, uint128 reservePrice, uint128 minBidIncrement, uint64 duration, address paymentToken)
+     * @param {bigint|number} startingPrice uint128
+     * @param {bigint|number} reservePrice uint128
+     * @param {bigint|number} minBidIncrement uint128
+     * @param {bigint|number} duration uint64
+     * @param {string} paymentToken address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    createTokenAuction(startingPrice, reservePrice, minBidIncrement, duration, paymentToken, overrides = {}) {
+        return this.call('createTokenAuction(uint128,uint128,uint128,uint64,address)', [startingPrice, reservePrice, minBidIncrement, duration, paymentToken], overrides);
+    }
+
+    /**
+     * endAuction(uint256 auctionId)
+     * @param {bigint|number} auctionId uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    endAuction(auctionId, overrides = {}) {
+        return this.call('endAuction(uint256)', [auctionId], overrides);
+    }
+
+    /**
+     * feeRecipient() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    feeRecipient(overrides = {}) {
+        return this.call('feeRecipient()', [], overrides);
+    }
+
+    /**
+     * nextAuctionId() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    nextAuctionId(overrides = {}) {
+        return this.call('nextAuctionId()', [], overrides);
+    }
+
+    /**
+     * nftContract() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    nftContract(overrides = {}) {
+        return this.call('nftContract()', [], overrides);
+    }
+
+    /**
+     * owner() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    owner(overrides = {}) {
+        return this.call('owner()', [], overrides);
+    }
+
+    /**
+     * paused() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    paused(overrides = {}) {
+        return this.call('paused()', [], overrides);
+    }
+
+    /**
+     * paymentTokens(uint256) view
+     * @param {bigint|number} arg0 uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    paymentTokens(arg0, overrides = {}) {
+        return this.call('paymentTokens(uint256)', [arg0], overrides);
+    }
+
+    /**
+     * pendingReturns(uint256, address) view
+     * @param {bigint|number} arg0 uint256
+     * @param {string} arg1 address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    pendingReturns(arg0, arg1, overrides = {}) {
+        return this.call('pendingReturns(uint256,address)', [arg0, arg1], overrides);
+    }
+
+    /**
+     * placeBid(uint256 auctionId) payable
+     * @param {bigint|number} auctionId uint256
+     * @param {Object} [overrides] value (required), gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    placeBid(auctionId, overrides = {}) {
+        return this.call('placeBid(uint256)', [auctionId], overrides);
+    }
+
+    /**
+     * placeTokenBid(uint256 auctionId, uint256 amount)
+     * @param {bigint|number} auctionId uint256
+     * @param {bigint|number} amount uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    placeTokenBid(auctionId, amount, overrides = {}) {
+        return this.call('placeTokenBid(uint256,uint256)', [auctionId, amount], overrides);
+    }
+
+    /**
+     * placeTokenBidWithPermit(uint256 auctionId, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+     * @param {bigint|number} auctionId uint256
+     * @param {bigint|number} amount uint256
+     * @param {bigint|number} deadline uint256
+     * @param {bigint|number} v uint8
+     * @param {string} r bytes32
+     * @param {string} s bytes32
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    placeTokenBidWithPermit(auctionId, amount, deadline, v, r, s, overrides = {}) {
+        return this.call('placeTokenBidWithPermit(uint256,uint256,uint256,uint8,bytes32,bytes32)', [auctionId, amount, deadline, v, r, s], overrides);
+    }
+
+    /**
+     * platformFeePercentage() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    platformFeePercentage(overrides = {}) {
+        return this.call('platformFeePercentage()', [], overrides);
+    }
+
+    /**
+     * renounceOwnership()
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    renounceOwnership(overrides = {}) {
+        return this.call('renounceOwnership()', [], overrides);
+    }
+
+    /**
+     * setAuctionMetadata(uint256 auctionId, string lotNumber, string title, string titleZh, string dynasty, string tokenURI)
+     * @param {bigint|number} auctionId uint256
+     * @param {string} lotNumber string
+     * @param {string} title string
+     * @param {string} titleZh string
+     * @param {string} dynasty string
+     * @param {string} tokenURI string
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    setAuctionMetadata(auctionId, lotNumber, title, titleZh, dynasty, tokenURI, overrides = {}) {
+        return this.call('setAuctionMetadata(uint256,string,string,string,string,string)', [auctionId, lotNumber, title, titleZh, dynasty, tokenURI], overrides);
+    }
+
+    /**
+     * setSoftClose(uint64 window, uint64 extension)
+     * @param {bigint|number} window uint64
+     * @param {bigint|number} extension uint64
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    setSoftClose(window, extension, overrides = {}) {
+        return this.call('setSoftClose(uint64,uint64)', [window, extension], overrides);
+    }
+
+    /**
+     * softCloseExtension() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    softCloseExtension(overrides = {}) {
+        return this.call('softCloseExtension()', [], overrides);
+    }
+
+    /**
+     * softCloseWindow() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    softCloseWindow(overrides = {}) {
+        return this.call('softCloseWindow()', [], overrides);
+    }
+
+    /**
+     * transferOwnership(address newOwner)
+     * @param {string} newOwner address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    transferOwnership(newOwner, overrides = {}) {
+        return this.call('transferOwnership(address)', [newOwner], overrides);
+    }
+
+    /**
+     * withdraw(uint256 auctionId)
+     * @param {bigint|number} auctionId uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    withdraw(auctionId, overrides = {}) {
+        return this.call('withdraw(uint256)', [auctionId], overrides);
+    }
+
+    /**
+     * Listen for AuctionCreated(uint256 indexed auctionId, uint256 startingPrice).
+     * @param {function(AuctionCreatedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onAuctionCreated(listener) {
+        return this.listen('AuctionCreated', listener);
+    }
+
+    /**
+     * Past AuctionCreated events, narrowed by any indexed arguments in filter.
+     * @param {{auctionId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: AuctionCreatedEvent, log: EventLog}>>}
+     */
+    queryAuctionCreated(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('AuctionCreated', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for AuctionEnded(uint256 indexed auctionId, address winner, uint256 amount).
+     * @param {function(AuctionEndedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onAuctionEnded(listener) {
+        return this.listen('AuctionEnded', listener);
+    }
+
+    /**
+     * Past AuctionEnded events, narrowed by any indexed arguments in filter.
+     * @param {{auctionId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: AuctionEndedEvent, log: EventLog}>>}
+     */
+    queryAuctionEnded(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('AuctionEnded', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for AuctionExtended(uint256 indexed auctionId, uint64 newEndTime).
+     * @param {function(AuctionExtendedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onAuctionExtended(listener) {
+        return this.listen('AuctionExtended', listener);
+    }
+
+    /**
+     * Past AuctionExtended events, narrowed by any indexed arguments in filter.
+     * @param {{auctionId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: AuctionExtendedEvent, log: EventLog}>>}
+     */
+    queryAuctionExtended(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('AuctionExtended', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for BidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 amount).
+     * @param {function(BidPlacedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onBidPlaced(listener) {
+        return this.listen('BidPlaced', listener);
+    }
+
+    /**
+     * Past BidPlaced events, narrowed by any indexed arguments in filter.
+     * @param {{auctionId?: bigint|number, bidder?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: BidPlacedEvent, log: EventLog}>>}
+     */
+    queryBidPlaced(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('BidPlaced', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for OwnershipTransferred(address indexed previousOwner, address indexed newOwner).
+     * @param {function(OwnershipTransferredEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onOwnershipTransferred(listener) {
+        return this.listen('OwnershipTransferred', listener);
+    }
+
+    /**
+     * Past OwnershipTransferred events, narrowed by any indexed arguments in filter.
+     * @param {{previousOwner?: string, newOwner?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: OwnershipTransferredEvent, log: EventLog}>>}
+     */
+    queryOwnershipTransferred(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('OwnershipTransferred', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for Paused(address account).
+     * @param {function(PausedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onPaused(listener) {
+        return this.listen('Paused', listener);
+    }
+
+    /**
+     * Past Paused events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: PausedEvent, log: EventLog}>>}
+     */
+    queryPaused(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('Paused', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for SoftCloseUpdated(uint64 window, uint64 extension).
+     * @param {function(SoftCloseUpdatedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onSoftCloseUpdated(listener) {
+        return this.listen('SoftCloseUpdated', listener);
+    }
+
+    /**
+     * Past SoftCloseUpdated events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: SoftCloseUpdatedEvent, log: EventLog}>>}
+     */
+    querySoftCloseUpdated(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('SoftCloseUpdated', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for Unpaused(address account).
+     * @param {function(UnpausedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onUnpaused(listener) {
+        return this.listen('Unpaused', listener);
+    }
+
+    /**
+     * Past Unpaused events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: UnpausedEvent, log: EventLog}>>}
+     */
+    queryUnpaused(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('Unpaused', filter, fromBlock, toBlock);
+    }
+}
@@ -0,0 +1,686 @@
+// Generated by scripts/extract-abi.js from compliance/contracts/ComplianceRegistry.sol. Do not edit;
+// recompile the contract and rerun the script instead.
+
+import { ContractClient } from '../js/contract-client.js';
+
+/** @typedef {import('ethers').ContractRunner} ContractRunner */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/** @typedef {import('ethers').EventLog} EventLog */
+
+/**
+ * @typedef {Object} CheckTransactionResult
+ * @property {boolean} approved bool
+ * @property {string} reason string
+ */
+
+/**
+ * @typedef {Object} GetComplianceDataResult
+ * @property {bigint} status uint8 (ComplianceStatus)
+ * @property {bigint} kycLevel uint8 (KYCLevel)
+ * @property {bigint} riskScore uint256
+ * @property {bigint} lastUpdated uint256
+ * @property {bigint} kycExpiry uint256
+ * @property {string} jurisdiction string
+ * @property {boolean} sanctioned bool
+ */
+
+/**
+ * @typedef {Object} GetUserLimitsResult
+ * @property {bigint} dailyLimit uint256
+ * @property {bigint} monthlyLimit uint256
+ * @property {bigint} perTransactionLimit uint256
+ * @property {bigint} dailyUsed uint256
+ * @property {bigint} monthlyUsed uint256
+ */
+
+/**
+ * @typedef {Object} TransactionLimitsResult
+ * @property {bigint} dailyLimit uint256
+ * @property {bigint} monthlyLimit uint256
+ * @property {bigint} perTransactionLimit uint256
+ */
+
+/**
+ * @typedef {Object} ComplianceUpdatedEvent
+ * @property {string} user address indexed
+ * @property {bigint} status uint8 (ComplianceStatus)
+ * @property {bigint} riskScore uint256
+ * @property {bigint} timestamp uint256
+ */
+
+/**
+ * @typedef {Object} KYCUpdatedEvent
+ * @property {string} user address indexed
+ * @property {bigint} level uint8 (KYCLevel)
+ * @property {bigint} expiry uint256
+ * @property {string} provider address indexed
+ */
+
+/**
+ * @typedef {Object} PausedEvent
+ * @property {string} account address
+ */
+
+/**
+ * @typedef {Object} RiskAlertEvent
+ * @property {string} user address indexed
+ * @property {string} alertType string
+ * @property {bigint} severity uint256
+ * @property {bigint} timestamp uint256
+ */
+
+/**
+ * @typedef {Object} RoleAdminChangedEvent
+ * @property {string} role bytes32 indexed
+ * @property {string} previousAdminRole bytes32 indexed
+ * @property {string} newAdminRole bytes32 indexed
+ */
+
+/**
+ * @typedef {Object} RoleGrantedEvent
+ * @property {string} role bytes32 indexed
+ * @property {string} account address indexed
+ * @property {string} sender address indexed
+ */
+
+/**
+ * @typedef {Object} RoleRevokedEvent
+ * @property {string} role bytes32 indexed
+ * @property {string} account address indexed
+ * @property {string} sender address indexed
+ */
+
+/**
+ * @typedef {Object} TransactionReviewedEvent
+ * @property {string} user address indexed
+ * @property {string} transactionId bytes32 indexed
+ * @property {boolean} approved bool
+ * @property {string} reason string
+ */
+
+/**
+ * @typedef {Object} UnpausedEvent
+ * @property {string} account address
+ */
+
+export const ABI = [
+    {"inputs":[],"stateMutability":"nonpayable","type":"constructor"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"enum ComplianceRegistry.ComplianceStatus","name":"status","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"riskScore","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ComplianceUpdated","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"enum ComplianceRegistry.KYCLevel","name":"level","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"expiry","type":"uint256"},{"indexed":true,"internalType":"address","name":"provider","type":"address"}],"name":"KYCUpdated","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"account","type":"address"}],"name":"Paused","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"string","name":"alertType","type":"string"},{"indexed":false,"internalType":"uint256","name":"severity","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"RiskAlert","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"previousAdminRole","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"newAdminRole","type":"bytes32"}],"name":"RoleAdminChanged","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleGranted","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleRevoked","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"bytes32","name":"transactionId","type":"bytes32"},{"indexed":false,"internalType":"bool","name":"approved","type":"bool"},{"indexed":false,"internalType":"string","name":"reason","type":"string"}],"name":"TransactionReviewed","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"account","type":"address"}],"name":"Unpaused","type":"event"},
+    {"inputs":[],"name":"COMPLIANCE_OFFICER_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"DAY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"DEFAULT_ADMIN_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"KYC_PROVIDER_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"MONTH","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"RISK_MONITOR_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"addToSanctionsList","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address[]","name":"users","type":"address[]"},{"internalType":"enum ComplianceRegistry.ComplianceStatus[]","name":"statuses","type":"uint8[]"},{"internalType":"uint256[]","name":"riskScores","type":"uint256[]"}],"name":"batchUpdateCompliance","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"checkTransaction","outputs":[{"internalType":"bool","name":"approved","type":"bool"},{"internalType":"string","name":"reason","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"dailyVolume","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getComplianceData","outputs":[{"internalType":"enum ComplianceRegistry.ComplianceStatus","name":"status","type":"uint8"},{"internalType":"enum ComplianceRegistry.KYCLevel","name":"kycLevel","type":"uint8"},{"internalType":"uint256","name":"riskScore","type":"uint256"},{"internalType":"uint256","name":"lastUpdated","type":"uint256"},{"internalType":"uint256","name":"kycExpiry","type":"uint256"},{"internalType":"string","name":"jurisdiction","type":"string"},{"internalType":"bool","name":"sanctioned","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"}],"name":"getRoleAdmin","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserLimits","outputs":[{"internalType":"uint256","name":"dailyLimit","type":"uint256"},{"internalType":"uint256","name":"monthlyLimit","type":"uint256"},{"internalType":"uint256","name":"perTransactionLimit","type":"uint256"},{"internalType":"uint256","name":"dailyUsed","type":"uint256"},{"internalType":"uint256","name":"monthlyUsed","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"grantRole","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"hasRole","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"highRiskThreshold","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"lastActivityDate","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"mediumRiskThreshold","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"monthlyVolume","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"recordTransaction","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"removeFromSanctionsList","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"renounceRole","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"string","name":"","type":"string"}],"name":"restrictedJurisdictions","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"revokeRole","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"sanctionsList","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"string","name":"jurisdiction","type":"string"}],"name":"setJurisdiction","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"bytes4","name":"interfaceId","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"enum ComplianceRegistry.KYCLevel","name":"","type":"uint8"}],"name":"transactionLimits","outputs":[{"internalType":"uint256","name":"dailyLimit","type":"uint256"},{"internalType":"uint256","name":"monthlyLimit","type":"uint256"},{"internalType":"uint256","name":"perTransactionLimit","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"enum ComplianceRegistry.ComplianceStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"riskScore","type":"uint256"}],"name":"updateCompliance","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"enum ComplianceRegistry.KYCLevel","name":"level","type":"uint8"},{"internalType":"uint256","name":"expiryDays","type":"uint256"}],"name":"updateKYC","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"enum ComplianceRegistry.KYCLevel","name":"level","type":"uint8"},{"internalType":"uint256","name":"daily","type":"uint256"},{"internalType":"uint256","name":"monthly","type":"uint256"},{"internalType":"uint256","name":"perTx","type":"uint256"}],"name":"updateTransactionLimits","outputs":[],"stateMutability":"nonpayable","type":"function"}
+];
+
+export class ComplianceRegistryClient extends ContractClient {
+    /**
+     * @param {string} address Deployed address, from the network registry
+     * @param {ContractRunner} runner A provider for reads, a signer for transactions
+     */
+    constructor(address, runner) {
+        super(address, ABI, runner);
+    }
+
+    /**
+     * COMPLIANCE_OFFICER_ROLE() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    COMPLIANCE_OFFICER_ROLE(overrides = {}) {
+        return this.call('COMPLIANCE_OFFICER_ROLE()', [], overrides);
+    }
+
+    /**
+     * DAY() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    DAY(overrides = {}) {
+        return this.call('DAY()', [], overrides);
+    }
+
+    /**
+     * DEFAULT_ADMIN_ROLE() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    DEFAULT_ADMIN_ROLE(overrides = {}) {
+        return this.call('DEFAULT_ADMIN_ROLE()', [], overrides);
+    }
+
+    /**
+     * KYC_PROVIDER_ROLE() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    KYC_PROVIDER_ROLE(overrides = {}) {
+        return this.call('KYC_PROVIDER_ROLE()', [], overrides);
+    }
+
+    /**
+     * MONTH() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    MONTH(overrides = {}) {
+        return this.call('MONTH()', [], overrides);
+    }
+
+    /**
+     * RISK_MONITOR_ROLE() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    RISK_MONITOR_ROLE(overrides = {}) {
+        return this.call('RISK_MONITOR_ROLE()', [], overrides);
+    }
+
+    /**
+     * addToSanctionsList(address user)
+     * @param {string} user address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    addToSanctionsList(user, overrides = {}) {
+        return this.call('addToSanctionsList(address)', [user], overrides);
+    }
+
+    /**
+     * batchUpdateCompliance(address[] users, uint8[] statuses, uint256[] riskScores)
+     * @param {Array<string>} users address[]
+     * @param {Array<bigint|number>} statuses uint8[] (ComplianceStatus)
+     * @param {Array<bigint|number>} riskScores uint256[]
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    batchUpdateCompliance(users, statuses, riskScores, overrides = {}) {
+        return this.call('batchUpdateCompliance(address[],uint8[],uint256[])', [users, statuses, riskScores], overrides);
+    }
+
+    /**
+     * checkTransaction(address user, uint256 amount) view
+     * @param {string} user address
+     * @param {bigint|number} amount uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<CheckTransactionResult>}
+     */
+    checkTransaction(user, amount, overrides = {}) {
+        return this.call('checkTransaction(address,uint256)', [user, amount], overrides);
+    }
+
+    /**
+     * dailyVolume(address) view
+     * @param {string} arg0 address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    dailyVolume(arg0, overrides = {}) {
+        return this.call('dailyVolume(address)', [arg0], overrides);
+    }
+
+    /**
+     * getComplianceData(address user) view
+     * @param {string} user address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<GetComplianceDataResult>}
+     */
+    getComplianceData(user, overrides = {}) {
+        return this.call('getComplianceData(address)', [user], overrides);
+    }
+
+    /**
+     * getRoleAdmin(bytes32 role) view
+     * @param {string} role bytes32
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    getRoleAdmin(role, overrides = {}) {
+        return this.call('getRoleAdmin(bytes32)', [role], overrides);
+    }
+
+    /**
+     * getUserLimits(address user) view
+     * @param {string} user address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<GetUserLimitsResult>}
+     */
+    getUserLimits(user, overrides = {}) {
+        return this.call('getUserLimits(address)', [user], overrides);
+    }
+
+    /**
+     * grantRole(bytes32 role, address account)
+     * @param {string} role bytes32
+     * @param {string} account address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    grantRole(role, account, overrides = {}) {
+        return this.call('grantRole(bytes32,address)', [role, account], overrides);
+    }
+
+    /**
+     * hasRole(bytes32 role, address account) view
+     * @param {string} role bytes32
+     * @param {string} account address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    hasRole(role, account, overrides = {}) {
+        return this.call('hasRole(bytes32,address)', [role, account], overrides);
+    }
+
+    /**
+     * highRiskThreshold() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    highRiskThreshold(overrides = {}) {
+        return this.call('highRiskThreshold()', [], overrides);
+    }
+
+    /**
+     * lastActivityDate(address) view
+     * @param {string} arg0 address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    lastActivityDate(arg0, overrides = {}) {
+        return this.call('lastActivityDate(address)', [arg0], overrides);
+    }
+
+    /**
+     * mediumRiskThreshold() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    mediumRiskThreshold(overrides = {}) {
+        return this.call('mediumRiskThreshold()', [], overrides);
+    }
+
+    /**
+     * monthlyVolume(address) view
+     * @param {string} arg0 address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    monthlyVolume(arg0, overrides = {}) {
+        return this.call('monthlyVolume(address)', [arg0], overrides);
+    }
+
+    /**
+     * pause()
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    pause(overrides = {}) {
+        return this.call('pause()', [], overrides);
+    }
+
+    /**
+     * paused() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    paused(overrides = {}) {
+        return this.call('paused()', [], overrides);
+    }
+
+    /**
+     * recordTransaction(address user, uint256 amount)
+     * @param {string} user address
+     * @param {bigint|number} amount uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    recordTransaction(user, amount, overrides = {}) {
+        return this.call('recordTransaction(address,uint256)', [user, amount], overrides);
+    }
+
+    /**
+     * removeFromSanctionsList(address user)
+     * @param {string} user address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    removeFromSanctionsList(user, overrides = {}) {
+        return this.call('removeFromSanctionsList(address)', [user], overrides);
+    }
+
+    /**
+     * renounceRole(bytes32 role, address account)
+     * @param {string} role bytes32
+     * @param {string} account address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    renounceRole(role, account, overrides = {}) {
+        return this.call('renounceRole(bytes32,address)', [role, account], overrides);
+    }
+
+    /**
+     * restrictedJurisdictions(string) view
+     * @param {string} arg0 string
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    restrictedJurisdictions(arg0, overrides = {}) {
+        return this.call('restrictedJurisdictions(string)', [arg0], overrides);
+    }
+
+    /**
+     * revokeRole(bytes32 role, address account)
+     * @param {string} role bytes32
+     * @param {string} account address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    revokeRole(role, account, overrides = {}) {
+        return this.call('revokeRole(bytes32,address)', [role, account], overrides);
+    }
+
+    /**
+     * sanctionsList(address) view
+     * @param {string} arg0 address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    sanctionsList(arg0, overrides = {}) {
+        return this.call('sanctionsList(address)', [arg0], overrides);
+    }
+
+    /**
+     * setJurisdiction(address user, string jurisdiction)
+     * @param {string} user address
+     * @param {string} jurisdiction string
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    setJurisdiction(user, jurisdiction, overrides = {}) {
+        return this.call('setJurisdiction(address,string)', [user, jurisdiction], overrides);
+    }
+
+    /**
+     * supportsInterface(bytes4 interfaceId) view
+     * @param {string} interfaceId bytes4
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    supportsInterface(interfaceId, overrides = {}) {
+        return this.call('supportsInterface(bytes4)', [interfaceId], overrides);
+    }
+
+    /**
+     * transactionLimits(uint8) view
+     * @param {bigint|number} arg0 uint8 (KYCLevel)
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<TransactionLimitsResult>}
+     */
+    transactionLimits(arg0, overrides = {}) {
+        return this.call('transactionLimits(uint8)', [arg0], overrides);
+    }
+
+    /**
+     * unpause()
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    unpause(overrides = {}) {
+        return this.call('unpause()', [], overrides);
+    }
+
+    /**
+     * updateCompliance(address user, uint8 status, uint256 riskScore)
+     * @param {string} user address
+     * @param {bigint|number} status uint8 (ComplianceStatus)
+     * @param {bigint|number} riskScore uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    updateCompliance(user, status, riskScore, overrides = {}) {
+        return this.call('updateCompliance(address,uint8,uint256)', [user, status, riskScore], overrides);
+    }
+
+    /**
+     * updateKYC(address user, uint8 level, uint256 expiryDays)
+     * @param {string} user address
+     * @param {bigint|number} level uint8 (KYCLevel)
+     * @param {bigint|number} expiryDays uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    updateKYC(user, level, expiryDays, overrides = {}) {
+        return this.call('updateKYC(address,uint8,uint256)', [user, level, expiryDays], overrides);
+    }
+
+    /**
+     * updateTransactionLimits(uint8 level, uint256 daily, uint256 monthly, uint256 perTx)
+     * @param {bigint|number} level uint8 (KYCLevel)
+     * @param {bigint|number} daily uint256
+     * @param {bigint|number} monthly uint256
+     * @param {bigint|number} perTx uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    updateTransactionLimits(level, daily, monthly, perTx, overrides = {}) {
+        return this.call('updateTransactionLimits(uint8,uint256,uint256,uint256)', [level, daily, monthly, perTx], overrides);
+    }
+
+    /**
+     * Listen for ComplianceUpdated(address indexed user, uint8 status, uint256 riskScore, uint256 timestamp).
+     * @param {function(ComplianceUpdatedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onComplianceUpdated(listener) {
+        return this.listen('ComplianceUpdated', listener);
+    }
+
+    /**
+     * Past ComplianceUpdated events, narrowed by any indexed arguments in filter.
+     * @param {{user?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: ComplianceUpdatedEvent, log: EventLog}>>}
+     */
+    queryComplianceUpdated(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('ComplianceUpdated', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for KYCUpdated(address indexed user, uint8 level, uint256 expiry, address indexed provider).
+     * @param {function(KYCUpdatedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onKYCUpdated(listener) {
+        return this.listen('KYCUpdated', listener);
+    }
+
+    /**
+     * Past KYCUpdated events, narrowed by any indexed arguments in filter.
+     * @param {{user?: string, provider?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: KYCUpdatedEvent, log: EventLog}>>}
+     */
+    queryKYCUpdated(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('KYCUpdated', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for Paused(address account).
+     * @param {function(PausedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onPaused(listener) {
+        return this.listen('Paused', listener);
+    }
+
+    /**
+     * Past Paused events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: PausedEvent, log: EventLog}>>}
+     */
+    queryPaused(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('Paused', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for RiskAlert(address indexed user, string alertType, uint256 severity, uint256 timestamp).
+     * @param {function(RiskAlertEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onRiskAlert(listener) {
+        return this.listen('RiskAlert', listener);
+    }
+
+    /**
+     * Past RiskAlert events, narrowed by any indexed arguments in filter.
+     * @param {{user?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: RiskAlertEvent, log: EventLog}>>}
+     */
+    queryRiskAlert(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('RiskAlert', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole).
+     * @param {function(RoleAdminChangedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onRoleAdminChanged(listener) {
+        return this.listen('RoleAdminChanged', listener);
+    }
+
+    /**
+     * Past RoleAdminChanged events, narrowed by any indexed arguments in filter.
+     * @param {{role?: string, previousAdminRole?: string, newAdminRole?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: RoleAdminChangedEvent, log: EventLog}>>}
+     */
+    queryRoleAdminChanged(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('RoleAdminChanged', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for RoleGranted(bytes32 indexed role, address indexed account, address indexed sender).
+     * @param {function(RoleGrantedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onRoleGranted(listener) {
+        return this.listen('RoleGranted', listener);
+    }
+
+    /**
+     * Past RoleGranted events, narrowed by any indexed arguments in filter.
+     * @param {{role?: string, account?: string, sender?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: RoleGrantedEvent, log: EventLog}>>}
+     */
+    queryRoleGranted(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('RoleGranted', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender).
+     * @param {function(RoleRevokedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onRoleRevoked(listener) {
+        return this.listen('RoleRevoked', listener);
+    }
+
+    /**
+     * Past RoleRevoked events, narrowed by any indexed arguments in filter.
+     * @param {{role?: string, account?: string, sender?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: RoleRevokedEvent, log: EventLog}>>}
+     */
+    queryRoleRevoked(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('RoleRevoked', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for TransactionReviewed(address indexed user, bytes32 indexed transactionId, bool approved, string reason).
+     * @param {function(TransactionReviewedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onTransactionReviewed(listener) {
+        return this.listen('TransactionReviewed', listener);
+    }
+
+    /**
+     * Past TransactionReviewed events, narrowed by any indexed arguments in filter.
+     * @param {{user?: string, transactionId?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: TransactionReviewedEvent, log: EventLog}>>}
+     */
+    queryTransactionReviewed(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('TransactionReviewed', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for Unpaused(address account).
+     * @param {function(UnpausedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onUnpaused(listener) {
+        return this.listen('Unpaused', listener);
+    }
+
+    /**
+     * Past Unpaused events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: UnpausedEvent, log: EventLog}>>}
+     */
+    queryUnpaused(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('Unpaused', filter, fromBlock, toBlock);
+    }
+}
@@ -0,0 +1,637 @@
+// Generated by scripts/extract-abi.js from contracts/YizhenCeramicsNFT.sol. Do not edit;
+// recompile the contract and rerun the script instead.
+
+import { ContractClient } from '../js/contract-client.js';
+
+/** @typedef {import('ethers').ContractRunner} ContractRunner */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/** @typedef {import('ethers').EventLog} EventLog */
+
+/**
+ * @typedef {Object} Ceramic
+ * @property {string} lotNumber string
+ * @property {string} title string
+ * @property {string} titleZh string
+ * @property {string} dynasty string
+ * @property {bigint} mintedAt uint256
+ * @property {boolean} shipped bool
+ * @property {string} trackingNumber string
+ * @property {string} originalMinter address
+ */
+
+/**
+ * @typedef {Object} CeramicsResult
+ * @property {string} lotNumber string
+ * @property {string} title string
+ * @property {string} titleZh string
+ * @property {string} dynasty string
+ * @property {bigint} mintedAt uint256
+ * @property {boolean} shipped bool
+ * @property {string} trackingNumber string
+ * @property {string} originalMinter address
+ */
+
+/**
+ * @typedef {Object} GetCeramicDetailsResult
+ * @property {Ceramic} ceramic tuple (Ceramic)
+ * @property {string} metadataURI string
+ * @property {string} shippingAddress string
+ * @property {string} certificate string
+ */
+
+/**
+ * @typedef {Object} ApprovalEvent
+ * @property {string} owner address indexed
+ * @property {string} approved address indexed
+ * @property {bigint} tokenId uint256 indexed
+ */
+
+/**
+ * @typedef {Object} ApprovalForAllEvent
+ * @property {string} owner address indexed
+ * @property {string} operator address indexed
+ * @property {boolean} approved bool
+ */
+
+/**
+ * @typedef {Object} AuthenticityVerifiedEvent
+ * @property {bigint} tokenId uint256 indexed
+ * @property {string} certificateHash string
+ */
+
+/**
+ * @typedef {Object} BatchMetadataUpdateEvent
+ * @property {bigint} _fromTokenId uint256
+ * @property {bigint} _toTokenId uint256
+ */
+
+/**
+ * @typedef {Object} CeramicMintedEvent
+ * @property {bigint} tokenId uint256 indexed
+ * @property {string} lotNumber string
+ * @property {string} owner address indexed
+ */
+
+/**
+ * @typedef {Object} ItemShippedEvent
+ * @property {bigint} tokenId uint256 indexed
+ * @property {string} trackingNumber string
+ */
+
+/**
+ * @typedef {Object} MetadataUpdateEvent
+ * @property {bigint} _tokenId uint256
+ */
+
+/**
+ * @typedef {Object} OwnershipTransferredEvent
+ * @property {string} previousOwner address indexed
+ * @property {string} newOwner address indexed
+ */
+
+/**
+ * @typedef {Object} ShippingAddressUpdatedEvent
+ * @property {bigint} tokenId uint256 indexed
+ * @property {string} owner address indexed
+ */
+
+/**
+ * @typedef {Object} TransferEvent
+ * @property {string} from address indexed
+ * @property {string} to address indexed
+ * @property {bigint} tokenId uint256 indexed
+ */
+
+export const ABI = [
+    {"inputs":[],"stateMutability":"nonpayable","type":"constructor"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"approved","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Approval","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":false,"internalType":"bool","name":"approved","type":"bool"}],"name":"ApprovalForAll","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"},{"indexed":false,"internalType":"string","name":"certificateHash","type":"string"}],"name":"AuthenticityVerified","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"_fromTokenId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"_toTokenId","type":"uint256"}],"name":"BatchMetadataUpdate","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"},{"indexed":false,"internalType":"string","name":"lotNumber","type":"string"},{"indexed":true,"internalType":"address","name":"owner","type":"address"}],"name":"CeramicMinted","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"},{"indexed":false,"internalType":"string","name":"trackingNumber","type":"string"}],"name":"ItemShipped","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"_tokenId","type":"uint256"}],"name":"MetadataUpdate","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"},{"indexed":true,"internalType":"address","name":"owner","type":"address"}],"name":"ShippingAddressUpdated","type":"event"},
+    {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Transfer","type":"event"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"string","name":"certificateHash","type":"string"}],"name":"addAuthenticityCertificate","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"approve","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[],"name":"auctionContract","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"authenticityCertificates","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"ceramics","outputs":[{"internalType":"string","name":"lotNumber","type":"string"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"titleZh","type":"string"},{"internalType":"string","name":"dynasty","type":"string"},{"internalType":"uint256","name":"mintedAt","type":"uint256"},{"internalType":"bool","name":"shipped","type":"bool"},{"internalType":"string","name":"trackingNumber","type":"string"},{"internalType":"address","name":"originalMinter","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"exists","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getApproved","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getCeramicDetails","outputs":[{"components":[{"internalType":"string","name":"lotNumber","type":"string"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"titleZh","type":"string"},{"internalType":"string","name":"dynasty","type":"string"},{"internalType":"uint256","name":"mintedAt","type":"uint256"},{"internalType":"bool","name":"shipped","type":"bool"},{"internalType":"string","name":"trackingNumber","type":"string"},{"internalType":"address","name":"originalMinter","type":"address"}],"internalType":"struct YizhenCeramicsNFT.Ceramic","name":"ceramic","type":"tuple"},{"internalType":"string","name":"metadataURI","type":"string"},{"internalType":"string","name":"shippingAddress","type":"string"},{"internalType":"string","name":"certificate","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"operator","type":"address"}],"name":"isApprovedForAll","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"string","name":"trackingNumber","type":"string"}],"name":"markAsShipped","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"winner","type":"address"},{"internalType":"string","name":"lotNumber","type":"string"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"titleZh","type":"string"},{"internalType":"string","name":"dynasty","type":"string"},{"internalType":"string","name":"metadataURI","type":"string"}],"name":"mintCeramic","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"bool","name":"approved","type":"bool"}],"name":"setApprovalForAll","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"_auctionContract","type":"address"}],"name":"setAuctionContract","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"shippingAddresses","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"bytes4","name":"interfaceId","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+    {"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"tokenURI","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+    {"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"transferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+    {"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"string","name":"shippingAddress","type":"string"}],"name":"updateShippingAddress","outputs":[],"stateMutability":"nonpayable","type":"function"}
+];
+
+export class YizhenCeramicsNFTClient extends ContractClient {
+    /**
+     * @param {string} address Deployed address, from the network registry
+     * @param {ContractRunner} runner A provider for reads, a signer for transactions
+     */
+    constructor(address, runner) {
+        super(address, ABI, runner);
+    }
+
+    /**
+     * addAuthenticityCertificate(uint256 tokenId, string certificateHash)
+     * @param {bigint|number} tokenId uint256
+     * @param {string} certificateHash string
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    addAuthenticityCertificate(tokenId, certificateHash, overrides = {}) {
+        return this.call('addAuthenticityCertificate(uint256,string)', [tokenId, certificateHash], overrides);
+    }
+
+    /**
+     * approve(address to, uint256 tokenId)
+     * @param {string} to address
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    approve(to, tokenId, overrides = {}) {
+        return this.call('approve(address,uint256)', [to, tokenId], overrides);
+    }
+
+    /**
+     * auctionContract() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    auctionContract(overrides = {}) {
+        return this.call('auctionContract()', [], overrides);
+    }
+
+    /**
+     * authenticityCertificates(uint256) view
+     * @param {bigint|number} arg0 uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    authenticityCertificates(arg0, overrides = {}) {
+        return this.call('authenticityCertificates(uint256)', [arg0], overrides);
+    }
+
+    /**
+     * balanceOf(address owner) view
+     * @param {string} owner address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<bigint>}
+     */
+    balanceOf(owner, overrides = {}) {
+        return this.call('balanceOf(address)', [owner], overrides);
+    }
+
+    /**
+     * ceramics(uint256) view
+     * @param {bigint|number} arg0 uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<CeramicsResult>}
+     */
+    ceramics(arg0, overrides = {}) {
+        return this.call('ceramics(uint256)', [arg0], overrides);
+    }
+
+    /**
+     * exists(uint256 tokenId) view
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    exists(tokenId, overrides = {}) {
+        return this.call('exists(uint256)', [tokenId], overrides);
+    }
+
+    /**
+     * getApproved(uint256 tokenId) view
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    getApproved(tokenId, overrides = {}) {
+        return this.call('getApproved(uint256)', [tokenId], overrides);
+    }
+
+    /**
+     * getCeramicDetails(uint256 tokenId) view
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<GetCeramicDetailsResult>}
+     */
+    getCeramicDetails(tokenId, overrides = {}) {
+        return this.call('getCeramicDetails(uint256)', [tokenId], overrides);
+    }
+
+    /**
+     * isApprovedForAll(address owner, address operator) view
+     * @param {string} owner address
+     * @param {string} operator address
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    isApprovedForAll(owner, operator, overrides = {}) {
+        return this.call('isApprovedForAll(address,address)', [owner, operator], overrides);
+    }
+
+    /**
+     * markAsShipped(uint256 tokenId, string trackingNumber)
+     * @param {bigint|number} tokenId uint256
+     * @param {string} trackingNumber string
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    markAsShipped(tokenId, trackingNumber, overrides = {}) {
+        return this.call('markAsShipped(uint256,string)', [tokenId, trackingNumber], overrides);
+    }
+
+    /**
+     * mintCeramic(address winner, string lotNumber, string title, string titleZh, string dynasty, string metadataURI)
+     * @param {string} winner address
+     * @param {string} lotNumber string
+     * @param {string} title string
+     * @param {string} titleZh string
+     * @param {string} dynasty string
+     * @param {string} metadataURI string
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    mintCeramic(winner, lotNumber, title, titleZh, dynasty, metadataURI, overrides = {}) {
+        return this.call('mintCeramic(address,string,string,string,string,string)', [winner, lotNumber, title, titleZh, dynasty, metadataURI], overrides);
+    }
+
+    /**
+     * name() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    name(overrides = {}) {
+        return this.call('name()', [], overrides);
+    }
+
+    /**
+     * owner() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    owner(overrides = {}) {
+        return this.call('owner()', [], overrides);
+    }
+
+    /**
+     * ownerOf(uint256 tokenId) view
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    ownerOf(tokenId, overrides = {}) {
+        return this.call('ownerOf(uint256)', [tokenId], overrides);
+    }
+
+    /**
+     * renounceOwnership()
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    renounceOwnership(overrides = {}) {
+        return this.call('renounceOwnership()', [], overrides);
+    }
+
+    /**
+     * safeTransferFrom(address from, address to, uint256 tokenId)
+     * @param {string} from address
+     * @param {string} to address
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    safeTransferFrom(from, to, tokenId, overrides = {}) {
+        return this.call('safeTransferFrom(address,address,uint256)', [from, to, tokenId], overrides);
+    }
+
+    /**
+     * safeTransferFrom(address from, address to, uint256 tokenId, bytes data)
+     * @param {string} from address
+     * @param {string} to address
+     * @param {bigint|number} tokenId uint256
+     * @param {string} data bytes
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    safeTransferFromWithData(from, to, tokenId, data, overrides = {}) {
+        return this.call('safeTransferFrom(address,address,uint256,bytes)', [from, to, tokenId, data], overrides);
+    }
+
+    /**
+     * setApprovalForAll(address operator, bool approved)
+     * @param {string} operator address
+     * @param {boolean} approved bool
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    setApprovalForAll(operator, approved, overrides = {}) {
+        return this.call('setApprovalForAll(address,bool)', [operator, approved], overrides);
+    }
+
+    /**
+     * setAuctionContract(address _auctionContract)
+     * @param {string} _auctionContract address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    setAuctionContract(_auctionContract, overrides = {}) {
+        return this.call('setAuctionContract(address)', [_auctionContract], overrides);
+    }
+
+    /**
+     * shippingAddresses(uint256) view
+     * @param {bigint|number} arg0 uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    shippingAddresses(arg0, overrides = {}) {
+        return this.call('shippingAddresses(uint256)', [arg0], overrides);
+    }
+
+    /**
+     * supportsInterface(bytes4 interfaceId) view
+     * @param {string} interfaceId bytes4
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<boolean>}
+     */
+    supportsInterface(interfaceId, overrides = {}) {
+        return this.call('supportsInterface(bytes4)', [interfaceId], overrides);
+    }
+
+    /**
+     * symbol() view
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    symbol(overrides = {}) {
+        return this.call('symbol()', [], overrides);
+    }
+
+    /**
+     * tokenURI(uint256 tokenId) view
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] blockTag and other call fields
+     * @returns {Promise<string>}
+     */
+    tokenURI(tokenId, overrides = {}) {
+        return this.call('tokenURI(uint256)', [tokenId], overrides);
+    }
+
+    /**
+     * transferFrom(address from, address to, uint256 tokenId)
+     * @param {string} from address
+     * @param {string} to address
+     * @param {bigint|number} tokenId uint256
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    transferFrom(from, to, tokenId, overrides = {}) {
+        return this.call('transferFrom(address,address,uint256)', [from, to, tokenId], overrides);
+    }
+
+    /**
+     * transferOwnership(address newOwner)
+     * @param {string} newOwner address
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    transferOwnership(newOwner, overrides = {}) {
+        return this.call('transferOwnership(address)', [newOwner], overrides);
+    }
+
+    /**
+     * updateShippingAddress(uint256 tokenId, string shippingAddress)
+     * @param {bigint|number} tokenId uint256
+     * @param {string} shippingAddress string
+     * @param {Object} [overrides] gasLimit and other transaction fields
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    updateShippingAddress(tokenId, shippingAddress, overrides = {}) {
+        return this.call('updateShippingAddress(uint256,string)', [tokenId, shippingAddress], overrides);
+    }
+
+    /**
+     * Listen for Approval(address indexed owner, address indexed approved, uint256 indexed tokenId).
+     * @param {function(ApprovalEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onApproval(listener) {
+        return this.listen('Approval', listener);
+    }
+
+    /**
+     * Past Approval events, narrowed by any indexed arguments in filter.
+     * @param {{owner?: string, approved?: string, tokenId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: ApprovalEvent, log: EventLog}>>}
+     */
+    queryApproval(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('Approval', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for ApprovalForAll(address indexed owner, address indexed operator, bool approved).
+     * @param {function(ApprovalForAllEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onApprovalForAll(listener) {
+        return this.listen('ApprovalForAll', listener);
+    }
+
+    /**
+     * Past ApprovalForAll events, narrowed by any indexed arguments in filter.
+     * @param {{owner?: string, operator?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: ApprovalForAllEvent, log: EventLog}>>}
+     */
+    queryApprovalForAll(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('ApprovalForAll', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for AuthenticityVerified(uint256 indexed tokenId, string certificateHash).
+     * @param {function(AuthenticityVerifiedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onAuthenticityVerified(listener) {
+        return this.listen('AuthenticityVerified', listener);
+    }
+
+    /**
+     * Past AuthenticityVerified events, narrowed by any indexed arguments in filter.
+     * @param {{tokenId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: AuthenticityVerifiedEvent, log: EventLog}>>}
+     */
+    queryAuthenticityVerified(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('AuthenticityVerified', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId).
+     * @param {function(BatchMetadataUpdateEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onBatchMetadataUpdate(listener) {
+        return this.listen('BatchMetadataUpdate', listener);
+    }
+
+    /**
+     * Past BatchMetadataUpdate events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: BatchMetadataUpdateEvent, log: EventLog}>>}
+     */
+    queryBatchMetadataUpdate(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('BatchMetadataUpdate', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for CeramicMinted(uint256 indexed tokenId, string lotNumber, address indexed owner).
+     * @param {function(CeramicMintedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onCeramicMinted(listener) {
+        return this.listen('CeramicMinted', listener);
+    }
+
+    /**
+     * Past CeramicMinted events, narrowed by any indexed arguments in filter.
+     * @param {{tokenId?: bigint|number, owner?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: CeramicMintedEvent, log: EventLog}>>}
+     */
+    queryCeramicMinted(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('CeramicMinted', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for ItemShipped(uint256 indexed tokenId, string trackingNumber).
+     * @param {function(ItemShippedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onItemShipped(listener) {
+        return this.listen('ItemShipped', listener);
+    }
+
+    /**
+     * Past ItemShipped events, narrowed by any indexed arguments in filter.
+     * @param {{tokenId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: ItemShippedEvent, log: EventLog}>>}
+     */
+    queryItemShipped(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('ItemShipped', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for MetadataUpdate(uint256 _tokenId).
+     * @param {function(MetadataUpdateEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onMetadataUpdate(listener) {
+        return this.listen('MetadataUpdate', listener);
+    }
+
+    /**
+     * Past MetadataUpdate events.
+     * @param {Object} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: MetadataUpdateEvent, log: EventLog}>>}
+     */
+    queryMetadataUpdate(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('MetadataUpdate', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for OwnershipTransferred(address indexed previousOwner, address indexed newOwner).
+     * @param {function(OwnershipTransferredEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onOwnershipTransferred(listener) {
+        return this.listen('OwnershipTransferred', listener);
+    }
+
+    /**
+     * Past OwnershipTransferred events, narrowed by any indexed arguments in filter.
+     * @param {{previousOwner?: string, newOwner?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: OwnershipTransferredEvent, log: EventLog}>>}
+     */
+    queryOwnershipTransferred(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('OwnershipTransferred', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for ShippingAddressUpdated(uint256 indexed tokenId, address indexed owner).
+     * @param {function(ShippingAddressUpdatedEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onShippingAddressUpdated(listener) {
+        return this.listen('ShippingAddressUpdated', listener);
+    }
+
+    /**
+     * Past ShippingAddressUpdated events, narrowed by any indexed arguments in filter.
+     * @param {{tokenId?: bigint|number, owner?: string}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: ShippingAddressUpdatedEvent, log: EventLog}>>}
+     */
+    queryShippingAddressUpdated(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('ShippingAddressUpdated', filter, fromBlock, toBlock);
+    }
+
+    /**
+     * Listen for Transfer(address indexed from, address indexed to, uint256 indexed tokenId).
+     * @param {function(TransferEvent, EventLog): void} listener
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    onTransfer(listener) {
+        return this.listen('Transfer', listener);
+    }
+
+    /**
+     * Past Transfer events, narrowed by any indexed arguments in filter.
+     * @param {{from?: string, to?: string, tokenId?: bigint|number}} [filter]
+     * @param {number|string} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<Array<{args: TransferEvent, log: EventLog}>>}
+     */
+    queryTransfer(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        return this.query('Transfer', filter, fromBlock, toBlock);
+    }
+}
@@ -0,0 +1,148 @@
+// Shipping Address Encryption for Yizhen Platform
+// Addresses written with YizhenCeramicsNFT.updateShippingAddress() are public chain data,
+// so they are sealed in the browser to the platform's public key first (ECDH P-256 with an
+// ephemeral key, HKDF-SHA-256, AES-256-GCM). Only the holder of the platform's private key
+// can read them; scripts/address-keys.js decrypts them for fulfilment.
+
+class AddressEncryption {
+    constructor({ kid, publicKey } = {}) {
+        this.kid = kid;
+        this.publicKeyJwk = publicKey;
+        this.prefix = 'yizhen-address';
+        this.version = 'v1';
+        this.subtle = globalThis.crypto.subtle;
+    }
+
+    /**
+     * The published platform key, only if it is the one the network names (addressKeyId).
+     * @param {string|null} kid Key id from the network config
+     * @returns {Promise<AddressEncryption>}
+     */
+    static async load(kid, url = '/assets/data/platform-keys.json') {
+        if (!kid) throw new Error('No platform address key is configured for this network');
+
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const keys = await response.json();
+        if (!keys.shippingAddress || keys.shippingAddress.kid !== kid) {
+            throw new Error(`Platform address key "${kid}" is not published`);
+        }
+        return new AddressEncryption(keys.shippingAddress);
+    }
+
+    // Demo checkouts never leave the browser, so they are sealed to a key made for the visit
+    static async createEphemeral() {
+        const subtle = globalThis.crypto.subtle;
+        const keyPair = await subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+        return new AddressEncryption({ kid: 'demo', publicKey: await subtle.exportKey('jwk', keyPair.publicKey) });
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    // The key id and envelope version are bound into the derived key
+    async deriveKey(privateKey, publicKey, ephemeralPublicRaw, kid) {
+        const shared = await this.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+        const hkdfKey = await this.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+        return this.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: ephemeralPublicRaw,
+                info: new TextEncoder().encode(`${this.prefix}:${this.version}:${kid}`)
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Seal an address to the platform key.
+     * @param {Object} address Normalized address fields
+     * @returns {Promise<string>} Envelope "yizhen-address:v1:<kid>:<ephemeral key>:<iv>:<ciphertext>"
+     */
+    async encrypt(address) {
+        if (!this.publicKeyJwk) throw new Error('Platform address key is not configured');
+
+        const platformKey = await this.subtle.importKey(
+            'jwk', this.publicKeyJwk, { name: 'ECDH', namedCurve: 'P-256' }, false, []
+        );
+        const ephemeral = await this.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+        const ephemeralPublicRaw = new Uint8Array(await this.subtle.exportKey('raw', ephemeral.publicKey));
+        const key = await this.deriveKey(ephemeral.privateKey, platformKey, ephemeralPublicRaw, this.kid);
+
+        const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(address));
+        const ciphertext = await this.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        return [
+            this.prefix,
+            this.version,
+            this.kid,
+            AddressEncryption.toBase64Url(ephemeralPublicRaw),
+            AddressEncryption.toBase64Url(iv),
+            AddressEncryption.toBase64Url(ciphertext)
+        ].join(':');
+    }
+
+    parseEnvelope(envelope) {
+        const parts = String(envelope).split(':');
+        if (parts.length !== 6 || parts[0] !== this.prefix || parts[1] !== this.version) {
+            throw new Error('Not an encrypted address envelope');
+        }
+        const [, , kid, ephemeralPublic, iv, ciphertext] = parts;
+        return {
+            kid,
+            ephemeralPublicRaw: AddressEncryption.fromBase64Url(ephemeralPublic),
+            iv: AddressEncryption.fromBase64Url(iv),
+            ciphertext: AddressEncryption.fromBase64Url(ciphertext)
+        };
+    }
+
+    isEnvelope(value) {
+        return String(value).startsWith(`${this.prefix}:`);
+    }
+
+    // Platform side only: needs the private key that pairs with the published one
+    async decrypt(envelope, privateKeyJwk) {
+        const { kid, ephemeralPublicRaw, iv, ciphertext } = this.parseEnvelope(envelope);
+        const privateKey = await this.subtle.importKey(
+            'jwk', privateKeyJwk, { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']
+        );
+        const ephemeralPublic = await this.subtle.importKey(
+            'raw', ephemeralPublicRaw, { name: 'ECDH', namedCurve: 'P-256' }, false, []
+        );
+        const key = await this.deriveKey(privateKey, ephemeralPublic, ephemeralPublicRaw, kid);
+        const plaintext = await this.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Short digest shown on receipts so the collector can match what was written on-chain
+    async fingerprint(envelope) {
+        const digest = await this.subtle.digest('SHA-256', new TextEncoder().encode(envelope));
+        return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.AddressEncryption = AddressEncryption;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AddressEncryption;
+}
@@ -0,0 +1,115 @@
+// Shipping Address Validation for Yizhen Platform
+// Checks a winner's delivery address before it is encrypted and written on-chain. Rules are
+// per destination country: postal code format, whether a postal code or state is required,
+// and an international (E.164) phone number for the courier.
+
+// Postal code formats for common destinations; others get a loose alphanumeric check
+const POSTAL_PATTERNS = {
+    AU: /^\d{4}$/,
+    CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+    CH: /^\d{4}$/,
+    CN: /^\d{6}$/,
+    DE: /^\d{5}$/,
+    ES: /^\d{5}$/,
+    FR: /^\d{5}$/,
+    GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+    IN: /^\d{6}$/,
+    IT: /^\d{5}$/,
+    JP: /^\d{3}-?\d{4}$/,
+    KR: /^\d{5}$/,
+    NL: /^\d{4} ?[A-Z]{2}$/,
+    SG: /^\d{6}$/,
+    TW: /^\d{3}(\d{2,3})?$/,
+    US: /^\d{5}(-\d{4})?$/
+};
+
+// Places without a postal code system
+const NO_POSTAL_CODE = ['AE', 'HK', 'IE', 'MO', 'QA'];
+
+// Couriers require a state or province for these
+const REGION_REQUIRED = ['AU', 'CA', 'CN', 'IN', 'US'];
+
+const COUNTRIES = [
+    'AE', 'AU', 'AT', 'BE', 'CA', 'CH', 'CN', 'DE', 'DK', 'ES', 'FI', 'FR', 'GB', 'HK', 'IE', 'IN',
+    'IT', 'JP', 'KR', 'LU', 'MO', 'MY', 'NL', 'NO', 'NZ', 'PT', 'QA', 'SE', 'SG', 'TH', 'TW', 'US'
+];
+
+class AddressValidator {
+    constructor() {
+        this.fields = ['name', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone', 'email'];
+        this.maxLength = { name: 100, line1: 120, line2: 120, city: 80, region: 80, postalCode: 12, email: 120 };
+    }
+
+    getCountries() {
+        return [...COUNTRIES];
+    }
+
+    requiresPostalCode(country) {
+        return !NO_POSTAL_CODE.includes(country);
+    }
+
+    requiresRegion(country) {
+        return REGION_REQUIRED.includes(country);
+    }
+
+    // Trimmed, upper-cased where formats are case-insensitive, phone reduced to +digits
+    normalize(address) {
+        const normalized = {};
+        this.fields.forEach(field => {
+            normalized[field] = String(address[field] ?? '').trim().replace(/\s+/g, ' ');
+        });
+        normalized.country = normalized.country.toUpperCase();
+        normalized.postalCode = normalized.postalCode.toUpperCase();
+        normalized.phone = normalized.phone.replace(/[\s().-]/g, '');
+        if (!this.requiresPostalCode(normalized.country)) normalized.postalCode = '';
+        return normalized;
+    }
+
+    /**
+     * Validate an address.
+     * @param {Object} address Form values keyed by field name
+     * @returns {Object} valid; errors: field -> 'required' | 'invalid' | 'tooLong';
+     *   address: the normalized values to store
+     */
+    validate(address) {
+        const normalized = this.normalize(address);
+        const errors = {};
+        const { country } = normalized;
+
+        ['name', 'line1', 'city', 'country', 'phone'].forEach(field => {
+            if (!normalized[field]) errors[field] = 'required';
+        });
+        if (this.requiresRegion(country) && !normalized.region) errors.region = 'required';
+        if (this.requiresPostalCode(country) && !normalized.postalCode) errors.postalCode = 'required';
+
+        Object.entries(this.maxLength).forEach(([field, max]) => {
+            if (normalized[field].length > max) errors[field] = 'tooLong';
+        });
+
+        if (country && !errors.country && !COUNTRIES.includes(country)) {
+            errors.country = 'invalid';
+        }
+        if (normalized.postalCode && !errors.postalCode) {
+            const pattern = POSTAL_PATTERNS[country] || /^[A-Z0-9][A-Z0-9 -]{1,10}$/;
+            if (!pattern.test(normalized.postalCode)) errors.postalCode = 'invalid';
+        }
+        if (normalized.phone && !/^\+[1-9]\d{6,14}$/.test(normalized.phone)) {
+            errors.phone = 'invalid';
+        }
+        if (normalized.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized.email)) {
+            errors.email = 'invalid';
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, address: normalized };
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.AddressValidator = AddressValidator;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AddressValidator;
+}
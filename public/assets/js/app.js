@@ -3,13 +3,52 @@
 (function() {
     'use strict';
 
+    // What artifacts.json prices and estimates are in; only amounts read from the chain are in a lot's token
+    const CATALOGUE_CURRENCY = 'USD';
+
     // Main Application Class
     class YizhenApp {
         constructor() {
             this.artifacts = window.artifactsData || [];
             this.currentFilter = 'all';
             this.currentSort = 'lot';
+            this.catalogueSearch = null;
+            this.searchQuery = '';
+            this.searchFacets = { ware: 'all', estimate: 'all', bidStatus: 'all', timeRemaining: 'all' };
             this.selectedArtifact = null;
+            this.web3Manager = null;
+            this.uiManager = null;
+            this.watchlist = null;
+            this.lotComparison = null;
+            this.visibleArtifacts = [];
+            this.cataloguePosters = new Map();
+            this.printingCatalogue = false;
+            this.calendarExport = null;
+            this.calendarAlarmOptions = [0, 15, 60, 1440];
+            this.calendarAlarmMinutes = 60;
+            this.currencyConverter = null;
+            this.feeCalculator = null;
+            this.bidGasEstimate = null;
+            this.shippingRegion = localStorage.getItem('yizhen_shipping_region');
+            this.collection = { account: null, items: [], loading: false, failed: false };
+            this.checkout = null;
+            this.shipmentTracker = null;
+            this.shipments = {};
+            this.refunds = { account: null, items: [], loading: false, failed: false, focus: null };
+            this.errorDecoder = null;
+            this.walletPicker = null;
+            this.addressValidator = window.AddressValidator ? new window.AddressValidator() : null;
+            this.addressEncryption = null;
+            this.bidHistory = { artifactId: null, entries: [], page: 0 };
+            this.bidHistoryPageSize = 8;
+            this.proxyBidEngine = null;
+            this.proxyBidsResumed = false;
+            this.router = null;
+            this.applyingRoute = false;
+            
+            // Soft close defaults; replaced by the contract's values when live
+            this.softClose = { windowMs: 5 * 60 * 1000, extensionMs: 5 * 60 * 1000 };
+            this.closingThresholdMs = 60 * 60 * 1000;
             this.i18n = window.i18n;
             this.currentLanguage = this.i18n ? this.i18n.getCurrentLanguage() : 'en';
         }
@@ -21,18 +60,52 @@
                 // Initialize core functionality
                 this.bindEvents();
                 this.hideLoading();
+                await this.initUIManager();
                 
                 // Try to load artifacts from JSON, fallback to window.artifactsData
                 await this.loadArtifacts();
+                await this.initCurrency();
+                await this.initFees();
+                this.initSearch();
                 
                 // Initialize UI components
                 this.renderArtifacts();
                 this.updateStats();
                 this.startTimers();
+                this.initProxyBidding();
+                this.initWatchlist();
+                this.initComparison();
+                this.initCalendar();
+                this.initShipmentTracking();
+                this.initErrorDecoder();
+                
+                // Restore lot, filter, sort and language from the URL
+                this.initRouter();
                 
                 // Set up language change listener
                 this.setupLanguageChangeListener();
                 
+                // Apply live bids from the chain as they arrive
+                this.setupAuctionUpdateListener();
+                this.setupAccountChangeListener();
+                this.setupTransactionListener();
+                this.setupWalletsListener();
+                this.setupSessionListener();
+                this.setupNetworkListener();
+                await this.initWeb3();
+                await this.syncAuctions();
+                this.updateTransactionsBadge();
+                this.renderSessionButton();
+                this.renderNetworkPicker();
+                this.renderDemoToggle();
+                this.applySettlementCurrency();
+                await this.loadSoftCloseRules();
+                await this.loadContractFees();
+                
+                // Resume any maximum bids left running in an earlier visit, now prices are the chain's
+                this.proxyBidsResumed = true;
+                this.resumeProxyBids();
+                
                 console.log('Yizhen App initialized successfully');
                 
             } catch (error) {
@@ -46,9 +119,48 @@
             return this.i18n ? this.i18n.t(key, interpolations) : key;
         }
 
-        // Format currency with i18n
-        formatCurrency(amount) {
-            return this.i18n ? this.i18n.formatCurrency(amount) : `$${amount.toLocaleString()}`;
+        // On-chain strings and token metadata are written by others; escape before rendering
+        escapeHtml(text) {
+            return String(text ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        safeUrl(url) {
+            return /^https?:\/\//i.test(url || '') ? url : null;
+        }
+
+        // Chains without a block explorer, such as a local node, get no link
+        renderExplorerLink(url, labelKey) {
+            return url ? `<a href="${url}" target="_blank" rel="noopener">${this.t(labelKey)}</a>` : '';
+        }
+
+        // Amounts are in the lot's currency when given, else the settlement currency; the converter
+        // adds the viewer's currency
+        formatCurrency(amount, currency = null) {
+            if (this.currencyConverter) {
+                return this.currencyConverter.format(amount, this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US', currency);
+            }
+            return this.i18n ? this.i18n.formatCurrency(amount, currency || undefined) : `$${amount.toLocaleString()}`;
+        }
+
+        // Each auction names its own payment token, so lots on one network can differ; a lot the
+        // chain has not reported yet still has its catalogue price
+        getLotCurrency(artifact) {
+            return (artifact && artifact.currency) || CATALOGUE_CURRENCY;
+        }
+
+        // Lots and refunds may be in different tokens, so amounts are added up per currency
+        formatCurrencyTotal(entries) {
+            const totals = new Map();
+            entries.forEach(({ amount, currency }) => {
+                const code = currency || this.getSettlementCurrency();
+                totals.set(code, (totals.get(code) || 0) + amount);
+            });
+            if (totals.size === 0) return this.formatCurrency(0);
+            return [...totals].map(([code, amount]) => this.formatCurrency(amount, code)).join(' + ');
         }
 
         // Format time with i18n
@@ -63,8 +175,195 @@
             });
         }
 
+        async initUIManager() {
+            try {
+                // ui-manager.js is an ES module; its toast queue keeps notices from overlapping
+                const { UIManager } = await import('/assets/js/ui-manager.js');
+                this.uiManager = new UIManager();
+            } catch (error) {
+                console.log('UI manager unavailable - using the basic toast');
+                this.uiManager = null;
+            }
+        }
+
+        async initWeb3() {
+            try {
+                // web3.js is an ES module; load it on demand from this classic script
+                const { Web3Manager } = await import('/assets/js/web3.js');
+                this.web3Manager = new Web3Manager();
+                await this.web3Manager.init();
+            } catch (error) {
+                console.log('Web3 unavailable - showing catalogue prices only');
+                this.web3Manager = null;
+            }
+        }
+
+        async loadSoftCloseRules() {
+            if (!this.web3Manager) return;
+
+            const rules = await this.web3Manager.getSoftCloseRules();
+            if (rules) this.softClose = rules;
+        }
+
+        markLotExtended(artifact, newEndTime) {
+            const extensionMs = newEndTime - artifact.endTime;
+            artifact.endTime = newEndTime;
+            artifact.extended = true;
+
+            // Rebuild for the new badge, then animate the extension
+            this.updateArtifactCard(artifact);
+            const card = document.querySelector(`.artifact-card[data-artifact-id="${artifact.id}"]`);
+            if (card) {
+                card.classList.add('time-extended');
+                setTimeout(() => card.classList.remove('time-extended'), 2000);
+            }
+
+            if (this.selectedArtifact === artifact) {
+                this.showToast(this.t('messages.lotExtended', {
+                    lot: artifact.lotNumber,
+                    minutes: Math.round(extensionMs / 60000)
+                }), 'info');
+            }
+        }
+
+        getLotStatus(artifact) {
+            const remaining = artifact.endTime - Date.now();
+            if (artifact.ended || remaining <= 0) return 'ended';
+            if (artifact.extended) return 'extended';
+            if (remaining <= this.closingThresholdMs) return 'closing';
+            return 'open';
+        }
+
+        renderLotStatus(artifact) {
+            const status = this.getLotStatus(artifact);
+            if (status === 'open') return '';
+            return `<span class="lot-status ${status}">${this.t(`auction.${status}`)}</span>`;
+        }
+
+        isDemoMode() {
+            return !this.web3Manager || this.web3Manager.isDemo;
+        }
+
+        // Catalogue prices are replaced by the chain's, wallet or not; in demo mode the mock chain's
+        async syncAuctions() {
+            if (!this.web3Manager) return;
+            const auctionIds = this.artifacts.map(a => a.auctionId).filter(id => id !== undefined && id !== null);
+            await this.web3Manager.syncAuctions(auctionIds);
+        }
+
+        // Offered whenever the network has live contracts; otherwise the demo is all there is
+        renderDemoToggle() {
+            const button = document.getElementById('demo-toggle');
+            if (!button) return;
+
+            const web3 = this.web3Manager;
+            button.hidden = !web3 || !web3.canGoLive();
+            if (button.hidden) return;
+
+            button.textContent = this.t(web3.isDemo ? 'demo.exit' : 'demo.enter');
+            button.title = this.t(web3.isDemo ? 'demo.exitHint' : 'demo.enterHint');
+        }
+
+        toggleDemoMode() {
+            if (!this.web3Manager) return;
+            this.web3Manager.setDemoMode(!this.web3Manager.isDemo);
+        }
+
+        // Demo mode bids the same way, from the mock chain's connected account
+        isLiveBidding() {
+            return !!this.web3Manager && this.web3Manager.isConnected();
+        }
+
+        isLeadingBidder(artifact) {
+            return !!this.web3Manager && this.web3Manager.isCurrentAccount(artifact.highestBidder);
+        }
+
+        setupAuctionUpdateListener() {
+            window.addEventListener('auctionUpdated', (e) => {
+                this.applyAuctionUpdate(e.detail);
+            });
+        }
+
+        applyAuctionUpdate(update) {
+            const artifact = this.artifacts.find(a => a.auctionId === update.auctionId);
+            if (!artifact) return;
+
+            // The catalogue's prices are in USD; once the chain reports a lot, its amounts replace them
+            if (update.symbol) artifact.currency = update.symbol;
+            if (update.minBidIncrement) artifact.minBidIncrement = update.minBidIncrement;
+            if (update.highestBid) {
+                artifact.currentBid = update.highestBid;
+            } else if (update.startingPrice) {
+                artifact.currentBid = update.startingPrice;
+            }
+            if (update.highestBidder) artifact.highestBidder = update.highestBidder;
+            if (update.newBid) artifact.bidCount += 1;
+            if (update.ended) artifact.ended = true;
+
+            // A snapshot's or a backfilled bid's end time is simply the chain's; only a new bid's
+            // re-read means an extension
+            let extendedTo = null;
+            if (update.endTime && update.endTime !== artifact.endTime) {
+                if (update.extended || (!update.snapshot && !update.backfill && update.endTime > artifact.endTime)) {
+                    extendedTo = update.endTime;
+                } else {
+                    artifact.endTime = update.endTime;
+                }
+            }
+
+            this.updateArtifactCard(artifact, !update.backfill);
+            if (extendedTo) this.markLotExtended(artifact, extendedTo);
+            this.updateStats();
+
+            if (this.selectedArtifact === artifact) {
+                this.updateModalBidInfo();
+                if (!update.backfill) this.loadBidHistory();
+            }
+
+            this.updateComparisonBid(artifact);
+            this.checkWatchedLot(artifact);
+
+            if (this.proxyBidEngine && this.proxyBidsResumed) {
+                this.proxyBidEngine.evaluate(artifact);
+            }
+        }
+
+        updateArtifactCard(artifact, highlight = false) {
+            const card = document.querySelector(`.artifact-card[data-artifact-id="${artifact.id}"]`);
+            if (!card) return;
+
+            const updatedCard = this.createArtifactCard(artifact);
+            if (highlight) {
+                updatedCard.classList.add('bid-updated');
+                setTimeout(() => updatedCard.classList.remove('bid-updated'), 2000);
+            }
+            card.replaceWith(updatedCard);
+        }
+
+        updateModalBidInfo() {
+            const artifact = this.selectedArtifact;
+            const modalInfo = document.getElementById('modal-info');
+            if (!artifact || !modalInfo) return;
+
+            const minBid = artifact.currentBid + artifact.minBidIncrement;
+            const amountElement = modalInfo.querySelector('.current-bid-amount');
+            const countElement = modalInfo.querySelector('.bid-count');
+            const minimumElement = modalInfo.querySelector('.minimum-bid');
+            const bidInput = document.getElementById('bid-amount');
+
+            if (amountElement) amountElement.textContent = this.formatCurrency(artifact.currentBid, this.getLotCurrency(artifact));
+            if (countElement) countElement.textContent = `${artifact.bidCount} ${this.t('auction.bids')}`;
+            if (minimumElement) minimumElement.textContent = `${this.t('modal.minimumBid')}: ${this.formatCurrency(minBid, this.getLotCurrency(artifact))}`;
+            if (bidInput) {
+                bidInput.min = minBid;
+                bidInput.step = artifact.minBidIncrement;
+            }
+            this.updateFeeBreakdown();
+        }
+
         onLanguageChange(lang) {
             this.currentLanguage = lang;
+            this.syncRoute({ replace: true });
             
             // Re-render artifacts with new language
             this.renderArtifacts();
@@ -74,6 +373,14 @@
             if (this.selectedArtifact) {
                 this.populateModal();
             }
+            if (this.isComparisonOpen()) {
+                this.renderComparison();
+            }
+            this.renderCompareTray();
+            this.renderCurrencyPicker();
+            this.renderSessionButton();
+            this.renderNetworkPicker();
+            this.renderDemoToggle();
             
             // Update select options
             this.updateSelectOptions();
@@ -87,7 +394,11 @@
                 options[1].textContent = this.t('auction.priceHighToLow');
                 options[2].textContent = this.t('auction.priceLowToHigh');
                 options[3].textContent = this.t('auction.endingSoon');
+                options[4].textContent = this.t('search.relevance');
             }
+
+            const searchInput = document.getElementById('catalogue-search');
+            if (searchInput) searchInput.placeholder = this.t('search.placeholder');
         }
 
         async loadArtifacts() {
@@ -110,10 +421,27 @@
             const connectBtn = document.getElementById('connect-wallet-btn');
             if (connectBtn) {
                 connectBtn.addEventListener('click', () => {
-                    this.showToast(this.t('messages.demoMode'), 'info');
+                    if (this.web3Manager && !this.web3Manager.isDemo) {
+                        this.web3Manager.connectWallet();
+                    } else if (this.web3Manager && this.web3Manager.getWallets().length === 0) {
+                        // No wallet installed: the picker suggests some
+                        this.pickWallet();
+                    } else {
+                        this.showToast(this.t('messages.demoMode'), 'info');
+                    }
                 });
             }
 
+            const demoToggle = document.getElementById('demo-toggle');
+            if (demoToggle) {
+                demoToggle.addEventListener('click', () => this.toggleDemoMode());
+            }
+
+            const sessionBtn = document.getElementById('session-btn');
+            if (sessionBtn) {
+                sessionBtn.addEventListener('click', () => this.toggleSession());
+            }
+
             // Dynasty filters
             document.querySelectorAll('.dynasty-filter').forEach(button => {
                 button.addEventListener('click', (e) => {
@@ -121,6 +449,26 @@
                 });
             });
 
+            // Catalogue search
+            const searchInput = document.getElementById('catalogue-search');
+            if (searchInput) {
+                let searchTimer = null;
+                searchInput.addEventListener('input', (e) => {
+                    clearTimeout(searchTimer);
+                    searchTimer = setTimeout(() => this.search(e.target.value), 150);
+                });
+            }
+
+            // Facet dropdowns are re-rendered with each search, so listen on the container
+            const facetContainer = document.getElementById('search-facets');
+            if (facetContainer) {
+                facetContainer.addEventListener('change', (e) => {
+                    if (e.target.dataset.facet) {
+                        this.setSearchFacet(e.target.dataset.facet, e.target.value);
+                    }
+                });
+            }
+
             // Sort dropdown
             const sortSelect = document.getElementById('sort-select');
             if (sortSelect) {
@@ -129,9 +477,60 @@
                 });
             }
 
+            // Printable catalogue of the lots currently shown
+            const printButton = document.getElementById('print-catalogue-btn');
+            if (printButton) {
+                printButton.addEventListener('click', () => this.printCatalogue());
+            }
+
+            // Calendar file for every open lot in the sale
+            const saleCalendarButton = document.getElementById('sale-calendar-btn');
+            if (saleCalendarButton) {
+                saleCalendarButton.addEventListener('click', () => this.addSaleToCalendar());
+            }
+
+            // Collected pieces of the connected wallet
+            const collectionLink = document.getElementById('collection-link');
+            if (collectionLink) {
+                collectionLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.openCollection();
+                });
+            }
+
+            // Wallet transactions and their status
+            const transactionsLink = document.getElementById('transactions-link');
+            if (transactionsLink) {
+                transactionsLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.openTransactions();
+                });
+            }
+
+            // Outbid funds waiting to be withdrawn
+            const refundsLink = document.getElementById('refunds-link');
+            if (refundsLink) {
+                refundsLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.openRefunds();
+                });
+            }
+
             // Modal close on escape
             document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.selectedArtifact) {
+                if (e.key === 'Escape' && this.isWalletPickerOpen()) {
+                    this.closeWalletPicker();
+                } else if (e.key === 'Escape' && this.isCheckoutOpen()) {
+                    this.closeCheckout();
+                } else if (e.key === 'Escape' && this.isTransactionsOpen()) {
+                    this.closeTransactions();
+                } else if (e.key === 'Escape' && this.isRefundsOpen()) {
+                    this.closeRefunds();
+                } else if (e.key === 'Escape' && this.isCollectionOpen()) {
+                    this.closeCollection();
+                } else if (e.key === 'Escape' && this.isComparisonOpen()) {
+                    this.closeComparison();
+                } else if (e.key === 'Escape' && this.selectedArtifact) {
                     this.closeModal();
                 }
             });
@@ -145,6 +544,60 @@
                     }
                 });
             }
+
+            const compareModal = document.getElementById('compare-modal');
+            if (compareModal) {
+                compareModal.addEventListener('click', (e) => {
+                    if (e.target.id === 'compare-modal') {
+                        this.closeComparison();
+                    }
+                });
+            }
+
+            const checkoutModal = document.getElementById('checkout-modal');
+            if (checkoutModal) {
+                checkoutModal.addEventListener('click', (e) => {
+                    if (e.target.id === 'checkout-modal') {
+                        this.closeCheckout();
+                    }
+                });
+            }
+
+            const collectionModal = document.getElementById('collection-modal');
+            if (collectionModal) {
+                collectionModal.addEventListener('click', (e) => {
+                    if (e.target.id === 'collection-modal') {
+                        this.closeCollection();
+                    }
+                });
+            }
+
+            const walletsModal = document.getElementById('wallets-modal');
+            if (walletsModal) {
+                walletsModal.addEventListener('click', (e) => {
+                    if (e.target.id === 'wallets-modal') {
+                        this.closeWalletPicker();
+                    }
+                });
+            }
+
+            const transactionsModal = document.getElementById('transactions-modal');
+            if (transactionsModal) {
+                transactionsModal.addEventListener('click', (e) => {
+                    if (e.target.id === 'transactions-modal') {
+                        this.closeTransactions();
+                    }
+                });
+            }
+
+            const refundsModal = document.getElementById('refunds-modal');
+            if (refundsModal) {
+                refundsModal.addEventListener('click', (e) => {
+                    if (e.target.id === 'refunds-modal') {
+                        this.closeRefunds();
+                    }
+                });
+            }
         }
 
         hideLoading() {
@@ -174,17 +627,23 @@
 
         createArtifactCard(artifact) {
             const card = document.createElement('div');
-            card.className = 'artifact-card';
+            const status = this.getLotStatus(artifact);
+            card.className = `artifact-card ${status}`;
             card.dataset.artifactId = artifact.id;
+            card.dataset.status = status;
             
             const title = this.getArtifactTitle(artifact);
             const dynastyInfo = this.getArtifactDynastyInfo(artifact);
-            const estimate = `${this.t('auction.estimate')}: ${this.formatCurrency(artifact.estimate.low)} - ${this.formatCurrency(artifact.estimate.high)}`;
-            const currentBid = this.formatCurrency(artifact.currentBid);
+            const estimate = `${this.t('auction.estimate')}: ${this.formatCurrency(artifact.estimate.low, CATALOGUE_CURRENCY)} - ${this.formatCurrency(artifact.estimate.high, CATALOGUE_CURRENCY)}`;
+            const currentBid = this.formatCurrency(artifact.currentBid, this.getLotCurrency(artifact));
             const bidsAndTime = `${artifact.bidCount} ${this.t('auction.bids')} • ${this.formatTimeRemaining(artifact.endTime)}`;
+            const snippet = this.catalogueSearch && this.searchQuery.trim()
+                ? this.catalogueSearch.snippet(this.getArtifactDescription(artifact), this.searchQuery)
+                : '';
             
             card.innerHTML = `
                 <div class="artifact-video-container ${artifact.videoOrientation || 'square'}">
+                    ${this.renderWatchToggle(artifact)}
                     <video 
                         class="artifact-video" 
                         muted 
@@ -196,12 +655,14 @@
                     </video>
                 </div>
                 <div class="artifact-info">
-                    <div class="artifact-lot">${this.t('modal.lot')} ${artifact.lotNumber}</div>
-                    <h3 class="artifact-title">${title}</h3>
-                    <p class="artifact-dynasty">${artifact.chinese}<br>${dynastyInfo}</p>
+                    <div class="artifact-lot">${this.t('modal.lot')} ${artifact.lotNumber} ${this.renderLotStatus(artifact)}</div>
+                    <h3 class="artifact-title">${this.highlightSearch(title)}</h3>
+                    <p class="artifact-dynasty">${this.highlightSearch(artifact.chinese)}<br>${this.highlightSearch(dynastyInfo)}</p>
+                    ${snippet ? `<p class="artifact-snippet">${snippet}</p>` : ''}
                     <p class="artifact-estimate">${estimate}</p>
                     <p class="artifact-bid">${currentBid}</p>
-                    <p class="artifact-estimate">${bidsAndTime}</p>
+                    <p class="artifact-estimate artifact-time">${bidsAndTime}</p>
+                    ${this.renderCompareToggle(artifact)}
                 </div>
             `;
             
@@ -258,14 +719,31 @@
 
             let filteredArtifacts = [...this.artifacts];
             
-            // Apply filter
-            if (this.currentFilter !== 'all') {
-                filteredArtifacts = filteredArtifacts.filter(a => a.dynasty === this.currentFilter);
+            // "Watching" sits with the dynasty filters but narrows by watchlist instead
+            const watching = this.currentFilter === 'watching';
+            const dynasty = watching ? 'all' : this.currentFilter;
+
+            // Apply search and facets, or just the dynasty filter without a search index
+            if (this.catalogueSearch) {
+                const { results, facetCounts } = this.catalogueSearch.search(this.searchQuery, {
+                    dynasty,
+                    ...this.searchFacets
+                });
+                filteredArtifacts = results.map(result => result.artifact);
+                this.renderSearchFacets(facetCounts);
+            } else if (dynasty !== 'all') {
+                filteredArtifacts = filteredArtifacts.filter(a => a.dynasty === dynasty);
+            }
+
+            if (watching) {
+                filteredArtifacts = filteredArtifacts.filter(a => this.isWatching(a));
             }
             
-            // Apply sort
+            // Apply sort; relevance keeps the search ranking
             filteredArtifacts.sort((a, b) => {
                 switch(this.currentSort) {
+                    case 'relevance':
+                        return 0;
                     case 'price-high':
                         return b.currentBid - a.currentBid;
                     case 'price-low':
@@ -277,12 +755,22 @@
                 }
             });
             
+            this.visibleArtifacts = filteredArtifacts;
+            
             // Create and append cards
             filteredArtifacts.forEach(artifact => {
                 const card = this.createArtifactCard(artifact);
                 grid.appendChild(card);
             });
             
+            if (filteredArtifacts.length === 0) {
+                const emptyMessage = watching && this.watchlist && this.watchlist.getIds().length === 0
+                    ? this.t('watchlist.empty')
+                    : this.t('messages.noArtifacts');
+                grid.innerHTML = `<p class="no-results">${emptyMessage}</p>`;
+            }
+            
+            this.updateSearchSummary(filteredArtifacts.length);
             console.log(`Rendered ${filteredArtifacts.length} artifact cards`);
         }
 
@@ -296,11 +784,177 @@
             document.querySelector(`[data-filter="${dynasty}"]`).classList.add('active');
             
             this.renderArtifacts();
+            this.syncRoute();
         }
 
         sortArtifacts(sortBy) {
             this.currentSort = sortBy;
             this.renderArtifacts();
+            this.syncRoute({ replace: true });
+        }
+
+        initRouter() {
+            if (typeof window.AppRouter === 'undefined') return;
+
+            this.router = new window.AppRouter({
+                onRoute: (route) => this.applyRoute(route)
+            });
+            this.applyRoute(this.router.start());
+
+            // Rewrite whatever we were given into the canonical form
+            this.syncRoute({ replace: true });
+        }
+
+        getRouteState() {
+            return {
+                lot: this.selectedArtifact ? this.selectedArtifact.lotNumber : null,
+                filter: this.currentFilter,
+                sort: this.currentSort,
+                q: this.searchQuery.trim(),
+                lang: this.currentLanguage
+            };
+        }
+
+        // Lot and filter changes get their own history entry; sort, search and language replace it
+        syncRoute({ replace = false } = {}) {
+            if (!this.router || this.applyingRoute) return;
+            this.router.navigate(this.getRouteState(), { replace });
+        }
+
+        applyRoute(route) {
+            this.applyingRoute = true;
+            try {
+                if (route.lang && route.lang !== this.currentLanguage) {
+                    if (typeof window.switchLanguage === 'function') {
+                        window.switchLanguage(route.lang);
+                    } else if (this.i18n) {
+                        this.i18n.setLanguage(route.lang);
+                    }
+                }
+
+                const filterButton = document.querySelector(`.dynasty-filter[data-filter="${route.filter}"]`);
+                this.currentFilter = filterButton ? route.filter : 'all';
+                document.querySelectorAll('.dynasty-filter').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+                });
+
+                const sortSelect = document.getElementById('sort-select');
+                const sortOption = sortSelect && sortSelect.querySelector(`option[value="${route.sort}"]`);
+                this.currentSort = sortOption ? route.sort : 'lot';
+                if (sortSelect) sortSelect.value = this.currentSort;
+
+                this.searchQuery = route.q;
+                const searchInput = document.getElementById('catalogue-search');
+                if (searchInput) searchInput.value = route.q;
+
+                this.renderArtifacts();
+
+                const artifact = route.lot ? this.artifacts.find(a => a.lotNumber === route.lot) : null;
+                if (artifact && artifact !== this.selectedArtifact) {
+                    this.openArtifactModal(artifact.id);
+                } else if (!artifact && this.selectedArtifact) {
+                    this.closeModal();
+                }
+            } finally {
+                this.applyingRoute = false;
+            }
+        }
+
+        initSearch() {
+            if (typeof window.CatalogueSearch === 'undefined') return;
+            this.catalogueSearch = new window.CatalogueSearch(this.artifacts);
+        }
+
+        search(query) {
+            const wasSearching = Boolean(this.searchQuery.trim());
+            this.searchQuery = query;
+
+            // Rank by relevance while searching, and go back to lot order once cleared
+            const sortSelect = document.getElementById('sort-select');
+            if (query.trim() && !wasSearching && this.currentSort === 'lot') {
+                this.currentSort = 'relevance';
+            } else if (!query.trim() && this.currentSort === 'relevance') {
+                this.currentSort = 'lot';
+            }
+            if (sortSelect) sortSelect.value = this.currentSort;
+
+            this.renderArtifacts();
+            this.syncRoute({ replace: true });
+        }
+
+        clearSearch() {
+            const searchInput = document.getElementById('catalogue-search');
+            if (searchInput) searchInput.value = '';
+            Object.keys(this.searchFacets).forEach(facet => {
+                this.searchFacets[facet] = 'all';
+            });
+
+            this.currentFilter = 'all';
+            document.querySelectorAll('.dynasty-filter').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.filter === 'all');
+            });
+
+            this.search('');
+        }
+
+        setSearchFacet(facet, value) {
+            this.searchFacets[facet] = value;
+            this.renderArtifacts();
+        }
+
+        renderSearchFacets(facetCounts) {
+            const container = document.getElementById('search-facets');
+            if (!container || !this.catalogueSearch) return;
+
+            const search = this.catalogueSearch;
+            const facetValues = {
+                ware: [...search.wareKeywords.map(([ware]) => ware), 'other'],
+                estimate: search.estimateRanges.map(range => range.id),
+                bidStatus: ['noBids', 'belowEstimate', 'withinEstimate', 'aboveEstimate'],
+                timeRemaining: [...search.timeRanges.map(range => range.id), 'ended']
+            };
+
+            container.innerHTML = Object.entries(facetValues).map(([facet, values]) => {
+                const selected = this.searchFacets[facet];
+                const counts = facetCounts[facet] || {};
+
+                // Only offer values that would return lots, plus whatever is already selected
+                const options = values
+                    .filter(value => counts[value] || value === selected)
+                    .map(value => `
+                        <option value="${value}" ${value === selected ? 'selected' : ''}>
+                            ${this.t(`search.${facet}.${value}`)} (${counts[value] || 0})
+                        </option>
+                    `).join('');
+
+                return `
+                    <label class="search-facet">
+                        <span>${this.t(`search.facets.${facet}`)}</span>
+                        <select class="sort-select" data-facet="${facet}">
+                            <option value="all">${this.t('search.any')}</option>
+                            ${options}
+                        </select>
+                    </label>
+                `;
+            }).join('');
+        }
+
+        updateSearchSummary(count) {
+            const summary = document.getElementById('search-summary');
+            if (!summary) return;
+
+            const filtering = this.searchQuery.trim() || this.currentFilter !== 'all' ||
+                Object.values(this.searchFacets).some(value => value !== 'all');
+            summary.innerHTML = filtering ? `
+                <span>${this.t('search.results', { count, total: this.artifacts.length })}</span>
+                <button class="search-clear" onclick="window.app.clearSearch()">${this.t('search.clear')}</button>
+            ` : '';
+        }
+
+        // Title and dynasty line with search matches marked
+        highlightSearch(text) {
+            if (!this.catalogueSearch || !this.searchQuery.trim()) return text;
+            return this.catalogueSearch.highlight(text, this.searchQuery);
         }
 
         openArtifactModal(id) {
@@ -309,6 +963,9 @@
             
             this.populateModal();
             this.showModal();
+            this.loadBidHistory();
+            this.loadGasEstimate();
+            this.syncRoute();
         }
 
         populateModal() {
@@ -334,7 +991,10 @@
             const modalInfo = document.getElementById('modal-info');
             if (modalInfo) {
                 modalInfo.innerHTML = `
-                    <div class="modal-lot-number">${this.t('modal.lot')} ${artifact.lotNumber}</div>
+                    <div class="modal-lot-number">
+                        ${this.t('modal.lot')} ${artifact.lotNumber}
+                        ${this.renderWatchToggle(artifact, 'modal-watch-toggle')}
+                    </div>
                     <h2 class="modal-title">${title}</h2>
                     <p class="modal-dynasty">${artifact.chinese} | ${dynastyInfo}</p>
                     <p class="modal-description">${description}</p>
@@ -359,10 +1019,26 @@
                     </div>
                     
                     <div class="bidding-section">
+                        ${this.renderCheckoutBanner(artifact)}
                         <div class="current-bid-info">
                             <div class="current-bid-label">${this.t('modal.currentBid')}</div>
-                            <div class="current-bid-amount">${this.formatCurrency(artifact.currentBid)}</div>
+                            <div class="current-bid-amount">${this.formatCurrency(artifact.currentBid, this.getLotCurrency(artifact))}</div>
                             <div class="bid-count">${artifact.bidCount} ${this.t('auction.bids')}</div>
+                            <div class="modal-countdown">
+                                <span class="modal-countdown-label">${this.t('modal.timeLeft')}</span>
+                                <span class="modal-countdown-value">${this.formatTimeRemaining(artifact.endTime)}</span>
+                                <span class="modal-countdown-status">${this.renderLotStatus(artifact)}</span>
+                            </div>
+                            <p class="soft-close-note">${this.t('modal.softCloseNote', {
+                                minutes: Math.round(this.softClose.windowMs / 60000),
+                                extension: Math.round(this.softClose.extensionMs / 60000)
+                            })}</p>
+                            ${this.renderCalendarActions(artifact)}
+                        </div>
+                        
+                        <div class="bid-history" id="bid-history">
+                            <h4>${this.t('modal.bidHistory')}</h4>
+                            <div class="bid-history-body">${this.t('messages.loading')}</div>
                         </div>
                         
                         <div class="bid-options">
@@ -371,18 +1047,117 @@
                                 <p>${this.t('modal.placeBidDesc')}</p>
                                 <div class="bid-input-group">
                                     <input type="number" class="bid-input" id="bid-amount" 
-                                           placeholder="${this.t('modal.amountPlaceholder')}" step="1000" 
-                                           min="${artifact.currentBid + artifact.minBidIncrement}">
+                                           placeholder="${this.t('modal.amountPlaceholder', { currency: this.getLotCurrency(artifact) })}" step="${artifact.minBidIncrement}" 
+                                           min="${artifact.currentBid + artifact.minBidIncrement}"
+                                           oninput="window.app.updateFeeBreakdown()">
                                     <button class="bid-button" onclick="window.app.placeBid()">${this.t('modal.placeBidButton')}</button>
                                 </div>
-                                <p style="font-size: 0.75rem; margin-top: 0.5rem;">
-                                    ${this.t('modal.minimumBid')}: ${this.formatCurrency(artifact.currentBid + artifact.minBidIncrement)}
+                                <p class="minimum-bid" style="font-size: 0.75rem; margin-top: 0.5rem;">
+                                    ${this.t('modal.minimumBid')}: ${this.formatCurrency(artifact.currentBid + artifact.minBidIncrement, this.getLotCurrency(artifact))}
                                 </p>
+                                <div class="fee-breakdown" id="fee-breakdown"></div>
                             </div>
+                            <div class="bid-option proxy-bid-option" id="proxy-bid-option"></div>
                         </div>
                     </div>
                 `;
             }
+
+            this.renderProxyBidOption();
+            this.updateFeeBreakdown();
+
+            // Re-render history we already have rather than flashing the loader
+            if (this.bidHistory.artifactId === artifact.id) {
+                this.renderBidHistory();
+            }
+        }
+
+        async loadBidHistory() {
+            const artifact = this.selectedArtifact;
+            if (!artifact) return;
+
+            let entries = null;
+            if (this.web3Manager) {
+                entries = await this.web3Manager.getBidHistory(artifact.auctionId);
+            }
+            if (!entries) {
+                entries = [];
+            }
+
+            // The modal may have moved on to another lot while we were loading
+            if (this.selectedArtifact !== artifact) return;
+
+            // The full history is the one count that covers every bid on the chain
+            if (entries.length > 0 && entries.length !== artifact.bidCount) {
+                artifact.bidCount = entries.length;
+                this.updateArtifactCard(artifact);
+                this.updateModalBidInfo();
+                this.updateStats();
+            }
+
+            const keepPage = this.bidHistory.artifactId === artifact.id;
+            this.bidHistory = {
+                artifactId: artifact.id,
+                entries,
+                page: keepPage ? this.bidHistory.page : 0
+            };
+            this.renderBidHistory();
+        }
+
+        renderBidHistory() {
+            const body = document.querySelector('#bid-history .bid-history-body');
+            if (!body) return;
+
+            const { entries } = this.bidHistory;
+            const artifact = this.artifacts.find(a => a.id === this.bidHistory.artifactId);
+            const currency = artifact ? this.getLotCurrency(artifact) : null;
+            if (entries.length === 0) {
+                body.innerHTML = `<p class="bid-history-empty">${this.t('modal.noBids')}</p>`;
+                return;
+            }
+
+            const pages = Math.ceil(entries.length / this.bidHistoryPageSize);
+            const page = Math.min(this.bidHistory.page, pages - 1);
+            const start = page * this.bidHistoryPageSize;
+            const rows = entries.slice(start, start + this.bidHistoryPageSize);
+
+            body.innerHTML = `
+                <ol class="bid-history-list">
+                    ${rows.map(entry => {
+                        const isYou = this.web3Manager && this.web3Manager.isCurrentAccount(entry.bidder);
+                        return `
+                            <li class="bid-history-entry${isYou ? ' you' : ''}">
+                                <span class="bid-history-bidder">${entry.bidder ? this.formatAddress(entry.bidder) : ''}${isYou ? ` <span class="bid-history-you">${this.t('modal.you')}</span>` : ''}</span>
+                                <span class="bid-history-amount">${this.formatCurrency(entry.amount, currency)}</span>
+                                <span class="bid-history-time">${this.formatRelativeTime(entry.timestamp)}</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+                ${pages > 1 ? `
+                    <div class="bid-history-pager">
+                        <button class="bid-history-page" data-page="${page - 1}" ${page === 0 ? 'disabled' : ''}>${this.t('modal.newer')}</button>
+                        <span>${this.t('modal.historyPage', { page: page + 1, pages })}</span>
+                        <button class="bid-history-page" data-page="${page + 1}" ${page === pages - 1 ? 'disabled' : ''}>${this.t('modal.older')}</button>
+                    </div>
+                ` : ''}
+            `;
+
+            body.querySelectorAll('.bid-history-page').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.bidHistory.page = parseInt(button.dataset.page);
+                    this.renderBidHistory();
+                });
+            });
+        }
+
+        formatAddress(address) {
+            if (this.web3Manager) return this.web3Manager.formatAddress(address);
+            return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '';
+        }
+
+        formatRelativeTime(timestamp) {
+            return this.i18n ? this.i18n.formatRelativeTime(timestamp) : new Date(timestamp).toLocaleString();
         }
 
         showModal() {
@@ -399,50 +1174,2110 @@
                 modal.style.display = 'none';
                 document.body.style.overflow = 'auto';
             }
+            const wasOpen = Boolean(this.selectedArtifact);
             this.selectedArtifact = null;
+            if (wasOpen) this.syncRoute();
         }
 
-        placeBid() {
+        async placeBid() {
             const bidInput = document.getElementById('bid-amount');
             if (!bidInput) return;
 
+            const artifact = this.selectedArtifact;
             const bidAmount = parseFloat(bidInput.value);
-            const minBid = this.selectedArtifact.currentBid + this.selectedArtifact.minBidIncrement;
+            const minBid = artifact.currentBid + artifact.minBidIncrement;
             
             if (isNaN(bidAmount) || bidAmount < minBid) {
-                this.showToast(`${this.t('modal.minimumBid')} ${this.formatCurrency(minBid)}`, 'error');
+                this.showToast(`${this.t('modal.minimumBid')} ${this.formatCurrency(minBid, this.getLotCurrency(artifact))}`, 'error');
                 return;
             }
 
-            // Demo mode - just update the values
-            this.selectedArtifact.currentBid = bidAmount;
-            this.selectedArtifact.bidCount++;
-            
-            this.showToast(`${this.t('modal.bidSuccess')} ${this.formatCurrency(bidAmount)}`, 'success');
-            
-            // Update displays
-            this.populateModal();
-            this.renderArtifacts();
-            this.updateStats();
-        }
-
-        updateStats() {
-            const totalLotsElement = document.getElementById('total-lots');
-            const totalBidsElement = document.getElementById('total-bids');
-            const totalValueElement = document.getElementById('total-value');
-
-            if (totalLotsElement) {
-                totalLotsElement.textContent = this.artifacts.length;
+            if (!this.web3Manager) {
+                this.showToast(this.t('messages.demoMode'), 'info');
+                return;
             }
-
-            if (totalBidsElement) {
-                const totalBids = this.artifacts.reduce((sum, a) => sum + a.bidCount, 0);
-                totalBidsElement.textContent = totalBids;
+            if (!this.web3Manager.isConnected()) {
+                const connected = await this.web3Manager.connectWallet();
+                if (!connected) return;
             }
 
-            if (totalValueElement) {
-                const totalValue = this.artifacts.reduce((sum, a) => sum + a.currentBid, 0);
-                totalValueElement.textContent = this.formatCurrency(totalValue);
+            try {
+                await this.submitBid(artifact, bidAmount);
+            } catch (error) {
+                console.error('Bid failed:', error);
+                this.showError(error, 'modal.bidError', {
+                    minimumBid: this.formatCurrency(artifact.currentBid + artifact.minBidIncrement, this.getLotCurrency(artifact))
+                });
+            }
+        }
+
+        async submitBid(artifact, amount) {
+            if (!this.web3Manager || !this.web3Manager.isConnected()) {
+                throw new Error('Wallet not connected');
+            }
+            // The BidPlaced event updates the displays once the bid is mined
+            await this.web3Manager.placeBid(artifact.auctionId, amount, {
+                // Token auctions may need an approval or a permit signature first
+                onStep: (step, currency) => this.showToast(
+                    this.t(step === 'permit' ? 'modal.signingPermit' : 'modal.approvingToken', { symbol: currency.symbol }),
+                    'info'
+                )
+            });
+
+            // Lots you bid on are followed automatically so outbid alerts reach you
+            if (this.watchlist) this.watchlist.add(artifact.id);
+        }
+
+        // Proxy (maximum) bidding
+        initProxyBidding() {
+            if (!window.ProxyBidEngine) return;
+
+            this.proxyBidEngine = new window.ProxyBidEngine({
+                placeBid: (artifact, amount) => this.submitBid(artifact, amount),
+                isLeading: (artifact) => this.isLeadingBidder(artifact),
+                onNotice: (type, artifact, details) => this.onProxyNotice(type, artifact, details)
+            });
+        }
+
+        // Maxima run for the connected wallet on the current chain; without one there is nothing to bid from
+        resumeProxyBids() {
+            if (!this.proxyBidEngine) return;
+
+            const web3 = this.web3Manager;
+            const connected = !!web3 && web3.isConnected();
+            const chainId = connected && web3.network ? web3.network.chainId : null;
+            this.proxyBidEngine.setAccount(connected ? web3.userAccount : null, chainId);
+            if (this.selectedArtifact) this.renderProxyBidOption();
+
+            if (connected && this.proxyBidsResumed) {
+                this.proxyBidEngine.evaluateAll(this.artifacts);
+            }
+        }
+
+        renderProxyBidOption() {
+            const container = document.getElementById('proxy-bid-option');
+            const artifact = this.selectedArtifact;
+            if (!container || !artifact) return;
+
+            if (!this.proxyBidEngine) {
+                container.remove();
+                return;
+            }
+
+            const proxy = this.proxyBidEngine.getProxy(artifact);
+            let status = '';
+            if (proxy && proxy.exhausted) {
+                status = `<p class="proxy-status exhausted">${this.t('proxy.exhaustedStatus', { amount: this.formatCurrency(proxy.maxAmount, this.getLotCurrency(artifact)) })}</p>`;
+            } else if (proxy) {
+                status = `<p class="proxy-status active">${this.t('proxy.activeStatus', { amount: this.formatCurrency(proxy.maxAmount, this.getLotCurrency(artifact)) })}</p>`;
+            }
+
+            container.innerHTML = `
+                <h5>${this.t('proxy.title')}</h5>
+                <p>${this.t('proxy.description')}</p>
+                ${status}
+                <div class="bid-input-group">
+                    <input type="number" class="bid-input" id="proxy-max-amount"
+                           placeholder="${this.t('proxy.maxPlaceholder')}" step="${artifact.minBidIncrement}"
+                           min="${artifact.currentBid + artifact.minBidIncrement}"
+                           value="${proxy ? proxy.maxAmount : ''}">
+                    <button class="bid-button" onclick="window.app.setProxyBid()">${proxy ? this.t('proxy.update') : this.t('proxy.set')}</button>
+                </div>
+                ${proxy ? `<button class="bid-button secondary" onclick="window.app.cancelProxyBid()">${this.t('proxy.cancel')}</button>` : ''}
+            `;
+        }
+
+        async setProxyBid() {
+            const input = document.getElementById('proxy-max-amount');
+            const artifact = this.selectedArtifact;
+            if (!input || !artifact || !this.proxyBidEngine) return;
+
+            const maxAmount = parseFloat(input.value);
+            if (isNaN(maxAmount) || maxAmount <= 0) {
+                this.showToast(this.t('errors.invalidInput'), 'error');
+                return;
+            }
+
+            if (!this.web3Manager) {
+                this.showToast(this.t('messages.demoMode'), 'info');
+                return;
+            }
+            if (!this.web3Manager.isConnected()) {
+                const connected = await this.web3Manager.connectWallet();
+                if (!connected) return;
+            }
+
+            await this.proxyBidEngine.setMaximum(artifact, maxAmount);
+        }
+
+        cancelProxyBid() {
+            if (!this.proxyBidEngine || !this.selectedArtifact) return;
+            this.proxyBidEngine.cancel(this.selectedArtifact);
+        }
+
+        onProxyNotice(type, artifact, { amount }) {
+            const toastTypes = {
+                set: 'success',
+                updated: 'success',
+                cancelled: 'info',
+                placed: 'info',
+                exhausted: 'warning',
+                failed: 'error',
+                tooLow: 'error'
+            };
+            const message = this.t(`proxy.notices.${type}`, {
+                amount: amount !== undefined ? this.formatCurrency(amount, this.getLotCurrency(artifact)) : '',
+                lot: artifact.lotNumber
+            });
+            this.showToast(message, toastTypes[type] || 'info', type === 'exhausted' ? this.getRefundsAction(artifact) : null);
+
+            if (this.selectedArtifact === artifact) {
+                this.renderProxyBidOption();
+            }
+        }
+
+        // Watchlist
+        initWatchlist() {
+            if (!window.Watchlist) return;
+
+            this.watchlist = new window.Watchlist({
+                finalHourMs: this.closingThresholdMs,
+                onChange: () => this.refreshWatchState(),
+                onAlert: (type, artifact) => this.notifyWatchAlert(type, artifact)
+            });
+        }
+
+        setupAccountChangeListener() {
+            window.addEventListener('accountChanged', (e) => {
+                if (this.watchlist) this.watchlist.setOwner(e.detail.account);
+                this.resumeProxyBids();
+                if (this.isCollectionOpen()) this.loadCollection();
+                if (this.isRefundsOpen()) this.loadRefunds();
+                this.updateTransactionsBadge();
+                if (this.isTransactionsOpen()) this.renderTransactions();
+                this.renderSessionButton();
+            });
+        }
+
+        isWatching(artifact) {
+            return !!(this.watchlist && this.watchlist.has(artifact.id));
+        }
+
+        renderWatchToggle(artifact, extraClass = '') {
+            if (!this.watchlist) return '';
+            const watching = this.isWatching(artifact);
+            const label = this.t(watching ? 'watchlist.unwatch' : 'watchlist.watch');
+            return `
+                <button class="watch-toggle ${extraClass} ${watching ? 'watching' : ''}"
+                        data-watch-id="${artifact.id}" aria-pressed="${watching}"
+                        aria-label="${label}" title="${label}"
+                        onclick="event.stopPropagation(); window.app.toggleWatch(${artifact.id})">${watching ? '♥' : '♡'}</button>
+            `;
+        }
+
+        toggleWatch(artifactId) {
+            const artifact = this.artifacts.find(a => a.id === artifactId);
+            if (!this.watchlist || !artifact) return;
+
+            const watching = this.watchlist.toggle(artifactId);
+            this.showToast(this.t(watching ? 'watchlist.added' : 'watchlist.removed', { lot: artifact.lotNumber }), 'info');
+
+            if (watching) {
+                this.requestNotificationPermission();
+                this.checkWatchedLot(artifact);
+            }
+        }
+
+        refreshWatchState() {
+            document.querySelectorAll('.watch-toggle[data-watch-id]').forEach(button => {
+                const artifact = this.artifacts.find(a => a.id === parseInt(button.dataset.watchId));
+                if (!artifact) return;
+
+                const watching = this.isWatching(artifact);
+                const label = this.t(watching ? 'watchlist.unwatch' : 'watchlist.watch');
+                button.classList.toggle('watching', watching);
+                button.setAttribute('aria-pressed', watching);
+                button.setAttribute('aria-label', label);
+                button.title = label;
+                button.textContent = watching ? '♥' : '♡';
+            });
+
+            if (this.currentFilter === 'watching') {
+                this.renderArtifacts();
+            }
+        }
+
+        // Asked on the first heart tap, so the prompt follows a user gesture
+        requestNotificationPermission() {
+            if (!('Notification' in window) || Notification.permission !== 'default') return;
+            Notification.requestPermission().catch(() => {});
+        }
+
+        checkWatchedLot(artifact) {
+            if (!this.watchlist) return;
+            // Without a connected wallet we cannot tell whether you lead, so no outbid alerts
+            this.watchlist.check(artifact, this.isLiveBidding() && this.isLeadingBidder(artifact));
+        }
+
+        checkWatchedLots() {
+            if (!this.watchlist) return;
+            this.watchlist.getIds().forEach(id => {
+                const artifact = this.artifacts.find(a => a.id === id);
+                if (artifact) this.checkWatchedLot(artifact);
+            });
+        }
+
+        // In-app toast while the tab has focus, a system notification otherwise
+        notifyWatchAlert(type, artifact) {
+            // A running maximum bid answers outbids itself and reports through its own notices
+            const proxy = this.proxyBidEngine && this.proxyBidEngine.getProxy(artifact);
+            if (type === 'outbid' && proxy && !proxy.exhausted) return;
+
+            const message = this.t(`watchlist.alerts.${type}`, {
+                lot: artifact.lotNumber,
+                title: this.getArtifactTitle(artifact),
+                amount: this.formatCurrency(artifact.currentBid, this.getLotCurrency(artifact))
+            });
+
+            const canNotify = 'Notification' in window && Notification.permission === 'granted';
+            if (document.hasFocus() || !canNotify) {
+                this.showToast(message, type === 'outbid' ? 'warning' : 'info', type === 'outbid' ? this.getRefundsAction(artifact) : null);
+                return;
+            }
+
+            const notification = new Notification(this.t('watchlist.notificationTitle'), {
+                body: type === 'outbid' ? this.t('refunds.notificationBody', { message }) : message,
+                tag: `yizhen-${type}-${artifact.id}`,
+                icon: '/favicon.svg'
+            });
+            // The outbid bid is now refundable, so that alert leads to the refunds panel
+            notification.onclick = () => {
+                window.focus();
+                if (type === 'outbid') {
+                    this.openRefunds(artifact.auctionId);
+                } else {
+                    this.openArtifactModal(artifact.id);
+                }
+                notification.close();
+            };
+        }
+
+        // Lot comparison
+        initComparison() {
+            if (!window.LotComparison) return;
+
+            this.lotComparison = new window.LotComparison({
+                onChange: () => this.refreshCompareState()
+            });
+        }
+
+        renderCompareToggle(artifact) {
+            if (!this.lotComparison) return '';
+            const selected = this.lotComparison.has(artifact.id);
+            return `
+                <button class="compare-toggle ${selected ? 'selected' : ''}" data-compare-id="${artifact.id}"
+                        aria-pressed="${selected}"
+                        onclick="event.stopPropagation(); window.app.toggleCompare(${artifact.id})">${this.t(selected ? 'compare.selected' : 'compare.add')}</button>
+            `;
+        }
+
+        toggleCompare(artifactId) {
+            if (!this.lotComparison) return;
+            if (!this.lotComparison.toggle(artifactId)) {
+                this.showToast(this.t('compare.limit', { max: this.lotComparison.maxLots }), 'warning');
+            }
+        }
+
+        refreshCompareState() {
+            document.querySelectorAll('.compare-toggle[data-compare-id]').forEach(button => {
+                const selected = this.lotComparison.has(parseInt(button.dataset.compareId));
+                button.classList.toggle('selected', selected);
+                button.setAttribute('aria-pressed', selected);
+                button.textContent = this.t(selected ? 'compare.selected' : 'compare.add');
+            });
+
+            this.renderCompareTray();
+
+            if (this.isComparisonOpen()) {
+                if (this.lotComparison.canCompare()) {
+                    this.renderComparison();
+                } else {
+                    this.closeComparison();
+                }
+            }
+        }
+
+        renderCompareTray() {
+            const tray = document.getElementById('compare-tray');
+            if (!tray || !this.lotComparison) return;
+
+            const lots = this.getComparedArtifacts();
+            tray.classList.toggle('show', lots.length > 0);
+            if (lots.length === 0) {
+                tray.innerHTML = '';
+                return;
+            }
+
+            const ready = this.lotComparison.canCompare();
+            tray.innerHTML = `
+                <div class="compare-tray-lots">
+                    ${lots.map(artifact => `
+                        <span class="compare-chip">
+                            ${this.t('modal.lot')} ${artifact.lotNumber}
+                            <button class="compare-chip-remove" aria-label="${this.t('compare.remove')}"
+                                    onclick="window.app.toggleCompare(${artifact.id})">&times;</button>
+                        </span>
+                    `).join('')}
+                </div>
+                <span class="compare-tray-hint">${ready ? '' : this.t('compare.hint', {
+                    min: this.lotComparison.minLots,
+                    max: this.lotComparison.maxLots
+                })}</span>
+                <button class="compare-tray-clear" onclick="window.app.lotComparison.clear()">${this.t('compare.clear')}</button>
+                <button class="bid-button compare-tray-open" onclick="window.app.openComparison()" ${ready ? '' : 'disabled'}>
+                    ${this.t('compare.open', { count: lots.length })}
+                </button>
+            `;
+        }
+
+        getComparedArtifacts() {
+            if (!this.lotComparison) return [];
+            return this.lotComparison.getIds()
+                .map(id => this.artifacts.find(a => a.id === id))
+                .filter(Boolean);
+        }
+
+        isComparisonOpen() {
+            const modal = document.getElementById('compare-modal');
+            return !!(modal && modal.style.display === 'block');
+        }
+
+        openComparison() {
+            if (!this.lotComparison || !this.lotComparison.canCompare()) return;
+            if (this.selectedArtifact) this.closeModal();
+
+            this.renderComparison();
+            const modal = document.getElementById('compare-modal');
+            if (modal) {
+                modal.style.display = 'block';
+                document.body.style.overflow = 'hidden';
+            }
+            this.lotComparison.play();
+            this.updateComparisonPlayButton();
+        }
+
+        closeComparison() {
+            const modal = document.getElementById('compare-modal');
+            if (modal) {
+                modal.style.display = 'none';
+                document.body.style.overflow = 'auto';
+            }
+            if (this.lotComparison) this.lotComparison.detachVideos();
+        }
+
+        renderComparison() {
+            const body = document.getElementById('compare-body');
+            if (!body) return;
+
+            const lots = this.getComparedArtifacts();
+            const wasPlaying = this.lotComparison.isPlaying();
+            const progress = this.lotComparison.getProgress();
+
+            // Each row reads the same field across lots, in the current language
+            const rows = [
+                { label: this.t('compare.period'), value: a => `${a.chinese}<br>${this.getArtifactDynastyInfo(a)}` },
+                { label: this.t('auction.estimate'), value: a => `${this.formatCurrency(a.estimate.low, CATALOGUE_CURRENCY)} - ${this.formatCurrency(a.estimate.high, CATALOGUE_CURRENCY)}` },
+                { label: this.t('auction.currentBid'), value: a => `<span data-compare-bid="${a.id}">${this.formatCurrency(a.currentBid, this.getLotCurrency(a))}</span>` },
+                { label: this.t('modal.dimensions'), value: a => this.getArtifactField(a, 'dimensions') },
+                { label: this.t('modal.condition'), value: a => this.getArtifactField(a, 'condition') },
+                { label: this.t('modal.provenance'), value: a => this.getArtifactField(a, 'provenance') },
+                { label: this.t('modal.literature'), value: a => this.getArtifactField(a, 'literature') }
+            ];
+
+            body.innerHTML = `
+                <div class="compare-header">
+                    <h2 class="modal-title">${this.t('compare.title')}</h2>
+                    <div class="compare-controls">
+                        <button class="compare-play" onclick="window.app.toggleComparisonPlayback()">${this.t(wasPlaying ? 'compare.pause' : 'compare.play')}</button>
+                        <input type="range" class="compare-scrubber" min="0" max="1000" value="${Math.round(progress * 1000)}"
+                               aria-label="${this.t('compare.position')}">
+                    </div>
+                </div>
+                <div class="compare-scroll">
+                    <table class="compare-table" style="--compare-columns: ${lots.length}">
+                        <thead>
+                            <tr>
+                                <th scope="col"></th>
+                                ${lots.map(artifact => `
+                                    <th scope="col">
+                                        <div class="compare-video-container">
+                                            <video class="compare-video" src="${artifact.video}" muted loop playsinline preload="auto"></video>
+                                        </div>
+                                        <div class="modal-lot-number">${this.t('modal.lot')} ${artifact.lotNumber}</div>
+                                        <div class="compare-lot-title">${this.getArtifactTitle(artifact)}</div>
+                                        <div class="compare-lot-actions">
+                                            <button onclick="window.app.viewComparedLot(${artifact.id})">${this.t('compare.viewLot')}</button>
+                                            <button onclick="window.app.toggleCompare(${artifact.id})">${this.t('compare.remove')}</button>
+                                        </div>
+                                    </th>
+                                `).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <th scope="row">${row.label}</th>
+                                    ${lots.map(artifact => `<td>${row.value(artifact) || '—'}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            const scrubber = body.querySelector('.compare-scrubber');
+            this.lotComparison.attachVideos(
+                Array.from(body.querySelectorAll('.compare-video')),
+                (position) => {
+                    if (document.activeElement !== scrubber) scrubber.value = Math.round(position * 1000);
+                }
+            );
+            scrubber.addEventListener('input', () => {
+                this.lotComparison.seek(scrubber.value / 1000);
+            });
+
+            // Re-rendering (language change, lot removed) keeps playback where it was
+            const videos = body.querySelectorAll('.compare-video');
+            videos.forEach(video => {
+                video.addEventListener('loadedmetadata', () => {
+                    this.lotComparison.seekVideo(video, progress);
+                    if (wasPlaying) video.play().catch(() => {});
+                }, { once: true });
+            });
+        }
+
+        toggleComparisonPlayback() {
+            if (this.lotComparison.isPlaying()) {
+                this.lotComparison.pause();
+            } else {
+                this.lotComparison.play();
+            }
+            this.updateComparisonPlayButton();
+        }
+
+        updateComparisonPlayButton() {
+            const button = document.querySelector('#compare-body .compare-play');
+            if (button) {
+                button.textContent = this.t(this.lotComparison.isPlaying() ? 'compare.pause' : 'compare.play');
+            }
+        }
+
+        viewComparedLot(artifactId) {
+            this.closeComparison();
+            this.openArtifactModal(artifactId);
+        }
+
+        updateComparisonBid(artifact) {
+            const cell = document.querySelector(`#compare-body [data-compare-bid="${artifact.id}"]`);
+            if (cell) cell.textContent = this.formatCurrency(artifact.currentBid, this.getLotCurrency(artifact));
+        }
+
+        // Printable catalogue
+        async printCatalogue() {
+            if (!window.CatalogueRenderer || this.printingCatalogue) return;
+
+            const container = document.getElementById('print-catalogue');
+            if (!container) return;
+
+            // Whatever the grid shows (filter, search, watching), or every lot when it is empty
+            const lots = this.visibleArtifacts.length ? this.visibleArtifacts : this.artifacts;
+            this.printingCatalogue = true;
+            this.showToast(this.t('catalogue.preparing', { count: lots.length }), 'info');
+
+            try {
+                // One video at a time keeps memory down on long sales
+                for (const artifact of lots) {
+                    if (!this.cataloguePosters.has(artifact.id)) {
+                        const poster = artifact.poster || await window.CatalogueRenderer.capturePoster(artifact.video);
+                        if (poster) this.cataloguePosters.set(artifact.id, poster);
+                    }
+                }
+
+                container.innerHTML = new window.CatalogueRenderer().render(lots, { posters: this.cataloguePosters });
+                document.body.classList.add('printing-catalogue');
+
+                window.addEventListener('afterprint', () => {
+                    document.body.classList.remove('printing-catalogue');
+                    container.innerHTML = '';
+                }, { once: true });
+
+                window.print();
+            } catch (error) {
+                console.error('Catalogue export failed:', error);
+                this.showToast(this.t('catalogue.failed'), 'error');
+            } finally {
+                this.printingCatalogue = false;
+            }
+        }
+
+        // Calendar export
+        initCalendar() {
+            if (!window.CalendarExport) return;
+
+            const stored = parseInt(localStorage.getItem('yizhen_calendar_alarm'));
+            if (this.calendarAlarmOptions.includes(stored)) {
+                this.calendarAlarmMinutes = stored;
+            }
+            this.calendarExport = new window.CalendarExport({ baseUrl: window.location.origin });
+        }
+
+        renderCalendarActions(artifact) {
+            if (!this.calendarExport || this.getLotStatus(artifact) === 'ended') return '';
+
+            const feedUrl = `webcal://${window.location.host}/calendar.ics`;
+            return `
+                <div class="calendar-actions">
+                    <button class="calendar-button" onclick="window.app.addLotToCalendar(${artifact.id})">${this.t('calendar.addLot')}</button>
+                    <label class="calendar-alarm">
+                        <span>${this.t('calendar.alarm')}</span>
+                        <select onchange="window.app.setCalendarAlarm(this.value)">
+                            ${this.calendarAlarmOptions.map(minutes => `
+                                <option value="${minutes}" ${minutes === this.calendarAlarmMinutes ? 'selected' : ''}>
+                                    ${this.t(`calendar.alarms.${minutes}`)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <a class="calendar-subscribe" href="${feedUrl}">${this.t('calendar.subscribe')}</a>
+                </div>
+            `;
+        }
+
+        setCalendarAlarm(minutes) {
+            this.calendarAlarmMinutes = parseInt(minutes);
+            localStorage.setItem('yizhen_calendar_alarm', this.calendarAlarmMinutes);
+        }
+
+        addLotToCalendar(artifactId) {
+            const artifact = this.artifacts.find(a => a.id === artifactId);
+            if (!this.calendarExport || !artifact) return;
+
+            const ics = this.calendarExport.buildCalendar([artifact], { alarmMinutes: this.calendarAlarmMinutes });
+            this.calendarExport.download(`yizhen-lot-${artifact.lotNumber}.ics`, ics);
+        }
+
+        addSaleToCalendar() {
+            if (!this.calendarExport) return;
+
+            const openLots = this.artifacts.filter(a => this.getLotStatus(a) !== 'ended');
+            if (openLots.length === 0) {
+                this.showToast(this.t('calendar.noOpenLots'), 'info');
+                return;
+            }
+
+            const ics = this.calendarExport.buildCalendar(openLots, { alarmMinutes: this.calendarAlarmMinutes });
+            this.calendarExport.download('yizhen-sale.ics', ics);
+            this.showToast(this.t('calendar.saleAdded', { count: openLots.length }), 'success');
+        }
+
+        // Currency display
+        async initCurrency() {
+            if (!window.CurrencyConverter) return;
+
+            // Until the wallet's network is known, prices are in the starting network's settlement currency
+            const network = window.NetworkRegistry ? new window.NetworkRegistry().resolve() : null;
+            this.currencyConverter = new window.CurrencyConverter({
+                settlementCurrency: network ? network.settlement.symbol : null,
+                onChange: () => this.refreshPrices()
+            });
+            await this.currencyConverter.load();
+            this.renderCurrencyPicker();
+        }
+
+        // The mock chain settles in the same currency as the network it stands in for
+        applySettlementCurrency() {
+            if (!this.currencyConverter || !this.web3Manager) return;
+
+            this.currencyConverter.setSettlementCurrency(this.web3Manager.settlementSymbol);
+            this.refreshPrices();
+        }
+
+        getSettlementCurrency() {
+            return this.currencyConverter ? this.currencyConverter.settlementCurrency : 'USD';
+        }
+
+        renderCurrencyPicker() {
+            const select = document.getElementById('currency-select');
+            const note = document.getElementById('currency-note');
+            if (!this.currencyConverter || !select) return;
+
+            const current = this.currencyConverter.getCurrency();
+            select.innerHTML = this.currencyConverter.getSupportedCurrencies().map(code => `
+                <option value="${code}" ${code === current ? 'selected' : ''}>${code} · ${this.t(`currency.names.${code}`)}</option>
+            `).join('');
+            select.onchange = () => this.currencyConverter.setCurrency(select.value);
+
+            if (note) {
+                const settlement = this.getSettlementCurrency();
+                const snapshot = this.currencyConverter.getSnapshotInfo();
+                const rates = snapshot
+                    ? this.t('currency.asOf', {
+                        date: this.i18n ? this.i18n.formatDate(snapshot.asOf) : snapshot.asOf.toDateString(),
+                        version: snapshot.version
+                    })
+                    : this.t('currency.unavailable', { currency: settlement });
+                note.textContent = `${rates} ${this.t('currency.settlement', { currency: settlement })}`;
+            }
+        }
+
+        refreshPrices() {
+            this.renderArtifacts();
+            this.updateStats();
+            if (this.selectedArtifact) {
+                this.populateModal();
+            }
+            if (this.isComparisonOpen()) {
+                this.renderComparison();
+            }
+            this.renderCurrencyPicker();
+        }
+
+        // My Collection
+        isCollectionOpen() {
+            const modal = document.getElementById('collection-modal');
+            return !!(modal && modal.style.display === 'block');
+        }
+
+        openCollection() {
+            if (this.selectedArtifact) this.closeModal();
+            if (this.isComparisonOpen()) this.closeComparison();
+
+            const modal = document.getElementById('collection-modal');
+            if (modal) {
+                modal.style.display = 'block';
+                document.body.style.overflow = 'hidden';
+            }
+            this.loadCollection();
+        }
+
+        closeCollection() {
+            const modal = document.getElementById('collection-modal');
+            if (modal) {
+                modal.style.display = 'none';
+                document.body.style.overflow = 'auto';
+            }
+        }
+
+        async loadCollection() {
+            const account = this.web3Manager && this.web3Manager.userAccount;
+            this.collection = { account, items: [], loading: !!account, failed: false };
+            this.shipments = {};
+            this.renderCollection();
+            if (!this.collection.loading) return;
+
+            const items = await this.web3Manager.getCollection(account);
+            // A newer load for another account owns the view now
+            if (this.collection.account !== account) return;
+
+            this.collection = { account, items: items || [], loading: false, failed: items === null };
+            this.renderCollection();
+        }
+
+        renderCollection() {
+            const body = document.getElementById('collection-body');
+            if (!body) return;
+
+            const { account, items, loading, failed } = this.collection;
+            let content;
+
+            if (!account) {
+                content = `
+                    <p class="collection-message">${this.t('collection.connect')}</p>
+                    <button class="bid-button" onclick="window.app.web3Manager.connectWallet()">${this.t('nav.connectWallet')}</button>
+                `;
+            } else if (loading) {
+                content = `<p class="collection-message">${this.t('messages.loading')}</p>`;
+            } else if (failed) {
+                content = `
+                    <p class="collection-message">${this.t('collection.failed')}</p>
+                    <button class="bid-button" onclick="window.app.loadCollection()">${this.t('collection.retry')}</button>
+                `;
+            } else if (items.length === 0) {
+                content = `<p class="collection-message">${this.t('collection.empty')}</p>`;
+            } else {
+                content = `<div class="collection-grid">${items.map(item => this.renderCollectionItem(item)).join('')}</div>`;
+            }
+
+            body.innerHTML = `
+                <h3 class="collection-title">${this.t('collection.title')}</h3>
+                ${account ? `<p class="collection-owner">${this.web3Manager.formatAddress(account)}</p>` : ''}
+                ${content}
+            `;
+        }
+
+        renderCollectionItem(item) {
+            const artifact = this.artifacts.find(a => a.lotNumber === item.lotNumber);
+            const metadata = item.metadata || {};
+            const title = this.currentLanguage === 'zh' && item.titleZh ? item.titleZh : (metadata.name || item.title);
+            const attributes = Array.isArray(metadata.attributes) ? metadata.attributes : [];
+            const imageUrl = this.safeUrl(metadata.image);
+            const metadataUrl = item.metadataURI ? this.safeUrl(this.web3Manager.resolveTokenUri(item.metadataURI)) : null;
+
+            let media = '';
+            if (imageUrl) {
+                media = `<img src="${this.escapeHtml(imageUrl)}" alt="${this.escapeHtml(title)}" loading="lazy">`;
+            } else if (artifact) {
+                media = `<video src="${artifact.video}" muted playsinline preload="metadata"></video>`;
+            }
+
+            let shipping;
+            if (item.shipped && this.getDeliveryConfirmation(item.tokenId)) {
+                shipping = `<span class="collection-status shipped">${this.t('shipment.status.received')}</span>`;
+            } else if (item.shipped) {
+                shipping = `<span class="collection-status shipped">${this.t('collection.shipped')}</span>
+                    ${item.trackingNumber ? `<span class="collection-mono">${this.escapeHtml(item.trackingNumber)}</span>` : ''}`;
+            } else if (item.hasShippingAddress) {
+                shipping = `<span class="collection-status">${this.t('collection.awaitingShipment')}</span>`;
+            } else {
+                shipping = `<span class="collection-status pending">${this.t('collection.addressNeeded')}</span>
+                    ${artifact ? `<button class="collection-action" onclick="window.app.openCheckout(${artifact.id})">${this.t('checkout.addAddress')}</button>` : ''}`;
+            }
+            const receipt = this.getCheckoutReceipt(item.lotNumber);
+
+            return `
+                <article class="collection-item" data-token-id="${item.tokenId}">
+                    <div class="collection-media">${media}</div>
+                    <div class="collection-info">
+                        <div class="lot-number">${this.t('modal.lot')} ${this.escapeHtml(item.lotNumber)} · ${this.t('collection.token')} #${item.tokenId}</div>
+                        <h4>${this.escapeHtml(title)}</h4>
+                        ${metadata.description ? `<p class="collection-description">${this.escapeHtml(metadata.description)}</p>` : ''}
+                        <dl class="collection-details">
+                            <dt>${this.t('collection.dynasty')}</dt>
+                            <dd>${this.escapeHtml(item.dynasty)}</dd>
+                            <dt>${this.t('collection.minted')}</dt>
+                            <dd>${this.i18n ? this.i18n.formatDate(new Date(item.mintedAt)) : new Date(item.mintedAt).toDateString()}</dd>
+                            <dt>${this.t('collection.certificate')}</dt>
+                            <dd>${item.certificate
+                                ? `<span class="collection-mono" title="${this.escapeHtml(item.certificate)}">${this.escapeHtml(item.certificate)}</span>`
+                                : this.t('collection.certificatePending')}</dd>
+                            <dt>${this.t('collection.shipping')}</dt>
+                            <dd>${shipping}</dd>
+                            ${attributes.map(attribute => `
+                                <dt>${this.escapeHtml(attribute.trait_type)}</dt>
+                                <dd>${this.escapeHtml(attribute.value)}</dd>
+                            `).join('')}
+                        </dl>
+                        ${this.shipmentTracker && (item.shipped || item.hasShippingAddress) ? `
+                            <button class="collection-action" onclick="window.app.toggleShipment('${item.tokenId}')">
+                                ${this.t(this.shipments[item.tokenId] ? 'shipment.hide' : 'shipment.track')}
+                            </button>
+                            <div class="shipment-panel">${this.renderShipment(item)}</div>
+                        ` : ''}
+                        <div class="collection-links">
+                            ${artifact ? `<a href="/lot/${encodeURIComponent(item.lotNumber)}" onclick="event.preventDefault(); window.app.viewCollectionLot(${artifact.id})">${this.t('collection.viewLot')}</a>` : ''}
+                            ${metadataUrl ? `<a href="${this.escapeHtml(metadataUrl)}" target="_blank" rel="noopener">${this.t('collection.metadata')}</a>` : ''}
+                            ${this.renderExplorerLink(this.web3Manager.getTokenExplorerUrl(item.tokenId), 'collection.explorer')}
+                            ${receipt && artifact ? `<a href="#" onclick="event.preventDefault(); window.app.showCheckoutReceipt(${artifact.id})">${this.t('checkout.viewReceipt')}</a>` : ''}
+                        </div>
+                    </div>
+                </article>
+            `;
+        }
+
+        viewCollectionLot(artifactId) {
+            this.closeCollection();
+            this.openArtifactModal(artifactId);
+        }
+
+        // Shipment tracking
+        initShipmentTracking() {
+            if (!window.ShipmentTracker || !window.CarrierAdapters) return;
+
+            const { EMSAdapter, SFExpressAdapter, DHLAdapter, FedExAdapter } = window.CarrierAdapters;
+            // EMS and SF numbers have distinctive shapes, so they are tried before the all-digit formats
+            this.shipmentTracker = new window.ShipmentTracker({
+                adapters: [new EMSAdapter(), new SFExpressAdapter(), new DHLAdapter(), new FedExAdapter()]
+            });
+        }
+
+        toggleShipment(tokenId) {
+            if (this.shipments[tokenId]) {
+                delete this.shipments[tokenId];
+                this.renderCollection();
+                return;
+            }
+            this.loadShipment(tokenId);
+        }
+
+        async loadShipment(tokenId) {
+            const item = this.collection.items.find(entry => entry.tokenId === tokenId);
+            if (!item || !this.shipmentTracker) return;
+
+            const state = { loading: true, chainEvents: null, tracking: null, timeline: [], confirming: false };
+            this.shipments[tokenId] = state;
+            this.renderCollection();
+
+            const [chainEvents, tracking] = await Promise.all([
+                this.web3Manager.getShipmentEvents(tokenId),
+                item.shipped && item.trackingNumber ? this.shipmentTracker.track(item.trackingNumber) : null
+            ]);
+            // Closed, or reopened by a newer load, while the requests were in flight
+            if (this.shipments[tokenId] !== state) return;
+
+            state.loading = false;
+            state.chainEvents = chainEvents;
+            state.tracking = tracking;
+            this.refreshShipmentTimeline(tokenId);
+        }
+
+        refreshShipmentTimeline(tokenId) {
+            const state = this.shipments[tokenId];
+            if (state && !state.loading) {
+                state.timeline = this.shipmentTracker.buildTimeline({
+                    chainEvents: state.chainEvents || [],
+                    carrierEvents: state.tracking ? state.tracking.events : [],
+                    confirmation: this.getDeliveryConfirmation(tokenId)
+                });
+            }
+            this.renderCollection();
+        }
+
+        renderShipment(item) {
+            const state = this.shipments[item.tokenId];
+            if (!state) return '';
+            if (state.loading) {
+                return `<p class="shipment-message">${this.t('messages.loading')}</p>`;
+            }
+
+            const { tracking, timeline } = state;
+            const confirmation = this.getDeliveryConfirmation(item.tokenId);
+            const locale = this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US';
+            const notes = [];
+
+            if (state.chainEvents === null) notes.push(this.t('shipment.chainFailed'));
+            if (!item.shipped) notes.push(this.t('shipment.notShipped'));
+            if (tracking && !tracking.carrier) notes.push(this.t('shipment.unknownCarrier'));
+            if (tracking && tracking.error) notes.push(this.t('shipment.carrierFailed', { carrier: tracking.carrierName }));
+
+            const trackingUrl = tracking && this.safeUrl(tracking.url);
+            const carrierLine = tracking && tracking.carrier ? `
+                <p class="shipment-carrier">
+                    ${this.escapeHtml(tracking.carrierName)} · <span class="collection-mono">${this.escapeHtml(tracking.number)}</span>
+                    ${trackingUrl ? `<a href="${this.escapeHtml(trackingUrl)}" target="_blank" rel="noopener">${this.t('shipment.carrierSite')}</a>` : ''}
+                </p>
+            ` : '';
+
+            const events = timeline.map(event => `
+                <li class="shipment-event ${event.status}">
+                    <div class="shipment-event-status">${this.t(`shipment.status.${event.status}`)}</div>
+                    <div class="shipment-event-meta">
+                        ${event.time ? new Date(event.time).toLocaleString(locale) : ''}
+                        ${event.location ? ` · ${this.escapeHtml(event.location)}` : ''}
+                    </div>
+                    ${event.description && event.source !== 'chain' ? `<div class="shipment-event-description">${this.escapeHtml(event.description)}</div>` : ''}
+                    ${event.transactionHash ? this.renderExplorerLink(this.web3Manager.getTransactionExplorerUrl(event.transactionHash), 'shipment.transaction') : ''}
+                </li>
+            `).join('');
+
+            let action = '';
+            if (confirmation) {
+                action = `<p class="shipment-confirmed">${this.t('shipment.confirmedOn', { date: new Date(confirmation.confirmedAt).toLocaleString(locale) })}</p>`;
+            } else if (item.shipped) {
+                action = `
+                    <button class="bid-button shipment-confirm" ${state.confirming ? 'disabled' : ''} onclick="window.app.confirmDelivery('${item.tokenId}')">
+                        ${this.t(state.confirming ? 'shipment.confirming' : 'shipment.confirmDelivery')}
+                    </button>
+                    <p class="shipment-hint">${this.t('shipment.confirmHint')}</p>
+                `;
+            }
+
+            return `
+                ${carrierLine}
+                ${notes.map(note => `<p class="shipment-message">${note}</p>`).join('')}
+                ${events ? `<ol class="shipment-timeline">${events}</ol>` : ''}
+                ${action}
+            `;
+        }
+
+        getDeliveryConfirmationKey(tokenId) {
+            const owner = this.web3Manager && this.web3Manager.userAccount;
+            return `${owner ? owner.toLowerCase() : 'demo'}:${tokenId}`;
+        }
+
+        getDeliveryConfirmation(tokenId) {
+            try {
+                const confirmations = JSON.parse(localStorage.getItem('yizhen_delivery_confirmations') || '{}');
+                return confirmations[this.getDeliveryConfirmationKey(tokenId)] || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        saveDeliveryConfirmation(confirmation) {
+            try {
+                const confirmations = JSON.parse(localStorage.getItem('yizhen_delivery_confirmations') || '{}');
+                confirmations[this.getDeliveryConfirmationKey(confirmation.tokenId)] = confirmation;
+                localStorage.setItem('yizhen_delivery_confirmations', JSON.stringify(confirmations));
+            } catch (error) {
+                console.warn('Could not store delivery confirmation:', error);
+            }
+        }
+
+        // The collector signs the statement and the server checks it against the token owner
+        // before recording it; the local copy only marks the lot as confirmed in this browser
+        async confirmDelivery(tokenId) {
+            const item = this.collection.items.find(entry => entry.tokenId === tokenId);
+            const state = this.shipments[tokenId];
+            if (!item || !state || state.confirming) return;
+
+            const network = this.web3Manager.network;
+            const confirmation = {
+                tokenId: item.tokenId,
+                lotNumber: item.lotNumber,
+                trackingNumber: item.trackingNumber,
+                chainId: network ? network.chainId : null,
+                confirmedAt: Date.now()
+            };
+            const message = window.ShipmentTracker.confirmationMessage(confirmation);
+
+            state.confirming = true;
+            this.renderCollection();
+            try {
+                const signature = await this.web3Manager.signMessage(message);
+                const owner = this.web3Manager.userAccount;
+                // Demo mode signs nothing, so there is nothing for the server to record
+                const recorded = signature
+                    ? await this.shipmentTracker.submitConfirmation({ ...confirmation, owner, signature })
+                    : { ...confirmation, owner, message, signature };
+                this.saveDeliveryConfirmation(recorded);
+                this.showToast(this.t('shipment.confirmed', { lot: item.lotNumber }), 'success');
+            } catch (error) {
+                console.error('Delivery confirmation failed:', error);
+                this.showError(error, 'shipment.confirmFailed');
+            } finally {
+                state.confirming = false;
+                this.refreshShipmentTimeline(tokenId);
+            }
+        }
+
+        // Wallet picker
+        setupWalletsListener() {
+            window.addEventListener('walletsChanged', () => {
+                if (this.isWalletPickerOpen()) this.renderWalletPicker();
+            });
+        }
+
+        isWalletPickerOpen() {
+            const modal = document.getElementById('wallets-modal');
+            return !!(modal && modal.style.display === 'block');
+        }
+
+        /**
+         * Ask the collector which installed wallet to connect.
+         * @returns {Promise<Object|null>} The chosen wallet, or null if the picker was closed
+         */
+        pickWallet() {
+            if (this.walletPicker) this.walletPicker.resolve(null);
+
+            return new Promise(resolve => {
+                this.walletPicker = { resolve };
+                const modal = document.getElementById('wallets-modal');
+                if (modal) {
+                    modal.style.display = 'block';
+                    document.body.style.overflow = 'hidden';
+                }
+                this.renderWalletPicker();
+            });
+        }
+
+        closeWalletPicker(wallet = null) {
+            const modal = document.getElementById('wallets-modal');
+            if (modal) {
+                modal.style.display = 'none';
+                // The flow that asked for a wallet may continue in a modal underneath
+                const underneath = [...document.querySelectorAll('.modal')].some(other => other.style.display === 'block');
+                document.body.style.overflow = underneath ? 'hidden' : 'auto';
+            }
+            if (this.walletPicker) {
+                this.walletPicker.resolve(wallet);
+                this.walletPicker = null;
+            }
+        }
+
+        chooseWallet(index) {
+            const wallet = this.web3Manager ? this.web3Manager.getWallets()[index] : null;
+            if (wallet) this.closeWalletPicker(wallet);
+        }
+
+        renderWalletPicker() {
+            const body = document.getElementById('wallets-body');
+            if (!body) return;
+
+            const wallets = this.web3Manager ? this.web3Manager.getWallets() : [];
+            const lastUsed = this.web3Manager && this.web3Manager.wallets ? this.web3Manager.wallets.getLastUsed() : null;
+            const connected = this.web3Manager && this.web3Manager.isConnected() ? this.web3Manager.wallet : null;
+            const suggestions = [
+                { name: 'MetaMask', url: 'https://metamask.io/download/' },
+                { name: 'OKX Wallet', url: 'https://www.okx.com/web3' },
+                { name: 'Coinbase Wallet', url: 'https://www.coinbase.com/wallet/downloads' },
+                { name: 'Rabby', url: 'https://rabby.io/' },
+                { name: 'TokenPocket', url: 'https://www.tokenpocket.pro/en/download/app' }
+            ];
+
+            body.innerHTML = `
+                <h3 class="wallets-title">${this.t('wallets.title')}</h3>
+                ${wallets.length === 0 ? `
+                    <p class="wallets-message">${this.t('wallets.none')}</p>
+                    <ul class="wallets-suggestions">
+                        ${suggestions.map(suggestion => `
+                            <li><a href="${suggestion.url}" target="_blank" rel="noopener">${suggestion.name}</a></li>
+                        `).join('')}
+                    </ul>
+                ` : `
+                    <p class="wallets-message">${this.t('wallets.intro')}</p>
+                    <ul class="wallets-list">
+                        ${wallets.map((wallet, index) => `
+                            <li>
+                                <button class="wallets-option" onclick="window.app.chooseWallet(${index})">
+                                    ${wallet.icon ? `<img src="${this.escapeHtml(wallet.icon)}" alt="">` : '<span class="wallets-placeholder"></span>'}
+                                    <span class="wallets-name">${this.escapeHtml(wallet.name || this.t('wallets.browserWallet'))}</span>
+                                    ${connected && connected.id === wallet.id
+                                        ? `<span class="wallets-tag">${this.t('wallets.connected')}</span>`
+                                        : wallet.id === lastUsed ? `<span class="wallets-tag">${this.t('wallets.lastUsed')}</span>` : ''}
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            `;
+        }
+
+        // Sign-In With Ethereum session
+        setupSessionListener() {
+            window.addEventListener('sessionChanged', (e) => {
+                const { session, reason } = e.detail;
+                this.renderSessionButton();
+
+                if (reason === 'signedIn') {
+                    this.showToast(this.t('session.signedIn', { address: this.formatAddress(session.address) }), 'success');
+                } else if (reason === 'signedOut') {
+                    this.showToast(this.t('session.signedOut'), 'info');
+                } else if (reason === 'expired') {
+                    this.showToast(this.t('session.expired'), 'warning', {
+                        label: this.t('session.signIn'),
+                        onClick: () => this.toggleSession()
+                    });
+                }
+            });
+        }
+
+        // Shown once a wallet is connected: sign in to prove the address, or sign out
+        renderSessionButton() {
+            const button = document.getElementById('session-btn');
+            if (!button) return;
+
+            const web3 = this.web3Manager;
+            button.hidden = !web3 || web3.isDemo || !web3.isConnected();
+            if (button.hidden) return;
+
+            const verified = web3.getVerifiedAddress();
+            button.textContent = this.t(verified ? 'session.signOut' : 'session.signIn');
+            button.title = verified ? this.t('session.signedIn', { address: this.formatAddress(verified) }) : this.t('session.signInHint');
+            button.classList.toggle('signed-in', !!verified);
+        }
+
+        async toggleSession() {
+            const web3 = this.web3Manager;
+            if (!web3 || web3.isDemo) return;
+
+            if (web3.getVerifiedAddress()) {
+                await web3.signOut();
+                return;
+            }
+
+            try {
+                await web3.signIn();
+            } catch (error) {
+                console.error('Sign-in failed:', error);
+                this.showError(error, 'session.signInFailed');
+            }
+        }
+
+        // Networks: the wallet or the picker can move the page to another chain without a reload
+        setupNetworkListener() {
+            window.addEventListener('networkChanged', async (e) => {
+                const { network, previous } = e.detail;
+                // Each network names its own address key
+                this.addressEncryption = null;
+                this.renderNetworkPicker();
+                this.renderDemoToggle();
+                this.renderSessionButton();
+                this.applySettlementCurrency();
+                await this.syncAuctions();
+                await this.loadSoftCloseRules();
+                await this.loadContractFees();
+                this.resumeProxyBids();
+
+                this.updateTransactionsBadge();
+                if (this.isTransactionsOpen()) this.renderTransactions();
+                if (this.isCollectionOpen()) this.loadCollection();
+                if (this.isRefundsOpen()) this.loadRefunds();
+
+                if (network && previous && network.id !== previous.id) {
+                    this.showToast(this.t('network.switched', { network: network.name }), 'info');
+                }
+            });
+        }
+
+        // Only shown when the auction is deployed on more than one network
+        renderNetworkPicker() {
+            const picker = document.getElementById('network-picker');
+            const select = document.getElementById('network-select');
+            if (!picker || !select) return;
+
+            const networks = this.web3Manager ? this.web3Manager.getNetworks() : [];
+            picker.hidden = networks.length < 2;
+            if (picker.hidden) return;
+
+            const current = this.web3Manager.network;
+            select.innerHTML = networks.map(network => `
+                <option value="${network.id}" ${current && network.id === current.id ? 'selected' : ''}>${this.escapeHtml(network.name)}</option>
+            `).join('');
+            select.onchange = () => this.selectNetwork(select.value);
+        }
+
+        async selectNetwork(networkId) {
+            const switched = await this.web3Manager.selectNetwork(networkId);
+            // A wallet that declined keeps the page where it was
+            if (!switched) this.renderNetworkPicker();
+        }
+
+        // Error decoding
+        initErrorDecoder() {
+            if (!window.ErrorDecoder) return;
+            this.errorDecoder = new window.ErrorDecoder();
+        }
+
+        /**
+         * Explain a failed wallet or contract call to the collector.
+         * @param {*} error Whatever the call threw
+         * @param {Object} context Values the suggested action can name, e.g. minimumBid
+         * @returns {Object} The decoded error with its translated message and hint
+         */
+        describeError(error, context = {}) {
+            const decoded = this.errorDecoder
+                ? this.errorDecoder.decode(error, context)
+                : { code: 'unknown', category: 'unknown', action: 'retry', reason: null, params: context };
+            return {
+                ...decoded,
+                message: this.t(`errors.codes.${decoded.code}`),
+                hint: decoded.action === 'none' ? '' : this.t(`errors.actions.${decoded.action}`, decoded.params)
+            };
+        }
+
+        // fallbackKey keeps the flow's own wording for errors the decoder does not recognise
+        showError(error, fallbackKey, context = {}) {
+            const described = this.describeError(error, context);
+            const message = described.code === 'unknown' && fallbackKey ? this.t(fallbackKey) : described.message;
+            const type = described.code === 'userRejected' ? 'info' : 'error';
+            this.showToast(described.hint ? `${message} ${described.hint}` : message, type, this.getErrorAction(described));
+            return described;
+        }
+
+        // Suggested actions the app can carry out itself get a button on the toast
+        getErrorAction(described) {
+            const actions = {
+                connectWallet: { label: this.t('errors.connect'), onClick: () => this.web3Manager.connectWallet() },
+                checkTransactions: { label: this.t('errors.viewTransactions'), onClick: () => this.openTransactions() },
+                viewCollection: { label: this.t('errors.viewCollection'), onClick: () => this.openCollection() }
+            };
+            return actions[described.action] || null;
+        }
+
+        // Transactions
+        setupTransactionListener() {
+            window.addEventListener('transactionUpdated', (e) => {
+                this.onTransactionUpdated(e.detail);
+            });
+        }
+
+        getTransactionTracker() {
+            return this.web3Manager && this.web3Manager.transactions;
+        }
+
+        getTransactions() {
+            const tracker = this.getTransactionTracker();
+            if (!tracker) return [];
+            const account = this.web3Manager.userAccount;
+            const network = this.web3Manager.network;
+            return tracker.list({ account, chainId: account && network ? network.chainId : null })
+                .filter(record => !!record.demo === this.isDemoMode());
+        }
+
+        onTransactionUpdated({ transaction, previousStatus }) {
+            this.updateTransactionsBadge();
+            if (this.isTransactionsOpen()) this.renderTransactions();
+            if (!transaction || previousStatus !== 'pending' || transaction.status === 'pending') return;
+
+            // Whoever sent the transaction reports success or failure, unless it was sent before a reload
+            const notices = {
+                confirmed: transaction.resumed ? ['transactions.notices.confirmed', 'success'] : null,
+                failed: transaction.resumed ? ['transactions.notices.failed', 'error'] : null,
+                replaced: transaction.replacement === 'speedUp' ? ['transactions.notices.speedUp', 'info'] : ['transactions.notices.replaced', 'warning'],
+                cancelled: ['transactions.notices.cancelled', 'warning'],
+                dropped: ['transactions.notices.dropped', 'warning']
+            };
+            const notice = notices[transaction.status];
+            if (notice) {
+                this.showToast(this.t(notice[0], { subject: this.getTransactionSubject(transaction) }), notice[1], {
+                    label: this.t('transactions.view'),
+                    onClick: () => this.openTransactions()
+                });
+            }
+        }
+
+        updateTransactionsBadge() {
+            const badge = document.getElementById('transactions-badge');
+            if (!badge) return;
+
+            const pending = this.getTransactions().filter(record => record.status === 'pending').length;
+            badge.textContent = pending;
+            badge.hidden = pending === 0;
+        }
+
+        isTransactionsOpen() {
+            const modal = document.getElementById('transactions-modal');
+            return !!(modal && modal.style.display === 'block');
+        }
+
+        openTransactions() {
+            if (this.selectedArtifact) this.closeModal();
+            if (this.isComparisonOpen()) this.closeComparison();
+            if (this.isCollectionOpen()) this.closeCollection();
+            if (this.isRefundsOpen()) this.closeRefunds();
+
+            const modal = document.getElementById('transactions-modal');
+            if (modal) {
+                modal.style.display = 'block';
+                document.body.style.overflow = 'hidden';
+            }
+            this.renderTransactions();
+        }
+
+        closeTransactions() {
+            const modal = document.getElementById('transactions-modal');
+            if (modal) {
+                modal.style.display = 'none';
+                document.body.style.overflow = 'auto';
+            }
+        }
+
+        clearSettledTransactions() {
+            const tracker = this.getTransactionTracker();
+            if (tracker) tracker.clearSettled();
+        }
+
+        // "Bid on lot 003" style description from the transaction's details
+        getTransactionSubject(record) {
+            const { auctionId, tokenId } = record.details || {};
+            const artifact = auctionId !== undefined ? this.artifacts.find(a => a.auctionId === Number(auctionId)) : null;
+            const target = artifact
+                ? `${this.t('modal.lot')} ${artifact.lotNumber}`
+                : tokenId !== undefined ? `${this.t('collection.token')} #${tokenId}` : '';
+            return this.t(`transactions.kinds.${record.kind}`, { target, symbol: record.details?.symbol || '' });
+        }
+
+        renderTransactions() {
+            const body = document.getElementById('transactions-body');
+            if (!body) return;
+
+            const records = this.getTransactions();
+            const hasSettled = records.some(record => record.status !== 'pending');
+
+            body.innerHTML = `
+                <h3 class="transactions-title">${this.t('transactions.title')}</h3>
+                ${records.length === 0
+                    ? `<p class="transactions-message">${this.t('transactions.empty')}</p>`
+                    : `<ul class="transactions-list">${records.map(record => this.renderTransactionItem(record)).join('')}</ul>`}
+                ${hasSettled ? `<button class="collection-action" onclick="window.app.clearSettledTransactions()">${this.t('transactions.clear')}</button>` : ''}
+            `;
+        }
+
+        renderTransactionItem(record) {
+            const tracker = this.getTransactionTracker();
+            const locale = this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US';
+            const { amount, auctionId, symbol } = record.details || {};
+            const artifact = auctionId !== undefined ? this.artifacts.find(a => a.auctionId === Number(auctionId)) : null;
+            const currency = symbol || (artifact ? this.getLotCurrency(artifact) : null);
+            const status = record.status === 'replaced' && record.replacement === 'speedUp' ? 'speedUp' : record.status;
+
+            let progress = '';
+            if (record.status === 'confirmed') {
+                progress = this.t('transactions.confirmations', {
+                    count: Math.min(record.confirmations, tracker.confirmationsTarget),
+                    target: tracker.confirmationsTarget
+                });
+            }
+
+            const links = [];
+            if (!record.demo) {
+                links.push(this.renderExplorerLink(this.web3Manager.getTransactionExplorerUrl(record.hash), 'transactions.explorer'));
+            }
+            if (record.replacedBy) {
+                links.push(this.renderExplorerLink(this.web3Manager.getTransactionExplorerUrl(record.replacedBy), 'transactions.replacement'));
+            }
+
+            return `
+                <li class="transactions-item ${status}">
+                    <div class="transactions-main">
+                        <span class="transactions-subject">${this.escapeHtml(this.getTransactionSubject(record))}</span>
+                        ${amount ? `<span class="transactions-amount">${this.formatCurrency(Number(amount), currency)}</span>` : ''}
+                    </div>
+                    <div class="transactions-meta">
+                        <span class="transactions-status ${status}">${this.t(`transactions.status.${status}`)}</span>
+                        ${progress ? `<span>${progress}</span>` : ''}
+                        <span>${new Date(record.submittedAt).toLocaleString(locale)}</span>
+                        <span class="collection-mono">${this.formatAddress(record.hash)}</span>
+                    </div>
+                    ${record.revertReason ? `<p class="transactions-reason" title="${this.escapeHtml(record.revertReason)}">${this.t('transactions.reason', { reason: this.escapeHtml(this.describeError(record.revertReason).message) })}</p>` : ''}
+                    ${links.some(Boolean) ? `<div class="transactions-links">${links.join('')}</div>` : ''}
+                </li>
+            `;
+        }
+
+        // Refunds (pendingReturns)
+        getRefundsAction(artifact) {
+            return {
+                label: this.t('refunds.viewRefunds'),
+                onClick: () => this.openRefunds(artifact.auctionId)
+            };
+        }
+
+        isRefundsOpen() {
+            const modal = document.getElementById('refunds-modal');
+            return !!(modal && modal.style.display === 'block');
+        }
+
+        // focusAuctionId highlights the auction the outbid alert was about
+        openRefunds(focusAuctionId = null) {
+            if (this.selectedArtifact) this.closeModal();
+            if (this.isComparisonOpen()) this.closeComparison();
+            if (this.isCollectionOpen()) this.closeCollection();
+
+            const modal = document.getElementById('refunds-modal');
+            if (modal) {
+                modal.style.display = 'block';
+                document.body.style.overflow = 'hidden';
+            }
+            this.loadRefunds(focusAuctionId);
+        }
+
+        closeRefunds() {
+            const modal = document.getElementById('refunds-modal');
+            if (modal) {
+                modal.style.display = 'none';
+                document.body.style.overflow = 'auto';
+            }
+        }
+
+        async loadRefunds(focusAuctionId = this.refunds.focus) {
+            const account = this.web3Manager && this.web3Manager.userAccount;
+            this.refunds = { account, items: [], loading: !!account, failed: false, focus: focusAuctionId };
+            this.renderRefunds();
+            if (!this.refunds.loading) return;
+
+            const balances = await this.web3Manager.getPendingReturns(account);
+            // A newer load for another account owns the view now
+            if (this.refunds.account !== account) return;
+
+            this.refunds.loading = false;
+            this.refunds.failed = balances === null;
+            this.refunds.items = (balances || []).map(balance => this.createRefundItem(balance.auctionId, balance.amount, balance.symbol));
+            this.renderRefunds();
+        }
+
+        createRefundItem(auctionId, amount, currency = null) {
+            const artifact = this.artifacts.find(a => a.auctionId === auctionId) || null;
+            return {
+                auctionId,
+                artifact,
+                amount,
+                currency: currency || (artifact ? this.getLotCurrency(artifact) : null),
+                status: 'available',
+                hash: null
+            };
+        }
+
+        formatRefundTotal() {
+            return this.formatCurrencyTotal(this.refunds.items.filter(item => item.status !== 'confirmed'));
+        }
+
+        async withdrawRefund(auctionId) {
+            const item = this.refunds.items.find(entry => entry.auctionId === auctionId);
+            if (!item || item.status === 'pending' || item.status === 'confirmed') return false;
+
+            item.status = 'pending';
+            item.hash = null;
+            this.renderRefunds();
+
+            try {
+                // A sped-up withdrawal is mined under a new hash
+                item.hash = await this.web3Manager.withdraw(auctionId, {
+                    amount: item.amount,
+                    onSubmitted: (hash) => {
+                        item.hash = hash;
+                        this.renderRefunds();
+                    }
+                });
+                item.status = 'confirmed';
+                this.showToast(this.t('refunds.withdrawn', { amount: this.formatCurrency(item.amount, item.currency) }), 'success');
+                return true;
+            } catch (error) {
+                console.error(`Withdrawal for auction ${auctionId} failed:`, error);
+                item.status = 'failed';
+                this.showError(error, 'refunds.withdrawFailed');
+                return false;
+            } finally {
+                this.renderRefunds();
+            }
+        }
+
+        // The contract withdraws one auction per transaction, so they are sent one after another
+        async withdrawAllRefunds() {
+            this.refunds.withdrawingAll = true;
+            this.renderRefunds();
+
+            const auctionIds = this.refunds.items
+                .filter(item => item.status === 'available' || item.status === 'failed')
+                .map(item => item.auctionId);
+            for (const auctionId of auctionIds) {
+                // A rejected or failed withdrawal stops the run rather than prompting for the rest
+                if (!await this.withdrawRefund(auctionId)) break;
+            }
+
+            this.refunds.withdrawingAll = false;
+            this.renderRefunds();
+        }
+
+        renderRefunds() {
+            const body = document.getElementById('refunds-body');
+            if (!body) return;
+
+            const { account, items, loading, failed, focus, withdrawingAll } = this.refunds;
+            const busy = withdrawingAll || items.some(item => item.status === 'pending');
+            const withdrawable = items.filter(item => item.status === 'available' || item.status === 'failed');
+            let content;
+
+            if (!account && !this.isDemoMode()) {
+                content = `
+                    <p class="refunds-message">${this.t('refunds.connect')}</p>
+                    <button class="bid-button" onclick="window.app.web3Manager.connectWallet()">${this.t('nav.connectWallet')}</button>
+                `;
+            } else if (loading) {
+                content = `<p class="refunds-message">${this.t('refunds.scanning')}</p>`;
+            } else if (failed) {
+                content = `
+                    <p class="refunds-message">${this.t('refunds.failed')}</p>
+                    <button class="bid-button" onclick="window.app.loadRefunds()">${this.t('collection.retry')}</button>
+                `;
+            } else if (items.length === 0) {
+                content = `<p class="refunds-message">${this.t('refunds.empty')}</p>`;
+            } else {
+                content = `
+                    <p class="refunds-intro">${this.t('refunds.intro')}</p>
+                    <ul class="refunds-list">
+                        ${items.map(item => this.renderRefundItem(item, item.auctionId === focus, busy)).join('')}
+                    </ul>
+                    <div class="refunds-summary">
+                        <span>${this.t('refunds.total')} <strong>${this.formatRefundTotal()}</strong></span>
+                        ${withdrawable.length > 1 ? `
+                            <button class="bid-button" ${busy ? 'disabled' : ''} onclick="window.app.withdrawAllRefunds()">
+                                ${this.t('refunds.withdrawAll', { count: withdrawable.length })}
+                            </button>
+                        ` : ''}
+                    </div>
+                `;
+            }
+
+            body.innerHTML = `
+                <h3 class="refunds-title">${this.t('refunds.title')}</h3>
+                ${this.isDemoMode() ? `<p class="refunds-message">${this.t('refunds.demo')}</p>` : ''}
+                ${content}
+            `;
+        }
+
+        renderRefundItem(item, focused, busy) {
+            const { artifact } = item;
+            const explorerUrl = item.hash && !this.isDemoMode() ? this.web3Manager.getTransactionExplorerUrl(item.hash) : null;
+
+            let action;
+            if (item.status === 'confirmed') {
+                action = `<span class="refunds-status confirmed">${this.t('refunds.status.confirmed')}</span>`;
+            } else if (item.status === 'pending') {
+                action = `<span class="refunds-status pending">${this.t(item.hash ? 'refunds.status.pending' : 'refunds.status.awaitingWallet')}</span>`;
+            } else {
+                action = `
+                    ${item.status === 'failed' ? `<span class="refunds-status failed">${this.t('refunds.status.failed')}</span>` : ''}
+                    <button class="collection-action" ${busy ? 'disabled' : ''} onclick="window.app.withdrawRefund(${item.auctionId})">
+                        ${this.t(item.status === 'failed' ? 'refunds.retry' : 'refunds.withdraw')}
+                    </button>
+                `;
+            }
+
+            return `
+                <li class="refunds-item${focused ? ' focused' : ''}">
+                    <div class="refunds-lot">
+                        ${artifact
+                            ? `<a href="/lot/${encodeURIComponent(artifact.lotNumber)}" onclick="event.preventDefault(); window.app.closeRefunds(); window.app.openArtifactModal(${artifact.id})">
+                                ${this.t('modal.lot')} ${artifact.lotNumber} · ${this.getArtifactTitle(artifact)}
+                            </a>`
+                            : this.t('refunds.auction', { id: item.auctionId })}
+                    </div>
+                    <div class="refunds-amount">${this.formatCurrency(item.amount, item.currency)}</div>
+                    <div class="refunds-action">
+                        ${action}
+                        ${explorerUrl ? `<a href="${explorerUrl}" target="_blank" rel="noopener">${this.t('refunds.transaction')}</a>` : ''}
+                    </div>
+                </li>
+            `;
+        }
+
+        // Winner checkout
+        renderCheckoutBanner(artifact) {
+            if (!this.addressValidator || this.getLotStatus(artifact) !== 'ended' || !this.isLeadingBidder(artifact)) {
+                return '';
+            }
+            const receipt = this.getCheckoutReceipt(artifact.lotNumber);
+            return `
+                <div class="checkout-banner">
+                    <p>${this.t('checkout.wonLot')}</p>
+                    <button class="bid-button" onclick="window.app.${receipt ? 'showCheckoutReceipt' : 'openCheckout'}(${artifact.id})">
+                        ${this.t(receipt ? 'checkout.viewReceipt' : 'checkout.start')}
+                    </button>
+                </div>
+            `;
+        }
+
+        isCheckoutOpen() {
+            const modal = document.getElementById('checkout-modal');
+            return !!(modal && modal.style.display === 'block');
+        }
+
+        async openCheckout(artifactId) {
+            const artifact = this.artifacts.find(a => a.id === artifactId);
+            if (!artifact || !this.addressValidator) return;
+
+            if (this.selectedArtifact) this.closeModal();
+            if (this.isCollectionOpen()) this.closeCollection();
+
+            this.checkout = { artifact, step: 'confirm', settlement: null, settlementFailed: false, address: {}, errors: {}, busy: false, receipt: null };
+            const modal = document.getElementById('checkout-modal');
+            if (modal) {
+                modal.style.display = 'block';
+                document.body.style.overflow = 'hidden';
+            }
+            this.renderCheckout();
+            await this.loadCheckoutSettlement();
+        }
+
+        closeCheckout() {
+            const modal = document.getElementById('checkout-modal');
+            if (modal) {
+                modal.style.display = 'none';
+                document.body.style.overflow = 'auto';
+            }
+            this.checkout = null;
+        }
+
+        async loadCheckoutSettlement() {
+            const checkout = this.checkout;
+            const { artifact } = checkout;
+
+            if (this.web3Manager && this.web3Manager.isConnected()) {
+                if (checkout.settlementFailed) {
+                    checkout.settlementFailed = false;
+                    this.renderCheckout();
+                }
+                checkout.settlement = await this.web3Manager.getSettlement(artifact.auctionId, this.web3Manager.userAccount);
+                checkout.settlementFailed = !checkout.settlement;
+            }
+
+            if (this.checkout === checkout) this.renderCheckout();
+        }
+
+        isCheckoutWinner() {
+            const { settlement } = this.checkout;
+            return !!settlement && this.web3Manager.isCurrentAccount(settlement.highestBidder);
+        }
+
+        // endAuction() can be called by anyone once bidding has closed; it mints the token to the winner
+        async checkoutEndAuction() {
+            const { artifact } = this.checkout;
+            await this.runCheckoutTransaction(async () => {
+                await this.web3Manager.endAuction(artifact.auctionId);
+                artifact.ended = true;
+                this.showToast(this.t('checkout.auctionSettled'), 'success');
+            });
+            await this.loadCheckoutSettlement();
+        }
+
+        async checkoutWithdraw() {
+            const { artifact, settlement } = this.checkout;
+            await this.runCheckoutTransaction(async () => {
+                await this.web3Manager.withdraw(artifact.auctionId, { amount: settlement.pendingReturn });
+                this.showToast(this.t('checkout.withdrawn', { amount: this.formatCurrency(settlement.pendingReturn, settlement.symbol) }), 'success');
+            });
+            await this.loadCheckoutSettlement();
+        }
+
+        async runCheckoutTransaction(action) {
+            const checkout = this.checkout;
+            checkout.busy = true;
+            this.renderCheckout();
+            try {
+                await action();
+            } catch (error) {
+                console.error('Checkout transaction failed:', error);
+                this.showError(error, 'checkout.transactionFailed');
+            } finally {
+                checkout.busy = false;
+                if (this.checkout === checkout) this.renderCheckout();
+            }
+        }
+
+        setCheckoutStep(step) {
+            if (!this.checkout) return;
+            this.checkout.step = step;
+            this.renderCheckout();
+        }
+
+        readCheckoutForm() {
+            const form = document.getElementById('checkout-address-form');
+            if (!form) return this.checkout.address;
+            return Object.fromEntries(new FormData(form).entries());
+        }
+
+        // Required fields depend on the country, so the form is redrawn when it changes
+        refreshCheckoutForm() {
+            this.checkout.address = this.readCheckoutForm();
+            this.renderCheckout();
+        }
+
+        submitCheckoutAddress() {
+            const result = this.addressValidator.validate(this.readCheckoutForm());
+            this.checkout.address = result.address;
+            this.checkout.errors = result.errors;
+            this.checkout.step = result.valid ? 'review' : 'address';
+            this.renderCheckout();
+        }
+
+        // The address only ever leaves the browser sealed to the platform key
+        async confirmCheckoutAddress() {
+            const checkout = this.checkout;
+            const { artifact, address } = checkout;
+
+            // Fails closed: without the key this network names, no address is written
+            if (!this.addressEncryption) {
+                try {
+                    this.addressEncryption = this.isDemoMode()
+                        ? await window.AddressEncryption.createEphemeral()
+                        : await window.AddressEncryption.load(this.web3Manager.network ? this.web3Manager.network.addressKeyId : null);
+                } catch (error) {
+                    console.error('Platform address key unavailable:', error);
+                    this.showToast(this.t('checkout.keyUnavailable'), 'error');
+                    return;
+                }
+            }
+
+            await this.runCheckoutTransaction(async () => {
+                const envelope = await this.addressEncryption.encrypt(address);
+
+                const token = await this.web3Manager.findTokenForLot(this.web3Manager.userAccount, artifact.lotNumber);
+                if (!token) throw new Error(`No token for lot ${artifact.lotNumber}`);
+                const tokenId = token.tokenId;
+
+                const transactionHash = await this.web3Manager.updateShippingAddress(tokenId, envelope);
+                checkout.receipt = {
+                    lotNumber: artifact.lotNumber,
+                    tokenId,
+                    hammer: checkout.settlement.highestBid,
+                    currency: checkout.settlement.symbol,
+                    transactionHash,
+                    keyId: this.addressEncryption.kid,
+                    fingerprint: await this.addressEncryption.fingerprint(envelope),
+                    destination: { name: address.name, city: address.city, country: address.country },
+                    submittedAt: Date.now(),
+                    demo: this.isDemoMode()
+                };
+                this.saveCheckoutReceipt(checkout.receipt);
+                checkout.step = 'receipt';
+            });
+        }
+
+        getCheckoutReceiptKey(lotNumber) {
+            const owner = this.web3Manager && this.web3Manager.userAccount;
+            return `${owner ? owner.toLowerCase() : 'demo'}:${lotNumber}`;
+        }
+
+        getCheckoutReceipt(lotNumber) {
+            try {
+                const receipts = JSON.parse(localStorage.getItem('yizhen_checkout_receipts') || '{}');
+                return receipts[this.getCheckoutReceiptKey(lotNumber)] || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // Receipts keep only what identifies the shipment, never the full address
+        saveCheckoutReceipt(receipt) {
+            try {
+                const receipts = JSON.parse(localStorage.getItem('yizhen_checkout_receipts') || '{}');
+                receipts[this.getCheckoutReceiptKey(receipt.lotNumber)] = receipt;
+                localStorage.setItem('yizhen_checkout_receipts', JSON.stringify(receipts));
+            } catch (error) {
+                console.warn('Could not store checkout receipt:', error);
+            }
+        }
+
+        showCheckoutReceipt(artifactId) {
+            const artifact = this.artifacts.find(a => a.id === artifactId);
+            const receipt = artifact && this.getCheckoutReceipt(artifact.lotNumber);
+            if (!receipt) return;
+
+            if (this.selectedArtifact) this.closeModal();
+            if (this.isCollectionOpen()) this.closeCollection();
+
+            this.checkout = { artifact, step: 'receipt', settlement: null, settlementFailed: false, address: {}, errors: {}, busy: false, receipt };
+            const modal = document.getElementById('checkout-modal');
+            if (modal) {
+                modal.style.display = 'block';
+                document.body.style.overflow = 'hidden';
+            }
+            this.renderCheckout();
+        }
+
+        getCountryName(code) {
+            try {
+                const names = new Intl.DisplayNames([this.currentLanguage === 'zh' ? 'zh-TW' : 'en'], { type: 'region' });
+                return names.of(code) || code;
+            } catch (error) {
+                return code;
+            }
+        }
+
+        renderCheckout() {
+            const body = document.getElementById('checkout-body');
+            if (!body || !this.checkout) return;
+
+            const { artifact, step } = this.checkout;
+            const steps = ['confirm', 'address', 'review', 'receipt'];
+            const stepContent = {
+                confirm: () => this.renderCheckoutConfirm(),
+                address: () => this.renderCheckoutAddress(),
+                review: () => this.renderCheckoutReview(),
+                receipt: () => this.renderCheckoutReceipt()
+            };
+
+            body.innerHTML = `
+                <div class="modal-lot-number">${this.t('modal.lot')} ${artifact.lotNumber}</div>
+                <h3 class="checkout-title">${this.getArtifactTitle(artifact)}</h3>
+                <ol class="checkout-steps">
+                    ${steps.map((name, index) => `
+                        <li class="${name === step ? 'active' : ''} ${index < steps.indexOf(step) ? 'done' : ''}">
+                            ${this.t(`checkout.steps.${name}`)}
+                        </li>
+                    `).join('')}
+                </ol>
+                <div class="checkout-step">${stepContent[step]()}</div>
+            `;
+        }
+
+        renderCheckoutConfirm() {
+            const { settlement, settlementFailed, busy } = this.checkout;
+            const disabled = busy ? 'disabled' : '';
+
+            if (!this.isDemoMode() && !this.web3Manager.isConnected()) {
+                return `
+                    <p>${this.t('collection.connect')}</p>
+                    <button class="bid-button" onclick="window.app.web3Manager.connectWallet().then(() => window.app.loadCheckoutSettlement())">${this.t('nav.connectWallet')}</button>
+                `;
+            }
+            if (settlementFailed) {
+                return `
+                    <p class="checkout-warning">${this.t('checkout.settlementFailed')}</p>
+                    <button class="bid-button" onclick="window.app.loadCheckoutSettlement()">${this.t('collection.retry')}</button>
+                `;
+            }
+            if (!settlement) return `<p>${this.t('messages.loading')}</p>`;
+            if (!this.isCheckoutWinner()) return `<p class="checkout-warning">${this.t('checkout.notWinner')}</p>`;
+
+            const refund = settlement.pendingReturn > 0 ? `
+                <p>${this.t('checkout.refundAvailable', { amount: this.formatCurrency(settlement.pendingReturn, settlement.symbol) })}</p>
+                <button class="checkout-secondary" ${disabled} onclick="window.app.checkoutWithdraw()">${this.t('checkout.withdraw')}</button>
+            ` : '';
+
+            let action;
+            if (!settlement.ended) {
+                action = `
+                    <p>${this.t('checkout.settleFirst')}</p>
+                    <button class="bid-button" ${disabled} onclick="window.app.checkoutEndAuction()">${this.t('checkout.settle')}</button>
+                `;
+            } else if (!settlement.reserveMet) {
+                action = `<p class="checkout-warning">${this.t('checkout.reserveNotMet')}</p>`;
+            } else {
+                action = `<button class="bid-button" ${disabled} onclick="window.app.setCheckoutStep('address')">${this.t('checkout.continue')}</button>`;
+            }
+
+            return `
+                <dl class="checkout-summary">
+                    <dt>${this.t('fees.hammer')}</dt>
+                    <dd>${this.formatCurrency(settlement.highestBid, settlement.symbol)}</dd>
+                    <dt>${this.t('checkout.winner')}</dt>
+                    <dd>${this.isDemoMode() ? this.t('modal.you') : this.web3Manager.formatAddress(this.web3Manager.userAccount)}</dd>
+                </dl>
+                ${refund}
+                ${action}
+                ${busy ? `<p class="checkout-pending">${this.t('checkout.waiting')}</p>` : ''}
+            `;
+        }
+
+        renderCheckoutAddress() {
+            const { address, errors } = this.checkout;
+            const country = address.country || '';
+            const field = (name, { type = 'text', autocomplete = '', required = false } = {}) => `
+                <label class="checkout-field ${errors[name] ? 'invalid' : ''}">
+                    <span>${this.t(`checkout.fields.${name}`)}${required ? ' *' : ''}</span>
+                    <input type="${type}" name="${name}" value="${this.escapeHtml(address[name] || '')}" autocomplete="${autocomplete}">
+                    ${errors[name] ? `<small class="checkout-error">${this.t(`checkout.errors.${errors[name]}`)}</small>` : ''}
+                </label>
+            `;
+
+            const countries = this.addressValidator.getCountries()
+                .map(code => ({ code, name: this.getCountryName(code) }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            return `
+                <p>${this.t('checkout.addressIntro')}</p>
+                <form id="checkout-address-form" class="checkout-form" onsubmit="event.preventDefault(); window.app.submitCheckoutAddress()" novalidate>
+                    ${field('name', { autocomplete: 'name', required: true })}
+                    <label class="checkout-field ${errors.country ? 'invalid' : ''}">
+                        <span>${this.t('checkout.fields.country')} *</span>
+                        <select name="country" autocomplete="country" onchange="window.app.refreshCheckoutForm()">
+                            <option value="">—</option>
+                            ${countries.map(({ code, name }) => `
+                                <option value="${code}" ${code === country ? 'selected' : ''}>${name}</option>
+                            `).join('')}
+                        </select>
+                        ${errors.country ? `<small class="checkout-error">${this.t(`checkout.errors.${errors.country}`)}</small>` : ''}
+                    </label>
+                    ${field('line1', { autocomplete: 'address-line1', required: true })}
+                    ${field('line2', { autocomplete: 'address-line2' })}
+                    ${field('city', { autocomplete: 'address-level2', required: true })}
+                    ${field('region', { autocomplete: 'address-level1', required: this.addressValidator.requiresRegion(country) })}
+                    ${field('postalCode', { autocomplete: 'postal-code', required: !country || this.addressValidator.requiresPostalCode(country) })}
+                    ${field('phone', { type: 'tel', autocomplete: 'tel', required: true })}
+                    ${field('email', { type: 'email', autocomplete: 'email' })}
+                    <div class="checkout-actions">
+                        <button type="button" class="checkout-secondary" onclick="window.app.setCheckoutStep('confirm')">${this.t('checkout.back')}</button>
+                        <button type="submit" class="bid-button">${this.t('checkout.continue')}</button>
+                    </div>
+                </form>
+            `;
+        }
+
+        renderCheckoutReview() {
+            const { address, busy } = this.checkout;
+            const lines = [
+                address.name,
+                address.line1,
+                address.line2,
+                [address.city, address.region, address.postalCode].filter(Boolean).join(', '),
+                this.getCountryName(address.country),
+                address.phone,
+                address.email
+            ].filter(Boolean);
+
+            return `
+                <address class="checkout-address">${lines.map(line => this.escapeHtml(line)).join('<br>')}</address>
+                <p class="checkout-privacy">${this.t('checkout.encryptionNote')}</p>
+                <div class="checkout-actions">
+                    <button class="checkout-secondary" ${busy ? 'disabled' : ''} onclick="window.app.setCheckoutStep('address')">${this.t('checkout.edit')}</button>
+                    <button class="bid-button" ${busy ? 'disabled' : ''} onclick="window.app.confirmCheckoutAddress()">${this.t('checkout.encryptAndSave')}</button>
+                </div>
+                ${busy ? `<p class="checkout-pending">${this.t('checkout.waiting')}</p>` : ''}
+            `;
+        }
+
+        renderCheckoutReceipt() {
+            const { receipt } = this.checkout;
+            const explorer = receipt.demo ? '' : this.renderExplorerLink(this.web3Manager.getTransactionExplorerUrl(receipt.transactionHash), 'collection.explorer');
+
+            return `
+                <p class="checkout-success">${this.t('checkout.receiptIntro')}</p>
+                <dl class="checkout-summary">
+                    <dt>${this.t('fees.hammer')}</dt>
+                    <dd>${this.formatCurrency(receipt.hammer, receipt.currency)}</dd>
+                    <dt>${this.t('collection.token')}</dt>
+                    <dd>#${this.escapeHtml(receipt.tokenId)}</dd>
+                    <dt>${this.t('checkout.deliverTo')}</dt>
+                    <dd>${this.escapeHtml(receipt.destination.name)}, ${this.escapeHtml(receipt.destination.city)}, ${this.getCountryName(receipt.destination.country)}</dd>
+                    <dt>${this.t('checkout.submitted')}</dt>
+                    <dd>${new Date(receipt.submittedAt).toLocaleString(this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US')}</dd>
+                    <dt>${this.t('checkout.transaction')}</dt>
+                    <dd><span class="collection-mono">${receipt.transactionHash}</span> ${explorer}</dd>
+                    <dt>${this.t('checkout.fingerprint')}</dt>
+                    <dd><span class="collection-mono">${receipt.fingerprint}</span> (${this.t('checkout.keyId', { kid: this.escapeHtml(receipt.keyId) })})</dd>
+                </dl>
+                ${receipt.demo ? `<p class="checkout-pending">${this.t('checkout.demoReceipt')}</p>` : ''}
+                <div class="checkout-actions">
+                    <button class="checkout-secondary" onclick="window.app.closeCheckout(); window.app.openCollection()">${this.t('nav.collection')}</button>
+                    <button class="bid-button" onclick="window.app.closeCheckout()">${this.t('checkout.done')}</button>
+                </div>
+            `;
+        }
+
+        // Buyer's cost breakdown
+        async initFees() {
+            if (!window.FeeCalculator) return;
+
+            this.feeCalculator = new window.FeeCalculator();
+            await this.feeCalculator.load();
+            if (!this.feeCalculator.isReady()) {
+                this.feeCalculator = null;
+                return;
+            }
+            if (!this.feeCalculator.getRegions().includes(this.shippingRegion)) {
+                this.shippingRegion = this.feeCalculator.getDefaultRegion();
+            }
+        }
+
+        async loadContractFees() {
+            if (!this.feeCalculator || !this.web3Manager) return;
+
+            const fees = await this.web3Manager.getFeeParameters();
+            if (fees) this.feeCalculator.setContractFees(fees);
+        }
+
+        // Priced by the chain the bid goes to, the mock chain's in demo mode; the fee config covers the rest
+        async loadGasEstimate() {
+            const artifact = this.selectedArtifact;
+            this.bidGasEstimate = null;
+            if (!artifact || !this.feeCalculator || !this.web3Manager) return;
+
+            const estimate = await this.web3Manager.estimateBidGas(artifact.auctionId, this.getBreakdownAmount());
+            if (this.selectedArtifact !== artifact) return;
+
+            this.bidGasEstimate = estimate;
+            this.updateFeeBreakdown();
+        }
+
+        // The typed amount, or the minimum bid until something valid is typed
+        getBreakdownAmount() {
+            const artifact = this.selectedArtifact;
+            const minBid = artifact.currentBid + artifact.minBidIncrement;
+            const bidInput = document.getElementById('bid-amount');
+            const typed = bidInput ? parseFloat(bidInput.value) : NaN;
+            return typed > 0 ? typed : minBid;
+        }
+
+        formatSettlementAmount(amount, currency = this.getSettlementCurrency()) {
+            return this.i18n ? this.i18n.formatCurrency(amount, currency) : String(amount);
+        }
+
+        formatPercent(rate) {
+            return new Intl.NumberFormat(this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US', {
+                style: 'percent',
+                maximumFractionDigits: 2
+            }).format(rate);
+        }
+
+        setShippingRegion(region) {
+            this.shippingRegion = region;
+            localStorage.setItem('yizhen_shipping_region', region);
+            this.updateFeeBreakdown();
+        }
+
+        updateFeeBreakdown() {
+            const container = document.getElementById('fee-breakdown');
+            if (container) container.innerHTML = this.renderFeeBreakdown();
+        }
+
+        renderFeeBreakdown() {
+            if (!this.feeCalculator || !this.selectedArtifact) return '';
+
+            // Fees are charged in the lot's currency; gas is paid in ETH and, like the configured
+            // shipping and premium bands, converted when there is a rate
+            const currency = this.getLotCurrency(this.selectedArtifact);
+            const gasEth = this.feeCalculator.gasCostEth(this.bidGasEstimate || {});
+            const gas = this.currencyConverter && this.currencyConverter.isSupported(currency)
+                ? this.currencyConverter.convert(gasEth, currency, 'ETH')
+                : null;
+            const fees = this.feeCalculator.breakdown(this.getBreakdownAmount(), {
+                region: this.shippingRegion,
+                gas,
+                currency,
+                converter: this.currencyConverter
+            });
+            if (!fees) return '';
+
+            const line = (label, amount, className = '') => `
+                <div class="fee-line ${className}">
+                    <dt>${label}</dt>
+                    <dd>${amount}</dd>
+                </div>
+            `;
+            const tierLabel = (tier) => tier.upTo === null
+                ? this.t('fees.tierAbove', { rate: this.formatPercent(tier.rate), amount: this.formatSettlementAmount(tier.from, currency) })
+                : this.t('fees.tierUpTo', { rate: this.formatPercent(tier.rate), amount: this.formatSettlementAmount(tier.upTo, currency) });
+
+            return `
+                <h6>${this.t('fees.title')}</h6>
+                <dl class="fee-lines">
+                    ${line(this.t('fees.hammer'), this.formatCurrency(fees.hammer, currency))}
+                    ${line(this.t('fees.premium'), this.formatCurrency(fees.premium, currency))}
+                    ${fees.premiumTiers.length > 1 ? fees.premiumTiers.map(tier =>
+                        line(tierLabel(tier), this.formatSettlementAmount(tier.amount, currency), 'fee-tier')
+                    ).join('') : ''}
+                    ${line(this.t('fees.gas'), fees.gas === null ? this.t('fees.unavailable') : this.formatCurrency(fees.gas, currency))}
+                    ${line(`
+                        <label class="fee-region">
+                            <span>${this.t('fees.shipping')}</span>
+                            <select onchange="window.app.setShippingRegion(this.value)">
+                                ${this.feeCalculator.getRegions().map(region => `
+                                    <option value="${region}" ${region === this.shippingRegion ? 'selected' : ''}>${this.t(`fees.regions.${region}`)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `, this.formatCurrency(fees.shipping, currency))}
+                    ${line(this.t('fees.insurance', { rate: this.formatPercent(fees.insuranceRate) }), this.formatCurrency(fees.insurance, currency))}
+                    ${line(this.t('fees.total'), this.formatCurrency(fees.total, currency), 'fee-total')}
+                </dl>
+                <p class="fee-note">${this.t('fees.platformFee', {
+                    rate: this.formatPercent(fees.platformFeeBps / 10000),
+                    amount: this.formatSettlementAmount(fees.platformFee, currency)
+                })}</p>
+                <p class="fee-note">${this.t('fees.estimatesNote')}</p>
+            `;
+        }
+
+        updateStats() {
+            const totalLotsElement = document.getElementById('total-lots');
+            const totalBidsElement = document.getElementById('total-bids');
+            const totalValueElement = document.getElementById('total-value');
+
+            if (totalLotsElement) {
+                totalLotsElement.textContent = this.artifacts.length;
+            }
+
+            if (totalBidsElement) {
+                const totalBids = this.artifacts.reduce((sum, a) => sum + a.bidCount, 0);
+                totalBidsElement.textContent = totalBids;
+            }
+
+            if (totalValueElement) {
+                totalValueElement.textContent = this.formatCurrencyTotal(
+                    this.artifacts.map(a => ({ amount: a.currentBid, currency: this.getLotCurrency(a) }))
+                );
             }
         }
 
@@ -455,17 +3290,19 @@
             const days = Math.floor(diff / (1000 * 60 * 60 * 24));
             const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
             const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+            const seconds = Math.floor((diff % (1000 * 60)) / 1000);
             
             if (days > 0) return `${days}${this.t('time.days')} ${hours}${this.t('time.hours')}`;
             if (hours > 0) return `${hours}${this.t('time.hours')} ${minutes}${this.t('time.minutes')}`;
-            return `${minutes}${this.t('time.minutes')}`;
+            return `${minutes}${this.t('time.minutes')} ${String(seconds).padStart(2, '0')}${this.t('time.seconds')}`;
         }
 
         startTimers() {
-            // Update time displays every minute
+            // Tick every second; lots in their final hour count down in seconds
             setInterval(() => {
                 this.updateTimeDisplays();
-            }, 60000);
+                this.checkWatchedLots();
+            }, 1000);
         }
 
         updateTimeDisplays() {
@@ -475,19 +3312,45 @@
                 const artifact = this.artifacts.find(a => a.id === artifactId);
                 
                 if (artifact) {
-                    const timeElement = card.querySelector('.artifact-estimate:last-of-type');
+                    // Crossing into closing/ended changes the badge, so rebuild the card
+                    if (card.dataset.status !== this.getLotStatus(artifact)) {
+                        this.updateArtifactCard(artifact);
+                        return;
+                    }
+
+                    const timeElement = card.querySelector('.artifact-time');
                     if (timeElement) {
                         timeElement.textContent = `${artifact.bidCount} ${this.t('auction.bids')} • ${this.formatTimeRemaining(artifact.endTime)}`;
                     }
                 }
             });
+
+            const countdown = document.querySelector('#modal-info .modal-countdown-value');
+            if (countdown && this.selectedArtifact) {
+                countdown.textContent = this.formatTimeRemaining(this.selectedArtifact.endTime);
+                const status = document.querySelector('#modal-info .modal-countdown-status');
+                if (status) status.innerHTML = this.renderLotStatus(this.selectedArtifact);
+            }
         }
 
-        showToast(message, type = 'info') {
+        // action: optional { label, onClick } button; such toasts stay up longer to be usable
+        showToast(message, type = 'info', action = null) {
+            if (this.uiManager) {
+                this.uiManager.showToast(message, type, action ? 8000 : undefined, action);
+                return;
+            }
+
             const toast = document.getElementById('toast');
             if (!toast) return;
 
             toast.textContent = message;
+            if (action) {
+                const button = document.createElement('button');
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', action.onClick);
+                toast.appendChild(button);
+            }
             toast.className = `toast ${type} show`;
 
             setTimeout(() => {
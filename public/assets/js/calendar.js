@@ -0,0 +1,163 @@
+// Calendar Export for Yizhen Platform
+// Builds RFC 5545 iCalendar files for lot closing times: one lot, the whole sale, or the
+// subscribable feed written at build time by scripts/optimize-js.js. Runs in the browser
+// and in Node, so event text is bilingual rather than following the page language.
+
+class CalendarExport {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || 'https://yizhen-platform.vercel.app').replace(/\/$/, '');
+        this.alarmMinutes = options.alarmMinutes ?? 60;
+        this.eventMinutes = 15;
+        this.domain = 'yizhen-platform';
+        this.prodId = '-//Yizhen//Auction Calendar//EN';
+        this.calendarName = options.calendarName || 'Yizhen 艺珍 - Lot Closing Times';
+    }
+
+    // TEXT values escape backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+    escapeText(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets are folded with CRLF + space, never inside a UTF-8 character
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    formatCurrency(amount) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    getLotUrl(artifact) {
+        return `${this.baseUrl}/lot/${encodeURIComponent(artifact.lotNumber)}`;
+    }
+
+    buildEvent(artifact, { alarmMinutes = this.alarmMinutes, now = Date.now() } = {}) {
+        const titleZh = artifact.titleZh || artifact.chinese || '';
+        const estimate = `${this.formatCurrency(artifact.estimate.low)} - ${this.formatCurrency(artifact.estimate.high)}`;
+        const url = this.getLotUrl(artifact);
+
+        const description = [
+            artifact.title,
+            titleZh,
+            '',
+            `Estimate 估價: ${estimate}`,
+            `Bidding closes at the start of this event. 截標時間為本活動開始時間。`,
+            `Late bids may extend the lot (soft close). 截標前出價可能延長競投時間。`,
+            '',
+            url
+        ].join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:lot-${artifact.lotNumber}-auction-${artifact.auctionId ?? artifact.id}@${this.domain}`,
+            `DTSTAMP:${this.formatDate(now)}`,
+            `DTSTART:${this.formatDate(artifact.endTime)}`,
+            `DURATION:PT${this.eventMinutes}M`,
+            `SUMMARY:${this.escapeText(`Lot ${artifact.lotNumber} closes 拍品截標 · ${artifact.title} / ${titleZh}`)}`,
+            `DESCRIPTION:${this.escapeText(description)}`,
+            `URL:${url}`,
+            'CATEGORIES:AUCTION',
+            'TRANSP:TRANSPARENT'
+        ];
+
+        if (alarmMinutes > 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeText(`Lot ${artifact.lotNumber} closes in ${alarmMinutes} minutes / 拍品 ${artifact.lotNumber} 將於 ${alarmMinutes} 分鐘後截標`)}`,
+                `TRIGGER:-PT${alarmMinutes}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build a complete .ics calendar.
+     * @param {Array<Object>} artifacts Lots to include, one event each
+     * @param {Object} options alarmMinutes: reminder before close, 0 for none;
+     *   feed: add refresh hints for subscribed calendars; now: DTSTAMP timestamp
+     * @returns {string} CRLF-delimited iCalendar text
+     */
+    buildCalendar(artifacts, { alarmMinutes = this.alarmMinutes, feed = false, now = Date.now() } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(this.calendarName)}`,
+            `NAME:${this.escapeText(this.calendarName)}`
+        ];
+
+        // Soft close moves end times, so subscribers should refresh often (RFC 7986)
+        if (feed) {
+            lines.push(
+                'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+                'X-PUBLISHED-TTL:PT1H',
+                `SOURCE;VALUE=URI:${this.baseUrl}/calendar.ics`
+            );
+        }
+
+        artifacts.forEach(artifact => {
+            lines.push(...this.buildEvent(artifact, { alarmMinutes, now }));
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // Browser only: offer the calendar as a file download
+    download(filename, content) {
+        const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.CalendarExport = CalendarExport;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarExport;
+}
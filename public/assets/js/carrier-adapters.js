@@ -0,0 +1,220 @@
+// Carrier Adapters for Yizhen Platform
+// One adapter per courier: recognises and normalises its tracking numbers, builds the public
+// tracking link, and maps its tracking API response onto the shared timeline statuses
+// (label, pickedUp, inTransit, customs, outForDelivery, delivered, exception).
+// New carriers subclass CarrierAdapter and are registered with ShipmentTracker.
+
+class CarrierAdapter {
+    constructor({ id, name, aliases = [] }) {
+        this.id = id;
+        this.name = name;
+        this.aliases = [id, ...aliases].map(alias => alias.toUpperCase());
+    }
+
+    // Spaces and dashes are common in hand-typed numbers and never significant
+    clean(raw) {
+        return String(raw ?? '').toUpperCase().replace(/[\s-]/g, '');
+    }
+
+    // Canonical tracking number, or null if this carrier does not issue numbers like it
+    normalize(raw) {
+        const number = this.clean(raw);
+        return this.isValid(number) ? number : null;
+    }
+
+    isValid(number) {
+        return false;
+    }
+
+    trackingUrl(number) {
+        return null;
+    }
+
+    parseResponse(response) {
+        return [];
+    }
+
+    // Times without an offset are local to the carrier's home network
+    parseTime(value, defaultOffset = 'Z') {
+        if (!value) return null;
+        const text = String(value).trim().replace(' ', 'T');
+        const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(text);
+        const time = Date.parse(hasZone ? text : text + defaultOffset);
+        return isNaN(time) ? null : time;
+    }
+
+    event(time, status, location, description) {
+        return { time, status, location: location || '', description: description || '', source: this.id };
+    }
+}
+
+// SF Express: "SF" plus 12-13 digits. Route responses come from the EXP_RECE_SEARCH_ROUTES
+// service, whose apiResultData is itself a JSON string.
+class SFExpressAdapter extends CarrierAdapter {
+    constructor() {
+        super({ id: 'sf', name: 'SF Express', aliases: ['SFEXPRESS', 'SF EXPRESS', '顺丰', '順豐'] });
+        this.opCodes = {
+            50: 'pickedUp', 54: 'pickedUp',
+            30: 'inTransit', 31: 'inTransit', 36: 'inTransit', 605: 'customs', 606: 'customs',
+            44: 'outForDelivery', 204: 'outForDelivery',
+            80: 'delivered', 8000: 'delivered',
+            33: 'exception', 70: 'exception', 99: 'exception'
+        };
+    }
+
+    isValid(number) {
+        return /^SF\d{12,13}$/.test(number);
+    }
+
+    trackingUrl(number) {
+        return `https://www.sf-express.com/we/ow/chn/en/waybill/waybill-detail/${number}`;
+    }
+
+    parseResponse(response) {
+        const result = typeof response.apiResultData === 'string'
+            ? JSON.parse(response.apiResultData)
+            : response.apiResultData;
+        if (!result || !result.success) return [];
+
+        const routes = (result.msgData.routeResps || []).flatMap(resp => resp.routes || []);
+        return routes.map(route => this.event(
+            this.parseTime(route.acceptTime, '+08:00'),
+            this.opCodes[route.opCode] || 'inTransit',
+            route.acceptAddress,
+            route.remark
+        ));
+    }
+}
+
+// DHL Express waybills are 10 digits; responses follow the Shipment Tracking - Unified API
+class DHLAdapter extends CarrierAdapter {
+    constructor() {
+        super({ id: 'dhl', name: 'DHL Express', aliases: ['DHLEXPRESS', 'DHL EXPRESS'] });
+        this.statusCodes = {
+            'pre-transit': 'label',
+            transit: 'inTransit',
+            delivered: 'delivered',
+            failure: 'exception'
+        };
+    }
+
+    isValid(number) {
+        return /^\d{10}$/.test(number) || /^JJD\d{18,20}$/.test(number);
+    }
+
+    trackingUrl(number) {
+        return `https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id=${number}`;
+    }
+
+    parseResponse(response) {
+        const shipment = (response.shipments || [])[0];
+        if (!shipment) return [];
+
+        return (shipment.events || []).map(event => {
+            // statusCode only separates pre-transit, transit and delivered; the rest is in the text
+            const description = event.description || '';
+            let status = this.statusCodes[event.statusCode] || 'inTransit';
+            if (status === 'inTransit') {
+                if (/picked up/i.test(description)) status = 'pickedUp';
+                if (/customs|clearance/i.test(description)) status = 'customs';
+                if (/with (delivery )?courier for delivery|out for delivery/i.test(description)) status = 'outForDelivery';
+            }
+            return this.event(
+                this.parseTime(event.timestamp),
+                status,
+                event.location && event.location.address && event.location.address.addressLocality,
+                event.description
+            );
+        });
+    }
+}
+
+// FedEx numbers are 12, 15, 20 or 22 digits; responses follow Track API v1
+class FedExAdapter extends CarrierAdapter {
+    constructor() {
+        super({ id: 'fedex', name: 'FedEx' });
+        this.eventTypes = {
+            OC: 'label',
+            PU: 'pickedUp',
+            AR: 'inTransit', DP: 'inTransit', IT: 'inTransit', AF: 'inTransit',
+            CC: 'customs', CD: 'customs', CP: 'customs',
+            OD: 'outForDelivery',
+            DL: 'delivered',
+            DE: 'exception', DY: 'exception', SE: 'exception'
+        };
+    }
+
+    isValid(number) {
+        return /^(\d{12}|\d{15}|\d{20}|\d{22})$/.test(number);
+    }
+
+    trackingUrl(number) {
+        return `https://www.fedex.com/fedextrack/?trknbr=${number}`;
+    }
+
+    parseResponse(response) {
+        const results = (response.output && response.output.completeTrackResults) || [];
+        const scanEvents = results.flatMap(result =>
+            (result.trackResults || []).flatMap(track => track.scanEvents || [])
+        );
+
+        return scanEvents.map(scan => this.event(
+            this.parseTime(scan.date),
+            this.eventTypes[scan.eventType] || 'inTransit',
+            scan.scanLocation && [scan.scanLocation.city, scan.scanLocation.countryCode].filter(Boolean).join(', '),
+            scan.eventDescription
+        ));
+    }
+}
+
+// EMS items carry UPU S10 identifiers (EA123456789CN) with a mod-11 check digit.
+// Events use the UPU EMSEVT codes.
+class EMSAdapter extends CarrierAdapter {
+    constructor() {
+        super({ id: 'ems', name: 'EMS', aliases: ['CHINAPOST', 'CHINA POST', 'HONGKONGPOST'] });
+        this.weights = [8, 6, 4, 2, 3, 5, 9, 7];
+        this.eventCodes = {
+            EMA: 'pickedUp',
+            EMB: 'inTransit', EMC: 'inTransit', EMD: 'inTransit', EMF: 'inTransit', EMG: 'inTransit',
+            EME: 'customs', EDA: 'customs', EDB: 'customs', EDC: 'customs',
+            EMH: 'exception',
+            EMI: 'delivered'
+        };
+    }
+
+    isValid(number) {
+        const match = number.match(/^E[A-Z](\d{8})(\d)([A-Z]{2})$/);
+        if (!match) return false;
+
+        const sum = match[1].split('').reduce((total, digit, index) => total + Number(digit) * this.weights[index], 0);
+        let check = 11 - (sum % 11);
+        if (check === 10) check = 0;
+        if (check === 11) check = 5;
+        return check === Number(match[2]);
+    }
+
+    trackingUrl(number) {
+        return `https://www.ems.com.cn/qps/yjcx?mailNum=${number}`;
+    }
+
+    parseResponse(response) {
+        return (response.events || []).map(event => this.event(
+            this.parseTime(event.eventTime, '+08:00'),
+            this.eventCodes[event.eventCode] || 'inTransit',
+            event.location,
+            event.description
+        ));
+    }
+}
+
+const CarrierAdapters = { CarrierAdapter, SFExpressAdapter, DHLAdapter, FedExAdapter, EMSAdapter };
+
+// Initialize global constructors
+if (typeof window !== 'undefined') {
+    window.CarrierAdapters = CarrierAdapters;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CarrierAdapters;
+}
@@ -0,0 +1,235 @@
+// Printable Catalogue for Yizhen Platform
+// Renders lots as a bilingual, paginated sale catalogue. The same renderer runs in the
+// browser (print mode) and in Node (scripts/export-catalogue.js), so it has its own
+// label table rather than depending on the page's i18n instance.
+
+class CatalogueRenderer {
+    constructor(options = {}) {
+        this.saleTitle = options.saleTitle || { en: 'Song, Yuan & Ming Dynasty Masterpieces', zh: '宋元明瓷器珍品' };
+        this.houseName = options.houseName || { en: 'Yizhen', zh: '艺珍' };
+        this.labels = {
+            catalogue: ['Auction Catalogue', '拍賣圖錄'],
+            lot: ['Lot', '拍品'],
+            lots: ['Lots', '拍品數量'],
+            estimate: ['Estimate', '估價'],
+            period: ['Period', '年代'],
+            description: ['Description', '描述'],
+            provenance: ['Provenance', '來源'],
+            condition: ['Condition', '品相'],
+            dimensions: ['Dimensions', '尺寸'],
+            literature: ['Literature', '出版著錄'],
+            closes: ['Bidding closes', '截標時間'],
+            generated: ['Generated', '製作日期'],
+            contents: ['Contents', '目錄']
+        };
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Catalogue text uses newlines for line breaks (e.g. multi-part dimensions)
+    paragraphs(text) {
+        return this.escape(text).replace(/\n/g, '<br>');
+    }
+
+    label(key) {
+        const [en, zh] = this.labels[key];
+        return `<span lang="en">${en}</span> <span lang="zh-Hant">${zh}</span>`;
+    }
+
+    formatCurrency(amount) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const en = date.toLocaleString('en-GB', { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Hong_Kong' });
+        const zh = date.toLocaleString('zh-Hant-HK', { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Hong_Kong' });
+        return `${en} HKT / ${zh}`;
+    }
+
+    // English and Chinese side by side; the Chinese falls back to nothing, not to English
+    bilingualField(artifact, field) {
+        const en = artifact[field];
+        const zh = artifact[`${field}Zh`];
+        if (!en && !zh) return '';
+        return `
+            ${en ? `<div class="catalogue-text" lang="en">${this.paragraphs(en)}</div>` : ''}
+            ${zh ? `<div class="catalogue-text" lang="zh-Hant">${this.paragraphs(zh)}</div>` : ''}
+        `;
+    }
+
+    renderCover(artifacts, generatedAt) {
+        const lotRange = artifacts.length
+            ? `${artifacts[0].lotNumber} – ${artifacts[artifacts.length - 1].lotNumber}`
+            : '';
+        return `
+            <section class="catalogue-cover">
+                <div class="catalogue-house">
+                    <span class="catalogue-house-zh">${this.escape(this.houseName.zh)}</span>
+                    <span class="catalogue-house-en">${this.escape(this.houseName.en)}</span>
+                </div>
+                <h1 class="catalogue-sale-title">
+                    <span lang="en">${this.escape(this.saleTitle.en)}</span>
+                    <span lang="zh-Hant">${this.escape(this.saleTitle.zh)}</span>
+                </h1>
+                <p class="catalogue-subtitle">${this.label('catalogue')}</p>
+                <p class="catalogue-meta">${this.label('lots')}: ${artifacts.length} (${lotRange})</p>
+                <p class="catalogue-meta">${this.label('generated')}: ${this.formatDate(generatedAt)}</p>
+            </section>
+        `;
+    }
+
+    renderContents(artifacts) {
+        return `
+            <section class="catalogue-contents">
+                <h2>${this.label('contents')}</h2>
+                <ol class="catalogue-contents-list">
+                    ${artifacts.map(artifact => `
+                        <li>
+                            <span class="catalogue-contents-lot">${this.escape(artifact.lotNumber)}</span>
+                            <span class="catalogue-contents-title">
+                                ${this.escape(artifact.title)}<br>
+                                <span lang="zh-Hant">${this.escape(artifact.titleZh || artifact.chinese)}</span>
+                            </span>
+                            <span class="catalogue-contents-estimate">${this.formatCurrency(artifact.estimate.low)} – ${this.formatCurrency(artifact.estimate.high)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </section>
+        `;
+    }
+
+    renderLot(artifact, poster) {
+        const sections = ['description', 'provenance', 'condition', 'dimensions', 'literature']
+            .map(field => {
+                const body = this.bilingualField(artifact, field);
+                return body ? `
+                    <div class="catalogue-section">
+                        <h3>${this.label(field)}</h3>
+                        ${body}
+                    </div>
+                ` : '';
+            })
+            .join('');
+
+        return `
+            <article class="catalogue-lot" id="lot-${this.escape(artifact.lotNumber)}">
+                <header class="catalogue-lot-header">
+                    <div class="catalogue-lot-number">${this.label('lot')} ${this.escape(artifact.lotNumber)}</div>
+                    <h2 class="catalogue-lot-title">
+                        <span lang="en">${this.escape(artifact.title)}</span>
+                        <span lang="zh-Hant">${this.escape(artifact.titleZh || artifact.chinese)}</span>
+                    </h2>
+                </header>
+                ${poster ? `
+                    <figure class="catalogue-poster ${this.escape(artifact.videoOrientation || 'square')}">
+                        <img src="${this.escape(poster)}" alt="${this.escape(artifact.title)}">
+                    </figure>
+                ` : ''}
+                <dl class="catalogue-facts">
+                    <dt>${this.label('period')}</dt>
+                    <dd>${this.escape(artifact.dynastyInfo)}<br><span lang="zh-Hant">${this.escape(artifact.dynastyInfoZh || '')}</span></dd>
+                    <dt>${this.label('estimate')}</dt>
+                    <dd>${this.formatCurrency(artifact.estimate.low)} – ${this.formatCurrency(artifact.estimate.high)}</dd>
+                    <dt>${this.label('closes')}</dt>
+                    <dd>${this.formatDate(artifact.endTime)}</dd>
+                </dl>
+                ${sections}
+            </article>
+        `;
+    }
+
+    /**
+     * Render the catalogue body.
+     * @param {Array<Object>} artifacts Lots to include; they are printed in lot-number order
+     * @param {Object} options posters: Map of artifact id to image URL; generatedAt: timestamp
+     * @returns {string} HTML for the cover, contents and one page per lot
+     */
+    render(artifacts, { posters = new Map(), generatedAt = Date.now() } = {}) {
+        const lots = [...artifacts].sort((a, b) => a.lotNumber.localeCompare(b.lotNumber));
+        return `
+            <div class="catalogue">
+                ${this.renderCover(lots, generatedAt)}
+                ${this.renderContents(lots)}
+                ${lots.map(artifact => this.renderLot(artifact, posters.get(artifact.id))).join('')}
+            </div>
+        `;
+    }
+
+    // Standalone document for the Node export; the stylesheet is inlined so the file travels alone
+    renderDocument(artifacts, { stylesheet = '', ...options } = {}) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escape(this.houseName.en)} ${this.escape(this.houseName.zh)} - ${this.escape(this.saleTitle.en)}</title>
+    <style>${stylesheet}</style>
+</head>
+<body class="catalogue-document">
+${this.render(artifacts, options)}
+</body>
+</html>
+`;
+    }
+
+    // Capture a still from a lot's video to stand in for photography (browser only)
+    static capturePoster(videoUrl, { time = 1, width = 1200, timeoutMs = 10000 } = {}) {
+        return new Promise((resolve) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.crossOrigin = 'anonymous';
+
+            let settled = false;
+            const done = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                video.removeAttribute('src');
+                video.load();
+                resolve(result);
+            };
+            const timer = setTimeout(() => done(null), timeoutMs);
+
+            video.addEventListener('loadedmetadata', () => {
+                video.currentTime = Math.min(time, video.duration / 2 || 0);
+            }, { once: true });
+
+            video.addEventListener('seeked', () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    const scale = Math.min(1, width / video.videoWidth);
+                    canvas.width = Math.round(video.videoWidth * scale);
+                    canvas.height = Math.round(video.videoHeight * scale);
+                    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+                    done(canvas.toDataURL('image/jpeg', 0.85));
+                } catch (error) {
+                    done(null);
+                }
+            }, { once: true });
+
+            video.addEventListener('error', () => done(null), { once: true });
+            video.src = videoUrl;
+        });
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.CatalogueRenderer = CatalogueRenderer;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogueRenderer;
+}
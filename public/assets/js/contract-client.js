@@ -0,0 +1,57 @@
+// Contract Client Base - shared by the generated clients in /assets/abi
+// scripts/extract-abi.js writes one subclass per contract with a JSDoc-typed method for every
+// function and event; this class holds the ethers plumbing they have in common.
+
+/** @typedef {import('ethers').ContractRunner} ContractRunner */
+/** @typedef {import('ethers').EventLog} EventLog */
+
+export class ContractClient {
+    /**
+     * @param {string} address Deployed address, from the network registry
+     * @param {Array<Object>} abi The contract's ABI
+     * @param {ContractRunner} runner A provider for reads, a signer for transactions
+     */
+    constructor(address, abi, runner) {
+        this.address = address;
+        this.contract = new ethers.Contract(address, abi, runner);
+    }
+
+    // Functions are called by full signature so overloads are never ambiguous
+    call(signature, args, overrides = {}) {
+        return this.contract.getFunction(signature)(...args, overrides);
+    }
+
+    /**
+     * Call listener with each new event's named arguments.
+     * @returns {function(): Promise<void>} Stops listening
+     */
+    listen(eventName, listener) {
+        const handler = (...args) => {
+            const { log } = args[args.length - 1];
+            listener(this.toObject(log.args), log);
+        };
+        this.contract.on(eventName, handler);
+        return () => this.contract.off(eventName, handler);
+    }
+
+    /**
+     * Past events, narrowed by any indexed arguments given in filter.
+     * @returns {Promise<Array<{args: Object, log: EventLog}>>}
+     */
+    async query(eventName, filter = {}, fromBlock = 0, toBlock = 'latest') {
+        const fragment = this.contract.interface.getEvent(eventName);
+        const topics = fragment.inputs
+            .filter(input => input.indexed)
+            .map(input => filter[input.name] ?? null);
+        const logs = await this.contract.queryFilter(this.contract.filters[eventName](...topics), fromBlock, toBlock);
+        return logs.map(log => ({ args: this.toObject(log.args), log }));
+    }
+
+    toObject(result) {
+        return result && typeof result.toObject === 'function' ? result.toObject() : result;
+    }
+
+    removeAllListeners() {
+        return this.contract.removeAllListeners();
+    }
+}
@@ -0,0 +1,171 @@
+// Currency Conversion for Yizhen Platform
+// Converts settlement amounts into the viewer's display currency using a versioned FX
+// snapshot (assets/data/fx-rates.json) rather than a live feed, so prices render offline
+// and every converted figure can say which rates it used.
+
+// Display metadata; tokens have no ISO 4217 code and are written as "amount SYMBOL"
+const CURRENCIES = {
+    USD: { iso: true, decimals: 0 },
+    HKD: { iso: true, decimals: 0 },
+    CNY: { iso: true, decimals: 0 },
+    EUR: { iso: true, decimals: 0 },
+    GBP: { iso: true, decimals: 0 },
+    ETH: { iso: false, decimals: 4 },
+    USDT: { iso: false, decimals: 0 }
+};
+
+// Region subtag -> default display currency
+const REGION_CURRENCIES = {
+    US: 'USD', HK: 'HKD', MO: 'HKD', CN: 'CNY', GB: 'GBP',
+    AT: 'EUR', BE: 'EUR', DE: 'EUR', ES: 'EUR', FI: 'EUR', FR: 'EUR', GR: 'EUR',
+    IE: 'EUR', IT: 'EUR', LU: 'EUR', NL: 'EUR', PT: 'EUR'
+};
+
+class CurrencyConverter {
+    constructor({ settlementCurrency, snapshotUrl, onChange } = {}) {
+        // The network's settlement symbol; until one is known amounts are shown unconverted
+        this.settlementCurrency = settlementCurrency || null;
+        this.snapshotUrl = snapshotUrl || '/assets/data/fx-rates.json';
+        this.onChange = onChange || (() => {});
+        this.storageKey = 'yizhen_fx_snapshot';
+        this.preferenceKey = 'yizhen_currency';
+        this.snapshot = this.loadStoredSnapshot();
+        this.currency = this.loadPreference() || this.detectCurrency();
+    }
+
+    getSupportedCurrencies() {
+        return Object.keys(CURRENCIES);
+    }
+
+    isSupported(code) {
+        return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+    }
+
+    // A snapshot must price every supported currency against its base
+    isValidSnapshot(snapshot) {
+        return !!snapshot &&
+            Number.isInteger(snapshot.version) &&
+            !isNaN(Date.parse(snapshot.asOf)) &&
+            !!snapshot.rates &&
+            snapshot.rates[snapshot.base] === 1 &&
+            this.getSupportedCurrencies().every(code => snapshot.rates[code] > 0);
+    }
+
+    loadStoredSnapshot() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return this.isValidSnapshot(stored) ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Keeps whichever snapshot is newer, so a stale cached file never replaces fresher rates
+    async load() {
+        try {
+            const response = await fetch(this.snapshotUrl, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const snapshot = await response.json();
+            if (!this.isValidSnapshot(snapshot)) throw new Error('Invalid FX snapshot');
+
+            if (!this.snapshot || snapshot.version >= this.snapshot.version) {
+                this.snapshot = snapshot;
+                localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+            }
+        } catch (error) {
+            console.warn('Could not load FX snapshot, using stored rates:', error.message);
+        }
+        return this.snapshot;
+    }
+
+    loadPreference() {
+        const stored = localStorage.getItem(this.preferenceKey);
+        return this.isSupported(stored) ? stored : null;
+    }
+
+    detectCurrency(locale = (typeof navigator !== 'undefined' && navigator.language) || 'en-US') {
+        let region = null;
+        let script = null;
+        try {
+            const parsed = new Intl.Locale(locale).maximize();
+            region = parsed.region;
+            script = parsed.script;
+        } catch (error) {
+            return 'USD';
+        }
+
+        if (REGION_CURRENCIES[region]) return REGION_CURRENCIES[region];
+        // Traditional Chinese outside Hong Kong and Macau is still most likely pricing in HKD
+        if (script === 'Hant') return 'HKD';
+        return 'USD';
+    }
+
+    getCurrency() {
+        return this.currency;
+    }
+
+    setCurrency(code) {
+        if (!this.isSupported(code) || code === this.currency) return;
+        this.currency = code;
+        localStorage.setItem(this.preferenceKey, code);
+        this.onChange(code);
+    }
+
+    setSettlementCurrency(code) {
+        if (this.isSupported(code)) this.settlementCurrency = code;
+    }
+
+    getSnapshotInfo() {
+        if (!this.snapshot) return null;
+        return { version: this.snapshot.version, asOf: new Date(this.snapshot.asOf), source: this.snapshot.source };
+    }
+
+    // Returns null when there are no rates to convert with
+    convert(amount, to = this.currency, from = this.settlementCurrency) {
+        if (from === to) return amount;
+        if (!this.snapshot || !from) return null;
+        const { rates } = this.snapshot;
+        return amount / rates[from] * rates[to];
+    }
+
+    /**
+     * Format a settlement amount for display.
+     * @param {number} amount Amount in the settlement currency, or in from
+     * @param {string} locale BCP 47 locale for number formatting
+     * @param {string|null} from What the amount is in when not the settlement currency,
+     *   such as the token a lot is paid in
+     * @returns {string} The settlement amount, preceded by the converted amount when the
+     *   display currency differs, e.g. "≈ HK$714,950 (92,000 USDT)"
+     */
+    format(amount, locale = 'en-US', from = null) {
+        const code = from || this.settlementCurrency;
+        const settled = CurrencyConverter.formatAmount(amount, code, locale);
+        const converted = this.isSupported(code) ? this.convert(amount, this.currency, code) : null;
+        if (this.currency === code || converted === null) {
+            return settled;
+        }
+        return `≈ ${CurrencyConverter.formatAmount(converted, this.currency, locale)} (${settled})`;
+    }
+
+    static formatAmount(amount, code, locale = 'en-US') {
+        const currency = CURRENCIES[code] || { iso: true, decimals: 0 };
+        const digits = { minimumFractionDigits: 0, maximumFractionDigits: currency.decimals };
+
+        if (!code) return new Intl.NumberFormat(locale, digits).format(amount);
+        if (!currency.iso) {
+            return `${new Intl.NumberFormat(locale, digits).format(amount)} ${code}`;
+        }
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: code, ...digits }).format(amount);
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.CurrencyConverter = CurrencyConverter;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyConverter;
+}
@@ -0,0 +1,308 @@
+// Error Decoder for Yizhen Platform
+// Turns whatever a failed wallet or contract call throws (ethers errors, EIP-1193 provider
+// errors, raw revert data, tracked transactions that reverted) into a structured error:
+// a stable code with a translated message, and the next action to suggest to the collector.
+// Covers the revert strings and custom errors of YizhenAuctionMinimal, YizhenCeramicsNFT and
+// ComplianceRegistry, OpenZeppelin v4 and v5 (including ERC-20 and permit), and wallet RPC error codes.
+
+// Revert strings, matched exactly
+const REVERT_REASONS = {
+    // YizhenAuctionMinimal (and YizhenAuctionWithCompliance for the shared ones)
+    'Bid too low': { code: 'bidTooLow', action: 'raiseBid' },
+    'Ended': { code: 'auctionEnded', action: 'browseLots' },
+    'Auction ended': { code: 'auctionEnded', action: 'browseLots' },
+    'Auction expired': { code: 'auctionEnded', action: 'browseLots' },
+    'Already ended': { code: 'auctionSettled', action: 'refresh' },
+    'Not ended': { code: 'auctionNotEnded', action: 'waitForClose' },
+    'Invalid auction': { code: 'auctionNotFound', action: 'refresh' },
+    'Already minted': { code: 'alreadyMinted', action: 'viewCollection' },
+    'Nothing to withdraw': { code: 'nothingToWithdraw', action: 'refresh' },
+    'Not authorized': { code: 'notAuthorized', action: 'contactSupport' },
+    'Invalid price': { code: 'invalidRequest', action: 'contactSupport' },
+    'Invalid duration': { code: 'invalidRequest', action: 'contactSupport' },
+    'Invalid soft close': { code: 'invalidRequest', action: 'contactSupport' },
+    'Invalid token': { code: 'invalidRequest', action: 'contactSupport' },
+    'Token auction': { code: 'wrongCurrency', action: 'refresh' },
+    'Native auction': { code: 'wrongCurrency', action: 'refresh' },
+    // YizhenCeramicsNFT
+    'Not the owner': { code: 'notTokenOwner', action: 'switchAccount' },
+    'Already shipped': { code: 'alreadyShipped', action: 'trackShipment' },
+    'Invalid address': { code: 'invalidShippingAddress', action: 'checkAddress' },
+    'Token does not exist': { code: 'tokenNotFound', action: 'refresh' },
+    'No shipping address': { code: 'noShippingAddress', action: 'addAddress' },
+    'Only auction contract can mint': { code: 'notAuthorized', action: 'contactSupport' },
+    'Invalid auction contract': { code: 'invalidRequest', action: 'contactSupport' },
+    // ComplianceRegistry administration
+    'Invalid risk score': { code: 'invalidRequest', action: 'contactSupport' },
+    'Array length mismatch': { code: 'invalidRequest', action: 'contactSupport' },
+    'Already fulfilled': { code: 'invalidRequest', action: 'refresh' },
+    'Invalid signature': { code: 'invalidRequest', action: 'contactSupport' },
+    // OpenZeppelin v4
+    'Pausable: paused': { code: 'paused', action: 'tryLater' },
+    'ReentrancyGuard: reentrant call': { code: 'reentrant', action: 'retry' },
+    'Ownable: caller is not the owner': { code: 'notAuthorized', action: 'contactSupport' },
+    'ERC721: invalid token ID': { code: 'tokenNotFound', action: 'refresh' },
+    'ERC20: insufficient allowance': { code: 'insufficientAllowance', action: 'retry' },
+    'ERC20: transfer amount exceeds allowance': { code: 'insufficientAllowance', action: 'retry' },
+    'ERC20: transfer amount exceeds balance': { code: 'insufficientTokenBalance', action: 'addFunds' },
+    'ERC20Permit: expired deadline': { code: 'permitExpired', action: 'retry' },
+    'ERC20Permit: invalid signature': { code: 'permitInvalid', action: 'retry' },
+    'SafeERC20: ERC20 operation did not succeed': { code: 'tokenTransferFailed', action: 'contactSupport' }
+};
+
+// Reasons returned by ComplianceRegistry.checkTransaction(), which the auction prefixes
+// with "Compliance check failed: " (bids) or "Seller not compliant: " (listings)
+const COMPLIANCE_REASONS = {
+    'User is sanctioned': { code: 'sanctioned', action: 'contactSupport' },
+    'User is blocked': { code: 'accountBlocked', action: 'contactSupport' },
+    'Compliance check required': { code: 'verificationRequired', action: 'completeVerification' },
+    'KYC expired': { code: 'kycExpired', action: 'completeVerification' },
+    'Exceeds per-transaction limit': { code: 'perTransactionLimit', action: 'lowerAmount' },
+    'Exceeds daily limit': { code: 'dailyLimit', action: 'tryTomorrow' },
+    'Exceeds monthly limit': { code: 'monthlyLimit', action: 'contactSupport' },
+    'High risk - manual review required': { code: 'manualReview', action: 'contactSupport' }
+};
+
+const COMPLIANCE_PREFIXES = ['Compliance check failed: ', 'Seller not compliant: '];
+
+// OpenZeppelin v5 custom errors by 4-byte selector
+const CUSTOM_ERRORS = {
+    '0xd93c0665': { name: 'EnforcedPause', code: 'paused', action: 'tryLater' },
+    '0x3ee5aeb5': { name: 'ReentrancyGuardReentrantCall', code: 'reentrant', action: 'retry' },
+    '0x118cdaa7': { name: 'OwnableUnauthorizedAccount', code: 'notAuthorized', action: 'contactSupport' },
+    '0xe2517d3f': { name: 'AccessControlUnauthorizedAccount', code: 'notAuthorized', action: 'contactSupport' },
+    '0x7e273289': { name: 'ERC721NonexistentToken', code: 'tokenNotFound', action: 'refresh' },
+    '0x64283d7b': { name: 'ERC721IncorrectOwner', code: 'notTokenOwner', action: 'switchAccount' },
+    '0x177e802f': { name: 'ERC721InsufficientApproval', code: 'notTokenOwner', action: 'switchAccount' },
+    '0xfb8f41b2': { name: 'ERC20InsufficientAllowance', code: 'insufficientAllowance', action: 'retry' },
+    '0xe450d38c': { name: 'ERC20InsufficientBalance', code: 'insufficientTokenBalance', action: 'addFunds' },
+    '0x62791302': { name: 'ERC2612ExpiredSignature', code: 'permitExpired', action: 'retry' },
+    '0x4b800e46': { name: 'ERC2612InvalidSigner', code: 'permitInvalid', action: 'retry' },
+    '0x5274afe7': { name: 'SafeERC20FailedOperation', code: 'tokenTransferFailed', action: 'contactSupport' }
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// EIP-1193 and JSON-RPC codes, plus the ethers v6 codes that wrap them
+const WALLET_CODES = {
+    4001: { code: 'userRejected', action: 'none' },
+    4100: { code: 'walletUnauthorized', action: 'connectWallet' },
+    4200: { code: 'unsupportedMethod', action: 'useAnotherWallet' },
+    4900: { code: 'walletDisconnected', action: 'reconnect' },
+    4901: { code: 'walletDisconnected', action: 'reconnect' },
+    4902: { code: 'unknownChain', action: 'addNetwork' },
+    '-32002': { code: 'requestPending', action: 'openWallet' },
+    '-32005': { code: 'rateLimited', action: 'tryLater' },
+    ACTION_REJECTED: { code: 'userRejected', action: 'none' },
+    INSUFFICIENT_FUNDS: { code: 'insufficientFunds', action: 'addFunds' },
+    NONCE_EXPIRED: { code: 'nonceExpired', action: 'retry' },
+    REPLACEMENT_UNDERPRICED: { code: 'replacementUnderpriced', action: 'raiseFee' },
+    NETWORK_ERROR: { code: 'networkError', action: 'retry' },
+    TIMEOUT: { code: 'networkError', action: 'retry' },
+    SERVER_ERROR: { code: 'networkError', action: 'retry' }
+};
+
+// Node messages that arrive without a useful code (-32000 and -32603 carry many causes)
+const WALLET_MESSAGES = [
+    { pattern: /insufficient funds/i, code: 'insufficientFunds', action: 'addFunds' },
+    { pattern: /nonce too low|nonce has already been used/i, code: 'nonceExpired', action: 'retry' },
+    { pattern: /replacement (transaction )?underpriced/i, code: 'replacementUnderpriced', action: 'raiseFee' },
+    { pattern: /user (rejected|denied)/i, code: 'userRejected', action: 'none' },
+    { pattern: /failed to fetch|network error|timeout/i, code: 'networkError', action: 'retry' }
+];
+
+// Final states of TransactionTracker records that did not confirm
+const TRANSACTION_STATUSES = {
+    cancelled: { code: 'transactionCancelled', action: 'none' },
+    replaced: { code: 'transactionReplaced', action: 'checkTransactions' },
+    dropped: { code: 'transactionDropped', action: 'retry' }
+};
+
+const CATEGORIES = {
+    contract: ['bidTooLow', 'auctionEnded', 'auctionSettled', 'auctionNotEnded', 'auctionNotFound', 'alreadyMinted',
+        'nothingToWithdraw', 'notAuthorized', 'invalidRequest', 'notTokenOwner', 'alreadyShipped',
+        'invalidShippingAddress', 'tokenNotFound', 'noShippingAddress', 'paused', 'reentrant', 'panic', 'unknownRevert',
+        'wrongCurrency', 'insufficientAllowance', 'insufficientTokenBalance', 'permitExpired', 'permitInvalid',
+        'tokenTransferFailed'],
+    compliance: ['sanctioned', 'accountBlocked', 'verificationRequired', 'kycExpired', 'perTransactionLimit',
+        'dailyLimit', 'monthlyLimit', 'manualReview', 'complianceFailed'],
+    network: ['networkError', 'rateLimited']
+};
+
+class ErrorDecoder {
+    /**
+     * Decode an error thrown by a wallet or contract call.
+     * @param {*} error Anything thrown by ethers, the wallet or TransactionTracker.wait()
+     * @param {Object} context Values for the suggested action, e.g. minimumBid after bidTooLow
+     * @returns {Object} code, category ('contract' | 'compliance' | 'wallet' | 'network' |
+     *   'unknown'), action, reason (the raw revert string or custom error name, if any),
+     *   params (context plus anything decoded, such as the compliance detail or panic code)
+     */
+    decode(error, context = {}) {
+        const revert = this.findRevert(error);
+        if (revert) return this.result(this.fromRevert(revert), revert.reason || revert.selector, context);
+
+        const transaction = error && error.transaction;
+        if (transaction && TRANSACTION_STATUSES[transaction.status]) {
+            return this.result(TRANSACTION_STATUSES[transaction.status], null, context);
+        }
+
+        const wallet = this.fromWallet(error);
+        if (wallet) return this.result(wallet, null, context);
+
+        if (this.isCallException(error)) {
+            return this.result({ code: 'unknownRevert', action: 'contactSupport' }, null, context);
+        }
+        return this.result({ code: 'unknown', action: 'retry' }, null, context);
+    }
+
+    result({ code, action, params = {} }, reason, context) {
+        const category = Object.keys(CATEGORIES).find(name => CATEGORIES[name].includes(code))
+            || (code === 'unknown' ? 'unknown' : 'wallet');
+        let nextAction = action;
+        // With the current minimum known, the suggestion can name it
+        if (code === 'bidTooLow' && context.minimumBid !== undefined && context.minimumBid !== null) {
+            nextAction = 'raiseBidTo';
+        }
+        return { code, category, action: nextAction, reason: reason || null, params: { ...context, ...params } };
+    }
+
+    fromRevert({ reason, selector, panicCode }) {
+        if (panicCode !== undefined) {
+            return { code: 'panic', action: 'contactSupport', params: { panicCode } };
+        }
+        if (selector) {
+            return CUSTOM_ERRORS[selector] || { code: 'unknownRevert', action: 'contactSupport' };
+        }
+
+        if (REVERT_REASONS[reason]) return REVERT_REASONS[reason];
+
+        const prefix = COMPLIANCE_PREFIXES.find(candidate => reason.startsWith(candidate));
+        if (prefix) {
+            const detail = reason.slice(prefix.length);
+            const known = COMPLIANCE_REASONS[detail] || { code: 'complianceFailed', action: 'contactSupport' };
+            return { ...known, params: { detail } };
+        }
+
+        // OpenZeppelin v4 AccessControl embeds the account and role in the message
+        if (/^AccessControl: account 0x[0-9a-f]{40} is missing role/i.test(reason)) {
+            return { code: 'notAuthorized', action: 'contactSupport' };
+        }
+
+        const customError = Object.values(CUSTOM_ERRORS).find(entry => entry.name === reason);
+        return customError || { code: 'unknownRevert', action: 'contactSupport' };
+    }
+
+    fromWallet(error) {
+        for (const candidate of this.candidates(error)) {
+            const known = WALLET_CODES[candidate.code];
+            if (known) return known;
+        }
+
+        for (const candidate of this.candidates(error)) {
+            const message = typeof candidate.message === 'string' ? candidate.message : '';
+            const match = WALLET_MESSAGES.find(entry => entry.pattern.test(message));
+            if (match) return match;
+        }
+        return null;
+    }
+
+    isCallException(error) {
+        return this.candidates(error).some(candidate =>
+            candidate.code === 'CALL_EXCEPTION' ||
+            /execution reverted|transaction reverted/i.test(String(candidate.message || ''))
+        );
+    }
+
+    // ethers nests the provider's error, which nests the node's; look through all of them
+    candidates(error) {
+        const found = [];
+        const queue = [error];
+        while (queue.length > 0 && found.length < 12) {
+            const current = queue.shift();
+            if (!current || typeof current !== 'object' || found.includes(current)) continue;
+            found.push(current);
+            queue.push(current.error, current.info && current.info.error, current.data, current.cause,
+                current.data && current.data.originalError);
+        }
+        return found;
+    }
+
+    /**
+     * Find the revert reason anywhere in an error.
+     * @returns {Object|null} reason (string or custom error name), selector for undecoded
+     *   custom errors, panicCode for Solidity panics
+     */
+    findRevert(error) {
+        // A bare string is revert data or a revert reason, e.g. a tracked transaction's revertReason
+        if (typeof error === 'string') return this.decodeRevertData(error) || (error ? { reason: error } : null);
+
+        // A tracked transaction that reverted carries the reason TransactionTracker recovered
+        if (error && error.transaction && error.transaction.status === 'failed' && error.transaction.revertReason) {
+            return { reason: error.transaction.revertReason };
+        }
+
+        const candidates = this.candidates(error);
+        for (const candidate of candidates) {
+            if (candidate.revert && candidate.revert.name) {
+                if (candidate.revert.name === 'Error') return { reason: String(candidate.revert.args[0]) };
+                if (candidate.revert.name === 'Panic') return { panicCode: Number(candidate.revert.args[0]) };
+                return { reason: candidate.revert.name };
+            }
+            if (typeof candidate.reason === 'string' && candidate.reason && !WALLET_CODES[candidate.code]) {
+                const decoded = this.decodeRevertData(candidate.data);
+                return decoded || { reason: candidate.reason };
+            }
+        }
+
+        for (const candidate of candidates) {
+            const decoded = this.decodeRevertData(candidate.data) ||
+                this.decodeRevertData(typeof candidate.data === 'object' && candidate.data ? candidate.data.data : null);
+            if (decoded) return decoded;
+        }
+
+        for (const candidate of candidates) {
+            const reason = this.parseRevertMessage(candidate.message);
+            if (reason) return { reason };
+        }
+        return null;
+    }
+
+    decodeRevertData(data) {
+        if (typeof data !== 'string' || !/^0x[0-9a-f]{8}/i.test(data)) return null;
+
+        const selector = data.slice(0, 10).toLowerCase();
+        const body = data.slice(10);
+
+        if (selector === ERROR_STRING_SELECTOR) {
+            const offset = parseInt(body.slice(0, 64), 16) * 2;
+            const length = parseInt(body.slice(offset, offset + 64), 16) * 2;
+            const hex = body.slice(offset + 64, offset + 64 + length);
+            const bytes = new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+            return { reason: new TextDecoder().decode(bytes) };
+        }
+        if (selector === PANIC_SELECTOR) {
+            return { panicCode: parseInt(body.slice(0, 64), 16) };
+        }
+        return CUSTOM_ERRORS[selector] ? { reason: CUSTOM_ERRORS[selector].name, selector } : { selector };
+    }
+
+    // Nodes that do not return revert data still put the reason in the message
+    parseRevertMessage(message) {
+        if (typeof message !== 'string') return null;
+        const match = message.match(/execution reverted:\s*"?([^"\n]+?)"?\s*(?:$|\(|,)/i) ||
+            message.match(/reverted with reason string '([^']+)'/i);
+        return match ? match[1].trim() : null;
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.ErrorDecoder = ErrorDecoder;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorDecoder;
+}
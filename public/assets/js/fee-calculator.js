@@ -0,0 +1,152 @@
+// Fee Calculator for Yizhen Platform
+// Estimates what a bidder pays on top of the hammer price: tiered buyer's premium, gas for
+// the bid transaction, and shipping and insurance to their region. Parameters come from
+// assets/data/fees.json; the contract's platform fee replaces the configured one when live.
+// Shipping and the premium bands are set in the config's currency and converted to the lot's
+// with the same FX snapshot the page displays prices with.
+
+class FeeCalculator {
+    constructor({ configUrl } = {}) {
+        this.configUrl = configUrl || '/assets/data/fees.json';
+        this.config = null;
+        this.platformFeeBps = null;
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.configUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.setConfig(await response.json());
+        } catch (error) {
+            console.warn('Could not load fee configuration:', error.message);
+        }
+        return this.config;
+    }
+
+    setConfig(config) {
+        this.config = config;
+        if (this.platformFeeBps === null) {
+            this.platformFeeBps = config.platformFeeBps;
+        }
+    }
+
+    // The contract is authoritative for the platform fee once it can be read
+    setContractFees({ platformFeeBps }) {
+        if (Number.isFinite(platformFeeBps)) {
+            this.platformFeeBps = platformFeeBps;
+        }
+    }
+
+    isReady() {
+        return !!this.config;
+    }
+
+    getRegions() {
+        return this.config ? Object.keys(this.config.shipping.regions) : [];
+    }
+
+    getDefaultRegion() {
+        return this.config ? this.config.shipping.defaultRegion : null;
+    }
+
+    /**
+     * A configured amount in another currency.
+     * @param {number} amount In the config's currency
+     * @param {string} currency What to convert it to
+     * @param {CurrencyConverter} [converter] Holds the FX snapshot
+     * @returns {number|null} null when there is no rate for the currency
+     */
+    fromConfigCurrency(amount, currency, converter = null) {
+        const configCurrency = this.config.currency;
+        if (!configCurrency || !currency || currency === configCurrency) return amount;
+        if (!converter || !converter.isSupported(currency) || !converter.isSupported(configCurrency)) return null;
+
+        const converted = converter.convert(amount, currency, configCurrency);
+        return Number.isFinite(converted) ? converted : null;
+    }
+
+    // Marginal tiers: each rate applies only to the part of the hammer inside its band; toCurrency
+    // converts the bands from the config's currency into the hammer's
+    buyersPremium(hammer, toCurrency = amount => amount) {
+        let lower = 0;
+        const tiers = [];
+
+        for (const tier of this.config.buyersPremium.tiers) {
+            const upTo = tier.upTo === null ? null : toCurrency(tier.upTo);
+            const upper = upTo === null ? Infinity : upTo;
+            const portion = Math.max(0, Math.min(hammer, upper) - lower);
+            if (portion > 0) {
+                tiers.push({ rate: tier.rate, from: lower, upTo, amount: portion * tier.rate });
+            }
+            lower = upper;
+        }
+
+        return {
+            total: tiers.reduce((sum, tier) => sum + tier.amount, 0),
+            tiers
+        };
+    }
+
+    // Deducted from the seller's proceeds by endAuction(); shown, but not part of the bidder's total
+    platformFee(hammer) {
+        return hammer * (this.platformFeeBps || 0) / 10000;
+    }
+
+    // Gas in ETH; live callers pass the wallet's estimate, demo mode uses the configured figures
+    gasCostEth({ gasUnits, gasPriceGwei } = {}) {
+        const units = gasUnits ?? this.config.gas.bidGasUnits;
+        const priceGwei = gasPriceGwei ?? this.config.gas.gasPriceGwei;
+        return units * priceGwei / 1e9;
+    }
+
+    shipping(region, insuredValue, toCurrency = amount => amount) {
+        const regions = this.config.shipping.regions;
+        const destination = regions[region] || regions[this.getDefaultRegion()];
+        return {
+            shipping: toCurrency(destination.shipping),
+            insurance: insuredValue * this.config.shipping.insuranceRate,
+            insuranceRate: this.config.shipping.insuranceRate
+        };
+    }
+
+    /**
+     * Full cost breakdown for a bid.
+     * @param {number} hammer Bid amount in the lot's currency
+     * @param {Object} options region: shipping destination key; gas: gas cost already
+     *   converted to the lot's currency, or null when it cannot be priced; currency: the lot's,
+     *   the config's if not given; converter: the page's CurrencyConverter
+     * @returns {Object|null} Line items in the lot's currency and the bidder's total, or null when
+     *   there is no rate to convert the configured amounts with
+     */
+    breakdown(hammer, { region, gas = null, currency = null, converter = null } = {}) {
+        const rate = this.fromConfigCurrency(1, currency, converter);
+        if (rate === null) return null;
+
+        const toCurrency = amount => amount * rate;
+        const premium = this.buyersPremium(hammer, toCurrency);
+        const { shipping, insurance, insuranceRate } = this.shipping(region, hammer + premium.total, toCurrency);
+
+        return {
+            hammer,
+            premium: premium.total,
+            premiumTiers: premium.tiers,
+            platformFee: this.platformFee(hammer),
+            platformFeeBps: this.platformFeeBps,
+            gas,
+            shipping,
+            insurance,
+            insuranceRate,
+            total: hammer + premium.total + (gas || 0) + shipping + insurance
+        };
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.FeeCalculator = FeeCalculator;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeeCalculator;
+}
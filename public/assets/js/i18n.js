@@ -12,6 +12,9 @@ class I18nManager {
                     privateSales: "Private Sales",
                     exhibitions: "Exhibitions",
                     about: "About",
+                    collection: "My Collection",
+                    refunds: "Refunds",
+                    transactions: "Transactions",
                     connectWallet: "Connect Wallet",
                     language: "Language"
                 },
@@ -29,7 +32,7 @@ class I18nManager {
                     featuredLots: "Featured Lots",
                     totalLots: "Total Lots",
                     activeBids: "Active Bids",
-                    totalValue: "Total Value (USD)",
+                    totalValue: "Total Value",
                     allDynasties: "All Dynasties",
                     songDynasty: "Song Dynasty",
                     yuanDynasty: "Yuan Dynasty",
@@ -42,7 +45,10 @@ class I18nManager {
                     estimate: "Estimate",
                     currentBid: "Current Bid",
                     bids: "bids",
-                    ended: "Ended"
+                    ended: "Ended",
+                    closing: "Closing",
+                    extended: "Extended",
+                    watching: "Watching"
                 },
                 
                 // Modal
@@ -57,9 +63,390 @@ class I18nManager {
                     placeBidDesc: "Acquire complete ownership of this artifact.",
                     placeBidButton: "Place Bid",
                     minimumBid: "Minimum bid",
-                    amountPlaceholder: "Amount in USD",
+                    amountPlaceholder: "Amount in {{currency}}",
                     bidSuccess: "Bid placed successfully!",
-                    bidError: "Failed to place bid"
+                    bidError: "Failed to place bid",
+                    approvingToken: "Approve {{symbol}} in your wallet so the auction can collect your bid.",
+                    signingPermit: "Sign the {{symbol}} spending permit in your wallet. It costs no fee.",
+                    bidHistory: "Bid History",
+                    noBids: "No bids yet",
+                    you: "You",
+                    newer: "Newer",
+                    older: "Older",
+                    historyPage: "Page {{page}} of {{pages}}",
+                    timeLeft: "Time Left",
+                    softCloseNote: "Bids in the final {{minutes}} minutes extend bidding by {{extension}} minutes."
+                },
+                
+                // Proxy Bidding
+                proxy: {
+                    title: "Maximum Bid",
+                    description: "Set a confidential maximum. We bid the minimum needed to keep you in the lead, up to your limit, while this page is open.",
+                    maxPlaceholder: "Your maximum in USD",
+                    set: "Set Maximum",
+                    update: "Update Maximum",
+                    cancel: "Cancel Maximum",
+                    activeStatus: "Your maximum: {{amount}}",
+                    exhaustedStatus: "Your maximum of {{amount}} has been exceeded",
+                    notices: {
+                        set: "Maximum of {{amount}} set for lot {{lot}}",
+                        updated: "Maximum for lot {{lot}} updated to {{amount}}",
+                        cancelled: "Maximum bid for lot {{lot}} cancelled",
+                        placed: "Proxy bid of {{amount}} placed on lot {{lot}}",
+                        exhausted: "You have been outbid on lot {{lot}} - your maximum of {{amount}} is exhausted",
+                        failed: "Proxy bid of {{amount}} on lot {{lot}} failed",
+                        tooLow: "Your maximum must be at least {{amount}}"
+                    }
+                },
+                
+                // Catalogue Search
+                search: {
+                    placeholder: "Search lots, wares, provenance... (English or 中文)",
+                    relevance: "Relevance",
+                    results: "{{count}} of {{total}} lots",
+                    clear: "Clear search",
+                    any: "Any",
+                    facets: {
+                        ware: "Ware",
+                        estimate: "Estimate",
+                        bidStatus: "Bidding",
+                        timeRemaining: "Closing"
+                    },
+                    ware: {
+                        jun: "Jun ware",
+                        ru: "Ru ware",
+                        ge: "Ge ware",
+                        guan: "Guan ware",
+                        ding: "Ding ware",
+                        longquan: "Longquan celadon",
+                        yaozhou: "Yaozhou ware",
+                        cizhou: "Cizhou ware",
+                        jian: "Jian ware",
+                        qingbai: "Qingbai ware",
+                        blueAndWhite: "Blue and white",
+                        celadon: "Celadon",
+                        other: "Other"
+                    },
+                    estimate: {
+                        under25k: "Under $25,000",
+                        "25kTo75k": "$25,000 - $75,000",
+                        "75kTo150k": "$75,000 - $150,000",
+                        over150k: "Over $150,000"
+                    },
+                    bidStatus: {
+                        noBids: "No bids yet",
+                        belowEstimate: "Below estimate",
+                        withinEstimate: "Within estimate",
+                        aboveEstimate: "Above estimate"
+                    },
+                    timeRemaining: {
+                        hour: "Within 1 hour",
+                        day: "Within 24 hours",
+                        week: "Within 7 days",
+                        later: "Later",
+                        ended: "Ended"
+                    }
+                },
+                
+                // Watchlist
+                watchlist: {
+                    watch: "Watch this lot",
+                    unwatch: "Stop watching",
+                    added: "Lot {{lot}} added to your watchlist",
+                    removed: "Lot {{lot}} removed from your watchlist",
+                    empty: "You are not watching any lots yet. Tap the heart on a lot to follow it.",
+                    notificationTitle: "Yizhen watchlist",
+                    alerts: {
+                        outbid: "You have been outbid on lot {{lot}}, {{title}} - now {{amount}}",
+                        finalHour: "Lot {{lot}}, {{title}}, closes within the hour - current bid {{amount}}"
+                    }
+                },
+                
+                // Lot Comparison
+                compare: {
+                    add: "Compare",
+                    selected: "✓ Comparing",
+                    title: "Compare Lots",
+                    open: "Compare {{count}} lots",
+                    clear: "Clear",
+                    hint: "Select {{min}} to {{max}} lots to compare",
+                    limit: "You can compare up to {{max}} lots at a time",
+                    remove: "Remove",
+                    viewLot: "View lot",
+                    period: "Period",
+                    play: "Play",
+                    pause: "Pause",
+                    position: "Video position"
+                },
+                
+                // Printable Catalogue
+                catalogue: {
+                    print: "Print Catalogue",
+                    preparing: "Preparing a catalogue of {{count}} lots...",
+                    failed: "Could not prepare the catalogue"
+                },
+                
+                // Calendar Export
+                calendar: {
+                    addLot: "Add to Calendar",
+                    addSale: "Add Sale to Calendar",
+                    subscribe: "Subscribe to all closing times",
+                    alarm: "Reminder",
+                    alarms: {
+                        0: "No reminder",
+                        15: "15 minutes before",
+                        60: "1 hour before",
+                        1440: "1 day before"
+                    },
+                    saleAdded: "Calendar file with {{count}} lots downloaded",
+                    noOpenLots: "There are no open lots to add"
+                },
+                
+                // Currency
+                currency: {
+                    label: "Currency",
+                    names: {
+                        USD: "US Dollar",
+                        HKD: "Hong Kong Dollar",
+                        CNY: "Chinese Yuan",
+                        EUR: "Euro",
+                        GBP: "British Pound",
+                        ETH: "Ether",
+                        USDT: "Tether (USDT)"
+                    },
+                    asOf: "Converted at rates as of {{date}} (snapshot v{{version}}).",
+                    unavailable: "Exchange rates unavailable; prices are shown in {{currency}} only.",
+                    settlement: "Bids are placed and settled in {{currency}}."
+                },
+                
+                // Cost Breakdown
+                fees: {
+                    title: "Estimated Cost",
+                    hammer: "Hammer price",
+                    premium: "Buyer's premium",
+                    tierUpTo: "{{rate}} up to {{amount}}",
+                    tierAbove: "{{rate}} above {{amount}}",
+                    gas: "Network fee (gas)",
+                    unavailable: "Unavailable",
+                    shipping: "Shipping to",
+                    insurance: "Insurance ({{rate}})",
+                    total: "Estimated total",
+                    platformFee: "The {{rate}} platform fee ({{amount}}) is deducted from the seller's proceeds and is not added to your total.",
+                    estimatesNote: "Gas, shipping and insurance are estimates. Import duties and taxes are not included.",
+                    regions: {
+                        hongKong: "Hong Kong",
+                        mainlandChina: "Mainland China",
+                        asiaPacific: "Asia Pacific",
+                        europe: "Europe",
+                        northAmerica: "North America",
+                        restOfWorld: "Rest of world"
+                    }
+                },
+                
+                // My Collection
+                collection: {
+                    title: "My Collection",
+                    token: "Token",
+                    dynasty: "Dynasty",
+                    minted: "Acquired",
+                    certificate: "Authenticity certificate",
+                    certificatePending: "Pending verification",
+                    shipping: "Delivery",
+                    shipped: "Shipped",
+                    awaitingShipment: "Awaiting shipment",
+                    addressNeeded: "Shipping address needed",
+                    viewLot: "View lot record",
+                    metadata: "Token metadata",
+                    explorer: "View on explorer",
+                    connect: "Connect your wallet to see the pieces you own.",
+                    empty: "No pieces yet. Lots you win appear here once the auction has ended.",
+                    failed: "Could not read your collection from the blockchain.",
+                    retry: "Try again"
+                },
+                
+                // Winner Checkout
+                checkout: {
+                    start: "Complete checkout",
+                    wonLot: "Congratulations, you won this lot.",
+                    addAddress: "Add shipping address",
+                    viewReceipt: "View checkout receipt",
+                    steps: {
+                        confirm: "Confirm win",
+                        address: "Shipping address",
+                        review: "Review",
+                        receipt: "Receipt"
+                    },
+                    winner: "Winning bidder",
+                    notWinner: "The connected wallet is not the winning bidder for this lot.",
+                    settleFirst: "Bidding has closed. The auction must be settled on-chain, which transfers the payment and mints your token.",
+                    settle: "Settle auction",
+                    auctionSettled: "Auction settled. Your token has been minted.",
+                    reserveNotMet: "The reserve price was not met, so the lot was not sold. Your bid can be withdrawn.",
+                    refundAvailable: "{{amount}} from earlier bids on this lot can be withdrawn.",
+                    withdraw: "Withdraw",
+                    withdrawn: "{{amount}} withdrawn to your wallet",
+                    transactionFailed: "The transaction did not complete. Please try again.",
+                    settlementFailed: "The auction's result could not be read from the network.",
+                    keyUnavailable: "Addresses cannot be encrypted on this network yet, so none can be saved. Please contact us to arrange delivery.",
+                    waiting: "Waiting for your wallet and the network...",
+                    continue: "Continue",
+                    back: "Back",
+                    edit: "Edit address",
+                    addressIntro: "Where should we deliver your piece? Couriers need a phone number in international format, e.g. +852 9123 4567.",
+                    fields: {
+                        name: "Full name",
+                        country: "Country or region",
+                        line1: "Address line 1",
+                        line2: "Address line 2",
+                        city: "City",
+                        region: "State or province",
+                        postalCode: "Postal code",
+                        phone: "Phone",
+                        email: "Email"
+                    },
+                    errors: {
+                        required: "Required",
+                        invalid: "Please check the format",
+                        tooLong: "Too long"
+                    },
+                    encryptionNote: "Your address is encrypted in this browser with Yizhen's public key before it is stored on the blockchain. Only our fulfilment team can read it.",
+                    encryptAndSave: "Encrypt and save address",
+                    receiptIntro: "Your encrypted shipping address has been recorded. We will add the tracking number once your piece ships.",
+                    deliverTo: "Deliver to",
+                    submitted: "Submitted",
+                    transaction: "Transaction",
+                    fingerprint: "Encrypted address fingerprint",
+                    keyId: "key {{kid}}",
+                    demoReceipt: "Demo mode: the address was written to the in-browser demo chain only.",
+                    done: "Done"
+                },
+                
+                // Shipment Tracking
+                shipment: {
+                    track: "Track shipment",
+                    hide: "Hide shipment",
+                    carrierSite: "Track on carrier site",
+                    transaction: "View transaction",
+                    status: {
+                        addressRecorded: "Shipping address recorded",
+                        shipped: "Shipped",
+                        label: "Label created",
+                        pickedUp: "Picked up by courier",
+                        inTransit: "In transit",
+                        customs: "Customs clearance",
+                        outForDelivery: "Out for delivery",
+                        delivered: "Delivered",
+                        exception: "Delivery exception",
+                        received: "Receipt confirmed"
+                    },
+                    notShipped: "Your piece is being prepared for shipment.",
+                    chainFailed: "Could not load the shipping history from the blockchain.",
+                    unknownCarrier: "The carrier for this tracking number is not recognised.",
+                    carrierFailed: "{{carrier}} updates are unavailable right now.",
+                    confirmDelivery: "Confirm delivery",
+                    confirming: "Confirming...",
+                    confirmHint: "Confirm once your piece has arrived. Your wallet will ask you to sign a receipt; no transaction is sent.",
+                    confirmed: "Delivery of lot {{lot}} confirmed",
+                    confirmedOn: "You confirmed receipt on {{date}}.",
+                    confirmFailed: "Delivery confirmation was not recorded"
+                },
+                
+                // Refunds
+                refunds: {
+                    title: "Refunds",
+                    intro: "When you are outbid, your bid is held by the auction contract until you withdraw it.",
+                    viewRefunds: "View refunds",
+                    notificationBody: "{{message}}. Your bid is ready to withdraw.",
+                    connect: "Connect your wallet to see bids waiting to be refunded.",
+                    scanning: "Checking the auctions you bid on...",
+                    failed: "Could not read refunds from the blockchain.",
+                    empty: "No refunds waiting. Outbid bids appear here until you withdraw them.",
+                    demo: "Demo mode: refunds come from the simulated bids in this session.",
+                    auction: "Auction #{{id}}",
+                    total: "Total to withdraw:",
+                    withdraw: "Withdraw",
+                    withdrawAll: "Withdraw all ({{count}})",
+                    retry: "Try again",
+                    transaction: "View transaction",
+                    status: {
+                        awaitingWallet: "Confirm in your wallet...",
+                        pending: "Withdrawal pending",
+                        confirmed: "Withdrawn",
+                        failed: "Withdrawal failed"
+                    },
+                    withdrawn: "{{amount}} withdrawn to your wallet",
+                    withdrawFailed: "Withdrawal was not completed"
+                },
+                
+                // Transactions
+                transactions: {
+                    title: "Transactions",
+                    empty: "Bids, withdrawals and other wallet transactions will appear here.",
+                    clear: "Clear finished",
+                    view: "View",
+                    explorer: "View on explorer",
+                    replacement: "View replacement",
+                    confirmations: "{{count}} of {{target}} confirmations",
+                    reason: "Reason: {{reason}}",
+                    kinds: {
+                        bid: "Bid on {{target}}",
+                        withdraw: "Refund for {{target}}",
+                        claim: "Settle {{target}}",
+                        address: "Shipping address for {{target}}",
+                        approve: "Approve {{symbol}} for {{target}}"
+                    },
+                    status: {
+                        pending: "Pending",
+                        confirmed: "Confirmed",
+                        failed: "Failed",
+                        speedUp: "Sped up",
+                        replaced: "Replaced",
+                        cancelled: "Cancelled",
+                        dropped: "Dropped"
+                    },
+                    notices: {
+                        confirmed: "{{subject}} confirmed",
+                        failed: "{{subject}} failed",
+                        speedUp: "{{subject}} was sped up in your wallet",
+                        replaced: "{{subject}} was replaced by another transaction",
+                        cancelled: "{{subject}} was cancelled in your wallet",
+                        dropped: "{{subject}} was dropped by the network"
+                    }
+                },
+                
+                // Wallet Picker
+                wallets: {
+                    title: "Choose a wallet",
+                    intro: "Select the wallet you want to bid with.",
+                    none: "No wallet was found in this browser. Install one of these, then reload the page:",
+                    browserWallet: "Browser wallet",
+                    lastUsed: "Last used",
+                    connected: "Connected"
+                },
+                
+                // Session
+                session: {
+                    signIn: "Sign in",
+                    signOut: "Sign out",
+                    signInHint: "Sign a message to prove you own this wallet. It sends no transaction and costs nothing.",
+                    signedIn: "Signed in as {{address}}",
+                    signedOut: "Signed out",
+                    expired: "Your session has expired. Sign in again to continue.",
+                    signInFailed: "Sign-in failed. Please try again."
+                },
+                
+                // Network
+                network: {
+                    label: "Network",
+                    switched: "Now showing the auction on {{network}}"
+                },
+                
+                // Demo
+                demo: {
+                    enter: "Try demo mode",
+                    exit: "Leave demo mode",
+                    enterHint: "Bid with simulated funds; nothing is sent to the blockchain",
+                    exitHint: "Show the live auction from the blockchain"
                 },
                 
                 // Time
@@ -67,6 +454,7 @@ class I18nManager {
                     days: "d",
                     hours: "h",
                     minutes: "m",
+                    seconds: "s",
                     ended: "Ended"
                 },
                 
@@ -76,18 +464,19 @@ class I18nManager {
                     walletDisconnected: "Wallet disconnected",
                     accountChanged: "Account changed",
                     connectionCancelled: "Connection cancelled",
-                    unlockMetaMask: "Please unlock MetaMask",
+                    unlockWallet: "Please unlock your wallet",
                     connectionFailed: "Failed to connect wallet",
                     connectionRestored: "Connection restored",
                     connectionLost: "Connection lost - some features may be limited",
-                    demoMode: "Running in Demo Mode - Connect wallet and deploy contracts for real transactions",
-                    installMetaMask: "MetaMask is required to use this dApp. Would you like to install it?",
+                    demoMode: "Demo mode: bids are simulated and nothing is sent to the blockchain",
+                    installWallet: "A browser wallet is required to bid. Would you like to choose one to install?",
                     networkSwitchFailed: "Failed to switch network",
                     networkAddFailed: "Failed to add network",
                     minimumBidError: "Minimum bid is",
                     transactionFailed: "Transaction failed",
                     loading: "Loading...",
-                    noArtifacts: "No artifacts found"
+                    noArtifacts: "No artifacts found",
+                    lotExtended: "Bidding on lot {{lot}} extended by {{minutes}} minutes"
                 },
                 
                 // Errors
@@ -97,7 +486,86 @@ class I18nManager {
                     networkError: "Network error",
                     invalidInput: "Invalid input",
                     unauthorized: "Unauthorized access",
-                    serviceUnavailable: "Service temporarily unavailable"
+                    serviceUnavailable: "Service temporarily unavailable",
+                    codes: {
+                        bidTooLow: "Your bid is below the current minimum.",
+                        auctionEnded: "Bidding on this lot has closed.",
+                        auctionSettled: "This auction has already been settled.",
+                        auctionNotEnded: "This auction has not closed yet.",
+                        auctionNotFound: "This auction could not be found on the blockchain.",
+                        alreadyMinted: "The certificate for this lot has already been issued.",
+                        nothingToWithdraw: "There is nothing left to withdraw for this auction.",
+                        notAuthorized: "This wallet is not allowed to do that.",
+                        invalidRequest: "The contract rejected the request as invalid.",
+                        notTokenOwner: "This wallet does not own the piece.",
+                        alreadyShipped: "This piece has already been shipped.",
+                        invalidShippingAddress: "The shipping address was rejected.",
+                        tokenNotFound: "This certificate does not exist.",
+                        noShippingAddress: "No shipping address has been recorded for this piece.",
+                        paused: "Bidding is temporarily paused.",
+                        reentrant: "The contract was busy with another call.",
+                        panic: "The contract stopped with an internal error.",
+                        unknownRevert: "The contract rejected the transaction.",
+                        wrongCurrency: "This lot takes bids in a different currency.",
+                        insufficientAllowance: "The auction is not approved to collect this amount of your tokens.",
+                        insufficientTokenBalance: "Your wallet does not hold enough of the bid currency.",
+                        permitExpired: "The spending permit you signed has expired.",
+                        permitInvalid: "The spending permit signature was not accepted.",
+                        tokenTransferFailed: "The token transfer failed.",
+                        sanctioned: "This wallet cannot take part in auctions.",
+                        accountBlocked: "This account has been blocked.",
+                        verificationRequired: "Identity verification is required before bidding.",
+                        kycExpired: "Your identity verification has expired.",
+                        perTransactionLimit: "This amount exceeds your per-bid limit.",
+                        dailyLimit: "This bid would exceed your daily limit.",
+                        monthlyLimit: "This bid would exceed your monthly limit.",
+                        manualReview: "Your account needs a manual compliance review.",
+                        complianceFailed: "The compliance check did not pass.",
+                        userRejected: "You cancelled the request in your wallet.",
+                        walletUnauthorized: "The wallet has not authorised this site.",
+                        unsupportedMethod: "Your wallet does not support this request.",
+                        walletDisconnected: "Your wallet is disconnected from the network.",
+                        unknownChain: "Your wallet does not know this network yet.",
+                        requestPending: "A wallet request is already waiting for you.",
+                        insufficientFunds: "Your wallet does not have enough funds for this transaction and its fee.",
+                        nonceExpired: "Another transaction from this wallet was mined first.",
+                        replacementUnderpriced: "The replacement fee is too low.",
+                        transactionCancelled: "The transaction was cancelled in your wallet.",
+                        transactionReplaced: "The transaction was replaced by another one.",
+                        transactionDropped: "The network dropped the transaction.",
+                        networkError: "The network could not be reached.",
+                        rateLimited: "The network is busy.",
+                        unknown: "Something went wrong."
+                    },
+                    actions: {
+                        raiseBid: "Enter a higher bid.",
+                        raiseBidTo: "The new minimum is {{minimumBid}}.",
+                        browseLots: "Browse the lots still open.",
+                        refresh: "Refresh the page to see the latest state.",
+                        waitForClose: "Try again once bidding closes.",
+                        viewCollection: "See it in My Collection.",
+                        contactSupport: "Please contact us for help.",
+                        switchAccount: "Switch to the wallet that owns it.",
+                        trackShipment: "Follow it with shipment tracking.",
+                        checkAddress: "Check the address and submit it again.",
+                        addAddress: "Add a shipping address at checkout.",
+                        tryLater: "Please try again in a few minutes.",
+                        retry: "Please try again.",
+                        completeVerification: "Complete verification and try again.",
+                        lowerAmount: "Try a smaller amount or contact us to raise your limit.",
+                        tryTomorrow: "Try again tomorrow or contact us to raise your limit.",
+                        connectWallet: "Connect your wallet again.",
+                        useAnotherWallet: "Try a different wallet.",
+                        reconnect: "Reconnect your wallet and try again.",
+                        addNetwork: "Approve adding the network in your wallet.",
+                        openWallet: "Open your wallet to continue.",
+                        addFunds: "Add funds to your wallet and try again.",
+                        raiseFee: "Raise the fee in your wallet.",
+                        checkTransactions: "Check Transactions for the one that went through."
+                    },
+                    viewTransactions: "View transactions",
+                    viewCollection: "View collection",
+                    connect: "Connect"
                 },
                 
                 // Footer
@@ -122,6 +590,9 @@ class I18nManager {
                     privateSales: "私人洽購",
                     exhibitions: "展覽",
                     about: "關於我們",
+                    collection: "我的收藏",
+                    refunds: "退款",
+                    transactions: "交易記錄",
                     connectWallet: "連接錢包",
                     language: "語言"
                 },
@@ -139,7 +610,7 @@ class I18nManager {
                     featuredLots: "精選拍品",
                     totalLots: "拍品總數",
                     activeBids: "活躍競標",
-                    totalValue: "總價值（美元）",
+                    totalValue: "總價值",
                     allDynasties: "所有朝代",
                     songDynasty: "宋朝",
                     yuanDynasty: "元朝",
@@ -152,7 +623,10 @@ class I18nManager {
                     estimate: "估價",
                     currentBid: "目前出價",
                     bids: "次競標",
-                    ended: "已結束"
+                    ended: "已結束",
+                    closing: "即將截標",
+                    extended: "已延長",
+                    watching: "關注中"
                 },
                 
                 // Modal
@@ -167,9 +641,390 @@ class I18nManager {
                     placeBidDesc: "獲得此藝術品的完整所有權。",
                     placeBidButton: "出價",
                     minimumBid: "最低出價",
-                    amountPlaceholder: "金額（美元）",
+                    amountPlaceholder: "金額（{{currency}}）",
                     bidSuccess: "出價成功！",
-                    bidError: "出價失敗"
+                    bidError: "出價失敗",
+                    approvingToken: "請在錢包中批准 {{symbol}}，以便拍賣合約收取您的出價。",
+                    signingPermit: "請在錢包中簽署 {{symbol}} 支出許可，此操作不收取手續費。",
+                    bidHistory: "出價記錄",
+                    noBids: "尚無出價",
+                    you: "您",
+                    newer: "較新",
+                    older: "較舊",
+                    historyPage: "第 {{page}} 頁，共 {{pages}} 頁",
+                    timeLeft: "剩餘時間",
+                    softCloseNote: "最後 {{minutes}} 分鐘內的出價將使競標延長 {{extension}} 分鐘。"
+                },
+                
+                // Proxy Bidding
+                proxy: {
+                    title: "最高出價委託",
+                    description: "設定保密的最高價。頁面開啟期間，系統將以最低所需金額為您保持領先，直至您的上限。",
+                    maxPlaceholder: "您的最高價（美元）",
+                    set: "設定最高價",
+                    update: "更新最高價",
+                    cancel: "取消最高價",
+                    activeStatus: "您的最高價：{{amount}}",
+                    exhaustedStatus: "已超出您的最高價 {{amount}}",
+                    notices: {
+                        set: "已為拍品 {{lot}} 設定最高價 {{amount}}",
+                        updated: "拍品 {{lot}} 的最高價已更新為 {{amount}}",
+                        cancelled: "已取消拍品 {{lot}} 的最高價委託",
+                        placed: "已為拍品 {{lot}} 代理出價 {{amount}}",
+                        exhausted: "拍品 {{lot}} 已被超越 - 您的最高價 {{amount}} 已用盡",
+                        failed: "拍品 {{lot}} 的代理出價 {{amount}} 失敗",
+                        tooLow: "您的最高價至少須為 {{amount}}"
+                    }
+                },
+                
+                // Catalogue Search
+                search: {
+                    placeholder: "搜尋拍品、窯口、來源……（中文或 English）",
+                    relevance: "相關度",
+                    results: "共 {{total}} 件拍品，符合 {{count}} 件",
+                    clear: "清除搜尋",
+                    any: "不限",
+                    facets: {
+                        ware: "窯口",
+                        estimate: "估價",
+                        bidStatus: "競價",
+                        timeRemaining: "截止"
+                    },
+                    ware: {
+                        jun: "鈞窯",
+                        ru: "汝窯",
+                        ge: "哥窯",
+                        guan: "官窯",
+                        ding: "定窯",
+                        longquan: "龍泉窯",
+                        yaozhou: "耀州窯",
+                        cizhou: "磁州窯",
+                        jian: "建窯",
+                        qingbai: "青白瓷",
+                        blueAndWhite: "青花",
+                        celadon: "青瓷",
+                        other: "其他"
+                    },
+                    estimate: {
+                        under25k: "25,000 美元以下",
+                        "25kTo75k": "25,000 - 75,000 美元",
+                        "75kTo150k": "75,000 - 150,000 美元",
+                        over150k: "150,000 美元以上"
+                    },
+                    bidStatus: {
+                        noBids: "尚無出價",
+                        belowEstimate: "低於估價",
+                        withinEstimate: "估價範圍內",
+                        aboveEstimate: "高於估價"
+                    },
+                    timeRemaining: {
+                        hour: "1 小時內",
+                        day: "24 小時內",
+                        week: "7 天內",
+                        later: "7 天以後",
+                        ended: "已結束"
+                    }
+                },
+                
+                // Watchlist
+                watchlist: {
+                    watch: "關注此拍品",
+                    unwatch: "取消關注",
+                    added: "已將拍品 {{lot}} 加入關注清單",
+                    removed: "已將拍品 {{lot}} 移出關注清單",
+                    empty: "您尚未關注任何拍品。點擊拍品上的心形圖示即可關注。",
+                    notificationTitle: "藝珍關注清單",
+                    alerts: {
+                        outbid: "您在拍品 {{lot}}「{{title}}」的出價已被超越 - 現價 {{amount}}",
+                        finalHour: "拍品 {{lot}}「{{title}}」將於一小時內截標 - 現價 {{amount}}"
+                    }
+                },
+                
+                // Lot Comparison
+                compare: {
+                    add: "比較",
+                    selected: "✓ 比較中",
+                    title: "拍品比較",
+                    open: "比較 {{count}} 件拍品",
+                    clear: "清除",
+                    hint: "請選擇 {{min}} 至 {{max}} 件拍品進行比較",
+                    limit: "每次最多可比較 {{max}} 件拍品",
+                    remove: "移除",
+                    viewLot: "查看拍品",
+                    period: "年代",
+                    play: "播放",
+                    pause: "暫停",
+                    position: "影片進度"
+                },
+                
+                // Printable Catalogue
+                catalogue: {
+                    print: "列印圖錄",
+                    preparing: "正在製作 {{count}} 件拍品的圖錄……",
+                    failed: "無法製作圖錄"
+                },
+                
+                // Calendar Export
+                calendar: {
+                    addLot: "加入行事曆",
+                    addSale: "將拍賣加入行事曆",
+                    subscribe: "訂閱所有截標時間",
+                    alarm: "提醒",
+                    alarms: {
+                        0: "不提醒",
+                        15: "15 分鐘前",
+                        60: "1 小時前",
+                        1440: "1 天前"
+                    },
+                    saleAdded: "已下載包含 {{count}} 件拍品的行事曆檔案",
+                    noOpenLots: "目前沒有可加入的拍品"
+                },
+                
+                // Currency
+                currency: {
+                    label: "貨幣",
+                    names: {
+                        USD: "美元",
+                        HKD: "港元",
+                        CNY: "人民幣",
+                        EUR: "歐元",
+                        GBP: "英鎊",
+                        ETH: "以太幣",
+                        USDT: "泰達幣（USDT）"
+                    },
+                    asOf: "按 {{date}} 的匯率換算（快照 v{{version}}）。",
+                    unavailable: "暫無匯率資料，價格僅以 {{currency}} 顯示。",
+                    settlement: "出價及結算均以 {{currency}} 進行。"
+                },
+                
+                // Cost Breakdown
+                fees: {
+                    title: "預估費用",
+                    hammer: "落槌價",
+                    premium: "買家佣金",
+                    tierUpTo: "{{amount}} 以內 {{rate}}",
+                    tierAbove: "{{amount}} 以上 {{rate}}",
+                    gas: "網絡手續費（Gas）",
+                    unavailable: "無法取得",
+                    shipping: "運送至",
+                    insurance: "保險（{{rate}}）",
+                    total: "預估總額",
+                    platformFee: "{{rate}} 平台費（{{amount}}）由賣家所得中扣除，不計入您的總額。",
+                    estimatesNote: "Gas、運費及保險均為估算，不包括進口關稅及稅項。",
+                    regions: {
+                        hongKong: "香港",
+                        mainlandChina: "中國內地",
+                        asiaPacific: "亞太地區",
+                        europe: "歐洲",
+                        northAmerica: "北美洲",
+                        restOfWorld: "其他地區"
+                    }
+                },
+                
+                // My Collection
+                collection: {
+                    title: "我的收藏",
+                    token: "代幣",
+                    dynasty: "朝代",
+                    minted: "取得日期",
+                    certificate: "真品證書",
+                    certificatePending: "等待鑑定",
+                    shipping: "交付",
+                    shipped: "已發貨",
+                    awaitingShipment: "等待發貨",
+                    addressNeeded: "需要提供收貨地址",
+                    viewLot: "查看拍品記錄",
+                    metadata: "代幣元數據",
+                    explorer: "在區塊瀏覽器查看",
+                    connect: "連接錢包以查看您擁有的藏品。",
+                    empty: "尚無藏品。您得標的拍品將於拍賣結束後顯示於此。",
+                    failed: "無法從區塊鏈讀取您的收藏。",
+                    retry: "重試"
+                },
+                
+                // Winner Checkout
+                checkout: {
+                    start: "完成結帳",
+                    wonLot: "恭喜，您已成功投得此拍品。",
+                    addAddress: "填寫收貨地址",
+                    viewReceipt: "查看結帳收據",
+                    steps: {
+                        confirm: "確認得標",
+                        address: "收貨地址",
+                        review: "確認資料",
+                        receipt: "收據"
+                    },
+                    winner: "得標者",
+                    notWinner: "目前連接的錢包並非此拍品的得標者。",
+                    settleFirst: "競投已結束。拍賣須在鏈上結算，屆時將轉移款項並鑄造您的代幣。",
+                    settle: "結算拍賣",
+                    auctionSettled: "拍賣已結算，您的代幣已鑄造。",
+                    reserveNotMet: "未達底價，拍品未能成交。您的出價可以提取。",
+                    refundAvailable: "此拍品先前出價中有 {{amount}} 可以提取。",
+                    withdraw: "提取",
+                    withdrawn: "已提取 {{amount}} 至您的錢包",
+                    transactionFailed: "交易未能完成，請再試一次。",
+                    settlementFailed: "未能從網絡讀取拍賣結果。",
+                    keyUnavailable: "此網絡暫時未能加密地址，因此無法儲存。請聯絡我們安排配送。",
+                    waiting: "正在等待錢包及網絡確認……",
+                    continue: "繼續",
+                    back: "返回",
+                    edit: "修改地址",
+                    addressIntro: "請提供藏品的收貨地址。速遞公司需要國際格式的電話號碼，例如 +852 9123 4567。",
+                    fields: {
+                        name: "全名",
+                        country: "國家或地區",
+                        line1: "地址第一行",
+                        line2: "地址第二行",
+                        city: "城市",
+                        region: "州或省",
+                        postalCode: "郵政編碼",
+                        phone: "電話",
+                        email: "電郵"
+                    },
+                    errors: {
+                        required: "必填",
+                        invalid: "請檢查格式",
+                        tooLong: "內容過長"
+                    },
+                    encryptionNote: "您的地址會先在此瀏覽器中以艺珍的公鑰加密，然後才儲存於區塊鏈。只有我們的配送團隊能夠讀取。",
+                    encryptAndSave: "加密並儲存地址",
+                    receiptIntro: "您的加密收貨地址已記錄。藏品發貨後，我們會加上追蹤編號。",
+                    deliverTo: "收件人",
+                    submitted: "提交時間",
+                    transaction: "交易",
+                    fingerprint: "加密地址指紋",
+                    keyId: "金鑰 {{kid}}",
+                    demoReceipt: "示範模式：地址只寫入瀏覽器內的示範區塊鏈。",
+                    done: "完成"
+                },
+                
+                // Shipment Tracking
+                shipment: {
+                    track: "追蹤貨件",
+                    hide: "隱藏貨件",
+                    carrierSite: "在速遞公司網站追蹤",
+                    transaction: "查看交易",
+                    status: {
+                        addressRecorded: "已記錄收貨地址",
+                        shipped: "已發貨",
+                        label: "已建立運單",
+                        pickedUp: "速遞公司已收件",
+                        inTransit: "運送中",
+                        customs: "清關中",
+                        outForDelivery: "派送中",
+                        delivered: "已送達",
+                        exception: "派送異常",
+                        received: "已確認收貨"
+                    },
+                    notShipped: "您的藏品正在準備發貨。",
+                    chainFailed: "無法從區塊鏈載入運送記錄。",
+                    unknownCarrier: "無法識別此追蹤號碼所屬的速遞公司。",
+                    carrierFailed: "暫時無法取得 {{carrier}} 的最新狀態。",
+                    confirmDelivery: "確認收貨",
+                    confirming: "確認中...",
+                    confirmHint: "藏品送達後請確認收貨。錢包會要求您簽署收據，不會發送交易。",
+                    confirmed: "已確認拍品 {{lot}} 收貨",
+                    confirmedOn: "您已於 {{date}} 確認收貨。",
+                    confirmFailed: "未能記錄收貨確認"
+                },
+                
+                // Refunds
+                refunds: {
+                    title: "退款",
+                    intro: "出價被超越後，您的出價款項會由拍賣合約保管，直至您提取。",
+                    viewRefunds: "查看退款",
+                    notificationBody: "{{message}}。您的出價款項可供提取。",
+                    connect: "連接錢包以查看待退還的出價款項。",
+                    scanning: "正在檢查您曾出價的拍賣...",
+                    failed: "無法從區塊鏈讀取退款資料。",
+                    empty: "沒有待退款項。被超越的出價會顯示於此，直至您提取。",
+                    demo: "示範模式：退款來自本次瀏覽中的模擬出價。",
+                    auction: "拍賣 #{{id}}",
+                    total: "可提取總額：",
+                    withdraw: "提取",
+                    withdrawAll: "全部提取（{{count}}）",
+                    retry: "重試",
+                    transaction: "查看交易",
+                    status: {
+                        awaitingWallet: "請在錢包中確認...",
+                        pending: "提取處理中",
+                        confirmed: "已提取",
+                        failed: "提取失敗"
+                    },
+                    withdrawn: "已將 {{amount}} 提取至您的錢包",
+                    withdrawFailed: "提取未完成"
+                },
+                
+                // Transactions
+                transactions: {
+                    title: "交易記錄",
+                    empty: "出價、提取及其他錢包交易會顯示於此。",
+                    clear: "清除已完成",
+                    view: "查看",
+                    explorer: "在區塊瀏覽器查看",
+                    replacement: "查看替代交易",
+                    confirmations: "{{count}} / {{target}} 個確認",
+                    reason: "原因：{{reason}}",
+                    kinds: {
+                        bid: "出價：{{target}}",
+                        withdraw: "退款：{{target}}",
+                        claim: "結算：{{target}}",
+                        address: "收貨地址：{{target}}",
+                        approve: "批准 {{symbol}}：{{target}}"
+                    },
+                    status: {
+                        pending: "處理中",
+                        confirmed: "已確認",
+                        failed: "失敗",
+                        speedUp: "已加速",
+                        replaced: "已被取代",
+                        cancelled: "已取消",
+                        dropped: "已被網絡捨棄"
+                    },
+                    notices: {
+                        confirmed: "{{subject}} 已確認",
+                        failed: "{{subject}} 失敗",
+                        speedUp: "{{subject}} 已在錢包中加速",
+                        replaced: "{{subject}} 已被另一筆交易取代",
+                        cancelled: "{{subject}} 已在錢包中取消",
+                        dropped: "{{subject}} 已被網絡捨棄"
+                    }
+                },
+                
+                // Wallet Picker
+                wallets: {
+                    title: "選擇錢包",
+                    intro: "請選擇用於出價的錢包。",
+                    none: "此瀏覽器中找不到錢包。請安裝以下其中一個錢包，然後重新載入頁面：",
+                    browserWallet: "瀏覽器錢包",
+                    lastUsed: "上次使用",
+                    connected: "已連接"
+                },
+                
+                // Session
+                session: {
+                    signIn: "登入",
+                    signOut: "登出",
+                    signInHint: "簽署一則訊息以證明您擁有此錢包。此操作不會發送交易，也不會產生費用。",
+                    signedIn: "已登入：{{address}}",
+                    signedOut: "已登出",
+                    expired: "您的登入已過期，請重新登入以繼續。",
+                    signInFailed: "登入失敗，請再試一次。"
+                },
+                
+                // Network
+                network: {
+                    label: "網絡",
+                    switched: "現正顯示 {{network}} 上的拍賣"
+                },
+                
+                // Demo
+                demo: {
+                    enter: "試用示範模式",
+                    exit: "離開示範模式",
+                    enterHint: "以模擬資金出價，不會向區塊鏈發送任何資料",
+                    exitHint: "顯示區塊鏈上的實時拍賣"
                 },
                 
                 // Time
@@ -177,6 +1032,7 @@ class I18nManager {
                     days: "天",
                     hours: "小時",
                     minutes: "分鐘",
+                    seconds: "秒",
                     ended: "已結束"
                 },
                 
@@ -186,18 +1042,19 @@ class I18nManager {
                     walletDisconnected: "錢包已斷開",
                     accountChanged: "帳戶已更改",
                     connectionCancelled: "連接已取消",
-                    unlockMetaMask: "請解鎖 MetaMask",
+                    unlockWallet: "請解鎖您的錢包",
                     connectionFailed: "錢包連接失敗",
                     connectionRestored: "連接已恢復",
                     connectionLost: "連接中斷 - 某些功能可能受限",
-                    demoMode: "運行在演示模式 - 連接錢包並部署合約以進行真實交易",
-                    installMetaMask: "使用此 dApp 需要 MetaMask。您想要安裝它嗎？",
+                    demoMode: "示範模式：出價為模擬，不會向區塊鏈發送任何資料",
+                    installWallet: "出價需要瀏覽器錢包。您想要選擇一個安裝嗎？",
                     networkSwitchFailed: "網絡切換失敗",
                     networkAddFailed: "網絡添加失敗",
                     minimumBidError: "最低出價為",
                     transactionFailed: "交易失敗",
                     loading: "載入中...",
-                    noArtifacts: "未找到藝術品"
+                    noArtifacts: "未找到藝術品",
+                    lotExtended: "拍品 {{lot}} 競標延長 {{minutes}} 分鐘"
                 },
                 
                 // Errors
@@ -207,7 +1064,86 @@ class I18nManager {
                     networkError: "網絡錯誤",
                     invalidInput: "無效輸入",
                     unauthorized: "未授權存取",
-                    serviceUnavailable: "服務暫時不可用"
+                    serviceUnavailable: "服務暫時不可用",
+                    codes: {
+                        bidTooLow: "您的出價低於目前最低出價。",
+                        auctionEnded: "此拍品的競投已結束。",
+                        auctionSettled: "此拍賣已完成結算。",
+                        auctionNotEnded: "此拍賣尚未結束。",
+                        auctionNotFound: "區塊鏈上找不到此拍賣。",
+                        alreadyMinted: "此拍品的證書已經發行。",
+                        nothingToWithdraw: "此拍賣已無可提取的款項。",
+                        notAuthorized: "此錢包無權執行此操作。",
+                        invalidRequest: "合約認為此請求無效。",
+                        notTokenOwner: "此錢包並非藏品的持有人。",
+                        alreadyShipped: "此藏品已經寄出。",
+                        invalidShippingAddress: "收件地址未被接受。",
+                        tokenNotFound: "此證書不存在。",
+                        noShippingAddress: "此藏品尚未記錄收件地址。",
+                        paused: "競投暫時停止。",
+                        reentrant: "合約正在處理另一個請求。",
+                        panic: "合約因內部錯誤而停止。",
+                        unknownRevert: "合約拒絕了此交易。",
+                        wrongCurrency: "此拍品以另一種貨幣出價。",
+                        insufficientAllowance: "拍賣合約未獲批准收取此金額的代幣。",
+                        insufficientTokenBalance: "您的錢包中出價貨幣餘額不足。",
+                        permitExpired: "您簽署的支出許可已過期。",
+                        permitInvalid: "支出許可簽名未被接受。",
+                        tokenTransferFailed: "代幣轉帳失敗。",
+                        sanctioned: "此錢包無法參與拍賣。",
+                        accountBlocked: "此帳戶已被封鎖。",
+                        verificationRequired: "出價前需要完成身份驗證。",
+                        kycExpired: "您的身份驗證已過期。",
+                        perTransactionLimit: "此金額超過您的單次出價上限。",
+                        dailyLimit: "此出價將超過您的每日上限。",
+                        monthlyLimit: "此出價將超過您的每月上限。",
+                        manualReview: "您的帳戶需要人工合規審查。",
+                        complianceFailed: "合規檢查未通過。",
+                        userRejected: "您已在錢包中取消請求。",
+                        walletUnauthorized: "錢包尚未授權此網站。",
+                        unsupportedMethod: "您的錢包不支援此請求。",
+                        walletDisconnected: "您的錢包已與網絡斷開。",
+                        unknownChain: "您的錢包尚未加入此網絡。",
+                        requestPending: "錢包中已有一個請求等待您處理。",
+                        insufficientFunds: "您的錢包餘額不足以支付此交易及手續費。",
+                        nonceExpired: "此錢包的另一筆交易已先被確認。",
+                        replacementUnderpriced: "替換交易的手續費過低。",
+                        transactionCancelled: "交易已在錢包中取消。",
+                        transactionReplaced: "交易已被另一筆交易取代。",
+                        transactionDropped: "網絡已捨棄此交易。",
+                        networkError: "無法連接網絡。",
+                        rateLimited: "網絡繁忙。",
+                        unknown: "發生錯誤。"
+                    },
+                    actions: {
+                        raiseBid: "請輸入更高的出價。",
+                        raiseBidTo: "新的最低出價為 {{minimumBid}}。",
+                        browseLots: "瀏覽仍在競投的拍品。",
+                        refresh: "請重新整理頁面以查看最新狀態。",
+                        waitForClose: "請於競投結束後再試。",
+                        viewCollection: "請在我的收藏中查看。",
+                        contactSupport: "請聯絡我們尋求協助。",
+                        switchAccount: "請切換至持有此藏品的錢包。",
+                        trackShipment: "請透過物流追蹤查看進度。",
+                        checkAddress: "請檢查地址後重新提交。",
+                        addAddress: "請在結帳時填寫收件地址。",
+                        tryLater: "請於數分鐘後再試。",
+                        retry: "請再試一次。",
+                        completeVerification: "請完成驗證後再試。",
+                        lowerAmount: "請嘗試較小的金額，或聯絡我們提高上限。",
+                        tryTomorrow: "請明天再試，或聯絡我們提高上限。",
+                        connectWallet: "請重新連接錢包。",
+                        useAnotherWallet: "請嘗試其他錢包。",
+                        reconnect: "請重新連接錢包後再試。",
+                        addNetwork: "請在錢包中同意加入網絡。",
+                        openWallet: "請打開錢包繼續。",
+                        addFunds: "請為錢包增值後再試。",
+                        raiseFee: "請在錢包中提高手續費。",
+                        checkTransactions: "請在交易記錄中查看已完成的交易。"
+                    },
+                    viewTransactions: "查看交易",
+                    viewCollection: "查看收藏",
+                    connect: "連接"
                 },
                 
                 // Footer
@@ -230,7 +1166,15 @@ class I18nManager {
     }
     
     detectLanguage() {
-        // Check localStorage first
+        // A ?lang= in a shared link wins, without changing the stored preference
+        const hashQuery = window.location.hash.split('?')[1] || '';
+        const urlLang = new URLSearchParams(window.location.search).get('lang') ||
+            new URLSearchParams(hashQuery).get('lang');
+        if (urlLang && ['en', 'zh'].includes(urlLang)) {
+            return urlLang;
+        }
+
+        // Then localStorage
         const stored = localStorage.getItem('yizhen_language');
         if (stored && ['en', 'zh'].includes(stored)) {
             return stored;
@@ -336,8 +1280,11 @@ class I18nManager {
         return new Intl.NumberFormat(this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US').format(number);
     }
     
-    // Format currency
+    // Format currency; tokens such as ETH and USDT go through the currency module
     formatCurrency(amount, currency = 'USD') {
+        if (window.CurrencyConverter) {
+            return window.CurrencyConverter.formatAmount(amount, currency, this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US');
+        }
         return new Intl.NumberFormat(this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US', {
             style: 'currency',
             currency: currency,
@@ -355,6 +1302,24 @@ class I18nManager {
         }).format(date);
     }
     
+    // Format a past timestamp relative to now, e.g. "5 minutes ago"
+    formatRelativeTime(timestamp) {
+        const rtf = new Intl.RelativeTimeFormat(this.currentLanguage === 'zh' ? 'zh-TW' : 'en-US', { numeric: 'auto' });
+        const diffSeconds = Math.round((timestamp - Date.now()) / 1000);
+        const units = [
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+        
+        for (const [unit, seconds] of units) {
+            if (Math.abs(diffSeconds) >= seconds) {
+                return rtf.format(Math.round(diffSeconds / seconds), unit);
+            }
+        }
+        return rtf.format(diffSeconds, 'second');
+    }
+    
     // Format time remaining
     formatTimeRemaining(endTime) {
         const now = Date.now();
@@ -365,10 +1330,11 @@ class I18nManager {
         const days = Math.floor(diff / (1000 * 60 * 60 * 24));
         const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
         const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
         
         if (days > 0) return `${days}${this.t('time.days')} ${hours}${this.t('time.hours')}`;
         if (hours > 0) return `${hours}${this.t('time.hours')} ${minutes}${this.t('time.minutes')}`;
-        return `${minutes}${this.t('time.minutes')}`;
+        return `${minutes}${this.t('time.minutes')} ${String(seconds).padStart(2, '0')}${this.t('time.seconds')}`;
     }
 }
 
@@ -0,0 +1,126 @@
+// Lot Comparison for Yizhen Platform
+// Holds the 2-4 lots picked from the grid and keeps their videos playing in step,
+// so glaze and form can be judged side by side at the same point in each rotation.
+
+class LotComparison {
+    constructor({ onChange, minLots, maxLots } = {}) {
+        this.onChange = onChange || (() => {});
+        this.minLots = minLots || 2;
+        this.maxLots = maxLots || 4;
+        this.selected = [];
+        this.videos = [];
+        this.onProgress = () => {};
+        this.driftTolerance = 0.02;
+        this.handleTimeUpdate = this.handleTimeUpdate.bind(this);
+    }
+
+    has(artifactId) {
+        return this.selected.includes(artifactId);
+    }
+
+    getIds() {
+        return [...this.selected];
+    }
+
+    isFull() {
+        return this.selected.length >= this.maxLots;
+    }
+
+    canCompare() {
+        return this.selected.length >= this.minLots;
+    }
+
+    // Returns false when the selection is already full
+    toggle(artifactId) {
+        if (this.has(artifactId)) {
+            this.selected = this.selected.filter(id => id !== artifactId);
+        } else if (this.isFull()) {
+            return false;
+        } else {
+            this.selected.push(artifactId);
+        }
+        this.onChange(this.getIds());
+        return true;
+    }
+
+    clear() {
+        this.selected = [];
+        this.onChange(this.getIds());
+    }
+
+    // The view has one set of controls for all videos, so they cannot drift apart
+    // through individual play/seek. Videos differ in length, so position is a fraction.
+    attachVideos(videos, onProgress) {
+        this.detachVideos();
+        this.videos = videos;
+        this.onProgress = onProgress || (() => {});
+
+        this.videos.forEach(video => {
+            video.muted = true;
+            video.loop = true;
+        });
+        if (this.videos[0]) {
+            this.videos[0].addEventListener('timeupdate', this.handleTimeUpdate);
+        }
+    }
+
+    detachVideos() {
+        if (this.videos[0]) {
+            this.videos[0].removeEventListener('timeupdate', this.handleTimeUpdate);
+        }
+        this.videos.forEach(video => video.pause());
+        this.videos = [];
+    }
+
+    // The first video leads; the others are pulled back when they loop or stall out of step
+    handleTimeUpdate() {
+        const progress = this.getProgress();
+        this.videos.slice(1).forEach(video => {
+            if (!video.paused && Math.abs(this.getProgress(video) - progress) > this.driftTolerance) {
+                this.seekVideo(video, progress);
+            }
+        });
+        this.onProgress(progress);
+    }
+
+    getProgress(video = this.videos[0]) {
+        if (!video || !video.duration || !isFinite(video.duration)) return 0;
+        return video.currentTime / video.duration;
+    }
+
+    seekVideo(video, progress) {
+        if (video.duration && isFinite(video.duration)) {
+            video.currentTime = progress * video.duration;
+        }
+    }
+
+    isPlaying() {
+        return this.videos.some(video => !video.paused);
+    }
+
+    play() {
+        const progress = this.getProgress();
+        this.videos.forEach(video => {
+            this.seekVideo(video, progress);
+            video.play().catch(() => {});
+        });
+    }
+
+    pause() {
+        this.videos.forEach(video => video.pause());
+    }
+
+    seek(progress) {
+        this.videos.forEach(video => this.seekVideo(video, progress));
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.LotComparison = LotComparison;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LotComparison;
+}
@@ -0,0 +1,1294 @@
+// Mock Chain for Yizhen Platform
+// A deterministic, in-browser stand-in for a node running YizhenAuctionMinimal. It answers the
+// EIP-1193 requests ethers makes (calls, gas estimates, transactions, receipts, logs and
+// filters), so demo mode and UI tests go through the same Web3Manager code as a real chain.
+// The catalogue's lots become auctions with a bidding history, blocks are mined with their own
+// timestamps, the contract's checks revert with its own strings, and simulated rivals bid back.
+// Settling a lot mints its YizhenCeramicsNFT to the winner, and the platform ships the piece
+// once the owner has recorded a shipping address.
+// Every random choice comes from a SeededRandom and scenarios script what happens when, so a
+// run can be replayed exactly.
+
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+const ZERO_HASH = '0x' + '0'.repeat(64);
+const GWEI = 1000000000n;
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+// Function selectors of YizhenAuctionMinimal (first four bytes of keccak256 of the signature)
+const FUNCTIONS = {
+    '0x571a26a0': 'auctions',
+    '0x8ddac1ef': 'pendingReturns',
+    '0xde660841': 'paymentTokens',
+    '0x078f0cbb': 'softCloseWindow',
+    '0x7e09f97f': 'softCloseExtension',
+    '0xcdd78cfc': 'platformFeePercentage',
+    '0xfc528482': 'nextAuctionId',
+    '0x8da5cb5b': 'owner',
+    '0x46904840': 'feeRecipient',
+    '0xd56d229d': 'nftContract',
+    '0x5c975abb': 'paused',
+    '0xae063cad': 'createAuction',
+    '0x38e2cc7a': 'setAuctionMetadata',
+    '0x9979ef45': 'placeBid',
+    '0xa089babc': 'placeTokenBid',
+    '0xe2097d3c': 'placeTokenBidWithPermit',
+    '0xb9a2de3a': 'endAuction',
+    '0x2e1a7d4d': 'withdraw'
+};
+
+// Function selectors of YizhenCeramicsNFT; only what the collection and checkout use
+const NFT_FUNCTIONS = {
+    '0x6352211e': 'ownerOf',
+    '0x70a08231': 'balanceOf',
+    '0xc87b56dd': 'tokenURI',
+    '0x5fd56c5b': 'getCeramicDetails',
+    '0xd59a2561': 'updateShippingAddress',
+    '0xf6d2e288': 'markAsShipped',
+    '0x8da5cb5b': 'owner'
+};
+
+const SELECTORS = Object.fromEntries(
+    [...Object.entries(FUNCTIONS), ...Object.entries(NFT_FUNCTIONS)].map(([selector, name]) => [name, selector])
+);
+
+// keccak256 of each event signature
+const TOPICS = {
+    AuctionCreated: '0xe00a2da3a0f34a566402a244ab7ec63f8ab7472591cb18edf3269aa00461a410',
+    BidPlaced: '0x0e54eff26401bf69b81b26f60bd85ef47f5d85275c1d268d84f68d6897431c47',
+    AuctionEnded: '0xd2aa34a4fdbbc6dff6a3e56f46e0f3ae2a31d7785ff3487aa5c95c642acea501',
+    AuctionExtended: '0xd9490a862e96c085ac726226d1d4635ca34842a4fbd0d96c2d662a8a0bea0b49',
+    Transfer: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+    CeramicMinted: '0x4bb0ca0fbb347322cdae9f7a22627cdc95131ad2a0e78064d063fb37d8a809b3',
+    ShippingAddressUpdated: '0xe894261a8ced7f0cb17b55f6224155574ff0ade6b7d867e04c7d11e38a197636',
+    ItemShipped: '0xcf0fd694e510ec292f7614cf0526d885a5c24f34e1369c27243e36bd0e684d06'
+};
+
+// Error(string), the encoding of require() messages
+const ERROR_SELECTOR = '0x08c379a0';
+
+// Roughly what each call costs against the compiled contract
+const GAS_USED = {
+    createAuction: 142000n,
+    setAuctionMetadata: 118000n,
+    placeBid: 96000n,
+    endAuction: 181000n,
+    withdraw: 38000n,
+    updateShippingAddress: 54000n,
+    markAsShipped: 51000n,
+    transfer: 21000n
+};
+
+/**
+ * Scripted sales. rivals: whether simulated bidders answer the collector's bids. leadTimeMs: how
+ * soon the first lot closes when a past sale is moved forward. reserve 'unmet': the target lot is
+ * listed with a reserve above any bid it gets. Each step runs once, `at` 'start', '+90s' after the
+ * chain starts, or 'T-30s' / 'T+5s' around the target lot's current end time; the target is `lot`
+ * (an auction ID) or else the next lot to close.
+ */
+const SCENARIOS = {
+    // A busy sale: rivals usually answer within seconds
+    default: { rivals: true, steps: [] },
+    // Nobody else bids
+    quiet: { rivals: false, steps: [] },
+    // The next lot closes in two minutes and a rival takes the lead 30 seconds before the end,
+    // which the soft close then extends
+    outbidAtClose: {
+        rivals: false,
+        leadTimeMs: 2 * 60 * 1000,
+        steps: [{ at: 'T-30s', action: 'outbid' }]
+    },
+    // The next lot closes in two minutes below its reserve; settling it refunds the leader
+    reserveNotMet: {
+        rivals: true,
+        leadTimeMs: 2 * 60 * 1000,
+        reserve: 'unmet',
+        steps: [{ at: 'T+5s', action: 'endAuction' }]
+    }
+};
+
+class MockChain {
+    /**
+     * @param {Object} options
+     * @param {SeededRandom} options.random Source of every random choice
+     * @param {Array<Object>} [options.artifacts] Catalogue lots; each becomes the auction with its auctionId
+     * @param {string|Object} [options.scenario] A SCENARIOS name or a scenario of the same shape
+     * @param {number} [options.chainId] Reported to the wallet; Web3Manager passes the network's
+     * @param {number} [options.decimals] Of the currency lots are priced in
+     * @param {number} [options.priceRate] Units of that currency per US dollar, since the
+     *   catalogue's prices and estimates are in USD
+     * @param {Function} [options.clock] Milliseconds now; tests pass a manual clock
+     * @param {number} [options.blockTimeMs] How often start() mines a block
+     */
+    constructor({
+        random,
+        artifacts = [],
+        scenario = 'default',
+        chainId = 31337,
+        decimals = 18,
+        priceRate = 1,
+        clock = () => Date.now(),
+        blockTimeMs = 2000,
+        leadTimeMs = 15 * 60 * 1000,
+        softCloseWindow = 300,
+        softCloseExtension = 300,
+        platformFeeBps = 250
+    } = {}) {
+        if (!random) throw new Error('MockChain needs a SeededRandom');
+
+        this.random = random;
+        this.scenario = typeof scenario === 'string' ? SCENARIOS[scenario] : scenario;
+        if (!this.scenario) throw new Error(`Unknown scenario: ${scenario}`);
+        this.chainId = Number(chainId);
+        this.decimals = decimals;
+        this.priceRate = priceRate;
+        this.clock = clock;
+        this.blockTimeMs = blockTimeMs;
+        this.softCloseWindow = BigInt(softCloseWindow);
+        this.softCloseExtension = BigInt(softCloseExtension);
+        this.platformFeeBps = BigInt(platformFeeBps);
+        this.baseFeePerGas = 12n * GWEI;
+        this.priorityFee = GWEI;
+        // How often a rival answers the collector's bid, and after how long
+        this.rivalResponseRate = 0.7;
+        this.rivalDelayMs = [4000, 10000];
+        // How long the platform takes to ship a piece once its address is recorded
+        this.shipDelayMs = 30000;
+
+        // The collector is the demo wallet; the platform owns the contract and settles lots
+        this.accounts = {
+            collector: this.randomAddress(),
+            platform: this.randomAddress(),
+            rivals: Array.from({ length: 5 }, () => this.randomAddress())
+        };
+        this.addresses = { auction: this.randomAddress(), nft: this.randomAddress() };
+
+        const funds = this.toUnits(100000000);
+        this.balances = new Map([this.accounts.collector, ...this.accounts.rivals].map(address => [address, funds]));
+        this.balances.set(this.accounts.platform, 0n);
+        this.nonces = new Map();
+
+        this.blocks = [];
+        this.transactions = new Map();
+        this.receipts = new Map();
+        this.mempool = [];
+        this.logs = [];
+        this.auctions = new Map();
+        this.pendingReturns = new Map();
+        this.nextAuctionId = 0n;
+        this.auctionMetadata = new Map();
+        this.tokens = new Map();
+        this.nextTokenId = 0n;
+
+        this.filters = new Map();
+        this.nextFilterId = 1;
+        this.walletListeners = new Map();
+        this.rivalResponses = [];
+        this.shipments = [];
+        this.steps = this.scenario.steps.map(step => ({ ...step, done: false }));
+        this.timer = null;
+
+        this.startedAt = this.clock();
+        this.genesis(artifacts, this.scenario.leadTimeMs ?? leadTimeMs);
+    }
+
+    // Chain setup
+
+    /**
+     * List the catalogue's lots and replay a bidding history that stops short of now. A sale whose
+     * lots have all closed is moved forward so that the first closes leadTimeMs from now.
+     */
+    genesis(artifacts, leadTimeMs) {
+        const now = this.clock();
+        const lots = [...artifacts].sort((a, b) => a.auctionId - b.auctionId);
+        const ends = lots.map(lot => lot.endTime);
+        const offset = lots.length > 0 && Math.max(...ends) <= now ? now + leadTimeMs - Math.min(...ends) : 0;
+        const nowSeconds = Math.floor(now / 1000);
+        const window = Number(this.softCloseWindow);
+
+        const target = lots
+            .filter(lot => lot.endTime + offset > now)
+            .sort((a, b) => a.endTime - b.endTime)[0];
+
+        const histories = lots.map(lot => {
+            const current = this.toPrice(lot.currentBid);
+            const increment = this.toPrice(lot.minBidIncrement);
+            const endTime = Math.floor((lot.endTime + offset) / 1000);
+
+            // Newest first, stepping back one increment per bid; none lands in the soft close window
+            const bids = [];
+            let timestamp = Math.min(nowSeconds, endTime) - window - this.random.int(60, 3600);
+            let previous = null;
+            for (let i = 0; i < (lot.bidCount || 0); i++) {
+                const amount = current - BigInt(i) * increment;
+                if (amount <= 0n) break;
+
+                const bidder = this.random.pick(this.accounts.rivals.filter(rival => rival !== previous));
+                bids.push({ timestamp, bidder, amount });
+                previous = bidder;
+                timestamp -= this.random.int(600, 6 * 3600 + 600);
+            }
+            bids.reverse();
+
+            const reserve = lot.estimate ? this.toPrice(lot.estimate.low) : 0n;
+            return {
+                lot,
+                endTime,
+                bids,
+                startingPrice: bids.length > 0 ? bids[0].amount : current,
+                reservePrice: this.scenario.reserve === 'unmet' && lot === target ? current * 10n : reserve,
+                increment
+            };
+        });
+
+        const firstBid = Math.min(nowSeconds, ...histories.flatMap(history => history.bids.map(bid => bid.timestamp)));
+        let createdAt = firstBid - 3600;
+        this.mine(createdAt - 1);
+
+        // Listed in auctionId order, so the contract's IDs match the catalogue's; the metadata,
+        // which the NFT is minted with, goes into the next block
+        histories.forEach(history => {
+            createdAt += 1;
+            this.submit({
+                from: this.accounts.platform,
+                to: this.addresses.auction,
+                data: this.encodeCall('createAuction', [
+                    history.startingPrice,
+                    history.reservePrice,
+                    history.increment,
+                    BigInt(history.endTime - createdAt)
+                ])
+            });
+            this.mine(createdAt);
+            this.submit({
+                from: this.accounts.platform,
+                to: this.addresses.auction,
+                data: this.encodeCall('setAuctionMetadata', [
+                    history.lot.auctionId,
+                    history.lot.lotNumber || '',
+                    history.lot.title || '',
+                    history.lot.titleZh || '',
+                    history.lot.dynasty || '',
+                    ''
+                ])
+            });
+        });
+        this.mine(createdAt + 1);
+
+        histories
+            .flatMap(history => history.bids.map(bid => ({ ...bid, auctionId: history.lot.auctionId })))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(bid => {
+                this.submit({
+                    from: bid.bidder,
+                    to: this.addresses.auction,
+                    data: this.encodeCall('placeBid', [bid.auctionId]),
+                    value: bid.amount
+                });
+                this.mine(bid.timestamp);
+            });
+
+        this.runDueSteps(now);
+    }
+
+    // Mine a block every blockTimeMs, running scenario steps and rival bids as they fall due
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.blockTimeMs);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Advance the chain to the clock: send whatever scenario steps, rival bids and shipments are
+     * due, then mine.
+     * @returns {Object} The new block
+     */
+    tick() {
+        const now = this.clock();
+        this.runDueSteps(now);
+        this.runDueRivalResponses(now);
+        this.runDueShipments(now);
+        return this.mine();
+    }
+
+    // Blocks and transactions
+
+    get latestBlock() {
+        return this.blocks[this.blocks.length - 1];
+    }
+
+    // The header a transaction sent now would be mined under
+    nextBlockContext() {
+        const latest = this.latestBlock;
+        return {
+            number: latest ? latest.number + 1 : 0,
+            timestamp: BigInt(Math.max(latest ? latest.timestamp + 1 : 0, Math.floor(this.clock() / 1000)))
+        };
+    }
+
+    /**
+     * Mine the mempool into a block.
+     * @param {number} [timestamp] Seconds; defaults to the clock, and is never before the last block
+     * @returns {Object} The block
+     */
+    mine(timestamp = null) {
+        const latest = this.latestBlock;
+        const block = {
+            number: latest ? latest.number + 1 : 0,
+            hash: this.randomHash(),
+            parentHash: latest ? latest.hash : ZERO_HASH,
+            timestamp: Math.max(latest ? latest.timestamp + 1 : 0, timestamp ?? Math.floor(this.clock() / 1000)),
+            transactions: [],
+            gasUsed: 0n
+        };
+        const context = { number: block.number, timestamp: BigInt(block.timestamp) };
+
+        const pending = this.mempool;
+        this.mempool = [];
+        pending.forEach((tx, index) => {
+            const outcome = this.execute(tx, context);
+            tx.blockNumber = block.number;
+            tx.blockHash = block.hash;
+            tx.transactionIndex = index;
+            block.transactions.push(tx.hash);
+            block.gasUsed += outcome.gasUsed;
+
+            const logs = outcome.logs.map((log, logIndex) => ({
+                ...log,
+                blockNumber: block.number,
+                blockHash: block.hash,
+                transactionHash: tx.hash,
+                transactionIndex: index,
+                logIndex: this.countBlockLogs(block.number) + logIndex
+            }));
+            this.logs.push(...logs);
+            this.receipts.set(tx.hash, {
+                transactionHash: tx.hash,
+                blockNumber: block.number,
+                blockHash: block.hash,
+                transactionIndex: index,
+                from: tx.from,
+                to: tx.to,
+                gasUsed: outcome.gasUsed,
+                cumulativeGasUsed: block.gasUsed,
+                effectiveGasPrice: this.baseFeePerGas + this.priorityFee,
+                status: outcome.revertReason === null ? 1 : 0,
+                revertReason: outcome.revertReason,
+                logs
+            });
+            this.minedNonces(tx.from).count += 1;
+            this.scheduleRivalResponses(logs);
+            this.scheduleShipments(logs);
+        });
+
+        this.blocks.push(block);
+        return block;
+    }
+
+    countBlockLogs(blockNumber) {
+        return this.logs.filter(log => log.blockNumber === blockNumber).length;
+    }
+
+    minedNonces(address) {
+        const key = address.toLowerCase();
+        if (!this.nonces.has(key)) this.nonces.set(key, { count: 0, pending: 0 });
+        return this.nonces.get(key);
+    }
+
+    /**
+     * Queue a transaction for the next block. Like a wallet, it is checked first: a call that
+     * would revert, or more value than the sender holds, is refused rather than queued.
+     * @returns {string} The transaction hash
+     */
+    submit({ from, to, data = '0x', value = 0n }) {
+        const tx = {
+            hash: this.randomHash(),
+            from: from.toLowerCase(),
+            to: to ? to.toLowerCase() : null,
+            data,
+            value: BigInt(value),
+            nonce: 0,
+            blockNumber: null,
+            blockHash: null,
+            transactionIndex: null
+        };
+
+        if ((this.balances.get(tx.from) || 0n) < tx.value) {
+            throw this.rpcError(-32000, 'insufficient funds for gas * price + value');
+        }
+        this.run(tx, this.nextBlockContext(), { dryRun: true });
+
+        const nonces = this.minedNonces(tx.from);
+        tx.nonce = nonces.count + nonces.pending;
+        nonces.pending += 1;
+        this.transactions.set(tx.hash, tx);
+        this.mempool.push(tx);
+        return tx.hash;
+    }
+
+    // A revert is recorded in the receipt; the value only moves when the call succeeds
+    execute(tx, context) {
+        this.minedNonces(tx.from).pending -= 1;
+        try {
+            const { apply, gasUsed } = this.run(tx, context);
+            const balance = this.balances.get(tx.from) || 0n;
+            if (balance < tx.value) throw new ContractRevert(null);
+
+            this.balances.set(tx.from, balance - tx.value);
+            const logs = apply();
+            return { logs, gasUsed, revertReason: null };
+        } catch (error) {
+            if (!(error instanceof ContractRevert)) throw error;
+            return { logs: [], gasUsed: GAS_USED.transfer + 2000n, revertReason: error.reason ?? null };
+        }
+    }
+
+    /**
+     * Run the contract's checks for a call and return what it would change. A failed check
+     * throws an RPC error carrying the revert data, as a node does for eth_call and eth_estimateGas.
+     * @returns {{apply: Function, gasUsed: bigint, result: string}} apply() makes the changes and returns the logs
+     */
+    run(tx, context, { dryRun = false } = {}) {
+        const functions = this.getContractFunctions(tx.to);
+        if (!functions) {
+            // Any other address is a plain account: value moves, nothing runs
+            return {
+                gasUsed: GAS_USED.transfer,
+                result: '0x',
+                apply: () => {
+                    this.credit(tx.to, tx.value);
+                    return [];
+                }
+            };
+        }
+
+        const name = functions[tx.data.slice(0, 10)];
+        const handler = name && this[`${name}Call`];
+        try {
+            if (!handler) throw new ContractRevert(null);
+            return handler.call(this, tx, this.decodeArgs(tx.data), context);
+        } catch (error) {
+            if (!(error instanceof ContractRevert) || !dryRun) throw error;
+            throw this.revertError(error.reason);
+        }
+    }
+
+    getContractFunctions(address) {
+        if (address === this.addresses.auction) return FUNCTIONS;
+        if (address === this.addresses.nft) return NFT_FUNCTIONS;
+        return null;
+    }
+
+    credit(address, amount) {
+        if (!address || amount === 0n) return;
+        this.balances.set(address, (this.balances.get(address) || 0n) + amount);
+    }
+
+    // The contract
+
+    getAuction(auctionId) {
+        return this.auctions.get(BigInt(auctionId)) || {
+            startingPrice: 0n,
+            reservePrice: 0n,
+            minBidIncrement: 0n,
+            highestBid: 0n,
+            startTime: 0n,
+            endTime: 0n,
+            highestBidder: ZERO_ADDRESS,
+            ended: false,
+            nftMinted: false,
+            metadataId: 0n
+        };
+    }
+
+    getPendingReturn(auctionId, address) {
+        return this.pendingReturns.get(`${BigInt(auctionId)}:${address.toLowerCase()}`) || 0n;
+    }
+
+    addPendingReturn(auctionId, address, amount) {
+        const key = `${BigInt(auctionId)}:${address.toLowerCase()}`;
+        this.pendingReturns.set(key, (this.pendingReturns.get(key) || 0n) + amount);
+    }
+
+    view(result) {
+        return { apply: () => [], gasUsed: GAS_USED.transfer, result };
+    }
+
+    auctionsCall(tx, [auctionId]) {
+        const auction = this.getAuction(auctionId);
+        return this.view('0x' + [
+            auction.startingPrice,
+            auction.reservePrice,
+            auction.minBidIncrement,
+            auction.highestBid,
+            auction.startTime,
+            auction.endTime,
+            encodeAddress(auction.highestBidder),
+            auction.ended ? 1n : 0n,
+            auction.nftMinted ? 1n : 0n,
+            auction.metadataId
+        ].map(word).join(''));
+    }
+
+    pendingReturnsCall(tx, [auctionId, bidder]) {
+        return this.view('0x' + word(this.getPendingReturn(auctionId, toAddress(bidder))));
+    }
+
+    // Every mock auction takes the native currency
+    paymentTokensCall() {
+        return this.view('0x' + word(0n));
+    }
+
+    softCloseWindowCall() {
+        return this.view('0x' + word(this.softCloseWindow));
+    }
+
+    softCloseExtensionCall() {
+        return this.view('0x' + word(this.softCloseExtension));
+    }
+
+    platformFeePercentageCall() {
+        return this.view('0x' + word(this.platformFeeBps));
+    }
+
+    nextAuctionIdCall() {
+        return this.view('0x' + word(this.nextAuctionId));
+    }
+
+    ownerCall() {
+        return this.view('0x' + word(encodeAddress(this.accounts.platform)));
+    }
+
+    feeRecipientCall() {
+        return this.view('0x' + word(encodeAddress(this.accounts.platform)));
+    }
+
+    nftContractCall() {
+        return this.view('0x' + word(encodeAddress(this.addresses.nft)));
+    }
+
+    pausedCall() {
+        return this.view('0x' + word(0n));
+    }
+
+    createAuctionCall(tx, [startingPrice, reservePrice, minBidIncrement, duration], context) {
+        require(tx.from === this.accounts.platform, 'Not authorized');
+        require(startingPrice > 0n, 'Invalid price');
+        require(duration >= 3600n && duration <= 30n * 86400n, 'Invalid duration');
+
+        const auctionId = this.nextAuctionId;
+        return {
+            gasUsed: GAS_USED.createAuction,
+            result: '0x' + word(auctionId),
+            apply: () => {
+                this.nextAuctionId += 1n;
+                this.auctions.set(auctionId, {
+                    startingPrice,
+                    reservePrice,
+                    minBidIncrement,
+                    highestBid: 0n,
+                    startTime: context.timestamp,
+                    endTime: context.timestamp + duration,
+                    highestBidder: ZERO_ADDRESS,
+                    ended: false,
+                    nftMinted: false,
+                    metadataId: auctionId
+                });
+                return [this.log('AuctionCreated', [auctionId], [startingPrice])];
+            }
+        };
+    }
+
+    setAuctionMetadataCall(tx, [auctionId, ...offsets]) {
+        require(tx.from === this.accounts.platform, 'Not authorized');
+        require(auctionId < this.nextAuctionId, 'Invalid auction');
+        require(!this.getAuction(auctionId).ended, 'Auction ended');
+        const [lotNumber, title, titleZh, dynasty, tokenURI] = offsets.slice(0, 5).map(offset => decodeString(tx.data, offset));
+
+        return {
+            gasUsed: GAS_USED.setAuctionMetadata,
+            result: '0x',
+            apply: () => {
+                this.auctionMetadata.set(auctionId, { lotNumber, title, titleZh, dynasty, tokenURI });
+                return [];
+            }
+        };
+    }
+
+    placeBidCall(tx, [auctionId], context) {
+        const auction = this.getAuction(auctionId);
+        require(context.timestamp < auction.endTime, 'Ended');
+        require(!auction.ended, 'Already ended');
+        require(tx.value <= MAX_UINT128, 'Invalid price');
+        const minBid = auction.highestBid === 0n ? auction.startingPrice : auction.highestBid + auction.minBidIncrement;
+        require(tx.value >= minBid, 'Bid too low');
+
+        return {
+            gasUsed: GAS_USED.placeBid,
+            result: '0x',
+            apply: () => {
+                if (auction.highestBidder !== ZERO_ADDRESS) {
+                    this.addPendingReturn(auctionId, auction.highestBidder, auction.highestBid);
+                }
+                auction.highestBidder = tx.from;
+                auction.highestBid = tx.value;
+
+                const logs = [this.log('BidPlaced', [auctionId, encodeAddress(tx.from)], [tx.value])];
+                if (auction.endTime - context.timestamp < this.softCloseWindow) {
+                    auction.endTime += this.softCloseExtension;
+                    logs.push(this.log('AuctionExtended', [auctionId], [auction.endTime]));
+                }
+                return logs;
+            }
+        };
+    }
+
+    placeTokenBidCall() {
+        throw new ContractRevert('Native auction');
+    }
+
+    placeTokenBidWithPermitCall() {
+        throw new ContractRevert('Native auction');
+    }
+
+    endAuctionCall(tx, [auctionId], context) {
+        const auction = this.getAuction(auctionId);
+        require(context.timestamp >= auction.endTime, 'Not ended');
+        require(!auction.ended, 'Already ended');
+
+        return {
+            gasUsed: GAS_USED.endAuction,
+            result: '0x',
+            apply: () => {
+                auction.ended = true;
+                if (auction.highestBidder !== ZERO_ADDRESS && auction.highestBid >= auction.reservePrice) {
+                    // Fee and proceeds both go to the platform account here
+                    this.credit(this.accounts.platform, auction.highestBid);
+                    auction.nftMinted = true;
+                    return [
+                        this.log('AuctionEnded', [auctionId], [encodeAddress(auction.highestBidder), auction.highestBid]),
+                        ...this.mintCeramic(auctionId, auction.highestBidder, context)
+                    ];
+                }
+                if (auction.highestBidder !== ZERO_ADDRESS) {
+                    this.addPendingReturn(auctionId, auction.highestBidder, auction.highestBid);
+                }
+                return [];
+            }
+        };
+    }
+
+    withdrawCall(tx, [auctionId]) {
+        const amount = this.getPendingReturn(auctionId, tx.from);
+        require(amount > 0n, 'Nothing to withdraw');
+
+        return {
+            gasUsed: GAS_USED.withdraw,
+            result: '0x',
+            apply: () => {
+                this.pendingReturns.set(`${BigInt(auctionId)}:${tx.from}`, 0n);
+                this.credit(tx.from, amount);
+                return [];
+            }
+        };
+    }
+
+    // The NFT contract
+
+    getToken(tokenId) {
+        const token = this.tokens.get(BigInt(tokenId));
+        require(token, 'ERC721: invalid token ID');
+        return token;
+    }
+
+    // What mintCeramic() does when endAuction() calls it, with the lot's metadata
+    mintCeramic(auctionId, winner, context) {
+        const metadata = this.auctionMetadata.get(auctionId) || { lotNumber: '', title: '', titleZh: '', dynasty: '', tokenURI: '' };
+        const tokenId = this.nextTokenId;
+        this.nextTokenId += 1n;
+        this.tokens.set(tokenId, {
+            owner: winner,
+            lotNumber: metadata.lotNumber,
+            title: metadata.title,
+            titleZh: metadata.titleZh,
+            dynasty: metadata.dynasty,
+            mintedAt: context.timestamp,
+            shipped: false,
+            trackingNumber: '',
+            originalMinter: winner,
+            tokenURI: metadata.tokenURI,
+            shippingAddress: '',
+            certificate: ''
+        });
+
+        const nft = this.addresses.nft;
+        return [
+            this.log('Transfer', [0n, encodeAddress(winner), tokenId], [], nft),
+            this.log('CeramicMinted', [tokenId, encodeAddress(winner)], [metadata.lotNumber], nft)
+        ];
+    }
+
+    ownerOfCall(tx, [tokenId]) {
+        return this.view('0x' + word(encodeAddress(this.getToken(tokenId).owner)));
+    }
+
+    balanceOfCall(tx, [owner]) {
+        const address = toAddress(owner);
+        const count = [...this.tokens.values()].filter(token => token.owner === address).length;
+        return this.view('0x' + word(count));
+    }
+
+    tokenURICall(tx, [tokenId]) {
+        return this.view('0x' + encodeValues([this.getToken(tokenId).tokenURI]));
+    }
+
+    getCeramicDetailsCall(tx, [tokenId]) {
+        const token = this.getToken(tokenId);
+        return this.view('0x' + encodeValues([
+            [
+                token.lotNumber,
+                token.title,
+                token.titleZh,
+                token.dynasty,
+                token.mintedAt,
+                token.shipped,
+                token.trackingNumber,
+                token.originalMinter
+            ],
+            token.tokenURI,
+            token.shippingAddress,
+            token.certificate
+        ]));
+    }
+
+    updateShippingAddressCall(tx, [tokenId, offset]) {
+        const token = this.getToken(tokenId);
+        const shippingAddress = decodeString(tx.data, offset);
+        require(token.owner === tx.from, 'Not the owner');
+        require(!token.shipped, 'Already shipped');
+        require(shippingAddress.length > 0, 'Invalid address');
+
+        return {
+            gasUsed: GAS_USED.updateShippingAddress,
+            result: '0x',
+            apply: () => {
+                token.shippingAddress = shippingAddress;
+                return [this.log('ShippingAddressUpdated', [tokenId, encodeAddress(tx.from)], [], this.addresses.nft)];
+            }
+        };
+    }
+
+    markAsShippedCall(tx, [tokenId, offset]) {
+        require(tx.from === this.accounts.platform, 'Ownable: caller is not the owner');
+        const token = this.getToken(tokenId);
+        require(!token.shipped, 'Already shipped');
+        require(token.shippingAddress.length > 0, 'No shipping address');
+        const trackingNumber = decodeString(tx.data, offset);
+
+        return {
+            gasUsed: GAS_USED.markAsShipped,
+            result: '0x',
+            apply: () => {
+                token.shipped = true;
+                token.trackingNumber = trackingNumber;
+                return [this.log('ItemShipped', [tokenId], [trackingNumber], this.addresses.nft)];
+            }
+        };
+    }
+
+    // Indexed arguments become topics, the rest the data
+    log(event, indexed, values, address = this.addresses.auction) {
+        return {
+            address,
+            topics: [TOPICS[event], ...indexed.map(value => '0x' + word(value))],
+            data: '0x' + encodeValues(values)
+        };
+    }
+
+    // Scenarios and rivals
+
+    getStepTarget(step) {
+        if (step.lot !== undefined) return BigInt(step.lot);
+        let target = null;
+        this.auctions.forEach((auction, auctionId) => {
+            if (auction.ended || auction.endTime * 1000n <= BigInt(this.startedAt)) return;
+            if (!target || auction.endTime < this.getAuction(target).endTime) target = auctionId;
+        });
+        return target;
+    }
+
+    // 'start', '+90s', 'T-30s' or 'T+5s'; T is the target lot's end time as it stands now
+    getStepTime(step, auctionId) {
+        if (step.at === 'start') return this.startedAt;
+        const match = String(step.at).match(/^(T)?([+-])(\d+(?:\.\d+)?)(ms|s|m|h)$/);
+        if (!match) throw new Error(`Unreadable scenario time: ${step.at}`);
+
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        const offset = Number(match[3]) * units[match[4]] * (match[2] === '-' ? -1 : 1);
+        if (!match[1]) return this.startedAt + offset;
+        if (auctionId === null) return null;
+        return Number(this.getAuction(auctionId).endTime) * 1000 + offset;
+    }
+
+    runDueSteps(now) {
+        this.steps.forEach(step => {
+            if (step.done) return;
+            if (step.target === undefined) step.target = this.getStepTarget(step);
+
+            const dueAt = this.getStepTime(step, step.target);
+            if (dueAt === null || dueAt > now) return;
+
+            step.done = true;
+            this.runStep(step);
+        });
+    }
+
+    runStep(step) {
+        const auctionId = step.target;
+        if (auctionId === null) return;
+
+        if (step.action === 'outbid') {
+            this.sendRivalBid(auctionId, 1n, { anyLeader: true });
+        } else if (step.action === 'endAuction') {
+            this.trySubmit({
+                from: this.accounts.platform,
+                to: this.addresses.auction,
+                data: this.encodeCall('endAuction', [auctionId])
+            });
+        } else {
+            throw new Error(`Unknown scenario action: ${step.action}`);
+        }
+    }
+
+    // Rivals answer the collector's bids after a few seconds, one or two increments higher
+    scheduleRivalResponses(logs) {
+        if (!this.scenario.rivals) return;
+        logs
+            .filter(log => log.topics[0] === TOPICS.BidPlaced && toAddress(log.topics[2]) === this.accounts.collector)
+            .forEach(log => {
+                if (!this.random.chance(this.rivalResponseRate)) return;
+                this.rivalResponses.push({
+                    auctionId: BigInt(log.topics[1]),
+                    dueAt: this.clock() + this.random.int(...this.rivalDelayMs),
+                    increments: this.random.chance(0.25) ? 2n : 1n
+                });
+            });
+    }
+
+    runDueRivalResponses(now) {
+        const due = this.rivalResponses.filter(response => response.dueAt <= now);
+        this.rivalResponses = this.rivalResponses.filter(response => response.dueAt > now);
+        due.forEach(response => this.sendRivalBid(response.auctionId, response.increments));
+    }
+
+    // The platform ships a piece shipDelayMs after its owner records an address, by SF Express
+    scheduleShipments(logs) {
+        logs
+            .filter(log => log.topics[0] === TOPICS.ShippingAddressUpdated)
+            .forEach(log => {
+                const tokenId = BigInt(log.topics[1]);
+                if (this.shipments.some(shipment => shipment.tokenId === tokenId)) return;
+                this.shipments.push({ tokenId, dueAt: this.clock() + this.shipDelayMs });
+            });
+    }
+
+    runDueShipments(now) {
+        const due = this.shipments.filter(shipment => shipment.dueAt <= now);
+        this.shipments = this.shipments.filter(shipment => shipment.dueAt > now);
+        due.forEach(shipment => this.trySubmit({
+            from: this.accounts.platform,
+            to: this.addresses.nft,
+            data: this.encodeCall('markAsShipped', [shipment.tokenId, `SF${String(this.random.int(0, 999999999999)).padStart(12, '0')}`])
+        }));
+    }
+
+    // Skipped when the lot has closed, or (unless anyLeader) the collector no longer leads
+    sendRivalBid(auctionId, increments, { anyLeader = false } = {}) {
+        const auction = this.getAuction(auctionId);
+        const now = BigInt(Math.floor(this.clock() / 1000));
+        if (auction.ended || now >= auction.endTime) return null;
+        if (!anyLeader && auction.highestBidder !== this.accounts.collector) return null;
+
+        const amount = auction.highestBid === 0n
+            ? auction.startingPrice
+            : auction.highestBid + increments * auction.minBidIncrement;
+        const rival = this.random.pick(this.accounts.rivals.filter(address => address !== auction.highestBidder));
+        return this.trySubmit({
+            from: rival,
+            to: this.addresses.auction,
+            data: this.encodeCall('placeBid', [auctionId]),
+            value: amount
+        });
+    }
+
+    // Scripted senders give up quietly when the call would revert, as a bot would
+    trySubmit(tx) {
+        try {
+            return this.submit(tx);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // EIP-1193
+
+    async request({ method, params = [] }) {
+        const handler = this.rpcMethods()[method];
+        if (!handler) throw this.rpcError(4200, `The method ${method} is not supported`);
+        return handler(...params);
+    }
+
+    rpcMethods() {
+        const collector = [this.accounts.collector];
+        return {
+            eth_chainId: () => quantity(this.chainId),
+            net_version: () => String(this.chainId),
+            web3_clientVersion: () => 'YizhenMockChain/1.0',
+            eth_accounts: () => collector,
+            eth_requestAccounts: () => collector,
+            eth_blockNumber: () => quantity(this.latestBlock.number),
+            eth_gasPrice: () => quantity(this.baseFeePerGas + this.priorityFee),
+            eth_maxPriorityFeePerGas: () => quantity(this.priorityFee),
+            eth_getBalance: (address) => quantity(this.balances.get(address.toLowerCase()) || 0n),
+            eth_getCode: (address) => this.getContractFunctions(address.toLowerCase()) ? '0x6080604052' : '0x',
+            eth_getTransactionCount: (address, tag) => {
+                const nonces = this.minedNonces(address);
+                return quantity(nonces.count + (tag === 'pending' ? nonces.pending : 0));
+            },
+            eth_getBlockByNumber: (tag, full) => {
+                const block = this.blocks[this.resolveBlockTag(tag)];
+                return block ? this.formatBlock(block, full) : null;
+            },
+            eth_getBlockByHash: (hash, full) => {
+                const block = this.blocks.find(candidate => candidate.hash === hash);
+                return block ? this.formatBlock(block, full) : null;
+            },
+            eth_getTransactionByHash: (hash) => {
+                const tx = this.transactions.get(hash);
+                return tx ? this.formatTransaction(tx) : null;
+            },
+            eth_getTransactionReceipt: (hash) => {
+                const receipt = this.receipts.get(hash);
+                return receipt ? this.formatReceipt(receipt) : null;
+            },
+            eth_call: (tx, tag = 'latest') => this.call(tx, tag),
+            eth_estimateGas: (tx) => {
+                const { gasUsed } = this.run(this.toCall(tx), this.nextBlockContext(), { dryRun: true });
+                return quantity(gasUsed);
+            },
+            eth_sendTransaction: (tx) => this.submit({
+                from: tx.from || this.accounts.collector,
+                to: tx.to,
+                data: tx.data || tx.input || '0x',
+                value: BigInt(tx.value || 0)
+            }),
+            eth_getLogs: (filter) => this.getLogs(filter).map(log => this.formatLog(log)),
+            eth_newFilter: (filter) => this.newFilter({ type: 'logs', filter }),
+            eth_newBlockFilter: () => this.newFilter({ type: 'blocks' }),
+            eth_getFilterChanges: (id) => this.getFilterChanges(id),
+            eth_getFilterLogs: (id) => this.getLogs(this.getFilter(id).filter).map(log => this.formatLog(log)),
+            eth_uninstallFilter: (id) => this.filters.delete(id),
+            wallet_switchEthereumChain: ({ chainId }) => {
+                if (Number(chainId) !== this.chainId) throw this.rpcError(4902, 'Unrecognized chain ID');
+                return null;
+            }
+        };
+    }
+
+    // Wallet events are accepted but never fired: the demo account and chain do not change
+    on(event, listener) {
+        if (!this.walletListeners.has(event)) this.walletListeners.set(event, new Set());
+        this.walletListeners.get(event).add(listener);
+    }
+
+    removeListener(event, listener) {
+        if (this.walletListeners.has(event)) this.walletListeners.get(event).delete(listener);
+    }
+
+    toCall(tx) {
+        return {
+            from: (tx.from || ZERO_ADDRESS).toLowerCase(),
+            to: tx.to ? tx.to.toLowerCase() : null,
+            data: tx.data || tx.input || '0x',
+            value: BigInt(tx.value || 0)
+        };
+    }
+
+    /**
+     * eth_call. Only the latest state is kept, so a call naming the block before one in which the
+     * same call reverted (the state it ran on) fails with the same reason; that is how a tracked
+     * transaction's revert reason is recovered. Anything else runs against the latest block.
+     */
+    call(tx, tag) {
+        const call = this.toCall(tx);
+        const blockNumber = typeof tag === 'string' && tag.startsWith('0x') ? Number(tag) : null;
+        const failed = blockNumber !== null && [...this.receipts.values()].find(receipt => {
+            const mined = this.transactions.get(receipt.transactionHash);
+            return receipt.blockNumber === blockNumber + 1 && receipt.status === 0 &&
+                mined.from === call.from && mined.to === call.to && mined.data === call.data && mined.value === call.value;
+        });
+        if (failed) throw this.revertError(failed.revertReason);
+
+        const block = this.latestBlock;
+        return this.run(call, { number: block.number, timestamp: BigInt(block.timestamp) }, { dryRun: true }).result;
+    }
+
+    // Logs and filters
+
+    resolveBlockTag(tag) {
+        if (tag === undefined || tag === null || ['latest', 'pending', 'safe', 'finalized'].includes(tag)) {
+            return this.latestBlock.number;
+        }
+        if (tag === 'earliest') return 0;
+        return Number(tag);
+    }
+
+    getLogs({ fromBlock, toBlock, address, topics = [], blockHash } = {}) {
+        const from = blockHash ? null : this.resolveBlockTag(fromBlock ?? 'latest');
+        const to = blockHash ? null : this.resolveBlockTag(toBlock ?? 'latest');
+        const addresses = [].concat(address || []).map(value => value.toLowerCase());
+
+        return this.logs.filter(log =>
+            (blockHash ? log.blockHash === blockHash : log.blockNumber >= from && log.blockNumber <= to) &&
+            (addresses.length === 0 || addresses.includes(log.address.toLowerCase())) &&
+            topics.every((wanted, index) => {
+                if (wanted === null || wanted === undefined) return true;
+                const topic = log.topics[index];
+                return topic !== undefined && [].concat(wanted).some(value => value.toLowerCase() === topic);
+            })
+        );
+    }
+
+    newFilter(filter) {
+        const id = quantity(this.nextFilterId++);
+        this.filters.set(id, { ...filter, lastBlock: this.latestBlock.number });
+        return id;
+    }
+
+    getFilter(id) {
+        const filter = this.filters.get(id);
+        if (!filter) throw this.rpcError(-32000, 'filter not found');
+        return filter;
+    }
+
+    getFilterChanges(id) {
+        const filter = this.getFilter(id);
+        const from = filter.lastBlock + 1;
+        const to = this.latestBlock.number;
+        filter.lastBlock = to;
+
+        if (filter.type === 'blocks') return this.blocks.slice(from, to + 1).map(block => block.hash);
+        return this.getLogs({ ...filter.filter, fromBlock: from, toBlock: to }).map(log => this.formatLog(log));
+    }
+
+    // JSON-RPC shapes
+
+    formatBlock(block, full) {
+        return {
+            number: quantity(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: quantity(block.timestamp),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            totalDifficulty: '0x0',
+            gasLimit: quantity(30000000),
+            gasUsed: quantity(block.gasUsed),
+            baseFeePerGas: quantity(this.baseFeePerGas),
+            miner: ZERO_ADDRESS,
+            extraData: '0x',
+            mixHash: ZERO_HASH,
+            sha3Uncles: ZERO_HASH,
+            stateRoot: ZERO_HASH,
+            receiptsRoot: ZERO_HASH,
+            transactionsRoot: ZERO_HASH,
+            logsBloom: '0x' + '0'.repeat(512),
+            uncles: [],
+            transactions: full
+                ? block.transactions.map(hash => this.formatTransaction(this.transactions.get(hash)))
+                : block.transactions
+        };
+    }
+
+    formatTransaction(tx) {
+        return {
+            hash: tx.hash,
+            type: '0x2',
+            chainId: quantity(this.chainId),
+            nonce: quantity(tx.nonce),
+            from: tx.from,
+            to: tx.to,
+            value: quantity(tx.value),
+            input: tx.data,
+            gas: quantity(300000),
+            gasPrice: quantity(this.baseFeePerGas + this.priorityFee),
+            maxFeePerGas: quantity(this.baseFeePerGas * 2n + this.priorityFee),
+            maxPriorityFeePerGas: quantity(this.priorityFee),
+            accessList: [],
+            blockHash: tx.blockHash,
+            blockNumber: tx.blockNumber === null ? null : quantity(tx.blockNumber),
+            transactionIndex: tx.transactionIndex === null ? null : quantity(tx.transactionIndex),
+            // A well-formed but meaningless signature; nothing here is ever verified
+            v: '0x0',
+            yParity: '0x0',
+            r: '0x' + '1'.padStart(64, '0'),
+            s: '0x' + '1'.padStart(64, '0')
+        };
+    }
+
+    formatReceipt(receipt) {
+        return {
+            transactionHash: receipt.transactionHash,
+            transactionIndex: quantity(receipt.transactionIndex),
+            blockHash: receipt.blockHash,
+            blockNumber: quantity(receipt.blockNumber),
+            from: receipt.from,
+            to: receipt.to,
+            contractAddress: null,
+            gasUsed: quantity(receipt.gasUsed),
+            cumulativeGasUsed: quantity(receipt.cumulativeGasUsed),
+            effectiveGasPrice: quantity(receipt.effectiveGasPrice),
+            status: quantity(receipt.status),
+            type: '0x2',
+            logsBloom: '0x' + '0'.repeat(512),
+            logs: receipt.logs.map(log => this.formatLog(log))
+        };
+    }
+
+    formatLog(log) {
+        return {
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            blockNumber: quantity(log.blockNumber),
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            transactionIndex: quantity(log.transactionIndex),
+            logIndex: quantity(log.logIndex),
+            removed: false
+        };
+    }
+
+    // Encoding
+
+    /**
+     * Calldata for a contract function, for scripted senders and tests.
+     * @param {string} name A function of YizhenAuctionMinimal or YizhenCeramicsNFT, e.g. 'placeBid'
+     * @param {Array<bigint|number|string>} args Integers, addresses or strings
+     */
+    encodeCall(name, args = []) {
+        if (!SELECTORS[name]) throw new Error(`Unknown function: ${name}`);
+        return SELECTORS[name] + encodeValues(args);
+    }
+
+    // One word per argument; a string's word is its offset, which decodeString() follows
+    decodeArgs(data) {
+        const body = data.slice(10);
+        return Array.from({ length: Math.floor(body.length / 64) }, (_, index) => BigInt('0x' + body.slice(index * 64, index * 64 + 64)));
+    }
+
+    // A catalogue price in US dollars (e.g. 92000), listed in the currency lots are priced in
+    toPrice(usd) {
+        return this.toUnits(usd * this.priceRate);
+    }
+
+    // Whole amounts (e.g. 23.184) in the currency's smallest unit
+    toUnits(amount) {
+        const [whole, fraction = ''] = Number(amount).toFixed(Math.min(this.decimals, 6)).split('.');
+        return BigInt(whole + fraction.padEnd(this.decimals, '0').slice(0, this.decimals));
+    }
+
+    randomAddress() {
+        return '0x' + this.random.hex(40);
+    }
+
+    randomHash() {
+        return '0x' + this.random.hex(64);
+    }
+
+    rpcError(code, message, data) {
+        return Object.assign(new Error(message), { code, data });
+    }
+
+    // What a node answers when a call reverts: code 3 with Error(string) as the data
+    revertError(reason) {
+        if (reason === null || reason === undefined) return this.rpcError(3, 'execution reverted', '0x');
+        const data = ERROR_SELECTOR + encodeValues([reason]);
+        return Object.assign(this.rpcError(3, `execution reverted: ${reason}`, data), { reason });
+    }
+}
+
+// A failed require(); the chain turns it into a revert error or a failed receipt
+class ContractRevert extends Error {
+    constructor(reason) {
+        super(reason || 'execution reverted');
+        this.reason = reason;
+    }
+}
+
+function require(condition, reason) {
+    if (!condition) throw new ContractRevert(reason);
+}
+
+function quantity(value) {
+    return '0x' + BigInt(value).toString(16);
+}
+
+// One 32-byte ABI word, without the 0x prefix
+function word(value) {
+    return BigInt(value).toString(16).padStart(64, '0');
+}
+
+function encodeAddress(address) {
+    return BigInt(address);
+}
+
+// The low 20 bytes of a word, as a lowercase address
+function toAddress(value) {
+    return '0x' + BigInt(value).toString(16).padStart(40, '0').slice(-40);
+}
+
+/**
+ * ABI-encode values, without the 0x prefix. Integers, booleans and 0x addresses take a word;
+ * other strings and arrays (tuples of those) are dynamic, with their offset in the head.
+ */
+function encodeValues(values) {
+    const dynamic = (value) => Array.isArray(value) || (typeof value === 'string' && !/^0x[0-9a-f]{40}$/i.test(value));
+    let tail = '';
+    const head = values.map(value => {
+        if (!dynamic(value)) return word(typeof value === 'string' ? encodeAddress(value) : BigInt(value));
+        const offset = values.length * 32 + tail.length / 2;
+        tail += Array.isArray(value) ? encodeValues(value) : encodeString(value);
+        return word(offset);
+    });
+    return head.join('') + tail;
+}
+
+// Length, then the UTF-8 bytes padded to whole words
+function encodeString(value) {
+    const text = Array.from(new TextEncoder().encode(value), byte => byte.toString(16).padStart(2, '0')).join('');
+    return word(text.length / 2) + text.padEnd(Math.ceil(text.length / 64) * 64, '0');
+}
+
+// The string argument at a byte offset into the calldata's arguments
+function decodeString(data, offset) {
+    const start = 10 + Number(offset) * 2;
+    const length = Number(BigInt('0x' + data.slice(start, start + 64)));
+    const text = data.slice(start + 64, start + 64 + length * 2);
+    return new TextDecoder().decode(Uint8Array.from(text.match(/../g) || [], byte => parseInt(byte, 16)));
+}
+
+MockChain.SCENARIOS = SCENARIOS;
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.MockChain = MockChain;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockChain;
+}
@@ -0,0 +1,210 @@
+// Network registry for Yizhen Platform
+// One entry per chain the auction can run on: chain ID, RPC and explorer URLs, the deployed
+// auction, NFT and compliance registry addresses, and the currency prices are shown in. Deployments
+// made elsewhere (a fork, a staging contract) are added with register() or window.YIZHEN_NETWORKS.
+
+const DEFAULT_NETWORK = 'sepolia';
+
+const ETHER = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+// A null contract address means the contract is not deployed on that chain yet.
+// A null settlement address means the sale is priced in the chain's native currency. Each
+// auction still names its own payment token on-chain (paymentTokens), which bids are paid in.
+// A null or missing deploymentBlock is looked up from the auction contract's code on first use.
+// addressKeyId names the production key in platform-keys.json that winners' shipping addresses are
+// encrypted to; while it is null, live checkouts on that network cannot save an address.
+const NETWORKS = [
+    {
+        id: 'mainnet',
+        chainId: 1,
+        name: 'Ethereum',
+        nativeCurrency: ETHER,
+        rpcUrls: ['https://ethereum-rpc.publicnode.com'],
+        blockExplorerUrls: ['https://etherscan.io/'],
+        contracts: { auction: null, nft: null, complianceRegistry: null },
+        deploymentBlock: 0,
+        addressKeyId: null,
+        settlement: { symbol: 'USDT', decimals: 6, address: '0xdAC17F958D2ee523a2206206994597C13D831ec7' }
+    },
+    {
+        id: 'arbitrum',
+        chainId: 42161,
+        name: 'Arbitrum One',
+        nativeCurrency: ETHER,
+        rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+        blockExplorerUrls: ['https://arbiscan.io/'],
+        contracts: { auction: null, nft: null, complianceRegistry: null },
+        deploymentBlock: 0,
+        addressKeyId: null,
+        settlement: { symbol: 'USDT', decimals: 6, address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9' }
+    },
+    {
+        id: 'optimism',
+        chainId: 10,
+        name: 'OP Mainnet',
+        nativeCurrency: ETHER,
+        rpcUrls: ['https://mainnet.optimism.io'],
+        blockExplorerUrls: ['https://optimistic.etherscan.io/'],
+        contracts: { auction: null, nft: null, complianceRegistry: null },
+        deploymentBlock: 0,
+        addressKeyId: null,
+        settlement: { symbol: 'USDT', decimals: 6, address: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58' }
+    },
+    {
+        id: 'sepolia',
+        chainId: 11155111,
+        name: 'Sepolia Testnet',
+        nativeCurrency: ETHER,
+        rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com'],
+        blockExplorerUrls: ['https://sepolia.etherscan.io/'],
+        contracts: {
+            auction: '0x2c13b85c1290af3949c48321cbe7bd26c3b659c6',
+            nft: '0x70e14fa0dda8c403da2590283b5201f4b03e42a8',
+            complianceRegistry: null
+        },
+        deploymentBlock: null,
+        addressKeyId: null,
+        settlement: { symbol: 'ETH', decimals: 18, address: null }
+    },
+    {
+        // A fresh Hardhat or Anvil node: the default account's first two deployments, NFT then auction
+        id: 'local',
+        chainId: 31337,
+        name: 'Local Node',
+        nativeCurrency: ETHER,
+        rpcUrls: ['http://127.0.0.1:8545'],
+        blockExplorerUrls: [],
+        contracts: {
+            auction: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+            nft: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+            complianceRegistry: null
+        },
+        deploymentBlock: 0,
+        addressKeyId: null,
+        settlement: { symbol: 'ETH', decimals: 18, address: null },
+        dev: true
+    }
+];
+
+class NetworkRegistry {
+    constructor({ networks = NETWORKS, storageKey = 'yizhen_network', target = typeof window !== 'undefined' ? window : {} } = {}) {
+        this.storageKey = storageKey;
+        this.target = target;
+        this.networks = new Map();
+        networks.forEach(network => this.register(network));
+        (target.YIZHEN_NETWORKS || []).forEach(network => this.register(network));
+    }
+
+    /**
+     * Add a network, or update one by id; only the fields given are replaced.
+     * @param {Object} network id and chainId at least; contracts and settlement merge per field
+     * @returns {Object} The registered entry
+     */
+    register(network) {
+        const existing = this.networks.get(network.id) || {};
+        const entry = {
+            ...existing,
+            ...network,
+            chainId: Number(network.chainId ?? existing.chainId),
+            blockExplorerUrls: network.blockExplorerUrls || existing.blockExplorerUrls || [],
+            contracts: { ...existing.contracts, ...network.contracts },
+            settlement: { ...existing.settlement, ...network.settlement }
+        };
+        this.networks.set(entry.id, entry);
+        return entry;
+    }
+
+    get(id) {
+        return this.networks.get(id) || null;
+    }
+
+    // Wallets report chain IDs as hex strings, ethers as bigints
+    getByChainId(chainId) {
+        if (chainId === null || chainId === undefined) return null;
+        const wanted = Number(chainId);
+        return [...this.networks.values()].find(network => network.chainId === wanted) || null;
+    }
+
+    isDeployed(network) {
+        return !!(network && /^0x[0-9a-fA-F]{40}$/.test(network.contracts.auction || ''));
+    }
+
+    isLocalHost() {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(this.target.location?.hostname);
+    }
+
+    // Dev chains are only offered when the site itself is served locally
+    isAvailable(network) {
+        return this.isDeployed(network) && (!network.dev || this.isLocalHost());
+    }
+
+    /**
+     * Networks a collector can choose between.
+     * @returns {Array<Object>} Deployed networks, in registry order
+     */
+    list() {
+        return [...this.networks.values()].filter(network => this.isAvailable(network));
+    }
+
+    /**
+     * The network to start on: a ?network= parameter, then the collector's last choice, then the
+     * page's yizhen-network meta tag, then the local chain on localhost, then Sepolia.
+     */
+    resolve() {
+        const param = new URLSearchParams(this.target.location?.search || '').get('network');
+        const meta = this.target.document?.querySelector('meta[name="yizhen-network"]')?.content;
+        const stored = this.get(this.readStored());
+
+        return this.get(param) ||
+            (this.isAvailable(stored) ? stored : null) ||
+            this.get(meta) ||
+            (this.isLocalHost() ? this.get('local') : null) ||
+            this.get(DEFAULT_NETWORK);
+    }
+
+    remember(network) {
+        try {
+            this.target.localStorage?.setItem(this.storageKey, network.id);
+        } catch (error) {
+            console.warn('Could not save network choice:', error);
+        }
+    }
+
+    readStored() {
+        try {
+            return this.target.localStorage?.getItem(this.storageKey) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    toHexChainId(network) {
+        return '0x' + network.chainId.toString(16);
+    }
+
+    // Parameters for wallet_addEthereumChain; wallets reject an empty explorer list
+    toChainParams(network) {
+        const params = {
+            chainId: this.toHexChainId(network),
+            chainName: network.name,
+            nativeCurrency: network.nativeCurrency,
+            rpcUrls: network.rpcUrls
+        };
+        if (network.blockExplorerUrls.length > 0) params.blockExplorerUrls = network.blockExplorerUrls;
+        return params;
+    }
+
+    getExplorerUrl(network) {
+        return network && network.blockExplorerUrls[0] ? network.blockExplorerUrls[0] : null;
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.NetworkRegistry = NetworkRegistry;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkRegistry;
+}
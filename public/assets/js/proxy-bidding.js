@@ -0,0 +1,140 @@
+// Proxy (Maximum) Bidding Engine for Yizhen Platform
+// Bids on the collector's behalf, one increment at a time, up to a secret maximum.
+// The maximum never leaves this browser; only the individual bids go on-chain,
+// so the engine works while the page (or a background tab) stays open.
+// Maxima belong to the wallet and chain they were set from, and only run while that wallet is connected.
+
+class ProxyBidEngine {
+    constructor({ placeBid, isLeading, onNotice } = {}) {
+        this.placeBid = placeBid;
+        this.isLeading = isLeading;
+        this.onNotice = onNotice || (() => {});
+        this.storageKey = 'yizhen_proxy_bids';
+        this.pending = new Set();
+        this.account = null;
+        this.chainId = null;
+        this.maxima = this.loadMaxima();
+    }
+
+    // Keyed by account:chainId:auctionId; entries from before accounts were recorded are dropped
+    loadMaxima() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return new Map(Object.entries(stored).filter(([key]) => key.split(':').length === 3));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    saveMaxima() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this.maxima)));
+        } catch (error) {
+            console.warn('Could not persist proxy bids:', error);
+        }
+    }
+
+    /**
+     * Switch to the maxima of the connected wallet; a null account pauses them all.
+     * @param {string|null} account
+     * @param {number|null} chainId
+     */
+    setAccount(account, chainId) {
+        this.account = account ? account.toLowerCase() : null;
+        this.chainId = account ? chainId : null;
+    }
+
+    getKey(artifact) {
+        if (!this.account) return null;
+        return `${this.account}:${this.chainId}:${artifact.auctionId}`;
+    }
+
+    getProxy(artifact) {
+        const key = this.getKey(artifact);
+        return (key && this.maxima.get(key)) || null;
+    }
+
+    // Lowest amount that takes the lead on this lot
+    getNextBid(artifact) {
+        return artifact.currentBid + artifact.minBidIncrement;
+    }
+
+    async setMaximum(artifact, maxAmount) {
+        const key = this.getKey(artifact);
+        if (!key) return false;
+
+        const nextBid = this.getNextBid(artifact);
+        if (!this.isLeading(artifact) && maxAmount < nextBid) {
+            this.onNotice('tooLow', artifact, { amount: nextBid });
+            return false;
+        }
+
+        const existing = this.getProxy(artifact);
+        this.maxima.set(key, {
+            maxAmount,
+            lastBid: existing ? existing.lastBid : 0,
+            exhausted: false,
+            updatedAt: Date.now()
+        });
+        this.saveMaxima();
+        this.onNotice(existing ? 'updated' : 'set', artifact, { amount: maxAmount });
+
+        await this.evaluate(artifact);
+        return true;
+    }
+
+    cancel(artifact) {
+        const key = this.getKey(artifact);
+        if (!key || !this.maxima.delete(key)) return;
+        this.saveMaxima();
+        this.onNotice('cancelled', artifact, {});
+    }
+
+    // Called whenever the lot's price or leader may have changed
+    async evaluate(artifact) {
+        const proxy = this.getProxy(artifact);
+        if (!proxy || proxy.exhausted || this.pending.has(artifact.id)) return;
+        if (artifact.ended || artifact.endTime <= Date.now()) return;
+        if (this.isLeading(artifact)) return;
+
+        // Our last bid has not been reflected in the lot yet
+        if (artifact.currentBid < proxy.lastBid) return;
+
+        const nextBid = this.getNextBid(artifact);
+        if (nextBid > proxy.maxAmount) {
+            proxy.exhausted = true;
+            this.saveMaxima();
+            this.onNotice('exhausted', artifact, { amount: proxy.maxAmount });
+            return;
+        }
+
+        this.pending.add(artifact.id);
+        try {
+            await this.placeBid(artifact, nextBid);
+            proxy.lastBid = nextBid;
+            this.saveMaxima();
+            this.onNotice('placed', artifact, { amount: nextBid });
+        } catch (error) {
+            console.error('Proxy bid failed:', error);
+            this.onNotice('failed', artifact, { amount: nextBid });
+        } finally {
+            this.pending.delete(artifact.id);
+        }
+    }
+
+    evaluateAll(artifacts) {
+        artifacts
+            .filter(artifact => this.getProxy(artifact))
+            .forEach(artifact => this.evaluate(artifact));
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.ProxyBidEngine = ProxyBidEngine;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProxyBidEngine;
+}
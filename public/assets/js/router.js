@@ -0,0 +1,94 @@
+// URL Router for Yizhen Platform
+// Keeps the selected lot, dynasty filter, sort, search and language in the address bar,
+// e.g. /lot/001?lang=zh or /?filter=song&sort=ending. Hosts without the /lot/* rewrite
+// (file://, plain static servers) fall back to hash routes: /#/lot/001?lang=zh.
+
+class AppRouter {
+    constructor({ onRoute, mode } = {}) {
+        this.onRoute = onRoute || (() => {});
+        this.mode = mode || (window.location.protocol === 'file:' ? 'hash' : 'path');
+        this.lotPattern = /^\/lot\/([^/?#]+)\/?$/;
+        this.defaults = { lot: null, filter: 'all', sort: 'lot', q: '', lang: null };
+        this.handlePopState = () => this.onRoute(this.parse());
+    }
+
+    start() {
+        window.addEventListener('popstate', this.handlePopState);
+        return this.parse();
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+
+    // Route state from a location; either form is accepted whatever the current mode
+    parse(location = window.location) {
+        let path = location.pathname;
+        let query = location.search;
+
+        if (location.hash.startsWith('#/')) {
+            const hash = location.hash.slice(1);
+            const queryStart = hash.indexOf('?');
+            path = queryStart === -1 ? hash : hash.slice(0, queryStart);
+            query = queryStart === -1 ? query : hash.slice(queryStart);
+        }
+
+        const params = new URLSearchParams(query);
+        const lotMatch = path.match(this.lotPattern);
+
+        return {
+            lot: lotMatch ? decodeURIComponent(lotMatch[1]) : null,
+            filter: params.get('filter') || this.defaults.filter,
+            sort: params.get('sort') || this.defaults.sort,
+            q: params.get('q') || this.defaults.q,
+            lang: params.get('lang') || this.defaults.lang
+        };
+    }
+
+    // Defaults are left out so shared links stay short
+    buildUrl(state) {
+        const path = state.lot ? `/lot/${encodeURIComponent(state.lot)}` : '/';
+        const params = new URLSearchParams();
+
+        ['filter', 'sort', 'q'].forEach(key => {
+            if (state[key] && state[key] !== this.defaults[key]) {
+                params.set(key, state[key]);
+            }
+        });
+        if (state.lang) params.set('lang', state.lang);
+
+        const query = params.toString() ? `?${params.toString()}` : '';
+        return this.mode === 'hash' ? `${window.location.pathname}#${path}${query}` : `${path}${query}`;
+    }
+
+    currentUrl() {
+        const { pathname, search, hash } = window.location;
+        return this.mode === 'hash' ? `${pathname}${hash}` : `${pathname}${search}`;
+    }
+
+    /**
+     * Record a new state in the address bar.
+     * @param {Object} state Route state: lot, filter, sort, q, lang
+     * @param {Object} options replace: update the current history entry instead of adding one
+     */
+    navigate(state, { replace = false } = {}) {
+        const url = this.buildUrl(state);
+        if (url === this.currentUrl()) return;
+
+        if (replace) {
+            window.history.replaceState(state, '', url);
+        } else {
+            window.history.pushState(state, '', url);
+        }
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.AppRouter = AppRouter;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppRouter;
+}
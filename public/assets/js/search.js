@@ -0,0 +1,286 @@
+// Catalogue Search for Yizhen Platform
+// Client-side full-text index over artifacts.json with faceted filtering.
+// Chinese text is folded to Simplified and matched as substrings, so queries need
+// no word segmentation and 鈞窯 finds 钧窑 (and vice versa).
+
+// Traditional -> Simplified characters common in catalogue text
+const TRADITIONAL_CHARS = '鈞窯龍盤壺爐盞蓋紋開圖書畫館歐購測試熱釋確認證實時間當與為這體現藝術國寶歷傳統華製燒還銅綠紅藍黃狀況極輕損徵態約徑參見獻載於宮類對倫號記錄價賣編競標結錢連網絡頁種關們個來後從會說讓發經過應無樣進動點質邊線層變幾雙環龜鳳鶴雲纏蓮葉魚獸馬鳥蟲亞東陽陰風氣瑩潤澤濃細膩緻緣處內頸廠產區縣鎮題詩舊歲萬壽慶鵝麗紀譜鑑鑒賞學報誌雜隻組鳧鴨屬嬰戲嚴莊簡優際廣場構設計殘補復衝擊燈燭鍾鐘樸純釦鑲飾輪條筆硯滌權貴榮歸屆陳鄭劉張楊趙吳孫馮蘇韓蕭鄧羅謝許蔣範錦繡紗絲綢緞帶劃長門問聞閣樓臺灣島嶺峽巖濱灘湯溫漢滿遼淺滄鬱慮憂懷戀義禮樂聖傑偉勝麼麵髮鬆釐鐵銀鉛錫鋼鑄鍍塗飛靈顏頭頂願顆額顯餘饒驗鬥齊齒龐灑傘僅儀億兒兩冊凈凍則剛創劇勁務勞勢勵匯協卻雖雞離難電靜響頓領頻鬧魯鮮鹽麥黨龕';
+const SIMPLIFIED_CHARS = '钧窑龙盘壶炉盏盖纹开图书画馆欧购测试热释确认证实时间当与为这体现艺术国宝历传统华制烧还铜绿红蓝黄状况极轻损征态约径参见献载于宫类对伦号记录价卖编竞标结钱连网络页种关们个来后从会说让发经过应无样进动点质边线层变几双环龟凤鹤云缠莲叶鱼兽马鸟虫亚东阳阴风气莹润泽浓细腻致缘处内颈厂产区县镇题诗旧岁万寿庆鹅丽纪谱鉴鉴赏学报志杂只组凫鸭属婴戏严庄简优际广场构设计残补复冲击灯烛钟钟朴纯扣镶饰轮条笔砚涤权贵荣归届陈郑刘张杨赵吴孙冯苏韩萧邓罗谢许蒋范锦绣纱丝绸缎带划长门问闻阁楼台湾岛岭峡岩滨滩汤温汉满辽浅沧郁虑忧怀恋义礼乐圣杰伟胜么面发松厘铁银铅锡钢铸镀涂飞灵颜头顶愿颗额显余饶验斗齐齿庞洒伞仅仪亿儿两册净冻则刚创剧劲务劳势励汇协却虽鸡离难电静响顿领频闹鲁鲜盐麦党龛';
+
+class CatalogueSearch {
+    constructor(artifacts = []) {
+        this.fieldWeights = {
+            title: 6,
+            titleZh: 6,
+            chinese: 6,
+            dynastyInfo: 3,
+            dynastyInfoZh: 3,
+            description: 2,
+            descriptionZh: 2,
+            provenance: 1,
+            provenanceZh: 1,
+            literature: 1,
+            literatureZh: 1
+        };
+
+        // Checked in order; the first ware named in a lot's title wins
+        this.wareKeywords = [
+            ['jun', ['jun', '钧']],
+            ['ru', ['ru', '汝']],
+            ['ge', ['ge', '哥窑']],
+            ['guan', ['guan', '官窑']],
+            ['ding', ['ding', '定窑']],
+            ['longquan', ['longquan', '龙泉']],
+            ['yaozhou', ['yaozhou', '耀州']],
+            ['cizhou', ['cizhou', '磁州']],
+            ['jian', ['jian', '建窑', '建盏']],
+            ['qingbai', ['qingbai', '青白']],
+            ['blueAndWhite', ['blue and white', 'blue-and-white', '青花']],
+            ['celadon', ['celadon', '青瓷']]
+        ];
+
+        this.estimateRanges = [
+            { id: 'under25k', min: 0, max: 25000 },
+            { id: '25kTo75k', min: 25000, max: 75000 },
+            { id: '75kTo150k', min: 75000, max: 150000 },
+            { id: 'over150k', min: 150000, max: Infinity }
+        ];
+
+        this.timeRanges = [
+            { id: 'hour', max: 60 * 60 * 1000 },
+            { id: 'day', max: 24 * 60 * 60 * 1000 },
+            { id: 'week', max: 7 * 24 * 60 * 60 * 1000 },
+            { id: 'later', max: Infinity }
+        ];
+
+        this.foldMap = new Map();
+        for (let i = 0; i < TRADITIONAL_CHARS.length; i++) {
+            this.foldMap.set(TRADITIONAL_CHARS[i], SIMPLIFIED_CHARS[i]);
+        }
+
+        this.index = [];
+        this.build(artifacts);
+    }
+
+    build(artifacts) {
+        this.index = artifacts.map(artifact => {
+            const fields = {};
+            Object.keys(this.fieldWeights).forEach(field => {
+                if (artifact[field]) fields[field] = this.normalize(artifact[field]);
+            });
+            return { artifact, fields, ware: artifact.ware || this.detectWare(artifact) };
+        });
+    }
+
+    // Character-for-character normalisation, so offsets map back onto the original
+    normalize(text) {
+        let result = '';
+        for (const char of String(text)) {
+            const folded = this.foldMap.get(char) || char;
+            const plain = folded.normalize('NFD').replace(/[̀-ͯ]/g, '');
+            result += (plain.length === folded.length ? plain : folded).toLowerCase();
+        }
+        return result;
+    }
+
+    isCJK(char) {
+        return /[㐀-鿿豈-﫿]/.test(char);
+    }
+
+    // Latin words are whitespace-separated terms; each CJK run is one substring term
+    tokenize(query) {
+        const terms = [];
+        const normalized = this.normalize(query.trim());
+        const pattern = /[㐀-鿿豈-﫿]+|[a-z0-9]+(?:[-'][a-z0-9]+)*/g;
+        let match;
+        while ((match = pattern.exec(normalized)) !== null) {
+            terms.push({ text: match[0], cjk: this.isCJK(match[0][0]) });
+        }
+        return terms;
+    }
+
+    findTerm(text, term) {
+        if (term.cjk) return text.indexOf(term.text);
+
+        // Latin terms match at the start of a word, so "ru" finds "Ru ware" but not "Peru"
+        const pattern = new RegExp(`(^|[^a-z0-9])${term.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+        const match = pattern.exec(text);
+        return match ? match.index + match[1].length : -1;
+    }
+
+    detectWare(artifact) {
+        const sources = [artifact.title, artifact.titleZh, artifact.chinese, artifact.description]
+            .filter(Boolean)
+            .map(text => this.normalize(text));
+
+        for (const source of sources) {
+            for (const [ware, keywords] of this.wareKeywords) {
+                const found = keywords.some(keyword =>
+                    this.findTerm(source, { text: keyword, cjk: this.isCJK(keyword[0]) }) !== -1
+                );
+                if (found) return ware;
+            }
+        }
+        return 'other';
+    }
+
+    getEstimateRange(artifact) {
+        const range = this.estimateRanges.find(r => artifact.estimate.low >= r.min && artifact.estimate.low < r.max);
+        return range ? range.id : null;
+    }
+
+    getBidStatus(artifact) {
+        if (!artifact.bidCount) return 'noBids';
+        if (artifact.currentBid < artifact.estimate.low) return 'belowEstimate';
+        if (artifact.currentBid > artifact.estimate.high) return 'aboveEstimate';
+        return 'withinEstimate';
+    }
+
+    getTimeRange(artifact, now = Date.now()) {
+        const remaining = artifact.endTime - now;
+        if (artifact.ended || remaining <= 0) return 'ended';
+        return this.timeRanges.find(r => remaining <= r.max).id;
+    }
+
+    getFacetValues(entry) {
+        return {
+            dynasty: entry.artifact.dynasty,
+            ware: entry.ware,
+            estimate: this.getEstimateRange(entry.artifact),
+            bidStatus: this.getBidStatus(entry.artifact),
+            timeRemaining: this.getTimeRange(entry.artifact)
+        };
+    }
+
+    matchesFacets(values, facets, except = null) {
+        return Object.entries(facets).every(([facet, selected]) =>
+            facet === except || !selected || selected === 'all' || values[facet] === selected
+        );
+    }
+
+    scoreEntry(entry, terms) {
+        let score = 0;
+        for (const term of terms) {
+            let termScore = 0;
+            for (const [field, text] of Object.entries(entry.fields)) {
+                const position = this.findTerm(text, term);
+                if (position !== -1) {
+                    // Earlier hits in a field count slightly more
+                    termScore += this.fieldWeights[field] * (1 + 1 / (1 + position / 50));
+                }
+            }
+            // Every term must match somewhere
+            if (termScore === 0) return 0;
+            score += termScore;
+        }
+        return score;
+    }
+
+    /**
+     * Search the catalogue.
+     * @param {string} query Free text in English or Chinese (Traditional or Simplified)
+     * @param {Object} facets Selected value per facet: dynasty, ware, estimate, bidStatus, timeRemaining
+     * @returns {{results: Array<{artifact: Object, score: number}>, facetCounts: Object}}
+     */
+    search(query = '', facets = {}) {
+        const terms = this.tokenize(query);
+        const matched = [];
+
+        this.index.forEach(entry => {
+            const score = terms.length ? this.scoreEntry(entry, terms) : 1;
+            if (score > 0) matched.push({ entry, score, values: this.getFacetValues(entry) });
+        });
+
+        // Each facet's counts ignore its own selection, so other options stay reachable
+        const facetCounts = {};
+        ['dynasty', 'ware', 'estimate', 'bidStatus', 'timeRemaining'].forEach(facet => {
+            facetCounts[facet] = {};
+            matched
+                .filter(m => this.matchesFacets(m.values, facets, facet))
+                .forEach(m => {
+                    const value = m.values[facet];
+                    facetCounts[facet][value] = (facetCounts[facet][value] || 0) + 1;
+                });
+        });
+
+        const results = matched
+            .filter(m => this.matchesFacets(m.values, facets))
+            .sort((a, b) => b.score - a.score)
+            .map(m => ({ artifact: m.entry.artifact, score: m.score }));
+
+        return { results, facetCounts };
+    }
+
+    findRanges(text, query) {
+        const normalized = this.normalize(text);
+        const ranges = [];
+        this.tokenize(query).forEach(term => {
+            let offset = 0;
+            let position;
+            while ((position = this.findTerm(normalized.slice(offset), term)) !== -1) {
+                ranges.push([offset + position, offset + position + term.text.length]);
+                offset += position + term.text.length;
+            }
+        });
+
+        // Merge overlapping ranges
+        ranges.sort((a, b) => a[0] - b[0]);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+            return merged;
+        }, []);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // HTML-escaped text with query matches wrapped in <mark>
+    highlight(text, query) {
+        if (!text) return '';
+        const chars = Array.from(String(text));
+        const ranges = query ? this.findRanges(text, query) : [];
+        if (ranges.length === 0) return this.escapeHtml(text);
+
+        let html = '';
+        let cursor = 0;
+        ranges.forEach(([start, end]) => {
+            html += this.escapeHtml(chars.slice(cursor, start).join(''));
+            html += `<mark>${this.escapeHtml(chars.slice(start, end).join(''))}</mark>`;
+            cursor = end;
+        });
+        return html + this.escapeHtml(chars.slice(cursor).join(''));
+    }
+
+    // Short highlighted excerpt around the first match, or '' when nothing matches
+    snippet(text, query, radius = 40) {
+        if (!text || !query) return '';
+        const ranges = this.findRanges(text, query);
+        if (ranges.length === 0) return '';
+
+        const chars = Array.from(String(text));
+        const start = Math.max(0, ranges[0][0] - radius);
+        const end = Math.min(chars.length, ranges[0][1] + radius);
+        const excerpt = chars.slice(start, end).join('');
+        return `${start > 0 ? '…' : ''}${this.highlight(excerpt, query)}${end < chars.length ? '…' : ''}`;
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.CatalogueSearch = CatalogueSearch;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogueSearch;
+}
@@ -0,0 +1,60 @@
+// Seeded Random for Yizhen Platform
+// A small deterministic generator (mulberry32) for demo mode and tests: the same seed always
+// gives the same sequence, so a simulated sale, its bidders and their timing can be replayed.
+
+// Strings such as a ?seed= parameter are hashed (FNV-1a) into the 32-bit state
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed Numbers are used as they are; strings are hashed
+     */
+    constructor(seed = 1) {
+        this.seed = seed;
+        this.state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+    }
+
+    // A float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // An integer in [min, max], both included
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // length random hex digits, without a 0x prefix
+    hex(length) {
+        return Array.from({ length }, () => Math.floor(this.next() * 16).toString(16)).join('');
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
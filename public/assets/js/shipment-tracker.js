@@ -0,0 +1,177 @@
+// Shipment Tracker for Yizhen Platform
+// Builds a won lot's delivery timeline from three sources: the NFT contract's
+// ShippingAddressUpdated and ItemShipped events, the courier's scan events via a registered
+// CarrierAdapter, and the collector's own confirmation that the piece arrived.
+// Courier APIs need credentials, so they are reached through the tracking endpoint (a proxy
+// that returns the carrier's response unchanged); adapters parse that response. Signed receipts
+// are recorded through the confirmation endpoint.
+
+class ShipmentTracker {
+    constructor({ adapters = [], endpoint, confirmationEndpoint, fetchImpl } = {}) {
+        this.adapters = [];
+        this.endpoint = endpoint || '/api/tracking/{carrier}/{number}';
+        this.confirmationEndpoint = confirmationEndpoint || '/api/shipments/confirm';
+        this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+        adapters.forEach(adapter => this.register(adapter));
+    }
+
+    // Adapters are tried in registration order when a number carries no carrier hint
+    register(adapter) {
+        this.adapters = this.adapters.filter(existing => existing.id !== adapter.id);
+        this.adapters.push(adapter);
+        return this;
+    }
+
+    getAdapter(id) {
+        return this.adapters.find(adapter => adapter.id === id) || null;
+    }
+
+    /**
+     * Work out which carrier issued a tracking number.
+     * @param {string} raw Tracking number as written by markAsShipped(); an optional
+     *   "carrier:" prefix (e.g. "FEDEX:7712 3456 7890") settles numbers several carriers share
+     * @returns {Object|null} adapter and canonical number, or null if no carrier recognises it
+     */
+    detect(raw) {
+        const text = String(raw ?? '').trim();
+        const separator = text.indexOf(':');
+
+        if (separator > 0) {
+            const hint = text.slice(0, separator).trim().toUpperCase();
+            const adapter = this.adapters.find(candidate => candidate.aliases.includes(hint));
+            if (adapter) {
+                const number = adapter.normalize(text.slice(separator + 1));
+                return number ? { adapter, number } : null;
+            }
+        }
+
+        for (const adapter of this.adapters) {
+            const number = adapter.normalize(text);
+            if (number) return { adapter, number };
+        }
+        return null;
+    }
+
+    async fetchEvents(adapter, number) {
+        const url = this.endpoint
+            .replace('{carrier}', adapter.id)
+            .replace('{number}', encodeURIComponent(number));
+        const response = await this.fetchImpl(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return adapter.parseResponse(await response.json());
+    }
+
+    /**
+     * Courier scan events for a tracking number.
+     * @returns {Promise<Object>} carrier, carrierName, number, url and events; error is set
+     *   when the courier could not be reached, carrier is null when the number is unrecognised
+     */
+    async track(raw) {
+        const detected = this.detect(raw);
+        if (!detected) {
+            return { carrier: null, carrierName: null, number: String(raw ?? '').trim(), url: null, events: [], error: null };
+        }
+
+        const { adapter, number } = detected;
+        const result = {
+            carrier: adapter.id,
+            carrierName: adapter.name,
+            number,
+            url: adapter.trackingUrl(number),
+            events: [],
+            error: null
+        };
+
+        try {
+            result.events = await this.fetchEvents(adapter, number);
+        } catch (error) {
+            console.warn(`Could not track ${adapter.name} ${number}:`, error.message);
+            result.error = error.message;
+        }
+        return result;
+    }
+
+    /**
+     * The statement a collector signs to confirm receipt. api/shipments/confirm.js rebuilds it
+     * from the posted fields, so the signature covers every one of them.
+     * @param {Object} confirmation tokenId, lotNumber, trackingNumber, chainId, confirmedAt
+     * @returns {string}
+     */
+    static confirmationMessage({ tokenId, lotNumber, trackingNumber, chainId, confirmedAt }) {
+        return [
+            'Yizhen Platform delivery confirmation',
+            `Token: #${tokenId}`,
+            `Lot: ${lotNumber}`,
+            `Tracking: ${trackingNumber}`,
+            `Chain ID: ${chainId}`,
+            `Received: ${new Date(confirmedAt).toISOString()}`
+        ].join('\n');
+    }
+
+    /**
+     * Record a signed receipt with the platform.
+     * @param {Object} confirmation The confirmationMessage() fields plus owner and signature
+     * @returns {Promise<Object>} The receipt as recorded, including the signed message
+     */
+    async submitConfirmation(confirmation) {
+        const response = await this.fetchImpl(this.confirmationEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(confirmation)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        return body;
+    }
+
+    isDelivered(events) {
+        return events.some(event => event.status === 'delivered' || event.status === 'received');
+    }
+
+    /**
+     * Merge every source into one chronological timeline.
+     * @param {Object} sources chainEvents: from Web3Manager.getShipmentEvents();
+     *   carrierEvents: from track(); confirmation: the collector's receipt record, if any
+     * @returns {Array<Object>} Events with time, status, location, description and source;
+     *   events without a time are kept at the end in their original order
+     */
+    buildTimeline({ chainEvents = [], carrierEvents = [], confirmation = null } = {}) {
+        const seen = new Set();
+        const events = [...chainEvents, ...carrierEvents].filter(event => {
+            const key = `${event.source}|${event.time}|${event.status}|${event.description || ''}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        if (confirmation) {
+            events.push({
+                time: confirmation.confirmedAt,
+                status: 'received',
+                location: '',
+                description: '',
+                source: 'collector'
+            });
+        }
+
+        return events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => {
+                if (a.event.time === null && b.event.time === null) return a.index - b.index;
+                if (a.event.time === null) return 1;
+                if (b.event.time === null) return -1;
+                return a.event.time - b.event.time || a.index - b.index;
+            })
+            .map(({ event }) => event);
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.ShipmentTracker = ShipmentTracker;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShipmentTracker;
+}
@@ -0,0 +1,112 @@
+// Sign-In With Ethereum messages for Yizhen Platform
+// Builds, parses and checks EIP-4361 messages. The browser builds the message the wallet signs;
+// the /api/auth/verify handler parses the same text back and checks it was issued for this site,
+// with the nonce it handed out, and is still within its validity window.
+
+const SIWE_FIELDS = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+};
+
+class SiweMessage {
+    constructor({ domain, address, statement = null, uri, version = '1', chainId, nonce, issuedAt, expirationTime = null, notBefore = null, requestId = null }) {
+        this.domain = domain;
+        this.address = address;
+        this.statement = statement;
+        this.uri = uri;
+        this.version = version;
+        this.chainId = Number(chainId);
+        this.nonce = nonce;
+        this.issuedAt = issuedAt;
+        this.expirationTime = expirationTime;
+        this.notBefore = notBefore;
+        this.requestId = requestId;
+    }
+
+    // The exact text the wallet signs; the field order is fixed by EIP-4361
+    toString() {
+        const lines = [
+            `${this.domain} wants you to sign in with your Ethereum account:`,
+            this.address,
+            ''
+        ];
+        // The blank line after the statement stays when there is no statement
+        if (this.statement) lines.push(this.statement);
+        lines.push(
+            '',
+            `URI: ${this.uri}`,
+            `Version: ${this.version}`,
+            `Chain ID: ${this.chainId}`,
+            `Nonce: ${this.nonce}`,
+            `Issued At: ${this.issuedAt}`
+        );
+        if (this.expirationTime) lines.push(`Expiration Time: ${this.expirationTime}`);
+        if (this.notBefore) lines.push(`Not Before: ${this.notBefore}`);
+        if (this.requestId) lines.push(`Request ID: ${this.requestId}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Read a signed message back into its fields.
+     * @returns {SiweMessage|null} null when the text is not an EIP-4361 message
+     */
+    static parse(text) {
+        const lines = String(text ?? '').split('\n');
+        const header = (lines[0] || '').match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?(\S+) wants you to sign in with your Ethereum account:$/i);
+        if (!header || !/^0x[0-9a-fA-F]{40}$/.test(lines[1] || '') || lines[2] !== '') return null;
+
+        let index = 3;
+        let statement = null;
+        if (lines[index] !== '') {
+            statement = lines[index];
+            index += 1;
+        }
+        if (lines[index] !== '') return null;
+        index += 1;
+
+        const fields = {};
+        for (const line of lines.slice(index)) {
+            const separator = line.indexOf(': ');
+            const field = SIWE_FIELDS[line.slice(0, separator)];
+            // Resources and anything unknown are not used by this site
+            if (separator < 0 || !field) continue;
+            fields[field] = line.slice(separator + 2);
+        }
+
+        if (!fields.uri || fields.version !== '1' || !/^\d+$/.test(fields.chainId || '') ||
+            !/^[a-zA-Z0-9]{8,}$/.test(fields.nonce || '') || isNaN(Date.parse(fields.issuedAt))) {
+            return null;
+        }
+
+        return new SiweMessage({ domain: header[1], address: lines[1], statement, ...fields });
+    }
+
+    /**
+     * Check the message against what the verifier expects.
+     * @param {Object} expected domain (the site's host), nonce (the one issued), now
+     * @returns {string|null} 'domain', 'nonce', 'expired' or 'notYetValid', or null if valid
+     */
+    validate({ domain, nonce, now = Date.now() }) {
+        if (this.domain !== domain) return 'domain';
+        if (!nonce || this.nonce !== nonce) return 'nonce';
+        if (this.expirationTime && !(Date.parse(this.expirationTime) > now)) return 'expired';
+        if (this.notBefore && Date.parse(this.notBefore) > now) return 'notYetValid';
+        return null;
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.SiweMessage = SiweMessage;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiweMessage;
+}
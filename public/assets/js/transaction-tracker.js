@@ -0,0 +1,318 @@
+// Transaction Tracker for Yizhen Platform
+// Follows every wallet transaction (bids, withdrawals, claims, address updates) from
+// submission until it settles: pending, confirmed with a confirmation count, failed with its
+// revert reason, sped up, cancelled, replaced or dropped. Hashes are kept in localStorage
+// so a transaction sent before a reload is picked up again by polling the provider.
+
+class TransactionTracker {
+    constructor({ storageKey, onChange, confirmationsTarget = 3, pollInterval = 4000, maxEntries = 50 } = {}) {
+        this.storageKey = storageKey || 'yizhen_transactions';
+        this.onChange = onChange || (() => {});
+        this.confirmationsTarget = confirmationsTarget;
+        this.pollInterval = pollInterval;
+        this.maxEntries = maxEntries;
+        // Replacements are looked for this far back from the current block
+        this.replacementScanBlocks = 200;
+        // A transaction the node has never seen is given up on after this long
+        this.dropAfterMs = 30 * 60 * 1000;
+
+        this.provider = null;
+        this.demo = false;
+        this.pollTimer = null;
+        this.polling = false;
+        this.waiters = new Map();
+        this.records = this.loadRecords();
+    }
+
+    loadRecords() {
+        try {
+            const records = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return records.map(record => {
+                if (record.status !== 'pending') return record;
+                // Demo transactions went to a mock chain that is rebuilt on reload; real ones have
+                // no caller waiting any more, which `resumed` tells listeners
+                return record.demo ? { ...record, status: 'dropped' } : { ...record, resumed: true };
+            });
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records.slice(0, this.maxEntries)));
+        } catch (error) {
+            console.warn('Could not store transactions:', error);
+        }
+    }
+
+    // demo: the provider is the demo's mock chain, so only demo transactions are looked up on it
+    setProvider(provider, { demo = false } = {}) {
+        this.provider = provider;
+        this.demo = demo;
+        this.schedule();
+    }
+
+    get(hash) {
+        return this.records.find(record => record.hash === hash) || null;
+    }
+
+    // Newest first; account and chainId narrow the list to the connected wallet and network
+    list({ account, chainId } = {}) {
+        return this.records.filter(record =>
+            (!account || !record.from || record.from.toLowerCase() === account.toLowerCase()) &&
+            (!chainId || !record.chainId || record.chainId === String(chainId))
+        );
+    }
+
+    isSettled(record) {
+        if (record.status === 'confirmed') return record.confirmations >= this.confirmationsTarget;
+        return record.status !== 'pending';
+    }
+
+    /**
+     * Start tracking a submitted transaction.
+     * @param {Object} tx ethers TransactionResponse
+     * @param {Object} meta kind ('bid' | 'withdraw' | 'claim' | 'address'), details for display,
+     *   demo for transactions sent in demo mode
+     * @returns {Object} The stored record
+     */
+    track(tx, { kind, details = {}, demo = false, replaces = null } = {}) {
+        const record = {
+            hash: tx.hash,
+            kind,
+            details,
+            from: tx.from || null,
+            to: tx.to || null,
+            nonce: tx.nonce ?? null,
+            data: tx.data || '0x',
+            value: tx.value !== undefined && tx.value !== null ? tx.value.toString() : '0',
+            chainId: tx.chainId !== undefined && tx.chainId !== null ? tx.chainId.toString() : null,
+            startBlock: tx.blockNumber ?? null,
+            submittedAt: Date.now(),
+            status: 'pending',
+            confirmations: 0,
+            blockNumber: null,
+            revertReason: null,
+            replacedBy: null,
+            replacement: null,
+            replaces,
+            demo
+        };
+
+        this.records = [record, ...this.records.filter(existing => existing.hash !== record.hash)];
+        this.save();
+        this.onChange(record, null);
+        this.schedule();
+        return record;
+    }
+
+    update(hash, changes) {
+        const record = this.get(hash);
+        if (!record) return null;
+
+        const previousStatus = record.status;
+        Object.assign(record, changes);
+        this.save();
+        this.onChange(record, previousStatus);
+        this.settleWaiters(record);
+        return record;
+    }
+
+    remove(hash) {
+        this.records = this.records.filter(record => record.hash !== hash);
+        this.save();
+        this.onChange(null, null);
+    }
+
+    clearSettled() {
+        this.records = this.records.filter(record => record.status === 'pending');
+        this.save();
+        this.onChange(null, null);
+    }
+
+    /**
+     * Resolve once the transaction, or the speed-up that replaced it, is mined successfully.
+     * @returns {Promise<Object>} The confirmed record; rejects with an Error carrying
+     *   `transaction` (the final record) when it fails, is cancelled, replaced or dropped
+     */
+    wait(hash) {
+        return new Promise((resolve, reject) => {
+            const waiters = this.waiters.get(hash) || [];
+            waiters.push({ resolve, reject });
+            this.waiters.set(hash, waiters);
+
+            const record = this.get(hash);
+            if (record) this.settleWaiters(record);
+        });
+    }
+
+    settleWaiters(record) {
+        const waiters = this.waiters.get(record.hash);
+        if (!waiters || record.status === 'pending') return;
+
+        // A speed-up carries the original's waiters over to the new hash
+        if (record.replacement === 'speedUp' && record.replacedBy) {
+            this.waiters.delete(record.hash);
+            this.waiters.set(record.replacedBy, [...(this.waiters.get(record.replacedBy) || []), ...waiters]);
+            const replacement = this.get(record.replacedBy);
+            if (replacement) this.settleWaiters(replacement);
+            return;
+        }
+
+        this.waiters.delete(record.hash);
+        if (record.status === 'confirmed') {
+            waiters.forEach(waiter => waiter.resolve(record));
+            return;
+        }
+
+        const error = new Error(record.revertReason || `Transaction ${record.status}`);
+        error.transaction = record;
+        waiters.forEach(waiter => waiter.reject(error));
+    }
+
+    schedule() {
+        if (this.pollTimer || !this.provider) return;
+        if (!this.records.some(record => this.isPolled(record))) return;
+
+        this.pollTimer = setTimeout(async () => {
+            this.pollTimer = null;
+            await this.poll();
+            this.schedule();
+        }, this.pollInterval);
+    }
+
+    isPolled(record) {
+        return !!record.demo === this.demo && !this.isSettled(record);
+    }
+
+    async poll() {
+        if (this.polling || !this.provider) return;
+        this.polling = true;
+
+        try {
+            const latestBlock = await this.provider.getBlockNumber();
+            const unsettled = this.records.filter(record => this.isPolled(record));
+            for (const record of unsettled) {
+                try {
+                    await this.refresh(record, latestBlock);
+                } catch (error) {
+                    console.warn(`Could not refresh transaction ${record.hash}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.warn('Transaction polling failed:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async refresh(record, latestBlock) {
+        const receipt = await this.provider.getTransactionReceipt(record.hash);
+
+        if (receipt) {
+            const confirmations = Math.max(1, latestBlock - receipt.blockNumber + 1);
+            if (receipt.status === 0) {
+                const revertReason = record.revertReason || await this.getRevertReason(record, receipt);
+                this.update(record.hash, { status: 'failed', blockNumber: receipt.blockNumber, confirmations, revertReason });
+            } else if (record.status !== 'confirmed' || record.confirmations !== confirmations) {
+                this.update(record.hash, { status: 'confirmed', blockNumber: receipt.blockNumber, confirmations });
+            }
+            return;
+        }
+
+        const tx = await this.provider.getTransaction(record.hash);
+        if (tx) {
+            // Still in the mempool; remember where to start looking if it is ever replaced
+            if (record.startBlock === null) {
+                record.startBlock = latestBlock;
+                if (record.nonce === null) record.nonce = tx.nonce;
+                this.save();
+            }
+            return;
+        }
+
+        if (record.from && record.nonce !== null) {
+            const minedNonce = await this.provider.getTransactionCount(record.from, 'latest');
+            if (minedNonce > record.nonce) {
+                await this.resolveReplacement(record, latestBlock);
+                return;
+            }
+        }
+
+        if (Date.now() - record.submittedAt > this.dropAfterMs) {
+            this.update(record.hash, { status: 'dropped' });
+        }
+    }
+
+    // The nonce was used by another transaction: find it and classify it the way wallets do
+    async resolveReplacement(record, latestBlock) {
+        const replacement = await this.findReplacement(record, latestBlock);
+        if (!replacement) {
+            this.update(record.hash, { status: 'replaced' });
+            return;
+        }
+
+        const kind = this.classifyReplacement(record, replacement);
+        if (kind === 'speedUp') {
+            this.track(replacement, { kind: record.kind, details: record.details, replaces: record.hash });
+            this.update(record.hash, { status: 'replaced', replacedBy: replacement.hash, replacement: kind });
+            await this.refresh(this.get(replacement.hash), latestBlock);
+        } else {
+            this.update(record.hash, {
+                status: kind === 'cancel' ? 'cancelled' : 'replaced',
+                replacedBy: replacement.hash,
+                replacement: kind
+            });
+        }
+    }
+
+    async findReplacement(record, latestBlock) {
+        const from = record.from.toLowerCase();
+        const firstBlock = Math.max(record.startBlock ?? 0, latestBlock - this.replacementScanBlocks);
+
+        for (let blockNumber = latestBlock; blockNumber >= firstBlock; blockNumber--) {
+            const block = await this.provider.getBlock(blockNumber, true);
+            const transactions = (block && block.prefetchedTransactions) || [];
+            const match = transactions.find(tx => tx.from.toLowerCase() === from && tx.nonce === record.nonce);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // Same call with a higher fee is a speed-up; an empty self-transfer is a cancellation
+    classifyReplacement(record, tx) {
+        const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+        const value = tx.value !== undefined && tx.value !== null ? tx.value.toString() : '0';
+
+        if (same(tx.to, record.from) && value === '0' && (tx.data || '0x') === '0x') return 'cancel';
+        if (same(tx.to, record.to) && same(tx.data, record.data) && value === record.value) return 'speedUp';
+        return 'replaced';
+    }
+
+    // Re-run the call on the state it was mined on top of (the previous block) to recover the revert message
+    async getRevertReason(record, receipt) {
+        try {
+            await this.provider.call({
+                from: record.from,
+                to: record.to,
+                data: record.data,
+                value: record.value,
+                blockTag: receipt.blockNumber - 1
+            });
+            return null;
+        } catch (error) {
+            return error.reason || (error.revert && error.revert.args && error.revert.args[0]) || error.shortMessage || error.message;
+        }
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.TransactionTracker = TransactionTracker;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionTracker;
+}
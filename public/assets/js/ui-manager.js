@@ -55,12 +55,13 @@ export class UIManager {
         this.enhanceAriaLabels();
     }
 
-    // Toast notification system
-    showToast(message, type = 'info', duration = 4000) {
+    // Toast notification system; action is an optional { label, onClick } button
+    showToast(message, type = 'info', duration = 4000, action = null) {
         const toast = {
             message,
             type,
             duration,
+            action,
             id: Date.now() + Math.random()
         };
 
@@ -118,8 +119,15 @@ export class UIManager {
         toastElement.setAttribute('aria-live', 'polite');
         toastElement.innerHTML = `
             <span class="toast-message">${toast.message}</span>
+            ${toast.action ? `<button class="toast-action">${toast.action.label}</button>` : ''}
             <button class="toast-close" aria-label="Close notification">&times;</button>
         `;
+
+        if (toast.action) {
+            toastElement.querySelector('.toast-action').addEventListener('click', () => {
+                toast.action.onClick();
+            });
+        }
         
         // Add close button functionality
         toastElement.querySelector('.toast-close').addEventListener('click', (e) => {
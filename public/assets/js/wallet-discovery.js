@@ -0,0 +1,106 @@
+// Wallet Discovery for Yizhen Platform
+// Finds every installed browser wallet through EIP-6963, where MetaMask, OKX, Coinbase Wallet,
+// Rabby, TokenPocket and others each announce their own EIP-1193 provider instead of competing
+// for window.ethereum. Remembers the wallet the collector last connected with. Wallets that only
+// inject window.ethereum are offered as a single "browser wallet" when nothing announces.
+
+class WalletDiscovery {
+    constructor({ storageKey, onChange, target } = {}) {
+        this.storageKey = storageKey || 'yizhen_wallet';
+        this.onChange = onChange || (() => {});
+        this.target = target || window;
+        // Keyed by rdns: it is stable across page loads, the announced uuid is not
+        this.wallets = new Map();
+        this.handleAnnouncement = this.handleAnnouncement.bind(this);
+    }
+
+    // Wallets answer the request synchronously; ones injected later announce on their own
+    start() {
+        this.target.addEventListener('eip6963:announceProvider', this.handleAnnouncement);
+        this.target.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    stop() {
+        this.target.removeEventListener('eip6963:announceProvider', this.handleAnnouncement);
+    }
+
+    // Resolves once slow extensions have had a moment to announce
+    settle(ms = 150) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    handleAnnouncement(event) {
+        const { info, provider } = event.detail || {};
+        if (!info || !info.rdns || !provider || typeof provider.request !== 'function') return;
+
+        const existing = this.wallets.get(info.rdns);
+        if (existing && existing.provider === provider) return;
+
+        const wallet = {
+            id: String(info.rdns),
+            name: String(info.name || info.rdns),
+            icon: this.safeIcon(info.icon),
+            provider
+        };
+        this.wallets.set(wallet.id, wallet);
+        this.onChange(wallet);
+    }
+
+    // EIP-6963 icons are data URIs; anything else would load from a third party
+    safeIcon(icon) {
+        return typeof icon === 'string' && /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/i.test(icon) ? icon : null;
+    }
+
+    /**
+     * Installed wallets, the last used one first.
+     * @returns {Array<Object>} id (rdns, or 'injected' for a legacy window.ethereum), name
+     *   (null for the legacy wallet), icon (data URI or null) and the EIP-1193 provider
+     */
+    list() {
+        const wallets = [...this.wallets.values()];
+        if (wallets.length === 0 && this.target.ethereum) {
+            wallets.push({ id: 'injected', name: null, icon: null, provider: this.target.ethereum });
+        }
+
+        const lastUsed = this.getLastUsed();
+        return wallets.sort((a, b) => (b.id === lastUsed) - (a.id === lastUsed));
+    }
+
+    get(id) {
+        return this.list().find(wallet => wallet.id === id) || null;
+    }
+
+    getLastUsed() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    remember(wallet) {
+        try {
+            localStorage.setItem(this.storageKey, wallet.id);
+        } catch (error) {
+            console.warn('Could not store wallet choice:', error);
+        }
+    }
+
+    forget() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear wallet choice:', error);
+        }
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.WalletDiscovery = WalletDiscovery;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WalletDiscovery;
+}
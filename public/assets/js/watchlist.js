@@ -0,0 +1,139 @@
+// Watchlist for Yizhen Platform
+// Lots a collector follows, kept in localStorage per wallet address. Visitors without a
+// wallet get an anonymous list, which is merged into their wallet's list on connect.
+// Raises an alert once when a watched lot is outbid and once when it enters its final hour.
+
+class Watchlist {
+    constructor({ onChange, onAlert, finalHourMs } = {}) {
+        this.onChange = onChange || (() => {});
+        this.onAlert = onAlert || (() => {});
+        this.finalHourMs = finalHourMs || 60 * 60 * 1000;
+        this.storageKey = 'yizhen_watchlist';
+        this.anonymousOwner = 'anonymous';
+        this.owner = this.anonymousOwner;
+
+        // Last known leading state per lot, so outbids are only reported on the transition
+        this.leading = new Map();
+        this.lists = this.loadLists();
+    }
+
+    loadLists() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveLists() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.lists));
+        } catch (error) {
+            console.warn('Could not persist watchlist:', error);
+        }
+    }
+
+    getList(owner = this.owner) {
+        if (!this.lists[owner]) {
+            this.lists[owner] = { ids: [], alerted: {} };
+        }
+        return this.lists[owner];
+    }
+
+    // Switch to a wallet's list (or back to the anonymous one with a null address)
+    setOwner(address) {
+        const owner = address ? address.toLowerCase() : this.anonymousOwner;
+        if (owner === this.owner) return;
+
+        if (owner !== this.anonymousOwner) {
+            const anonymous = this.getList(this.anonymousOwner);
+            const list = this.getList(owner);
+            anonymous.ids.forEach(id => {
+                if (!list.ids.includes(id)) list.ids.push(id);
+            });
+        }
+
+        this.owner = owner;
+        this.leading.clear();
+        this.saveLists();
+        this.onChange(this.getIds());
+    }
+
+    getIds() {
+        return [...this.getList().ids];
+    }
+
+    has(artifactId) {
+        return this.getList().ids.includes(artifactId);
+    }
+
+    add(artifactId) {
+        if (this.has(artifactId)) return;
+        this.getList().ids.push(artifactId);
+        this.saveLists();
+        this.onChange(this.getIds());
+    }
+
+    remove(artifactId) {
+        const list = this.getList();
+        if (!list.ids.includes(artifactId)) return;
+
+        list.ids = list.ids.filter(id => id !== artifactId);
+        delete list.alerted[artifactId];
+        this.leading.delete(artifactId);
+        this.saveLists();
+        this.onChange(this.getIds());
+    }
+
+    // Returns whether the lot is watched afterwards
+    toggle(artifactId) {
+        if (this.has(artifactId)) {
+            this.remove(artifactId);
+            return false;
+        }
+        this.add(artifactId);
+        return true;
+    }
+
+    markAlerted(artifactId, type, value) {
+        const list = this.getList();
+        list.alerted[artifactId] = { ...list.alerted[artifactId], [type]: value };
+        this.saveLists();
+    }
+
+    /**
+     * Check a watched lot for alerts after its price, leader or clock changed.
+     * @param {Object} artifact The lot
+     * @param {boolean} isLeading Whether the current wallet (or demo bidder) holds the lead
+     */
+    check(artifact, isLeading) {
+        if (!this.has(artifact.id)) return;
+
+        const alerted = this.getList().alerted[artifact.id] || {};
+        const wasLeading = this.leading.get(artifact.id);
+        this.leading.set(artifact.id, isLeading);
+
+        // Keyed by price so each outbid is reported once, even across reloads
+        if (wasLeading && !isLeading && alerted.outbid !== artifact.currentBid) {
+            this.markAlerted(artifact.id, 'outbid', artifact.currentBid);
+            this.onAlert('outbid', artifact);
+        }
+
+        // Once per lot; soft-close extensions keep it in the final hour rather than re-entering it
+        const remaining = artifact.endTime - Date.now();
+        if (!artifact.ended && remaining > 0 && remaining <= this.finalHourMs && !alerted.finalHour) {
+            this.markAlerted(artifact.id, 'finalHour', true);
+            this.onAlert('finalHour', artifact);
+        }
+    }
+}
+
+// Initialize global constructor
+if (typeof window !== 'undefined') {
+    window.Watchlist = Watchlist;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Watchlist;
+}
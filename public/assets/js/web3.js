@@ -1,60 +1,220 @@
 // Web3 Manager Module - Fixed Version
+
+// Typed clients generated from the contracts by scripts/extract-abi.js
+import { YizhenAuctionMinimalClient } from '../abi/auction.js';
+import { YizhenCeramicsNFTClient } from '../abi/nft.js';
+
+// The parts of ERC-20 and EIP-2612 a token-settled bid touches. Tokens are third-party
+// contracts, so this is written out here rather than generated by scripts/extract-abi.js.
+const ERC20_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function version() view returns (string)'
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
 export class Web3Manager {
     constructor() {
+        // The wallet's provider signs; readProvider reads over the network's own RPC, wallet or not
         this.provider = null;
+        this.readProvider = null;
         this.signer = null;
         this.userAccount = null;
         this.auctionContract = null;
-        this.erc404Contract = null;
+        this.auctionReadContract = null;
+        this.nftReadContract = null;
+        this.nftContract = null;
         
-        // Initialize contractAddresses first
-        this.contractAddresses = {
-            auction: "0x2c13b85c1290af3949c48321cbe7bd26c3b659c6",
-            nft: "0x70e14fa0dda8c403da2590283b5201f4b03e42a8"
-        };
+        // tokenURI metadata is immutable once pinned, so it is fetched once per URI
+        this.ipfsGateway = 'https://ipfs.io/ipfs/';
+        this.tokenMetadata = new Map();
+        
+        // Bid amounts are denominated in the settlement token's smallest unit; set per network
+        this.bidDecimals = 6;
+        this.settlementSymbol = null;
+        
+        // Each auction is paid in ETH or in one ERC-20 token, fixed when it is created
+        this.auctionCurrencies = new Map();
+        this.permitLifetimeSeconds = 20 * 60;
+        
+        // Live auction feed state
+        this.eventBackfillBlocks = 5000;
+        this.seenAuctionLogs = new Set();
+        
+        // First block worth scanning for full bid histories; set per network, or looked up
+        // once from the auction contract's code and kept under deploymentBlockStorageKey
+        this.deploymentBlock = 0;
+        this.deploymentBlockLookup = null;
+        this.deploymentBlockStorageKey = 'yizhen_deployment_block';
+        this.blockTimestamps = new Map();
+        
+        // Public RPCs cap eth_getLogs ranges, so history is read in windows of this many blocks
+        this.logChunkBlocks = 10000;
+        
+        // Every wallet transaction is followed until it settles, across reloads
+        this.transactions = window.TransactionTracker
+            ? new window.TransactionTracker({
+                onChange: (record, previousStatus) => this.notifyTransactionChanged(record, previousStatus)
+            })
+            : null;
+        
+        // Installed wallets announce themselves (EIP-6963); the chosen one's provider is this.ethereum
+        this.ethereum = null;
+        this.wallet = null;
+        this.walletListeners = null;
+        this.wallets = window.WalletDiscovery
+            ? new window.WalletDiscovery({ onChange: wallet => this.notifyWalletsChanged(wallet) })
+            : null;
+        if (this.wallets) this.wallets.start();
         
-        // Then check demo mode
+        // Sign-In With Ethereum session; the server's cookie is the source of truth
+        this.authEndpoint = '/api/auth';
+        this.sessionDurationMs = 24 * 60 * 60 * 1000;
+        this.session = null;
+        this.sessionTimer = null;
+        
+        // Chain, contract addresses and settlement token come from the network registry
+        this.networks = window.NetworkRegistry ? new window.NetworkRegistry() : null;
+        this.network = null;
+        this.contractAddresses = {};
+        if (this.networks) this.applyNetwork(this.networks.resolve());
+        
+        // Demo mode is opt-in (?demo=1 or the demo switch) and remembered until switched off
+        this.demoStorageKey = 'yizhen_demo';
+        this.demoRequested = this.readDemoPreference();
         this.isDemo = this.checkDemoMode();
         
-        this.networkConfig = {
-            chainId: 11155111n, // Sepolia testnet
-            chainName: 'Sepolia Testnet',
-            nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-            rpcUrls: ['https://sepolia.infura.io/v3/'],
-            blockExplorerUrls: ['https://sepolia.etherscan.io/']
-        };
+        // Demo bids go to an in-browser chain (MockChain); ?seed= and ?scenario= replay a sale
+        this.mockChain = null;
+        this.demoSeed = 'yizhen';
+        this.demoWallet = null;
     }
 
+    // A network without contracts has nothing to read, so it can only be shown as a demo
     checkDemoMode() {
-        return !window.ethereum || 
-               !this.contractAddresses?.auction?.startsWith('0x') || 
-               this.contractAddresses.auction === "0x1234567890123456789012345678901234567890";
+        return this.demoRequested || !this.canGoLive();
+    }
+
+    canGoLive() {
+        return !!this.networks && this.networks.isDeployed(this.network);
+    }
+
+    // ?demo=1 and ?demo=0 override the stored choice and replace it
+    readDemoPreference() {
+        const param = new URLSearchParams(window.location.search).get('demo');
+        if (param === '1' || param === '0') {
+            this.rememberDemoPreference(param === '1');
+            return param === '1';
+        }
+
+        try {
+            return localStorage.getItem(this.demoStorageKey) === '1';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    rememberDemoPreference(enabled) {
+        try {
+            localStorage.setItem(this.demoStorageKey, enabled ? '1' : '0');
+        } catch (error) {
+            console.warn('Could not save demo mode choice:', error);
+        }
+    }
+
+    /**
+     * Turn demo mode on or off. Demo and live lots come from different sources, so the page reloads.
+     * @param {boolean} enabled
+     */
+    setDemoMode(enabled) {
+        this.rememberDemoPreference(enabled);
+        const url = new URL(window.location.href);
+        url.searchParams.delete('demo');
+        window.location.assign(url.toString());
+    }
+
+    applyNetwork(network) {
+        this.network = network;
+        this.contractAddresses = { ...network.contracts };
+        this.deploymentBlock = network.deploymentBlock ?? null;
+        this.deploymentBlockLookup = null;
+        this.bidDecimals = network.settlement.decimals;
+        this.settlementSymbol = network.settlement.symbol;
+    }
+
+    /**
+     * Networks the collector can switch between.
+     * @returns {Array<Object>} Registry entries (see NetworkRegistry.list())
+     */
+    getNetworks() {
+        // The mock chain stands in for whichever network was picked, so there is nothing to switch to
+        if (this.mockChain) return [];
+        return this.networks ? this.networks.list() : [];
+    }
+
+    // Whether the wallet's provider is on the chain the contracts were loaded for
+    async isOnNetwork() {
+        if (!this.provider || !this.network) return false;
+        const { chainId } = await this.provider.getNetwork();
+        return chainId === BigInt(this.network.chainId);
     }
 
     async init() {
         try {
-            if (!window.ethereum) {
-                console.log('MetaMask not detected - running in demo mode');
-                return;
+            if (this.wallets) {
+                await this.wallets.settle();
             }
 
-            // Wait for ethers to be available
-            await this.waitForEthers();
+            // Wait for ethers to be available; without it the catalogue's prices are all there is
+            if (!(await this.waitForEthers())) {
+                console.warn('ethers.js unavailable - showing catalogue prices only');
+                return;
+            }
+            this.setReadProvider(this.network);
 
-            this.provider = new ethers.BrowserProvider(window.ethereum);
-            
-            // Check if already connected
-            const accounts = await this.provider.listAccounts();
-            if (accounts.length > 0) {
-                this.userAccount = accounts[0].address;
-                this.signer = await this.provider.getSigner();
-                await this.updateWalletUI();
-                await this.checkNetwork();
-                await this.initializeContracts();
+            // A demo connects its own wallet; otherwise the last used one, if it is still
+            // installed, is reconnected silently. Other installed wallets wait to be picked.
+            const lastUsed = this.wallets ? this.wallets.getLastUsed() : null;
+            const wallet = lastUsed ? this.getWallets().find(candidate => candidate.id === lastUsed) : null;
+            if (this.isDemo) {
+                await this.startMockChain();
+            } else if (wallet) {
+                this.selectWallet(wallet);
+                this.provider = new ethers.BrowserProvider(this.ethereum);
+                if (this.transactions) this.transactions.setProvider(this.provider);
+                
+                // Check if already connected
+                const accounts = await this.provider.listAccounts();
+                if (accounts.length > 0) {
+                    this.userAccount = accounts[0].address;
+                    this.signer = await this.provider.getSigner();
+                    await this.updateWalletUI();
+                    await this.checkNetwork();
+                    await this.initializeContracts();
+                    this.notifyAccountChanged();
+                }
+                await this.loadSession();
+            } else {
+                console.log('No wallet to reconnect - reading the chain without one');
             }
             
-            // Listen for account and network changes
-            this.setupEventListeners();
+            // Stream bids into the UI; reading logs does not need a wallet
+            await this.subscribeToAuctionEvents();
             
             if (this.isDemo) {
                 this.showDemoNotification();
@@ -65,16 +225,90 @@ export class Web3Manager {
         }
     }
 
-    async waitForEthers() {
+    /**
+     * Demo mode runs the production code path against a MockChain: the catalogue's lots are listed
+     * on it with their bidding so far, and the collector holds a funded account already connected.
+     */
+    async startMockChain() {
+        if (!window.MockChain || !window.SeededRandom) {
+            console.warn('Mock chain unavailable - showing catalogue prices only');
+            return;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        let scenario = params.get('scenario') || 'default';
+        if (!window.MockChain.SCENARIOS[scenario]) {
+            console.warn(`Unknown demo scenario "${scenario}" - using the default`);
+            scenario = 'default';
+        }
+
+        // Listing dollar prices as they are would price lot 001 at 92,000 ETH
+        const priceRate = await this.loadDemoPriceRate(this.settlementSymbol);
+        if (!priceRate) {
+            console.warn(`No ${this.settlementSymbol} rate for the catalogue's USD prices - showing catalogue prices only`);
+            return;
+        }
+
+        this.mockChain = new window.MockChain({
+            artifacts: await this.loadDemoArtifacts(),
+            random: new window.SeededRandom(params.get('seed') || this.demoSeed),
+            scenario,
+            chainId: this.network?.chainId,
+            decimals: this.network?.nativeCurrency.decimals,
+            priceRate
+        });
+        this.contractAddresses = { ...this.contractAddresses, ...this.mockChain.addresses };
+        this.deploymentBlock = 0;
+        this.demoWallet = { id: 'demo', name: 'Demo', icon: null, provider: this.mockChain };
+        this.selectWallet(this.demoWallet);
+
+        this.provider = new ethers.BrowserProvider(this.ethereum);
+        this.provider.pollingInterval = this.mockChain.blockTimeMs;
+        this.readProvider = this.provider;
+        if (this.transactions) this.transactions.setProvider(this.provider, { demo: true });
+
+        [this.userAccount] = await this.mockChain.request({ method: 'eth_accounts' });
+        this.signer = await this.provider.getSigner();
+        await this.initializeContracts();
+        await this.updateWalletUI();
+        this.notifyAccountChanged();
+        this.mockChain.start();
+    }
+
+    // The same catalogue the page shows, so every lot has an auction with its ID
+    async loadDemoArtifacts() {
+        try {
+            const response = await fetch('/assets/data/artifacts.json');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (error) {
+            return window.artifactsData || [];
+        }
+    }
+
+    // Settlement units per US dollar, from the FX snapshot the page converts prices with
+    async loadDemoPriceRate(symbol) {
+        if (!window.CurrencyConverter) return null;
+
+        const converter = new window.CurrencyConverter({ settlementCurrency: symbol });
+        await converter.load();
+        return converter.isSupported(symbol) ? converter.convert(1, symbol, 'USD') : null;
+    }
+
+    // Resolves false if ethers.js has not loaded within timeoutMs, e.g. when the CDN is blocked
+    async waitForEthers(timeoutMs = 10000) {
         return new Promise((resolve) => {
             if (window.ethers) {
-                resolve();
+                resolve(true);
                 return;
             }
             
+            const giveUpAt = Date.now() + timeoutMs;
             const checkEthers = () => {
                 if (window.ethers) {
-                    resolve();
+                    resolve(true);
+                } else if (Date.now() >= giveUpAt) {
+                    resolve(false);
                 } else {
                     setTimeout(checkEthers, 100);
                 }
@@ -84,28 +318,77 @@ export class Web3Manager {
         });
     }
 
-    setupEventListeners() {
-        if (window.ethereum) {
-            window.ethereum.on('accountsChanged', this.handleAccountsChanged.bind(this));
-            window.ethereum.on('chainChanged', () => window.location.reload());
+    /**
+     * Installed wallets, the last used one first.
+     * @returns {Array<Object>} id, name, icon and EIP-1193 provider (see WalletDiscovery.list())
+     */
+    getWallets() {
+        if (this.demoWallet) return [this.demoWallet];
+        if (this.wallets) return this.wallets.list();
+        return window.ethereum ? [{ id: 'injected', name: null, icon: null, provider: window.ethereum }] : [];
+    }
+
+    // Only the chosen wallet is listened to, so events from other installed wallets are ignored
+    selectWallet(wallet) {
+        if (this.ethereum === wallet.provider) {
+            this.wallet = wallet;
+            return;
+        }
+
+        this.removeWalletListeners();
+        this.wallet = wallet;
+        this.ethereum = wallet.provider;
+        this.walletListeners = {
+            accountsChanged: accounts => this.handleAccountsChanged(accounts),
+            chainChanged: chainId => this.handleChainChanged(chainId)
+        };
+        if (typeof this.ethereum.on === 'function') {
+            Object.entries(this.walletListeners).forEach(([event, listener]) => this.ethereum.on(event, listener));
         }
     }
 
-    async connectWallet() {
-        if (!window.ethereum) {
-            this.showInstallMetaMaskPrompt();
-            return false;
+    removeWalletListeners() {
+        if (!this.ethereum || !this.walletListeners) return;
+        if (typeof this.ethereum.removeListener === 'function') {
+            Object.entries(this.walletListeners).forEach(([event, listener]) => this.ethereum.removeListener(event, listener));
         }
+        this.walletListeners = null;
+    }
+
+    // One installed wallet is used directly; with several, or none, the app's picker is shown
+    async chooseWallet() {
+        const wallets = this.getWallets();
+        if (wallets.length === 1) return wallets[0];
+        if (window.app?.pickWallet) return window.app.pickWallet();
+
+        if (wallets.length === 0) this.showInstallWalletPrompt();
+        return wallets[0] || null;
+    }
+
+    /**
+     * Connect a wallet, asking the collector which one when several are installed.
+     * @param {string} walletId Connect this wallet (an id from getWallets()) without asking
+     * @returns {Promise<boolean>} Whether a wallet is now connected
+     */
+    async connectWallet(walletId = null) {
+        const wallet = walletId
+            ? this.getWallets().find(candidate => candidate.id === walletId)
+            : await this.chooseWallet();
+        if (!wallet) return false;
 
         try {
+            await this.waitForEthers();
+
             // Request account access
-            const accounts = await window.ethereum.request({ 
+            const accounts = await wallet.provider.request({ 
                 method: 'eth_requestAccounts' 
             });
             
+            this.selectWallet(wallet);
             this.userAccount = accounts[0];
-            this.provider = new ethers.BrowserProvider(window.ethereum);
+            this.provider = new ethers.BrowserProvider(this.ethereum);
             this.signer = await this.provider.getSigner();
+            if (this.transactions) this.transactions.setProvider(this.provider, { demo: this.isDemo });
             
             // Check and switch network if needed
             await this.checkNetwork();
@@ -115,6 +398,8 @@ export class Web3Manager {
             
             // Update UI
             await this.updateWalletUI();
+            this.notifyAccountChanged();
+            if (this.wallets && wallet !== this.demoWallet) this.wallets.remember(wallet);
             
             this.showToast('Wallet connected successfully!', 'success');
             return true;
@@ -126,13 +411,18 @@ export class Web3Manager {
         }
     }
 
+    // A wallet already on another network the auction runs on is followed; otherwise it is asked to switch
     async checkNetwork() {
         if (!this.provider || this.isDemo) return;
         
         try {
-            const network = await this.provider.getNetwork();
-            
-            if (network.chainId !== this.networkConfig.chainId) {
+            const { chainId } = await this.provider.getNetwork();
+            if (chainId === BigInt(this.network.chainId)) return;
+
+            const walletNetwork = this.networks.getByChainId(chainId);
+            if (this.networks.isAvailable(walletNetwork)) {
+                await this.setNetwork(walletNetwork);
+            } else {
                 await this.switchNetwork();
             }
         } catch (error) {
@@ -140,123 +430,877 @@ export class Web3Manager {
         }
     }
 
-    async switchNetwork() {
+    /**
+     * Ask the wallet to move to a network; its chainChanged event then moves the page.
+     * @returns {Promise<boolean>} Whether the wallet agreed
+     */
+    async switchNetwork(network = this.network) {
         try {
-            await window.ethereum.request({
+            await this.ethereum.request({
                 method: 'wallet_switchEthereumChain',
-                params: [{ chainId: '0x' + this.networkConfig.chainId.toString(16) }],
+                params: [{ chainId: this.networks.toHexChainId(network) }],
             });
+            return true;
         } catch (error) {
             if (error.code === 4902) {
                 // Chain not added, add it
-                await this.addNetwork();
-            } else {
-                this.showToast('Failed to switch network', 'error');
+                return this.addNetwork(network);
             }
+            this.showToast('Failed to switch network', 'error');
+            return false;
         }
     }
 
-    async addNetwork() {
+    // Wallets switch to a chain once they have added it
+    async addNetwork(network = this.network) {
         try {
-            await window.ethereum.request({
+            await this.ethereum.request({
                 method: 'wallet_addEthereumChain',
-                params: [{
-                    chainId: '0x' + this.networkConfig.chainId.toString(16),
-                    chainName: this.networkConfig.chainName,
-                    nativeCurrency: this.networkConfig.nativeCurrency,
-                    rpcUrls: this.networkConfig.rpcUrls,
-                    blockExplorerUrls: this.networkConfig.blockExplorerUrls
-                }]
+                params: [this.networks.toChainParams(network)]
             });
+            return true;
         } catch (error) {
             this.showToast('Failed to add network', 'error');
+            return false;
         }
     }
 
+    /**
+     * Move the page to another network the collector picked. With a connected wallet the wallet
+     * is switched first, so bids always go to the chain shown.
+     * @param {string} networkId A registry id from getNetworks()
+     * @returns {Promise<boolean>} Whether the switch was made or requested
+     */
+    async selectNetwork(networkId) {
+        const network = this.networks && this.networks.get(networkId);
+        if (!this.networks || !this.networks.isAvailable(network)) return false;
+
+        this.networks.remember(network);
+        if (network === this.network) return true;
+        if (this.userAccount && this.ethereum) {
+            return this.switchNetwork(network);
+        }
+
+        await this.setNetwork(network);
+        return true;
+    }
+
+    // Wallets can switch chains on their own; the page follows in place rather than reloading
+    async handleChainChanged(chainId) {
+        const network = this.networks && this.networks.getByChainId(chainId);
+        if (this.networks && this.networks.isAvailable(network)) {
+            this.networks.remember(network);
+            await this.setNetwork(network);
+            return;
+        }
+
+        // Contracts stay unloaded until the wallet is back on a network the auction runs on
+        await this.setNetwork(this.network);
+        if (this.userAccount && this.network) {
+            this.showToast(`Switch your wallet to ${this.network.name} to bid`, 'error');
+        }
+    }
+
+    /**
+     * Point everything at a network: contracts, the event feed and the caches built from its logs.
+     * Fires networkChanged once the new network's contracts are loaded.
+     */
+    async setNetwork(network) {
+        const previous = this.network;
+        this.resetContracts();
+        if (network) this.applyNetwork(network);
+        this.isDemo = this.checkDemoMode();
+        if (window.ethers) this.setReadProvider(this.network);
+
+        // ethers pins a BrowserProvider to the chain it first saw, so a new one is needed
+        if (this.ethereum && window.ethers && !this.mockChain) {
+            this.provider = new ethers.BrowserProvider(this.ethereum);
+            this.signer = this.userAccount ? await this.provider.getSigner() : null;
+            if (this.transactions) this.transactions.setProvider(this.provider);
+        }
+
+        await this.initializeContracts();
+        await this.subscribeToAuctionEvents();
+        window.dispatchEvent(new CustomEvent('networkChanged', { detail: { network: this.network, previous } }));
+    }
+
+    /**
+     * Read from the network's registry RPC rather than the wallet, so prices are live for visitors
+     * without one and reads never follow the wallet onto another chain.
+     */
+    setReadProvider(network) {
+        // The mock chain is both wallet and node
+        if (this.mockChain) return;
+        if (this.readProvider) this.readProvider.destroy();
+        this.readProvider = null;
+        if (this.isDemo || !network || network.rpcUrls.length === 0) return;
+
+        // A static network skips the chain ID probe ethers would otherwise make on every start
+        this.readProvider = new ethers.JsonRpcProvider(network.rpcUrls[0], network.chainId, {
+            staticNetwork: ethers.Network.from(network.chainId)
+        });
+    }
+
+    resetContracts() {
+        if (this.auctionReadContract) {
+            this.auctionReadContract.removeAllListeners();
+        }
+        this.auctionContract = null;
+        this.auctionReadContract = null;
+        this.nftContract = null;
+        this.nftReadContract = null;
+        this.seenAuctionLogs.clear();
+        this.blockTimestamps.clear();
+        this.auctionCurrencies.clear();
+    }
+
     async initializeContracts() {
-        if (this.isDemo || !this.signer) return;
+        if (!this.signer) return;
 
         try {
-            // Initialize contracts when ABIs are available
-            // This would typically load from external ABI files
-            const auctionABI = await this.loadABI('auction');
-            const erc404ABI = await this.loadABI('erc404');
-
-            this.auctionContract = new ethers.Contract(
-                this.contractAddresses.auction,
-                auctionABI,
-                this.signer
-            );
+            if (!(await this.isOnNetwork())) return;
 
-            this.erc404Contract = new ethers.Contract(
-                this.contractAddresses.erc404,
-                erc404ABI,
-                this.signer
-            );
+            this.auctionContract = new YizhenAuctionMinimalClient(this.contractAddresses.auction, this.signer);
+            this.nftContract = new YizhenCeramicsNFTClient(this.contractAddresses.nft, this.signer);
 
             console.log('Contracts initialized');
         } catch (error) {
-            console.log('Contracts pending deployment or ABI not available');
+            console.log('Contracts pending deployment');
         }
     }
 
-    async loadABI(contractName) {
+    async subscribeToAuctionEvents() {
+        if (!this.readProvider || this.auctionReadContract) return;
+
         try {
-            const response = await fetch(`/assets/abi/${contractName}.json`);
-            return await response.json();
+            this.auctionReadContract = new YizhenAuctionMinimalClient(this.contractAddresses.auction, this.readProvider);
+
+            // Subscribe before backfilling so nothing mined in between is lost;
+            // duplicates are dropped by handleAuctionLog()
+            this.auctionReadContract.onBidPlaced((args, log) => this.handleAuctionLog(log));
+            this.auctionReadContract.onAuctionEnded((args, log) => this.handleAuctionLog(log));
+            this.auctionReadContract.onAuctionExtended((args, log) => this.handleAuctionLog(log));
+
+            await this.backfillAuctionEvents();
+            console.log('Subscribed to auction events');
         } catch (error) {
-            console.log(`ABI for ${contractName} not found`);
-            return this.getFallbackABI(contractName);
+            console.error('Failed to subscribe to auction events:', error);
+        }
+    }
+
+    async backfillAuctionEvents() {
+        const latestBlock = await this.readProvider.getBlockNumber();
+        const fromBlock = Math.max(0, latestBlock - this.eventBackfillBlocks);
+
+        const [bids, extensions, endings] = await Promise.all([
+            this.auctionReadContract.queryBidPlaced({}, fromBlock, latestBlock),
+            this.auctionReadContract.queryAuctionExtended({}, fromBlock, latestBlock),
+            this.auctionReadContract.queryAuctionEnded({}, fromBlock, latestBlock)
+        ]);
+
+        const logs = [...bids, ...extensions, ...endings].map(({ log }) => log).sort((a, b) =>
+            a.blockNumber - b.blockNumber || a.index - b.index
+        );
+
+        for (const log of logs) {
+            await this.handleAuctionLog(log, { backfill: true });
         }
     }
 
-    getFallbackABI(contractName) {
-        // Fallback ABIs for demo purposes
-        const abis = {
-            auction: [
-                {
-                    "inputs": [{"name": "artifactId", "type": "uint256"}],
-                    "name": "placeBid",
-                    "outputs": [{"name": "", "type": "bool"}],
-                    "payable": true,
-                    "type": "function"
+    async handleAuctionLog(log, { backfill = false } = {}) {
+        const logKey = `${log.transactionHash}:${log.index}`;
+        if (this.seenAuctionLogs.has(logKey)) return;
+        this.seenAuctionLogs.add(logKey);
+
+        const auctionId = Number(log.args.auctionId);
+        const currency = await this.getAuctionCurrency(auctionId);
+        const update = { auctionId, backfill, transactionHash: log.transactionHash, symbol: currency.symbol };
+
+        if (log.eventName === 'BidPlaced') {
+            update.highestBid = this.formatBidAmount(log.args.amount, currency);
+            update.highestBidder = log.args.bidder;
+            // The backfill window only covers recent blocks, so only live bids add to a lot's count
+            update.newBid = !backfill;
+
+            // Late bids extend endTime on-chain, so re-read it; syncAuctions() snapshots backfilled lots
+            if (!backfill) {
+                const auction = await this.getAuction(auctionId);
+                if (auction) {
+                    update.endTime = auction.endTime;
+                    update.ended = auction.ended;
                 }
-            ],
-            erc404: [
-                {
-                    "inputs": [],
-                    "name": "name",
-                    "outputs": [{"name": "", "type": "string"}],
-                    "type": "function"
-                },
-                {
-                    "inputs": [{"name": "owner", "type": "address"}],
-                    "name": "balanceOf",
-                    "outputs": [{"name": "", "type": "uint256"}],
-                    "type": "function"
+            }
+        } else if (log.eventName === 'AuctionExtended') {
+            update.endTime = Number(log.args.newEndTime) * 1000;
+            update.extended = true;
+        } else if (log.eventName === 'AuctionEnded') {
+            update.highestBid = this.formatBidAmount(log.args.amount, currency);
+            update.highestBidder = log.args.winner;
+            update.ended = true;
+        } else {
+            return;
+        }
+
+        window.dispatchEvent(new CustomEvent('auctionUpdated', { detail: update }));
+    }
+
+    /**
+     * First block holding the auction contract. Networks that do not record it are searched by
+     * bisecting eth_getCode, which needs an RPC that serves historical state.
+     * @returns {Promise<number>}
+     */
+    async getDeploymentBlock() {
+        if (this.deploymentBlock !== null) return this.deploymentBlock;
+        if (!this.deploymentBlockLookup) {
+            const network = this.network;
+            this.deploymentBlockLookup = this.findDeploymentBlock(network.chainId, this.contractAddresses.auction)
+                .then(block => {
+                    if (this.network === network) this.deploymentBlock = block;
+                    return block;
+                })
+                .finally(() => {
+                    if (this.network === network) this.deploymentBlockLookup = null;
+                });
+        }
+        return this.deploymentBlockLookup;
+    }
+
+    async findDeploymentBlock(chainId, address) {
+        const key = `${this.deploymentBlockStorageKey}_${chainId}_${address.toLowerCase()}`;
+        try {
+            const stored = localStorage.getItem(key);
+            if (stored !== null) return Number(stored);
+        } catch (error) {
+            // Storage blocked; search the chain instead
+        }
+
+        let low = 0;
+        let high = await this.readProvider.getBlockNumber();
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const code = await this.readProvider.getCode(address, middle);
+            if (code === '0x') low = middle + 1;
+            else high = middle;
+        }
+
+        try {
+            localStorage.setItem(key, String(low));
+        } catch (error) {
+            console.warn('Could not save deployment block:', error);
+        }
+        return low;
+    }
+
+    // Reads logs from the deployment block to the head in logChunkBlocks-sized windows;
+    // query is one of a client's query<Event> methods bound to its filter
+    async queryLogs(query, fromBlock = null) {
+        if (fromBlock === null) fromBlock = await this.getDeploymentBlock();
+        const latestBlock = await this.readProvider.getBlockNumber();
+        const logs = [];
+
+        for (let start = fromBlock; start <= latestBlock; start += this.logChunkBlocks) {
+            const end = Math.min(start + this.logChunkBlocks - 1, latestBlock);
+            const events = await query(start, end);
+            logs.push(...events.map(({ log }) => log));
+        }
+        return logs;
+    }
+
+    async getBidHistory(auctionId) {
+        if (!this.auctionReadContract) return null;
+
+        try {
+            const logs = await this.queryLogs((start, end) =>
+                this.auctionReadContract.queryBidPlaced({ auctionId }, start, end)
+            );
+            const currency = await this.getAuctionCurrency(auctionId);
+
+            const history = await Promise.all(logs.map(async (log) => ({
+                bidder: log.args.bidder,
+                amount: this.formatBidAmount(log.args.amount, currency),
+                timestamp: await this.getBlockTimestamp(log.blockNumber),
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                transactionHash: log.transactionHash
+            })));
+
+            // Newest first
+            return history.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+        } catch (error) {
+            console.error(`Failed to load bid history for auction ${auctionId}:`, error);
+            return null;
+        }
+    }
+
+    async getBlockTimestamp(blockNumber) {
+        if (!this.blockTimestamps.has(blockNumber)) {
+            const block = await this.readProvider.getBlock(blockNumber);
+            this.blockTimestamps.set(blockNumber, block.timestamp * 1000);
+        }
+        return this.blockTimestamps.get(blockNumber);
+    }
+
+    async getSoftCloseRules() {
+        if (!this.auctionReadContract) return null;
+
+        try {
+            const [window, extension] = await Promise.all([
+                this.auctionReadContract.softCloseWindow(),
+                this.auctionReadContract.softCloseExtension()
+            ]);
+            return {
+                windowMs: Number(window) * 1000,
+                extensionMs: Number(extension) * 1000
+            };
+        } catch (error) {
+            console.log('Soft close rules not available, using defaults');
+            return null;
+        }
+    }
+
+    async getFeeParameters() {
+        if (!this.auctionReadContract) return null;
+
+        try {
+            const platformFeeBps = await this.auctionReadContract.platformFeePercentage();
+            return { platformFeeBps: Number(platformFeeBps) };
+        } catch (error) {
+            console.log('Fee parameters not available, using configured values');
+            return null;
+        }
+    }
+
+    // Gas units and price for a bid; units fall back to null when the call cannot be estimated
+    async estimateBidGas(auctionId, bidAmount) {
+        if (!this.readProvider) return null;
+
+        try {
+            const feeData = await this.readProvider.getFeeData();
+            const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+            let gasUnits = null;
+
+            if (this.auctionContract && this.signer) {
+                try {
+                    const currency = await this.getAuctionCurrency(auctionId);
+                    const amount = this.parseBalance(bidAmount, currency.decimals);
+                    // Token bids revert here until the allowance is in place
+                    gasUnits = Number(currency.type === 'erc20'
+                        ? await this.auctionContract.contract.placeTokenBid.estimateGas(auctionId, amount)
+                        : await this.auctionContract.contract.placeBid.estimateGas(auctionId, { value: amount }));
+                } catch (error) {
+                    // Reverts (e.g. bid below minimum) still leave the price usable
                 }
-            ]
+            }
+
+            return {
+                gasUnits,
+                gasPriceGwei: gasPrice ? Number(ethers.formatUnits(gasPrice, 'gwei')) : null
+            };
+        } catch (error) {
+            console.error('Failed to estimate bid gas:', error);
+            return null;
+        }
+    }
+
+    async getNftReadContract() {
+        if (!this.nftReadContract && this.readProvider) {
+            this.nftReadContract = new YizhenCeramicsNFTClient(this.contractAddresses.nft, this.readProvider);
+        }
+        return this.nftReadContract;
+    }
+
+    // YizhenCeramicsNFT has no Enumerable extension, so ownership is rebuilt from Transfer logs
+    async getOwnedTokenIds(owner) {
+        const nft = await this.getNftReadContract();
+        if (!nft || !owner) return [];
+
+        const [received, sent] = await Promise.all([
+            this.queryLogs((start, end) => nft.queryTransfer({ to: owner }, start, end)),
+            this.queryLogs((start, end) => nft.queryTransfer({ from: owner }, start, end))
+        ]);
+
+        const owned = new Set();
+        [...received, ...sent]
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .forEach(log => {
+                const tokenId = log.args.tokenId.toString();
+                if (log.args.to.toLowerCase() === owner.toLowerCase()) {
+                    owned.add(tokenId);
+                } else {
+                    owned.delete(tokenId);
+                }
+            });
+
+        // Confirm against current state in case the node pruned part of the log range
+        const confirmed = await Promise.all([...owned].map(async (tokenId) => {
+            try {
+                const current = await nft.ownerOf(tokenId);
+                return current.toLowerCase() === owner.toLowerCase() ? tokenId : null;
+            } catch (error) {
+                return null;
+            }
+        }));
+        return confirmed.filter(Boolean).sort((a, b) => Number(a) - Number(b));
+    }
+
+    async getCeramic(tokenId) {
+        const nft = await this.getNftReadContract();
+        if (!nft) return null;
+
+        const [ceramic, metadataURI, shippingAddress, certificate] = await nft.getCeramicDetails(tokenId);
+        return {
+            tokenId: tokenId.toString(),
+            lotNumber: ceramic.lotNumber,
+            title: ceramic.title,
+            titleZh: ceramic.titleZh,
+            dynasty: ceramic.dynasty,
+            mintedAt: Number(ceramic.mintedAt) * 1000,
+            shipped: ceramic.shipped,
+            trackingNumber: ceramic.trackingNumber,
+            originalMinter: ceramic.originalMinter,
+            metadataURI,
+            // The address itself is the collector's private data; only whether it is set is needed
+            hasShippingAddress: shippingAddress.length > 0,
+            certificate
+        };
+    }
+
+    resolveTokenUri(uri) {
+        if (uri.startsWith('ipfs://')) {
+            return this.ipfsGateway + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+        }
+        return uri;
+    }
+
+    async getTokenMetadata(uri) {
+        if (!uri) return null;
+        if (this.tokenMetadata.has(uri)) return this.tokenMetadata.get(uri);
+
+        try {
+            const response = await fetch(this.resolveTokenUri(uri));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const metadata = await response.json();
+            if (metadata.image) metadata.image = this.resolveTokenUri(metadata.image);
+            this.tokenMetadata.set(uri, metadata);
+            return metadata;
+        } catch (error) {
+            console.warn(`Could not load token metadata from ${uri}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tokens held by an account with their on-chain details and tokenURI metadata.
+     * @param {string} owner Account address
+     * @returns {Promise<Array<Object>|null>} One entry per token, or null when the NFT
+     *   contract cannot be read
+     */
+    async getCollection(owner) {
+        try {
+            const tokenIds = await this.getOwnedTokenIds(owner);
+            return await Promise.all(tokenIds.map(async (tokenId) => {
+                const ceramic = await this.getCeramic(tokenId);
+                return { ...ceramic, metadata: await this.getTokenMetadata(ceramic.metadataURI) };
+            }));
+        } catch (error) {
+            console.error('Failed to load collection:', error);
+            return null;
+        }
+    }
+
+    // What the winner's checkout still needs: settling the auction and any refundable balance
+    async getSettlement(auctionId, account) {
+        if (!this.auctionReadContract) return null;
+
+        try {
+            const [auction, pending, currency] = await Promise.all([
+                this.auctionReadContract.auctions(auctionId),
+                this.auctionReadContract.pendingReturns(auctionId, account),
+                this.getAuctionCurrency(auctionId)
+            ]);
+            return {
+                ended: auction.ended,
+                endTime: Number(auction.endTime) * 1000,
+                highestBidder: auction.highestBidder,
+                highestBid: this.formatBidAmount(auction.highestBid, currency),
+                reserveMet: auction.highestBid >= auction.reservePrice,
+                pendingReturn: this.formatBidAmount(pending, currency),
+                symbol: currency.symbol
+            };
+        } catch (error) {
+            console.error(`Failed to read settlement for auction ${auctionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Send a wallet transaction and wait for it through the transaction tracker.
+     * @param {string} kind 'bid' | 'approve' | 'withdraw' | 'claim' | 'address'
+     * @param {Object} details What the transaction is about, for the transactions panel
+     * @param {Function} send Returns the wallet's TransactionResponse
+     * @param {Object} options onSubmitted receives the hash once the wallet broadcasts
+     * @returns {Promise<string>} Hash of the mined transaction, which is the speed-up's hash
+     *   if the wallet replaced it
+     */
+    async sendTransaction(kind, details, send, { onSubmitted } = {}) {
+        const tx = await send();
+        if (onSubmitted) onSubmitted(tx.hash);
+
+        if (!this.transactions) {
+            const receipt = await tx.wait();
+            return receipt.hash;
+        }
+
+        this.transactions.track(tx, { kind, details, demo: this.isDemo });
+        // Check as soon as the wallet sees it mined rather than at the next poll
+        tx.wait().catch(() => {}).finally(() => this.transactions.poll());
+        const record = await this.transactions.wait(tx.hash);
+        return record.hash;
+    }
+
+    async endAuction(auctionId) {
+        if (!this.auctionContract) throw new Error('Auction contract not initialized');
+
+        return this.sendTransaction('claim', { auctionId }, () => this.auctionContract.endAuction(auctionId));
+    }
+
+    // onSubmitted receives the hash as soon as the wallet broadcasts, before it is mined
+    async withdraw(auctionId, { onSubmitted, amount = null } = {}) {
+        const details = { auctionId, amount };
+        if (!this.auctionContract) throw new Error('Auction contract not initialized');
+
+        return this.sendTransaction('withdraw', details, () => this.auctionContract.withdraw(auctionId), { onSubmitted });
+    }
+
+    // Every auction the account has bid on, from its BidPlaced logs
+    async getBidAuctionIds(bidder) {
+        const logs = await this.queryLogs((start, end) =>
+            this.auctionReadContract.queryBidPlaced({ bidder }, start, end)
+        );
+        return [...new Set(logs.map(log => log.args.auctionId.toString()))];
+    }
+
+    /**
+     * Outbid funds waiting for the account in pendingReturns.
+     * @param {string} bidder Account address
+     * @returns {Promise<Array<Object>|null>} auctionId and amount for every non-zero balance,
+     *   or null when the auction contract cannot be read
+     */
+    async getPendingReturns(bidder) {
+        if (!this.auctionReadContract || !bidder) return null;
+
+        try {
+            const auctionIds = await this.getBidAuctionIds(bidder);
+            const balances = await Promise.all(auctionIds.map(async (auctionId) => ({
+                auctionId: Number(auctionId),
+                amount: await this.auctionReadContract.pendingReturns(auctionId, bidder),
+                currency: await this.getAuctionCurrency(auctionId)
+            })));
+            return balances
+                .filter(balance => balance.amount > 0n)
+                .map(balance => ({
+                    auctionId: balance.auctionId,
+                    amount: this.formatBidAmount(balance.amount, balance.currency),
+                    symbol: balance.currency.symbol
+                }));
+        } catch (error) {
+            console.error('Failed to load pending returns:', error);
+            return null;
+        }
+    }
+
+    // The token minted by endAuction() carries the lot number
+    async findTokenForLot(owner, lotNumber) {
+        const tokenIds = await this.getOwnedTokenIds(owner);
+        for (const tokenId of tokenIds) {
+            const ceramic = await this.getCeramic(tokenId);
+            if (ceramic && ceramic.lotNumber === lotNumber) return ceramic;
+        }
+        return null;
+    }
+
+    async updateShippingAddress(tokenId, encryptedAddress) {
+        if (!this.nftContract) throw new Error('NFT contract not initialized');
+
+        return this.sendTransaction('address', { tokenId }, () =>
+            this.nftContract.updateShippingAddress(tokenId, encryptedAddress)
+        );
+    }
+
+    /**
+     * On-chain shipping history of a token, oldest first.
+     * @param {string} tokenId Token id
+     * @returns {Promise<Array<Object>|null>} Timeline events (addressRecorded, shipped) with
+     *   the block time and transaction hash, or null when the NFT contract cannot be read
+     */
+    async getShipmentEvents(tokenId) {
+        const nft = await this.getNftReadContract();
+        if (!nft) return null;
+
+        try {
+            const [addressLogs, shippedLogs] = await Promise.all([
+                this.queryLogs((start, end) => nft.queryShippingAddressUpdated({ tokenId }, start, end)),
+                this.queryLogs((start, end) => nft.queryItemShipped({ tokenId }, start, end))
+            ]);
+
+            const events = await Promise.all([
+                ...addressLogs.map(log => ({ log, status: 'addressRecorded', description: '' })),
+                ...shippedLogs.map(log => ({ log, status: 'shipped', description: log.args.trackingNumber }))
+            ].map(async ({ log, status, description }) => ({
+                time: await this.getBlockTimestamp(log.blockNumber),
+                status,
+                location: '',
+                description,
+                source: 'chain',
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                transactionHash: log.transactionHash
+            })));
+
+            return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        } catch (error) {
+            console.error(`Failed to load shipment events for token ${tokenId}:`, error);
+            return null;
+        }
+    }
+
+    // Off-chain statements such as a delivery confirmation; null in demo mode
+    async signMessage(message) {
+        if (this.isDemo) return null;
+        if (!this.signer) throw new Error('Wallet not connected');
+        return this.signer.signMessage(message);
+    }
+
+    /**
+     * Prove ownership of the connected address with an EIP-4361 message and start a session.
+     * @returns {Promise<Object|null>} address, chainId, issuedAt and expiresAt; null in demo mode
+     */
+    async signIn() {
+        if (this.isDemo || !window.SiweMessage) return null;
+        if (!this.userAccount || !this.provider) throw new Error('Wallet not connected');
+
+        const nonceResponse = await fetch(`${this.authEndpoint}/nonce`, { credentials: 'same-origin' });
+        if (!nonceResponse.ok) throw new Error(`HTTP ${nonceResponse.status}`);
+        const { nonce } = await nonceResponse.json();
+
+        const network = await this.provider.getNetwork();
+        const now = Date.now();
+        const message = new window.SiweMessage({
+            domain: window.location.host,
+            address: ethers.getAddress(this.userAccount),
+            statement: 'Sign in to Yizhen with this wallet. Signing sends no transaction and costs no fees.',
+            uri: window.location.origin,
+            chainId: network.chainId,
+            nonce,
+            issuedAt: new Date(now).toISOString(),
+            expirationTime: new Date(now + this.sessionDurationMs).toISOString()
+        }).toString();
+
+        // Ask for a signer now: the account may have changed since the wallet connected
+        const signer = await this.provider.getSigner();
+        const signature = await signer.signMessage(message);
+
+        const response = await fetch(`${this.authEndpoint}/verify`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message, signature })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(`Sign-in rejected: ${body.error || response.status}`);
+
+        this.setSession(body, 'signedIn');
+        return this.session;
+    }
+
+    async signOut() {
+        if (!this.session) return;
+        this.setSession(null, 'signedOut');
+        try {
+            await fetch(`${this.authEndpoint}/logout`, { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.warn('Sign-out request failed:', error);
+        }
+    }
+
+    // Picks up a session started before the page loaded
+    async loadSession() {
+        if (this.isDemo) return null;
+        try {
+            const response = await fetch(`${this.authEndpoint}/session`, { credentials: 'same-origin' });
+            this.setSession(response.ok ? await response.json() : null, 'restored');
+        } catch (error) {
+            console.warn('Could not load session:', error);
+        }
+        return this.session;
+    }
+
+    // The server expires the cookie on its own; the timer keeps the page in step with it
+    setSession(session, reason) {
+        clearTimeout(this.sessionTimer);
+        const previous = this.session;
+        this.session = session && session.expiresAt > Date.now() ? session : null;
+        if (this.session) {
+            this.sessionTimer = setTimeout(() => this.setSession(null, 'expired'), this.session.expiresAt - Date.now());
+        }
+        if (previous || this.session) {
+            window.dispatchEvent(new CustomEvent('sessionChanged', { detail: { session: this.session, reason } }));
+        }
+    }
+
+    /**
+     * The address proven by the current session, and only while it is the connected account.
+     * Compliance and privacy requests are keyed off this rather than userAccount.
+     */
+    getVerifiedAddress() {
+        if (!this.session || this.session.expiresAt <= Date.now()) return null;
+        return this.isCurrentAccount(this.session.address) ? this.session.address : null;
+    }
+
+    // Null on chains without an explorer, such as a local node
+    getTransactionExplorerUrl(hash) {
+        const explorer = this.networks && this.networks.getExplorerUrl(this.network);
+        return explorer ? `${explorer}tx/${hash}` : null;
+    }
+
+    getTokenExplorerUrl(tokenId) {
+        const explorer = this.networks && this.networks.getExplorerUrl(this.network);
+        return explorer ? `${explorer}nft/${this.contractAddresses.nft}/${tokenId}` : null;
+    }
+
+    /**
+     * Announce the current on-chain state of each auction as an auctionUpdated snapshot, so
+     * prices, end times and results are live from the first render rather than the next bid.
+     * @param {Array<number>} auctionIds
+     */
+    async syncAuctions(auctionIds) {
+        if (!this.auctionReadContract) return;
+
+        await Promise.all(auctionIds.map(async (auctionId) => {
+            const auction = await this.getAuction(auctionId);
+            // A zero end time means the auction was never created on this chain
+            if (!auction || auction.endTime === 0) return;
+
+            window.dispatchEvent(new CustomEvent('auctionUpdated', {
+                detail: {
+                    auctionId: Number(auctionId),
+                    backfill: true,
+                    snapshot: true,
+                    highestBid: auction.highestBid,
+                    highestBidder: auction.highestBidder === ethers.ZeroAddress ? null : auction.highestBidder,
+                    startingPrice: auction.startingPrice,
+                    minBidIncrement: auction.minBidIncrement,
+                    endTime: auction.endTime,
+                    ended: auction.ended,
+                    symbol: auction.currency.symbol
+                }
+            }));
+        }));
+    }
+
+    async getAuction(auctionId) {
+        if (!this.auctionReadContract) return null;
+
+        try {
+            const [auction, currency] = await Promise.all([
+                this.auctionReadContract.auctions(auctionId),
+                this.getAuctionCurrency(auctionId)
+            ]);
+            return {
+                highestBid: this.formatBidAmount(auction.highestBid, currency),
+                highestBidder: auction.highestBidder,
+                startingPrice: this.formatBidAmount(auction.startingPrice, currency),
+                minBidIncrement: this.formatBidAmount(auction.minBidIncrement, currency),
+                endTime: Number(auction.endTime) * 1000,
+                ended: auction.ended,
+                currency
+            };
+        } catch (error) {
+            console.error(`Failed to read auction ${auctionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * What an auction is paid in, read once from paymentTokens() and the token itself.
+     * @returns {Promise<Object>} type ('native' or 'erc20'), address (null for native), symbol,
+     *   decimals, and permitDomain: the token's EIP-712 domain when it supports EIP-2612, else null
+     */
+    async getAuctionCurrency(auctionId) {
+        const key = Number(auctionId);
+        if (this.auctionCurrencies.has(key)) return this.auctionCurrencies.get(key);
+
+        const native = {
+            type: 'native',
+            address: null,
+            symbol: this.network?.nativeCurrency.symbol || 'ETH',
+            decimals: this.network?.nativeCurrency.decimals ?? 18,
+            permitDomain: null
         };
-        return abis[contractName] || [];
+        if (!this.auctionReadContract) return native;
+
+        let currency = native;
+        try {
+            const address = await this.auctionReadContract.paymentTokens(auctionId);
+            if (address !== ethers.ZeroAddress) {
+                const token = new ethers.Contract(address, ERC20_ABI, this.readProvider);
+                const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+                currency = {
+                    type: 'erc20',
+                    address,
+                    symbol,
+                    decimals: Number(decimals),
+                    permitDomain: await this.getPermitDomain(token, address)
+                };
+            }
+        } catch (error) {
+            // Deployments from before token auctions have no paymentTokens() and take ETH only
+            if (error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') {
+                console.error(`Failed to read the currency of auction ${auctionId}:`, error);
+                return native;
+            }
+        }
+
+        this.auctionCurrencies.set(key, currency);
+        return currency;
     }
 
-    async placeBid(artifactId, bidAmount) {
-        if (this.isDemo) {
-            return this.simulateBid(bidAmount);
+    // Permits are only signed when the token's domain can be rebuilt exactly; otherwise approve() is used
+    async getPermitDomain(token, address) {
+        try {
+            const [name, separator, version] = await Promise.all([
+                token.name(),
+                token.DOMAIN_SEPARATOR(),
+                token.version().catch(() => '1')
+            ]);
+            const domain = { name, version, chainId: this.network.chainId, verifyingContract: address };
+            return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+        } catch (error) {
+            return null;
         }
+    }
 
+    /**
+     * Bid in the auction's own currency: sent as value for ETH auctions, pulled from an
+     * allowance for token auctions.
+     * @param {Object} options onStep(step, currency) is told 'permit' or 'approve' before the
+     *   wallet is asked for anything other than the bid itself
+     */
+    async placeBid(auctionId, bidAmount, { onStep } = {}) {
         if (!this.auctionContract) {
             throw new Error('Auction contract not initialized');
         }
 
         try {
-            const tx = await this.auctionContract.placeBid(artifactId, {
-                value: ethers.parseUnits(bidAmount.toString(), 6) // USDT has 6 decimals
-            });
+            const currency = await this.getAuctionCurrency(auctionId);
+            const amount = this.parseBalance(bidAmount, currency.decimals);
+            const hash = currency.type === 'erc20'
+                ? await this.placeTokenBid(auctionId, bidAmount, amount, currency, onStep)
+                : await this.sendTransaction('bid', { auctionId, amount: bidAmount }, () =>
+                    this.auctionContract.placeBid(auctionId, { value: amount })
+                );
             
-            const receipt = await tx.wait();
-            
-            this.showToast(`Bid placed! Transaction: ${receipt.hash.slice(0, 10)}...`, 'success');
+            this.showToast(`Bid placed! Transaction: ${hash.slice(0, 10)}...`, 'success');
             return true;
             
         } catch (error) {
@@ -265,38 +1309,134 @@ export class Web3Manager {
         }
     }
 
-    async simulateBid(bidAmount) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Simulate random success/failure for demo
-        if (Math.random() > 0.1) { // 90% success rate
-            return true;
-        } else {
-            throw new Error('Demo: Simulated transaction failure');
+    /**
+     * A token bid uses, in order of preference, the allowance already in place, an EIP-2612
+     * permit signed alongside the bid, or an approve() transaction before it.
+     * @returns {Promise<string>} Hash of the bid transaction
+     */
+    async placeTokenBid(auctionId, bidAmount, amount, currency, onStep) {
+        const token = new ethers.Contract(currency.address, ERC20_ABI, this.signer);
+        const spender = this.contractAddresses.auction;
+        const [balance, allowance] = await Promise.all([
+            token.balanceOf(this.userAccount),
+            token.allowance(this.userAccount, spender)
+        ]);
+
+        if (balance < amount) {
+            // Shaped like the token's own revert so it decodes the same way
+            const reason = 'ERC20: transfer amount exceeds balance';
+            throw Object.assign(new Error(reason), { code: 'CALL_EXCEPTION', reason });
+        }
+
+        const details = { auctionId, amount: bidAmount };
+        if (allowance >= amount) {
+            return this.sendTransaction('bid', details, () => this.auctionContract.placeTokenBid(auctionId, amount));
+        }
+
+        if (currency.permitDomain) {
+            const permit = await this.signPermit(token, currency, spender, amount, onStep);
+            if (permit) {
+                return this.sendTransaction('bid', details, () =>
+                    this.auctionContract.placeTokenBidWithPermit(auctionId, amount, permit.deadline, permit.v, permit.r, permit.s)
+                );
+            }
+        }
+
+        if (onStep) onStep('approve', currency);
+        const approval = { auctionId, amount: bidAmount, symbol: currency.symbol };
+        // USDT and some other tokens refuse to change one non-zero allowance into another
+        if (allowance > 0n) {
+            await this.sendTransaction('approve', { ...approval, amount: 0 }, () => token.approve(spender, 0));
+        }
+        await this.sendTransaction('approve', approval, () => token.approve(spender, amount));
+        return this.sendTransaction('bid', details, () => this.auctionContract.placeTokenBid(auctionId, amount));
+    }
+
+    // null when the wallet cannot sign typed data, so the caller falls back to approve()
+    async signPermit(token, currency, spender, value, onStep) {
+        const nonce = await token.nonces(this.userAccount);
+        const deadline = BigInt(Math.floor(Date.now() / 1000) + this.permitLifetimeSeconds);
+        if (onStep) onStep('permit', currency);
+
+        try {
+            const signature = await this.signer.signTypedData(currency.permitDomain, PERMIT_TYPES, {
+                owner: this.userAccount,
+                spender,
+                value,
+                nonce,
+                deadline
+            });
+            const { v, r, s } = ethers.Signature.from(signature);
+            return { deadline, v, r, s };
+        } catch (error) {
+            if (error.code === 'ACTION_REJECTED' || error.code === 4001) throw error;
+            console.warn('Permit signature failed, approving instead:', error);
+            return null;
         }
     }
 
-    handleAccountsChanged(accounts) {
+    async handleAccountsChanged(accounts) {
+        // A session belongs to one address; switching or disconnecting ends it
+        const sessionAddress = this.session ? this.session.address.toLowerCase() : null;
+        if (sessionAddress && !(accounts.length > 0 && accounts[0].toLowerCase() === sessionAddress)) {
+            this.signOut();
+        }
+
         if (accounts.length === 0) {
+            // Disconnected from the wallet's side; the next visit should not reconnect it
+            if (this.wallets && this.wallet !== this.demoWallet) this.wallets.forget();
             this.userAccount = null;
             this.signer = null;
+            this.auctionContract = null;
+            this.nftContract = null;
             this.updateWalletUI();
+            this.notifyAccountChanged();
             this.showToast('Wallet disconnected', 'error');
         } else if (accounts[0] !== this.userAccount) {
+            // The old signer and the clients built on it would still send from the previous account
             this.userAccount = accounts[0];
+            this.signer = null;
+            this.auctionContract = null;
+            this.nftContract = null;
+            const signer = this.provider ? await this.provider.getSigner() : null;
+            // Switched again while the wallet answered; that call sets things up instead
+            if (this.userAccount !== accounts[0]) return;
+
+            this.signer = signer;
+            await this.initializeContracts();
             this.updateWalletUI();
+            this.notifyAccountChanged();
             this.showToast('Account changed', 'success');
         }
     }
 
+    // Lets the transactions panel follow status changes, including ones found after a reload
+    notifyTransactionChanged(transaction, previousStatus) {
+        window.dispatchEvent(new CustomEvent('transactionUpdated', { detail: { transaction, previousStatus } }));
+    }
+
+    // Lets the wallet picker show wallets that announce after it opened
+    notifyWalletsChanged(wallet) {
+        window.dispatchEvent(new CustomEvent('walletsChanged', { detail: { wallet } }));
+    }
+
+    // Lets per-wallet features (watchlist, collection) follow the connected account
+    notifyAccountChanged() {
+        window.dispatchEvent(new CustomEvent('accountChanged', { detail: { account: this.userAccount } }));
+    }
+
     handleConnectionError(error) {
+        if (window.app && window.app.showError) {
+            window.app.showError(error, 'errors.connectionFailed');
+            return;
+        }
+
         switch (error.code) {
             case 4001:
                 this.showToast('Connection cancelled', 'error');
                 break;
             case -32002:
-                this.showToast('Please unlock MetaMask', 'error');
+                this.showToast('Please unlock your wallet', 'error');
                 break;
             default:
                 this.showToast('Failed to connect wallet', 'error');
@@ -306,6 +1446,7 @@ export class Web3Manager {
     async updateWalletUI() {
         const walletButton = document.querySelector('.connect-wallet');
         const walletText = document.getElementById('wallet-text');
+        const walletIcon = document.getElementById('wallet-icon');
         
         if (!walletButton || !walletText) return;
 
@@ -316,22 +1457,34 @@ export class Web3Manager {
             walletButton.classList.remove('connected');
             walletText.textContent = 'Connect Wallet';
         }
+
+        // Several wallets may be installed; show which one is connected
+        const wallet = this.userAccount ? this.wallet : null;
+        walletButton.title = wallet && wallet.name ? wallet.name : '';
+        if (walletIcon) {
+            walletIcon.hidden = !(wallet && wallet.icon);
+            if (wallet && wallet.icon) walletIcon.src = wallet.icon;
+        }
     }
 
     isConnected() {
         return !!this.userAccount;
     }
 
-    showInstallMetaMaskPrompt() {
-        const install = confirm('MetaMask is required to use this dApp. Would you like to install it?');
+    isCurrentAccount(address) {
+        return !!(this.userAccount && address && address.toLowerCase() === this.userAccount.toLowerCase());
+    }
+
+    showInstallWalletPrompt() {
+        const install = confirm('A browser wallet is required to bid. Would you like to choose one to install?');
         if (install) {
-            window.open('https://metamask.io/download/', '_blank');
+            window.open('https://ethereum.org/en/wallets/find-wallet/', '_blank');
         }
     }
 
     showDemoNotification() {
         setTimeout(() => {
-            this.showToast('Running in Demo Mode - Connect wallet and deploy contracts for real transactions', 'info');
+            this.showToast('Demo mode: bids go to a simulated chain and nothing is sent to the blockchain', 'info');
         }, 2000);
     }
 
@@ -346,8 +1499,18 @@ export class Web3Manager {
 
     // Cleanup method
     destroy() {
-        if (window.ethereum) {
-            window.ethereum.removeListener('accountsChanged', this.handleAccountsChanged);
+        if (this.mockChain) {
+            this.mockChain.stop();
+        }
+        this.removeWalletListeners();
+        if (this.wallets) {
+            this.wallets.stop();
+        }
+        if (this.auctionReadContract) {
+            this.auctionReadContract.removeAllListeners();
+        }
+        if (this.readProvider) {
+            this.readProvider.destroy();
         }
     }
 
@@ -366,6 +1529,11 @@ export class Web3Manager {
         return ethers.parseUnits(amount.toString(), decimals);
     }
 
+    // currency is the auction's, from getAuctionCurrency(); without one the network's settlement decimals apply
+    formatBidAmount(amount, currency = null) {
+        return Number(this.formatBalance(amount, currency ? currency.decimals : this.bidDecimals));
+    }
+
     // Get network information
     async getNetworkInfo() {
         if (!this.provider) return null;
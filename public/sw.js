@@ -15,6 +15,8 @@ const STATIC_ASSETS = [
     '/assets/js/lazy-loader.js',
     '/assets/js/ui-manager.js',
     '/assets/data/artifacts.json',
+    '/assets/data/fx-rates.json',
+    '/assets/data/fees.json',
     '/manifest.json'
 ];
 
@@ -237,6 +239,12 @@ async function networkFirst(request, cacheName) {
             return cached;
         }
         
+        // Deep links such as /lot/001 are served by the cached app shell
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('/');
+            if (shell) return shell;
+        }
+        
         return createOfflineResponse(request);
     }
 }
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Shipping Address Key Script
+// Manages the platform key that winners' shipping addresses are encrypted to.
+//
+//   node scripts/address-keys.js generate [--kid=2026-10]
+//       Writes the new public key to public/assets/data/platform-keys.json and prints the
+//       private key once. Store it in the fulfilment team's secret store, never in the repo.
+//
+//   ADDRESS_PRIVATE_KEY='<private JWK>' node scripts/address-keys.js decrypt <envelope>
+//       Prints the address sealed in an envelope read from updateShippingAddress().
+
+const fs = require('fs').promises;
+const { webcrypto } = require('crypto');
+const AddressEncryption = require('../public/assets/js/address-encryption.js');
+
+if (!globalThis.crypto) {
+    globalThis.crypto = webcrypto;
+}
+
+const KEYS_PATH = 'public/assets/data/platform-keys.json';
+
+async function generate(kid) {
+    const keyPair = await webcrypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const publicKey = await webcrypto.subtle.exportKey('jwk', keyPair.publicKey);
+    const privateKey = await webcrypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+    const keys = { shippingAddress: { kid, alg: 'ECDH-ES+HKDF-SHA256+A256GCM', publicKey } };
+    await fs.writeFile(KEYS_PATH, JSON.stringify(keys, null, 2) + '\n');
+
+    console.log(`✅ Public key "${kid}" written to ${KEYS_PATH}`);
+    console.log(`   Set addressKeyId: '${kid}' on the networks in public/assets/js/networks.js that use it`);
+    console.log('🔑 Private key (shown once, store it securely):');
+    console.log(JSON.stringify({ ...privateKey, kid }));
+}
+
+async function decrypt(envelope) {
+    if (!process.env.ADDRESS_PRIVATE_KEY) {
+        throw new Error('Set ADDRESS_PRIVATE_KEY to the private JWK');
+    }
+
+    const privateKey = JSON.parse(process.env.ADDRESS_PRIVATE_KEY);
+    const encryption = new AddressEncryption();
+    const { kid } = encryption.parseEnvelope(envelope);
+    if (privateKey.kid && privateKey.kid !== kid) {
+        throw new Error(`Envelope was sealed to key "${kid}", not "${privateKey.kid}"`);
+    }
+
+    const { kid: _kid, ...jwk } = privateKey;
+    console.log(JSON.stringify(await encryption.decrypt(envelope, jwk), null, 2));
+}
+
+// Main execution
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        if (command === 'generate') {
+            const kidArg = args.find(arg => arg.startsWith('--kid='));
+            await generate(kidArg ? kidArg.slice(6) : new Date().toISOString().slice(0, 7));
+        } else if (command === 'decrypt' && args[0]) {
+            await decrypt(args[0]);
+        } else {
+            console.log('Usage: address-keys.js generate [--kid=ID] | decrypt <envelope>');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('💥 Address key command failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generate, decrypt };
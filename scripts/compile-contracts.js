@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Contract Compile Script
+// Compiles contracts/*.sol and the compliance registry with the solc and OpenZeppelin versions
+// pinned in package.json, writing Hardhat-style artifacts for scripts/extract-abi.js to read.
+//
+//   npm run compile
+//   npm run abi -- --check
+//
+// --artifacts=<dir> writes somewhere other than ./artifacts.
+
+const fs = require('fs').promises;
+const path = require('path');
+const solc = require('solc');
+
+const SOURCES = [
+    'contracts/YizhenAuctionMinimal.sol',
+    'contracts/YizhenCeramicsNFT.sol',
+    'compliance/contracts/ComplianceRegistry.sol'
+];
+
+// Must match the deployed bytecode's settings for the artifacts to verify on an explorer
+const SETTINGS = {
+    optimizer: { enabled: true, runs: 200 },
+    outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } }
+};
+
+class ContractCompiler {
+    constructor(options = {}) {
+        this.root = options.root || process.cwd();
+        this.artifactsDir = options.artifactsDir || 'artifacts';
+    }
+
+    async compile() {
+        console.log(`🔨 Compiling ${SOURCES.length} sources with solc ${solc.version()}...`);
+
+        const sources = {};
+        for (const source of SOURCES) {
+            sources[source] = { content: await fs.readFile(path.join(this.root, source), 'utf8') };
+        }
+
+        const input = { language: 'Solidity', sources, settings: SETTINGS };
+        const output = JSON.parse(solc.compile(JSON.stringify(input), { import: (importPath) => this.findImport(importPath) }));
+
+        const errors = (output.errors || []).filter(error => error.severity === 'error');
+        if (errors.length > 0) {
+            throw new Error(`\n${errors.map(error => error.formattedMessage).join('\n')}`);
+        }
+
+        for (const source of SOURCES) {
+            for (const [contractName, contract] of Object.entries(output.contracts[source] || {})) {
+                await this.writeArtifact(source, contractName, contract);
+            }
+        }
+    }
+
+    // solc asks for each import by the path written in the source; packages resolve from node_modules
+    findImport(importPath) {
+        try {
+            const file = importPath.startsWith('@') ? require.resolve(importPath, { paths: [this.root] }) : path.join(this.root, importPath);
+            return { contents: require('fs').readFileSync(file, 'utf8') };
+        } catch (error) {
+            return { error: `Cannot find ${importPath}` };
+        }
+    }
+
+    async writeArtifact(sourceName, contractName, contract) {
+        const dir = path.join(this.artifactsDir, sourceName);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, `${contractName}.json`), JSON.stringify({
+            _format: 'hh-sol-artifact-1',
+            contractName,
+            sourceName,
+            abi: contract.abi,
+            bytecode: `0x${contract.evm.bytecode.object}`,
+            deployedBytecode: `0x${contract.evm.deployedBytecode.object}`
+        }, null, 2) + '\n');
+        console.log(`✅ ${sourceName}:${contractName}`);
+    }
+}
+
+function parseArgs(args) {
+    const arg = args.find(a => a.startsWith('--artifacts='));
+    return { artifactsDir: arg ? arg.slice('--artifacts='.length) : null };
+}
+
+// Main execution
+async function main() {
+    try {
+        const compiler = new ContractCompiler(parseArgs(process.argv.slice(2)));
+        await compiler.compile();
+    } catch (error) {
+        console.error('💥 Compilation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { ContractCompiler, SOURCES };
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+// Catalogue Export Script
+// Builds the printable bilingual catalogue from artifacts.json as a standalone HTML file,
+// with poster frames pulled from each lot's video by ffmpeg when it is installed.
+//
+//   node scripts/export-catalogue.js [--dynasty=song] [--lots=001,004] [--out=catalogue] [--pdf]
+//
+// --pdf prints the HTML with headless Chrome (CHROME_PATH, or google-chrome on PATH).
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const CatalogueRenderer = require('../public/assets/js/catalogue.js');
+
+const execFileAsync = promisify(execFile);
+
+class CatalogueExporter {
+    constructor(options = {}) {
+        this.artifactsPath = 'public/assets/data/artifacts.json';
+        this.stylesheetPath = 'public/assets/css/catalogue.css';
+        this.publicDir = 'public';
+        this.outputDir = options.outputDir || 'catalogue';
+        this.dynasty = options.dynasty || null;
+        this.lotNumbers = options.lotNumbers || null;
+        this.posterTime = options.posterTime || 1;
+        this.pdf = !!options.pdf;
+        this.chromePath = process.env.CHROME_PATH || 'google-chrome';
+    }
+
+    async export() {
+        console.log('📖 Exporting catalogue...');
+
+        const artifacts = await this.loadArtifacts();
+        if (artifacts.length === 0) {
+            throw new Error('No lots match the selection');
+        }
+
+        await fs.mkdir(path.join(this.outputDir, 'posters'), { recursive: true });
+        const posters = await this.preparePosters(artifacts);
+
+        const renderer = new CatalogueRenderer();
+        const stylesheet = await fs.readFile(this.stylesheetPath, 'utf8');
+        const html = renderer.renderDocument(artifacts, { posters, stylesheet });
+
+        const htmlPath = path.join(this.outputDir, 'index.html');
+        await fs.writeFile(htmlPath, html);
+        console.log(`✅ ${artifacts.length} lots written to ${htmlPath}`);
+
+        if (this.pdf) {
+            await this.printPdf(htmlPath);
+        }
+    }
+
+    async loadArtifacts() {
+        const artifacts = JSON.parse(await fs.readFile(this.artifactsPath, 'utf8'));
+        return artifacts.filter(artifact =>
+            (!this.dynasty || artifact.dynasty === this.dynasty) &&
+            (!this.lotNumbers || this.lotNumbers.includes(artifact.lotNumber))
+        );
+    }
+
+    // Existing poster.jpg beside the video wins; otherwise extract a frame
+    async preparePosters(artifacts) {
+        const posters = new Map();
+
+        for (const artifact of artifacts) {
+            const fileName = `${artifact.lotNumber}.jpg`;
+            const target = path.join(this.outputDir, 'posters', fileName);
+            const videoPath = path.join(this.publicDir, artifact.video);
+            const existing = path.join(path.dirname(videoPath), 'poster.jpg');
+
+            try {
+                if (await this.exists(existing)) {
+                    await fs.copyFile(existing, target);
+                } else if (await this.exists(videoPath)) {
+                    await this.extractFrame(videoPath, target);
+                } else {
+                    console.warn(`⚠️  No video for lot ${artifact.lotNumber}, printing without an image`);
+                    continue;
+                }
+                posters.set(artifact.id, `posters/${fileName}`);
+            } catch (error) {
+                console.warn(`⚠️  Could not prepare poster for lot ${artifact.lotNumber}:`, error.message);
+            }
+        }
+
+        return posters;
+    }
+
+    async extractFrame(videoPath, target) {
+        await execFileAsync('ffmpeg', [
+            '-y',
+            '-ss', String(this.posterTime),
+            '-i', videoPath,
+            '-frames:v', '1',
+            '-q:v', '2',
+            '-vf', 'scale=1200:-2',
+            target
+        ], { timeout: 60000 });
+    }
+
+    async printPdf(htmlPath) {
+        const pdfPath = path.join(this.outputDir, 'catalogue.pdf');
+        try {
+            await execFileAsync(this.chromePath, [
+                '--headless',
+                '--disable-gpu',
+                '--no-pdf-header-footer',
+                `--print-to-pdf=${path.resolve(pdfPath)}`,
+                `file://${path.resolve(htmlPath)}`
+            ], { timeout: 120000 });
+            console.log(`✅ PDF written to ${pdfPath}`);
+        } catch (error) {
+            console.warn('⚠️  Could not print PDF (set CHROME_PATH to a Chrome or Chromium binary):', error.message);
+        }
+    }
+
+    async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+function parseArgs(args) {
+    const value = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+
+    const lots = value('lots');
+    return {
+        dynasty: value('dynasty'),
+        lotNumbers: lots ? lots.split(',').map(lot => lot.trim()) : null,
+        outputDir: value('out'),
+        posterTime: value('poster-time') ? Number(value('poster-time')) : null,
+        pdf: args.includes('--pdf')
+    };
+}
+
+// Main execution
+async function main() {
+    try {
+        const exporter = new CatalogueExporter(parseArgs(process.argv.slice(2)));
+        await exporter.export();
+    } catch (error) {
+        console.error('💥 Catalogue export failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { CatalogueExporter };
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+// ABI Extraction Script
+// Copies the ABIs of the contracts the site talks to out of compiled Hardhat or Foundry artifacts
+// into public/assets/abi, next to a thin client for each with JSDoc types for every function and event.
+// web3.js imports the clients, so rerun the script whenever a contract changes.
+//
+//   npm run abi    (scripts/compile-contracts.js, then this script)
+//   forge build && node scripts/extract-abi.js --artifacts=out
+//
+// --check fails instead of writing when the committed files differ from the artifacts.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// name is the file name under public/assets/abi
+const CONTRACTS = [
+    { name: 'auction', contract: 'YizhenAuctionMinimal', source: 'contracts/YizhenAuctionMinimal.sol' },
+    { name: 'nft', contract: 'YizhenCeramicsNFT', source: 'contracts/YizhenCeramicsNFT.sol' },
+    { name: 'complianceRegistry', contract: 'ComplianceRegistry', source: 'compliance/contracts/ComplianceRegistry.sol' }
+];
+
+// Members of ContractClient a generated method must not shadow
+const RESERVED_MEMBERS = ['address', 'contract', 'call', 'listen', 'query', 'toObject', 'removeAllListeners', 'constructor'];
+const RESERVED_WORDS = ['default', 'new', 'function', 'class', 'delete', 'in', 'return', 'var', 'let', 'const', 'overrides'];
+
+class AbiExtractor {
+    constructor(options = {}) {
+        this.artifactsDir = options.artifactsDir || 'artifacts';
+        this.outputDir = options.outputDir || 'public/assets/abi';
+        this.check = !!options.check;
+    }
+
+    async extract() {
+        console.log(`📦 Extracting ABIs from ${this.artifactsDir}...`);
+
+        const stale = [];
+        for (const entry of CONTRACTS) {
+            const abi = await this.readAbi(entry);
+            const files = {
+                [`${entry.name}.json`]: JSON.stringify(abi, null, 2) + '\n',
+                [`${entry.name}.js`]: renderClient(entry, abi)
+            };
+
+            for (const [fileName, contents] of Object.entries(files)) {
+                const filePath = path.join(this.outputDir, fileName);
+                if (this.check) {
+                    const current = await fs.readFile(filePath, 'utf8').catch(() => null);
+                    if (current !== contents) stale.push(filePath);
+                    continue;
+                }
+                await fs.mkdir(this.outputDir, { recursive: true });
+                await fs.writeFile(filePath, contents);
+            }
+            console.log(`✅ ${entry.contract}: ${abi.filter(item => item.type === 'function').length} functions, ` +
+                `${abi.filter(item => item.type === 'event').length} events`);
+        }
+
+        if (stale.length > 0) {
+            throw new Error(`Out of date, rerun without --check: ${stale.join(', ')}`);
+        }
+    }
+
+    // Hardhat nests artifacts under the source path, Foundry under the file name
+    async readAbi({ contract, source }) {
+        const candidates = [
+            path.join(this.artifactsDir, source, `${contract}.json`),
+            path.join(this.artifactsDir, path.basename(source), `${contract}.json`)
+        ];
+
+        for (const candidate of candidates) {
+            const text = await fs.readFile(candidate, 'utf8').catch(() => null);
+            if (text === null) continue;
+
+            const { abi } = JSON.parse(text);
+            if (!Array.isArray(abi)) {
+                throw new Error(`${candidate} has no abi`);
+            }
+            return abi;
+        }
+        throw new Error(`No artifact for ${contract}; compile ${source} first (looked in ${candidates.join(', ')})`);
+    }
+}
+
+function signature(item) {
+    return `${item.name}(${item.inputs.map(input => canonicalType(input)).join(',')})`;
+}
+
+// Tuples are spelled out in signatures, e.g. (string,uint256)[]
+function canonicalType(param) {
+    if (!param.type.startsWith('tuple')) return param.type;
+    return `(${param.components.map(component => canonicalType(component)).join(',')})${param.type.slice(5)}`;
+}
+
+function describeParam(param) {
+    return `${canonicalType(param)}${param.indexed ? ' indexed' : ''}${param.name ? ` ${param.name}` : ''}`;
+}
+
+function structName(param) {
+    const match = (param.internalType || '').match(/^struct (?:\w+\.)?(\w+)/);
+    return match ? match[1] : 'Object';
+}
+
+/**
+ * The JSDoc type ethers takes or returns for a Solidity type.
+ * @param {string} direction 'input' or 'output'; inputs also accept numbers for integers
+ */
+function jsType(param, direction) {
+    const array = param.type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+        const element = { ...param, type: array[1], internalType: (param.internalType || '').replace(/\[\d*\]$/, '') };
+        return `Array<${jsType(element, direction)}>`;
+    }
+    if (param.type === 'tuple') return structName(param);
+    if (/^u?int\d*$/.test(param.type)) return direction === 'input' ? 'bigint|number' : 'bigint';
+    if (param.type === 'bool') return 'boolean';
+    // address, string, bytes and bytesN are all strings, the bytes as 0x hex
+    return 'string';
+}
+
+// Enums are uint8 on the wire and structs are tuples; the comment keeps their names
+function paramNote(param) {
+    const match = (param.internalType || '').match(/^(enum|struct) (?:\w+\.)?(\w+)/);
+    return match ? `${param.type} (${match[2]})` : canonicalType(param);
+}
+
+function argName(param, index) {
+    if (!param.name) return `arg${index}`;
+    return RESERVED_WORDS.includes(param.name) ? `_${param.name}` : param.name;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Structs used anywhere in the ABI, each typed once
+function collectStructs(abi) {
+    const structs = new Map();
+    const visit = (param) => {
+        if (!param.type.startsWith('tuple')) return;
+        param.components.forEach(visit);
+        const name = structName(param);
+        if (name !== 'Object' && !structs.has(name)) structs.set(name, param.components);
+    };
+    abi.forEach(item => [...(item.inputs || []), ...(item.outputs || [])].forEach(visit));
+    return structs;
+}
+
+function renderTypedef(name, params) {
+    return [
+        '/**',
+        ` * @typedef {Object} ${name}`,
+        ...params.map((param, index) => ` * @property {${jsType(param, 'output')}} ${argName(param, index)} ${paramNote(param)}${param.indexed ? ' indexed' : ''}`),
+        ' */'
+    ].join('\n');
+}
+
+// One output is returned as is; several come back as an ethers Result, readable by name when named
+function returnType(fn, typedefs) {
+    const outputs = fn.outputs || [];
+    if (outputs.length === 0) return 'void';
+    if (outputs.length === 1) return jsType(outputs[0], 'output');
+    if (outputs.every(output => output.name)) {
+        const name = `${capitalize(fn.name)}Result`;
+        typedefs.push(renderTypedef(name, outputs));
+        return name;
+    }
+    return `[${outputs.map(output => jsType(output, 'output')).join(', ')}]`;
+}
+
+// Overloads keep the plain name for the shortest form, e.g. safeTransferFrom and safeTransferFromWithData
+function methodNames(functions) {
+    const names = new Map();
+    const byName = new Map();
+    functions.forEach(fn => byName.set(fn.name, [...(byName.get(fn.name) || []), fn]));
+
+    byName.forEach((overloads, name) => {
+        [...overloads].sort((a, b) => a.inputs.length - b.inputs.length).forEach((fn, index) => {
+            const last = fn.inputs[fn.inputs.length - 1];
+            const methodName = index === 0 ? name : `${name}With${capitalize(argName(last, fn.inputs.length - 1))}`;
+            if (RESERVED_MEMBERS.includes(methodName)) {
+                throw new Error(`${signature(fn)} would shadow ContractClient.${methodName}`);
+            }
+            names.set(fn, methodName);
+        });
+    });
+    return names;
+}
+
+function renderFunction(fn, methodName, typedefs) {
+    const view = fn.stateMutability === 'view' || fn.stateMutability === 'pure';
+    const payable = fn.stateMutability === 'payable';
+    const args = fn.inputs.map((input, index) => argName(input, index));
+    const returns = view ? returnType(fn, typedefs) : 'ContractTransactionResponse';
+    const overrides = view
+        ? 'blockTag and other call fields'
+        : `${payable ? 'value (required), ' : ''}gasLimit and other transaction fields`;
+
+    return [
+        '    /**',
+        `     * ${fn.name}(${fn.inputs.map(describeParam).join(', ')})${view ? ' view' : payable ? ' payable' : ''}`,
+        ...fn.inputs.map((input, index) => `     * @param {${jsType(input, 'input')}} ${args[index]} ${paramNote(input)}`),
+        `     * @param {Object} [overrides] ${overrides}`,
+        `     * @returns {Promise<${returns}>}`,
+        '     */',
+        `    ${methodName}(${[...args, 'overrides = {}'].join(', ')}) {`,
+        `        return this.call('${signature(fn)}', [${args.join(', ')}], overrides);`,
+        '    }'
+    ].join('\n');
+}
+
+function renderEvent(event, typedefs) {
+    const typeName = `${event.name}Event`;
+    typedefs.push(renderTypedef(typeName, event.inputs));
+    const indexed = event.inputs.filter(input => input.indexed);
+    const filterType = indexed.length > 0
+        ? `{${indexed.map((input, index) => `${argName(input, index)}?: ${jsType(input, 'input')}`).join(', ')}}`
+        : 'Object';
+
+    return [
+        '    /**',
+        `     * Listen for ${event.name}(${event.inputs.map(describeParam).join(', ')}).`,
+        `     * @param {function(${typeName}, EventLog): void} listener`,
+        '     * @returns {function(): Promise<void>} Stops listening',
+        '     */',
+        `    on${event.name}(listener) {`,
+        `        return this.listen('${event.name}', listener);`,
+        '    }',
+        '',
+        '    /**',
+        `     * Past ${event.name} events${indexed.length > 0 ? ', narrowed by any indexed arguments in filter' : ''}.`,
+        `     * @param {${filterType}} [filter]`,
+        '     * @param {number|string} [fromBlock]',
+        '     * @param {number|string} [toBlock]',
+        `     * @returns {Promise<Array<{args: ${typeName}, log: EventLog}>>}`,
+        '     */',
+        `    query${event.name}(filter = {}, fromBlock = 0, toBlock = 'latest') {`,
+        `        return this.query('${event.name}', filter, fromBlock, toBlock);`,
+        '    }'
+    ].join('\n');
+}
+
+function renderClient({ contract, source }, abi) {
+    const typedefs = [];
+    const functions = abi.filter(item => item.type === 'function');
+    const events = abi.filter(item => item.type === 'event');
+    const names = methodNames(functions);
+
+    const members = [
+        ...functions.map(fn => renderFunction(fn, names.get(fn), typedefs)),
+        ...events.map(event => renderEvent(event, typedefs))
+    ];
+    const structs = [...collectStructs(abi)].map(([name, components]) => renderTypedef(name, components));
+
+    return [
+        `// Generated by scripts/extract-abi.js from ${source}. Do not edit;`,
+        '// recompile the contract and rerun the script instead.',
+        '',
+        "import { ContractClient } from '../js/contract-client.js';",
+        '',
+        "/** @typedef {import('ethers').ContractRunner} ContractRunner */",
+        "/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */",
+        "/** @typedef {import('ethers').EventLog} EventLog */",
+        '',
+        ...[...structs, ...typedefs].map(typedef => `${typedef}\n`),
+        'export const ABI = [',
+        abi.map(item => `    ${JSON.stringify(item)}`).join(',\n'),
+        '];',
+        '',
+        `export class ${contract}Client extends ContractClient {`,
+        '    /**',
+        '     * @param {string} address Deployed address, from the network registry',
+        '     * @param {ContractRunner} runner A provider for reads, a signer for transactions',
+        '     */',
+        '    constructor(address, runner) {',
+        '        super(address, ABI, runner);',
+        '    }',
+        '',
+        members.join('\n\n'),
+        '}',
+        ''
+    ].join('\n');
+}
+
+function parseArgs(args) {
+    const value = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+
+    return {
+        artifactsDir: value('artifacts'),
+        outputDir: value('out'),
+        check: args.includes('--check')
+    };
+}
+
+// Main execution
+async function main() {
+    try {
+        const extractor = new AbiExtractor(parseArgs(process.argv.slice(2)));
+        await extractor.extract();
+    } catch (error) {
+        console.error('💥 ABI extraction failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { AbiExtractor, renderClient, CONTRACTS };
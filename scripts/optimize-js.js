@@ -5,7 +5,6 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { minify } = require('terser');
 
 class JavaScriptOptimizer {
     constructor() {
@@ -56,6 +55,12 @@ class JavaScriptOptimizer {
         console.log('🔧 Starting JavaScript optimization for Vercel...');
         
         try {
+            const terser = await this.loadTerser();
+            if (!terser) {
+                console.log('ℹ️  Terser not available, skipping JavaScript optimization');
+                return;
+            }
+
             const jsFiles = await this.findJavaScriptFiles();
             
             if (jsFiles.length === 0) {
@@ -66,7 +71,7 @@ class JavaScriptOptimizer {
             console.log(`📁 Found ${jsFiles.length} JavaScript files`);
             
             for (const file of jsFiles) {
-                await this.optimizeFile(file);
+                await this.optimizeFile(file, terser);
             }
             
             await this.generateReport();
@@ -105,7 +110,16 @@ class JavaScriptOptimizer {
         return files;
     }
 
-    async optimizeFile(file) {
+    async loadTerser() {
+        try {
+            return require('terser');
+        } catch (error) {
+            console.log('Terser not installed, JavaScript is served unminified');
+            return null;
+        }
+    }
+
+    async optimizeFile(file, terser) {
         try {
             console.log(`🔄 Optimizing ${file.name}...`);
             
@@ -114,7 +128,7 @@ class JavaScriptOptimizer {
             this.stats.totalOriginalSize += file.size;
             
             // Minify with Terser
-            const result = await minify(code, this.terserOptions);
+            const result = await terser.minify(code, this.terserOptions);
             
             if (result.error) {
                 throw new Error(`Terser error: ${result.error}`);
@@ -164,7 +178,27 @@ class JavaScriptOptimizer {
                 { from: '/assets/js/app.js', to: '/assets/js/app.min.js' },
                 { from: '/assets/js/web3.js', to: '/assets/js/web3.min.js' },
                 { from: '/assets/js/lazy-loader.js', to: '/assets/js/lazy-loader.min.js' },
-                { from: '/assets/js/ui-manager.js', to: '/assets/js/ui-manager.min.js' }
+                { from: '/assets/js/ui-manager.js', to: '/assets/js/ui-manager.min.js' },
+                { from: '/assets/js/proxy-bidding.js', to: '/assets/js/proxy-bidding.min.js' },
+                { from: '/assets/js/search.js', to: '/assets/js/search.min.js' },
+                { from: '/assets/js/router.js', to: '/assets/js/router.min.js' },
+                { from: '/assets/js/watchlist.js', to: '/assets/js/watchlist.min.js' },
+                { from: '/assets/js/lot-comparison.js', to: '/assets/js/lot-comparison.min.js' },
+                { from: '/assets/js/catalogue.js', to: '/assets/js/catalogue.min.js' },
+                { from: '/assets/js/calendar.js', to: '/assets/js/calendar.min.js' },
+                { from: '/assets/js/currency.js', to: '/assets/js/currency.min.js' },
+                { from: '/assets/js/fee-calculator.js', to: '/assets/js/fee-calculator.min.js' },
+                { from: '/assets/js/address-validator.js', to: '/assets/js/address-validator.min.js' },
+                { from: '/assets/js/address-encryption.js', to: '/assets/js/address-encryption.min.js' },
+                { from: '/assets/js/carrier-adapters.js', to: '/assets/js/carrier-adapters.min.js' },
+                { from: '/assets/js/shipment-tracker.js', to: '/assets/js/shipment-tracker.min.js' },
+                { from: '/assets/js/transaction-tracker.js', to: '/assets/js/transaction-tracker.min.js' },
+                { from: '/assets/js/error-decoder.js', to: '/assets/js/error-decoder.min.js' },
+                { from: '/assets/js/wallet-discovery.js', to: '/assets/js/wallet-discovery.min.js' },
+                { from: '/assets/js/siwe.js', to: '/assets/js/siwe.min.js' },
+                { from: '/assets/js/networks.js', to: '/assets/js/networks.min.js' },
+                { from: '/assets/js/seeded-random.js', to: '/assets/js/seeded-random.min.js' },
+                { from: '/assets/js/mock-chain.js', to: '/assets/js/mock-chain.min.js' }
             ];
             
             let updated = false;
@@ -370,13 +404,15 @@ class SitemapGenerator {
     constructor() {
         this.baseUrl = 'https://yizhen-platform.vercel.app';
         this.outputPath = 'public/sitemap.xml';
+        this.artifactsPath = 'public/assets/data/artifacts.json';
     }
 
     async generate() {
         console.log('🗺️  Generating sitemap...');
         
         try {
-            const sitemap = this.createSitemap();
+            const lotNumbers = await this.loadLotNumbers();
+            const sitemap = this.createSitemap(lotNumbers);
             await fs.writeFile(this.outputPath, sitemap);
             console.log('✅ Sitemap generated successfully');
         } catch (error) {
@@ -384,13 +420,24 @@ class SitemapGenerator {
         }
     }
 
-    createSitemap() {
+    async loadLotNumbers() {
+        try {
+            const artifacts = JSON.parse(await fs.readFile(this.artifactsPath, 'utf8'));
+            return artifacts.map(artifact => artifact.lotNumber);
+        } catch (error) {
+            console.warn('⚠️  Could not read lots for sitemap:', error.message);
+            return [];
+        }
+    }
+
+    createSitemap(lotNumbers = []) {
         const urls = [
             { loc: '/', priority: '1.0', changefreq: 'daily' },
             { loc: '/#auctions', priority: '0.9', changefreq: 'hourly' },
             { loc: '/private', priority: '0.8', changefreq: 'weekly' },
             { loc: '/exhibitions', priority: '0.7', changefreq: 'weekly' },
-            { loc: '/about', priority: '0.6', changefreq: 'monthly' }
+            { loc: '/about', priority: '0.6', changefreq: 'monthly' },
+            ...lotNumbers.map(lot => ({ loc: `/lot/${lot}`, priority: '0.8', changefreq: 'hourly' }))
         ];
         
         const urlset = urls.map(url => `
@@ -408,6 +455,100 @@ ${urlset}
     }
 }
 
+// Calendar Feed Generator - subscribable .ics of lot closing times
+class CalendarFeedGenerator {
+    constructor(options = {}) {
+        this.baseUrl = 'https://yizhen-platform.vercel.app';
+        this.outputPath = 'public/calendar.ics';
+        this.artifactsPath = 'public/assets/data/artifacts.json';
+        this.abiPath = 'public/assets/abi/auction.json';
+        this.networkId = options.networkId || null;
+    }
+
+    /**
+     * Write the feed of lots still open at build time. The auction contract is the source of truth
+     * for end times, since soft close moves them; the catalogue's endTime is only used for lots the
+     * chain cannot be asked about. A lot that closes after the build stays in the feed until the
+     * next deploy, and an extension after the build is not in it.
+     */
+    async generate() {
+        console.log('📅 Generating calendar feed...');
+
+        try {
+            const CalendarExport = require('../public/assets/js/calendar.js');
+            const calendar = new CalendarExport({ baseUrl: this.baseUrl });
+            const artifacts = JSON.parse(await fs.readFile(this.artifactsPath, 'utf8'));
+
+            const now = Date.now();
+            const openLots = this.selectOpenLots(artifacts, await this.readChainAuctions(artifacts), now);
+
+            await fs.writeFile(this.outputPath, calendar.buildCalendar(openLots, { feed: true, now }));
+            console.log(`✅ Calendar feed generated with ${openLots.length} lots`);
+        } catch (error) {
+            console.warn('⚠️  Could not generate calendar feed:', error.message);
+        }
+    }
+
+    /**
+     * Lots that close after now, at their on-chain end time where there is one.
+     * @param {Array<Object>} artifacts Catalogue lots
+     * @param {Map<number, Object>} auctions endTime (ms) and ended, by auctionId, for lots listed on-chain
+     * @param {number} now Cut-off timestamp
+     * @returns {Array<Object>} The open lots with endTime replaced by the chain's
+     */
+    selectOpenLots(artifacts, auctions, now) {
+        return artifacts
+            .map(artifact => {
+                const auction = auctions.get(artifact.auctionId);
+                if (!auction) return artifact;
+                return auction.ended ? null : { ...artifact, endTime: auction.endTime };
+            })
+            .filter(artifact => artifact && artifact.endTime > now)
+            .sort((a, b) => a.endTime - b.endTime);
+    }
+
+    /**
+     * Read each lot's auction from the network the site starts on (or --network=<id>).
+     * @returns {Promise<Map<number, Object>>} Empty when the auction is not deployed or the RPC
+     *   cannot be reached, so the catalogue's times are used instead
+     */
+    async readChainAuctions(artifacts) {
+        const auctions = new Map();
+        const NetworkRegistry = require('../public/assets/js/networks.js');
+        const registry = new NetworkRegistry({ target: {} });
+        const network = this.networkId ? registry.get(this.networkId) : registry.resolve();
+        if (!registry.isDeployed(network) || network.rpcUrls.length === 0) {
+            console.warn(`⚠️  No auction contract on ${network ? network.id : this.networkId}, using the catalogue's end times`);
+            return auctions;
+        }
+
+        try {
+            const { ethers } = require('ethers');
+            const abi = JSON.parse(await fs.readFile(this.abiPath, 'utf8'));
+            const provider = new ethers.JsonRpcProvider(network.rpcUrls[0], network.chainId, { staticNetwork: true });
+            const contract = new ethers.Contract(network.contracts.auction, abi, provider);
+
+            for (const artifact of artifacts) {
+                const auction = await contract.auctions(artifact.auctionId);
+                // A zero end time means the lot was never listed on this contract
+                if (auction.endTime > 0n) {
+                    auctions.set(artifact.auctionId, { endTime: Number(auction.endTime) * 1000, ended: auction.ended });
+                }
+            }
+            provider.destroy();
+        } catch (error) {
+            console.warn(`⚠️  Could not read end times from ${network.id}, using the catalogue's:`, error.shortMessage || error.message);
+            auctions.clear();
+        }
+        return auctions;
+    }
+}
+
+function parseNetworkArg(args) {
+    const arg = args.find(a => a.startsWith('--network='));
+    return arg ? arg.slice('--network='.length) : null;
+}
+
 // Main execution
 async function main() {
     const args = process.argv.slice(2);
@@ -422,15 +563,20 @@ async function main() {
         } else if (args.includes('--sitemap-only')) {
             const sitemapGenerator = new SitemapGenerator();
             await sitemapGenerator.generate();
+        } else if (args.includes('--calendar-only')) {
+            const calendarFeedGenerator = new CalendarFeedGenerator({ networkId: parseNetworkArg(args) });
+            await calendarFeedGenerator.generate();
         } else {
             // Run all optimizations
             const jsOptimizer = new JavaScriptOptimizer();
             const imageOptimizer = new ImageOptimizer();
             const sitemapGenerator = new SitemapGenerator();
+            const calendarFeedGenerator = new CalendarFeedGenerator({ networkId: parseNetworkArg(args) });
             
             await jsOptimizer.optimize();
             await imageOptimizer.optimize();
             await sitemapGenerator.generate();
+            await calendarFeedGenerator.generate();
         }
         
         console.log('🎉 All optimizations complete! Ready for Vercel deployment.');
@@ -445,4 +591,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { JavaScriptOptimizer, ImageOptimizer, SitemapGenerator };
+module.exports = { JavaScriptOptimizer, ImageOptimizer, SitemapGenerator, CalendarFeedGenerator };
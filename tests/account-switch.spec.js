@@ -0,0 +1,120 @@
+// account-switch.spec.js - Switching accounts in the wallet
+// Web3Manager is connected to the mock chain through a wallet whose selected account the test
+// changes, as a wallet extension does before it fires accountsChanged
+
+import { ethers } from 'ethers';
+import MockChain from '../public/assets/js/mock-chain.js';
+import SeededRandom from '../public/assets/js/seeded-random.js';
+import artifacts from '../public/assets/data/artifacts.json';
+
+const NOW = Date.UTC(2025, 0, 15, 12, 0, 0);
+const AUCTION_ID = 3;
+
+globalThis.window = globalThis;
+globalThis.ethers = ethers;
+window.location = new URL('http://localhost/');
+window.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+window.dispatchEvent = () => true;
+window.CustomEvent = class CustomEvent {
+    constructor(type, { detail } = {}) {
+        this.type = type;
+        this.detail = detail;
+    }
+};
+
+// The mock chain answers for one demo account; this wallet reports whichever is selected
+function createWallet(chain) {
+    const wallet = {
+        selected: chain.accounts.collector,
+        request: ({ method, params }) => ['eth_accounts', 'eth_requestAccounts'].includes(method)
+            ? Promise.resolve([wallet.selected])
+            : chain.request({ method, params }),
+        on: () => {},
+        removeListener: () => {}
+    };
+    return wallet;
+}
+
+async function createManager() {
+    const { Web3Manager } = await import('../public/assets/js/web3.js');
+    const clock = { now: NOW };
+    const chain = new MockChain({ artifacts, random: new SeededRandom('accounts'), scenario: 'quiet', clock: () => clock.now });
+    const wallet = createWallet(chain);
+
+    const manager = new Web3Manager();
+    manager.updateWalletUI = () => {};
+    manager.showToast = () => {};
+    manager.network = { chainId: chain.chainId };
+    manager.contractAddresses = chain.addresses;
+    manager.provider = new ethers.BrowserProvider(wallet);
+    manager.userAccount = chain.accounts.collector;
+    manager.signer = await manager.provider.getSigner();
+    await manager.initializeContracts();
+
+    const advance = (ms = 2000) => {
+        clock.now += ms;
+        return chain.tick();
+    };
+    return { manager, chain, wallet, advance };
+}
+
+async function bid(manager, chain) {
+    const auction = chain.getAuction(AUCTION_ID);
+    return manager.auctionContract.placeBid(AUCTION_ID, { value: auction.highestBid + auction.minBidIncrement });
+}
+
+describe('Account switch', () => {
+    test('should sign with the new account after a switch', async () => {
+        const { manager, chain, wallet, advance } = await createManager();
+        const [rival] = chain.accounts.rivals;
+
+        wallet.selected = rival;
+        await manager.handleAccountsChanged([rival]);
+
+        expect(manager.userAccount).toBe(rival);
+        expect((await manager.signer.getAddress()).toLowerCase()).toBe(rival);
+        const tx = await bid(manager, chain);
+        advance();
+
+        expect(tx.from.toLowerCase()).toBe(rival);
+        expect(chain.getAuction(AUCTION_ID).highestBidder).toBe(rival);
+    });
+
+    test('should build new contract clients on the new signer', async () => {
+        const { manager, chain, wallet } = await createManager();
+        const { auctionContract, nftContract } = manager;
+        const [rival] = chain.accounts.rivals;
+
+        wallet.selected = rival;
+        await manager.handleAccountsChanged([rival]);
+
+        expect(manager.auctionContract === auctionContract).toBe(false);
+        expect(manager.nftContract === nftContract).toBe(false);
+        expect(manager.auctionContract.contract.runner).toBe(manager.signer);
+        expect(manager.nftContract.contract.runner).toBe(manager.signer);
+    });
+
+    test('should keep the newest account when switched twice in quick succession', async () => {
+        const { manager, chain, wallet } = await createManager();
+        const [first, second] = chain.accounts.rivals;
+
+        wallet.selected = first;
+        const switching = manager.handleAccountsChanged([first]);
+        wallet.selected = second;
+        await Promise.all([switching, manager.handleAccountsChanged([second])]);
+
+        expect(manager.userAccount).toBe(second);
+        expect((await manager.signer.getAddress()).toLowerCase()).toBe(second);
+    });
+
+    test('should drop the signer and contract clients on disconnect', async () => {
+        const { manager } = await createManager();
+
+        await manager.handleAccountsChanged([]);
+
+        expect(manager.userAccount).toBeNull();
+        expect(manager.signer).toBeNull();
+        expect(manager.auctionContract).toBeNull();
+        expect(manager.nftContract).toBeNull();
+    });
+});
@@ -0,0 +1,202 @@
+// auth-verify.spec.js - Signing in with an Ethereum wallet
+// Drives /api/auth/nonce and /api/auth/verify as the browser would: fetch a nonce, sign a message
+// carrying it, and send the message back with the nonce cookie
+
+import { ethers } from 'ethers';
+import SiweMessage from '../public/assets/js/siwe.js';
+import issueNonce from '../api/auth/nonce.js';
+import verify from '../api/auth/verify.js';
+
+const HOST = 'yizhen.example';
+
+process.env.SESSION_SECRET = 'test-secret-that-is-long-enough-for-hmac';
+process.env.KV_REST_API_URL = 'https://kv.yizhen.example';
+process.env.KV_REST_API_TOKEN = 'kv-token';
+
+// The nonce store's REST API, answering SET key value NX PX ttl as Redis would
+const store = new Map();
+globalThis.fetch = async (url, { headers, body }) => {
+    expect(url).toBe(process.env.KV_REST_API_URL);
+    expect(headers.Authorization).toBe('Bearer kv-token');
+    const [command, key, value, condition] = JSON.parse(body);
+    expect([command, condition]).toEqual(['SET', 'NX']);
+    const written = !store.has(key);
+    if (written) store.set(key, value);
+    return { ok: true, json: async () => ({ result: written ? 'OK' : null }) };
+};
+
+function createResponse() {
+    const res = { statusCode: null, headers: {}, body: null };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+}
+
+// The nonce and the cookie that carries it, as /api/auth/nonce hands them out
+function fetchNonce() {
+    const res = createResponse();
+    issueNonce({ method: 'GET', headers: { host: HOST } }, res);
+    return { nonce: res.body.nonce, cookie: res.headers['set-cookie'].split(';')[0] };
+}
+
+function createMessage(wallet, nonce, overrides = {}) {
+    return new SiweMessage({
+        domain: HOST,
+        address: wallet.address,
+        statement: 'Sign in to Yizhen Platform',
+        uri: `https://${HOST}`,
+        chainId: 11155111,
+        nonce,
+        issuedAt: new Date().toISOString(),
+        ...overrides
+    }).toString();
+}
+
+async function post(body, cookie = '', host = HOST) {
+    const res = createResponse();
+    await verify({ method: 'POST', headers: { host, cookie }, body }, res);
+    return res;
+}
+
+async function signIn(overrides = {}) {
+    const wallet = ethers.Wallet.createRandom();
+    const { nonce, cookie } = fetchNonce();
+    const message = createMessage(wallet, nonce, overrides);
+    return { wallet, nonce, cookie, message, signature: await wallet.signMessage(message) };
+}
+
+describe('Sign-in', () => {
+    test('should start a session for the address that signed', async () => {
+        const { wallet, cookie, message, signature } = await signIn();
+        const res = await post({ message, signature }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.address).toBe(wallet.address);
+        expect(res.body.chainId).toBe(11155111);
+        expect(res.headers['cache-control']).toBe('no-store');
+
+        const [session, nonce] = res.headers['set-cookie'];
+        expect(session.startsWith('yizhen_session=')).toBe(true);
+        expect(nonce).toContain('yizhen_siwe_nonce=;');
+        expect(nonce).toContain('Max-Age=0');
+    });
+
+    test('should end the session no later than the message expires', async () => {
+        const expirationTime = new Date(Date.now() + 60000).toISOString();
+        const { cookie, message, signature } = await signIn({ expirationTime });
+        const res = await post({ message, signature }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.expiresAt).toBe(Date.parse(expirationTime));
+    });
+});
+
+describe('Rejected sign-ins', () => {
+    test('should only accept POST', async () => {
+        const res = createResponse();
+        await verify({ method: 'GET', headers: { host: HOST } }, res);
+        expect(res.statusCode).toBe(405);
+        expect(res.headers.allow).toBe('POST');
+    });
+
+    test('should reject a body without a message and signature', async () => {
+        expect((await post(undefined)).body).toEqual({ error: 'invalidRequest' });
+        expect((await post({ message: 'hello' })).statusCode).toBe(400);
+    });
+
+    test('should reject text that is not a sign-in message', async () => {
+        const res = await post({ message: 'hello', signature: '0x' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toEqual({ error: 'invalidMessage' });
+    });
+
+    test('should reject a message signed for another site', async () => {
+        const { cookie, message, signature } = await signIn({ domain: 'evil.example' });
+        const res = await post({ message, signature }, cookie);
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ error: 'domain' });
+    });
+
+    test('should reject a message without the nonce cookie or with another nonce', async () => {
+        const { message, signature } = await signIn();
+        expect((await post({ message, signature })).body).toEqual({ error: 'nonce' });
+
+        const other = fetchNonce();
+        expect((await post({ message, signature }, other.cookie)).body).toEqual({ error: 'nonce' });
+    });
+
+    test('should reject a nonce cookie that was tampered with', async () => {
+        const { cookie, message, signature } = await signIn();
+        const res = await post({ message, signature }, cookie.slice(0, -2) + 'xx');
+        expect(res.body).toEqual({ error: 'nonce' });
+    });
+
+    test('should reject an expired message', async () => {
+        const { cookie, message, signature } = await signIn({ expirationTime: new Date(Date.now() - 1000).toISOString() });
+        const res = await post({ message, signature }, cookie);
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ error: 'expired' });
+    });
+
+    test('should reject a signature from another wallet', async () => {
+        const { cookie, message } = await signIn();
+        const signature = await ethers.Wallet.createRandom().signMessage(message);
+        const res = await post({ message, signature }, cookie);
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ error: 'signature' });
+    });
+
+    test('should reject a signature that cannot be recovered', async () => {
+        const { cookie, message } = await signIn();
+        const res = await post({ message, signature: '0x1234' }, cookie);
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ error: 'signature' });
+    });
+
+    test('should refuse a sign-in message that was already used', async () => {
+        const { cookie, message, signature } = await signIn();
+        expect((await post({ message, signature }, cookie)).statusCode).toBe(200);
+
+        // The nonce cookie is cleared by the first sign-in, but a captured copy is still sealed and unexpired
+        const res = await post({ message, signature }, cookie);
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ error: 'nonce' });
+        expect(res.headers['set-cookie']).toBe(undefined);
+    });
+
+    test('should not use up the nonce on a failed sign-in', async () => {
+        const { wallet, cookie, message } = await signIn();
+        const forged = await ethers.Wallet.createRandom().signMessage(message);
+        expect((await post({ message, signature: forged }, cookie)).body).toEqual({ error: 'signature' });
+
+        const res = await post({ message, signature: await wallet.signMessage(message) }, cookie);
+        expect(res.statusCode).toBe(200);
+    });
+
+    test('should report a missing nonce store as not configured', async () => {
+        const { cookie, message, signature } = await signIn();
+        const url = process.env.KV_REST_API_URL;
+        delete process.env.KV_REST_API_URL;
+        try {
+            const res = await post({ message, signature }, cookie);
+            expect(res.statusCode).toBe(500);
+            expect(res.body).toEqual({ error: 'notConfigured' });
+        } finally {
+            process.env.KV_REST_API_URL = url;
+        }
+    });
+
+    test('should report a missing secret as not configured', async () => {
+        const { cookie, message, signature } = await signIn();
+        const secret = process.env.SESSION_SECRET;
+        delete process.env.SESSION_SECRET;
+        try {
+            const res = await post({ message, signature }, cookie);
+            expect(res.statusCode).toBe(500);
+            expect(res.body).toEqual({ error: 'notConfigured' });
+        } finally {
+            process.env.SESSION_SECRET = secret;
+        }
+    });
+});
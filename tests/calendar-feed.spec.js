@@ -0,0 +1,78 @@
+// calendar-feed.spec.js - Build-time calendar feed
+// Which lots the feed written by scripts/optimize-js.js lists, and at what end time
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CalendarFeedGenerator } from '../scripts/optimize-js.js';
+import artifacts from '../public/assets/data/artifacts.json';
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+function lot(auctionId, endTime) {
+    return { ...artifacts[0], auctionId, lotNumber: String(auctionId + 1).padStart(3, '0'), endTime };
+}
+
+describe('Cut-off', () => {
+    test('should list only lots that close after the build', () => {
+        const generator = new CalendarFeedGenerator();
+        const lots = [lot(0, NOW - HOUR), lot(1, NOW + HOUR), lot(2, NOW)];
+
+        expect(generator.selectOpenLots(lots, new Map(), NOW).map(a => a.auctionId)).toEqual([1]);
+    });
+
+    test('should take the end time from the chain over the catalogue\'s', () => {
+        const generator = new CalendarFeedGenerator();
+        const lots = [lot(0, NOW - 30 * 24 * HOUR), lot(1, NOW + HOUR)];
+        const auctions = new Map([
+            [0, { endTime: NOW + 2 * HOUR, ended: false }],
+            [1, { endTime: NOW - HOUR, ended: false }]
+        ]);
+
+        const open = generator.selectOpenLots(lots, auctions, NOW);
+        expect(open.map(a => a.auctionId)).toEqual([0]);
+        expect(open[0].endTime).toBe(NOW + 2 * HOUR);
+    });
+
+    test('should drop a lot settled on-chain even if its end time is ahead', () => {
+        const generator = new CalendarFeedGenerator();
+        const auctions = new Map([[0, { endTime: NOW + HOUR, ended: true }]]);
+
+        expect(generator.selectOpenLots([lot(0, NOW + HOUR)], auctions, NOW)).toEqual([]);
+    });
+
+    test('should be empty for the shipped catalogue when no chain can be read', () => {
+        const generator = new CalendarFeedGenerator();
+        expect(generator.selectOpenLots(artifacts, new Map(), NOW)).toEqual([]);
+    });
+});
+
+describe('Chain', () => {
+    test('should fall back to the catalogue on a network with no auction contract', async () => {
+        const generator = new CalendarFeedGenerator({ networkId: 'mainnet' });
+        const auctions = await generator.readChainAuctions(artifacts);
+        expect(auctions.size).toBe(0);
+    });
+});
+
+describe('Feed', () => {
+    test('should write one event per open lot at its on-chain end time', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-'));
+        const generator = new CalendarFeedGenerator();
+        generator.outputPath = path.join(dir, 'calendar.ics');
+        const endTime = Date.now() + 24 * HOUR;
+        generator.readChainAuctions = async () => new Map([[artifacts[1].auctionId, { endTime, ended: false }]]);
+
+        try {
+            await generator.generate();
+            const feed = fs.readFileSync(generator.outputPath, 'utf8');
+
+            expect(feed.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+            expect(feed).toContain(`UID:lot-${artifacts[1].lotNumber}-auction-${artifacts[1].auctionId}@yizhen-platform`);
+            expect(feed).toContain(`DTSTART:${new Date(endTime).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
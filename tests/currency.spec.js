@@ -0,0 +1,57 @@
+// currency.spec.js - Display conversion of catalogue and on-chain amounts
+// The catalogue is priced in USD while an ETH-settled network's bids are in ETH; neither may be labelled as the other
+
+import CurrencyConverter from '../public/assets/js/currency.js';
+import snapshot from '../public/assets/data/fx-rates.json';
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value))
+};
+
+function createConverter(display, settlementCurrency = 'ETH') {
+    store.clear();
+    store.set('yizhen_currency', display);
+    const converter = new CurrencyConverter({ settlementCurrency });
+    converter.snapshot = snapshot;
+    return converter;
+}
+
+describe('ETH-settled network', () => {
+    test('should show a catalogue price in USD rather than as ETH', () => {
+        const converter = createConverter('USD');
+
+        expect(converter.format(92000, 'en-US', 'USD')).toBe('$92,000');
+        expect(converter.format(92000, 'en-US', 'USD')).not.toContain('ETH');
+    });
+
+    test('should convert a catalogue price into the viewer\'s currency from USD', () => {
+        const converter = createConverter('HKD');
+
+        expect(converter.format(92000, 'en-US', 'USD')).toBe('≈ HK$714,950 ($92,000)');
+    });
+
+    test('should show an on-chain bid in ETH with its converted value', () => {
+        const converter = createConverter('USD');
+
+        expect(converter.format(23.184, 'en-US', 'ETH')).toBe('≈ $92,000 (23.184 ETH)');
+        // Without a lot currency the settlement currency is assumed
+        expect(converter.format(23.184)).toBe('≈ $92,000 (23.184 ETH)');
+    });
+
+    test('should price a dollar in ETH for the demo chain\'s listings', () => {
+        const converter = createConverter('USD');
+
+        expect(converter.convert(1, 'ETH', 'USD')).toBe(snapshot.rates.ETH);
+        expect(converter.convert(92000, 'ETH', 'USD')).toBeCloseTo(23.184, 6);
+    });
+
+    test('should leave amounts unconverted without a snapshot', () => {
+        const converter = createConverter('HKD');
+        converter.snapshot = null;
+
+        expect(converter.format(92000, 'en-US', 'USD')).toBe('$92,000');
+        expect(converter.format(23.184, 'en-US', 'ETH')).toBe('23.184 ETH');
+    });
+});
@@ -0,0 +1,282 @@
+// error-decoder.spec.js - Revert, compliance and wallet error decoding
+// Errors are built in the shapes ethers v6, MetaMask and the transaction tracker produce
+
+import fs from 'fs';
+import ErrorDecoder from '../public/assets/js/error-decoder.js';
+
+const decoder = new ErrorDecoder();
+
+// ABI encoding of Error(string), as returned in revert data
+function encodeErrorString(reason) {
+    const bytes = Buffer.from(reason, 'utf8');
+    const word = value => value.toString(16).padStart(64, '0');
+    const data = bytes.toString('hex').padEnd(Math.ceil(bytes.length / 32) * 64, '0');
+    return '0x08c379a0' + word(32) + word(bytes.length) + data;
+}
+
+// ethers v6 error for a call that reverted with a reason string
+function callException(reason) {
+    return Object.assign(new Error(`execution reverted: "${reason}"`), {
+        code: 'CALL_EXCEPTION',
+        reason,
+        data: encodeErrorString(reason),
+        revert: { name: 'Error', signature: 'Error(string)', args: [reason] }
+    });
+}
+
+describe('YizhenAuctionMinimal reverts', () => {
+    test.each([
+        ['Bid too low', 'bidTooLow', 'raiseBid'],
+        ['Ended', 'auctionEnded', 'browseLots'],
+        ['Already ended', 'auctionSettled', 'refresh'],
+        ['Not ended', 'auctionNotEnded', 'waitForClose'],
+        ['Invalid auction', 'auctionNotFound', 'refresh'],
+        ['Already minted', 'alreadyMinted', 'viewCollection'],
+        ['Nothing to withdraw', 'nothingToWithdraw', 'refresh'],
+        ['Not authorized', 'notAuthorized', 'contactSupport'],
+        ['Invalid price', 'invalidRequest', 'contactSupport'],
+        ['Invalid duration', 'invalidRequest', 'contactSupport'],
+        ['Invalid soft close', 'invalidRequest', 'contactSupport'],
+        ['Invalid token', 'invalidRequest', 'contactSupport'],
+        ['Token auction', 'wrongCurrency', 'refresh'],
+        ['Native auction', 'wrongCurrency', 'refresh']
+    ])('"%s" should decode to %s', (reason, code, action) => {
+        const decoded = decoder.decode(callException(reason));
+
+        expect(decoded.code).toBe(code);
+        expect(decoded.category).toBe('contract');
+        expect(decoded.action).toBe(action);
+        expect(decoded.reason).toBe(reason);
+    });
+
+    test('bid too low should name the new minimum when it is known', () => {
+        const decoded = decoder.decode(callException('Bid too low'), { minimumBid: '$12,600' });
+
+        expect(decoded.action).toBe('raiseBidTo');
+        expect(decoded.params.minimumBid).toBe('$12,600');
+    });
+});
+
+describe('YizhenAuctionWithCompliance and YizhenCeramicsNFT reverts', () => {
+    test.each([
+        ['Auction ended', 'auctionEnded'],
+        ['Auction expired', 'auctionEnded'],
+        ['Already fulfilled', 'invalidRequest'],
+        ['Not the owner', 'notTokenOwner'],
+        ['Already shipped', 'alreadyShipped'],
+        ['Invalid address', 'invalidShippingAddress'],
+        ['Token does not exist', 'tokenNotFound'],
+        ['No shipping address', 'noShippingAddress'],
+        ['Only auction contract can mint', 'notAuthorized'],
+        ['Invalid auction contract', 'invalidRequest']
+    ])('"%s" should decode to %s', (reason, code) => {
+        expect(decoder.decode(callException(reason)).code).toBe(code);
+    });
+});
+
+describe('Contract coverage', () => {
+    // The require() messages the deployed contracts can revert with, leaving out commented-out checks
+    const contracts = ['contracts/YizhenAuctionMinimal.sol', 'contracts/YizhenCeramicsNFT.sol', 'compliance/contracts/ComplianceRegistry.sol'];
+    const reasons = [...new Set(contracts.flatMap(file => {
+        const source = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => !line.trim().startsWith('//')).join('\n');
+        return [...source.matchAll(/require\([^;]*?"([^"]+)"\s*\)/g)].map(match => match[1]);
+    }))];
+
+    test('should find the contracts\' require() messages', () => {
+        expect(reasons.length).toBeGreaterThan(20);
+    });
+
+    test.each(reasons.map(reason => [reason]))('"%s" should have a mapping', (reason) => {
+        expect(decoder.decode(callException(reason)).code === 'unknownRevert').toBe(false);
+    });
+});
+
+describe('ComplianceRegistry reverts', () => {
+    test.each([
+        ['User is sanctioned', 'sanctioned', 'contactSupport'],
+        ['User is blocked', 'accountBlocked', 'contactSupport'],
+        ['Compliance check required', 'verificationRequired', 'completeVerification'],
+        ['KYC expired', 'kycExpired', 'completeVerification'],
+        ['Exceeds per-transaction limit', 'perTransactionLimit', 'lowerAmount'],
+        ['Exceeds daily limit', 'dailyLimit', 'tryTomorrow'],
+        ['Exceeds monthly limit', 'monthlyLimit', 'contactSupport'],
+        ['High risk - manual review required', 'manualReview', 'contactSupport']
+    ])('"Compliance check failed: %s" should decode to %s', (detail, code, action) => {
+        const decoded = decoder.decode(callException(`Compliance check failed: ${detail}`));
+
+        expect(decoded.code).toBe(code);
+        expect(decoded.category).toBe('compliance');
+        expect(decoded.action).toBe(action);
+        expect(decoded.params.detail).toBe(detail);
+    });
+
+    test('seller rejections should decode the same reasons', () => {
+        expect(decoder.decode(callException('Seller not compliant: KYC expired')).code).toBe('kycExpired');
+    });
+
+    test('unrecognised compliance reasons should still be compliance errors', () => {
+        const decoded = decoder.decode(callException('Compliance check failed: Jurisdiction not supported'));
+
+        expect(decoded.code).toBe('complianceFailed');
+        expect(decoded.params.detail).toBe('Jurisdiction not supported');
+    });
+
+    test.each([
+        ['Invalid risk score'],
+        ['Array length mismatch'],
+        ['Invalid signature']
+    ])('"%s" should decode to invalidRequest', (reason) => {
+        expect(decoder.decode(callException(reason)).code).toBe('invalidRequest');
+    });
+});
+
+describe('OpenZeppelin errors', () => {
+    test.each([
+        ['Pausable: paused', 'paused'],
+        ['ReentrancyGuard: reentrant call', 'reentrant'],
+        ['Ownable: caller is not the owner', 'notAuthorized'],
+        ['ERC721: invalid token ID', 'tokenNotFound'],
+        ['ERC20: insufficient allowance', 'insufficientAllowance'],
+        ['ERC20: transfer amount exceeds balance', 'insufficientTokenBalance'],
+        ['ERC20Permit: expired deadline', 'permitExpired'],
+        ['AccessControl: account 0x5b38da6a701c568545dcfcb03fcb875f56beddc4 is missing role 0x0000000000000000000000000000000000000000000000000000000000000000', 'notAuthorized']
+    ])('v4 "%s" should decode to %s', (reason, code) => {
+        expect(decoder.decode(callException(reason)).code).toBe(code);
+    });
+
+    test.each([
+        ['0xd93c0665', 'EnforcedPause', 'paused'],
+        ['0x3ee5aeb5', 'ReentrancyGuardReentrantCall', 'reentrant'],
+        ['0x118cdaa7' + '0'.repeat(24) + '5b38da6a701c568545dcfcb03fcb875f56beddc4', 'OwnableUnauthorizedAccount', 'notAuthorized'],
+        ['0x7e273289' + '0'.repeat(63) + '7', 'ERC721NonexistentToken', 'tokenNotFound'],
+        ['0x64283d7b' + '0'.repeat(192), 'ERC721IncorrectOwner', 'notTokenOwner'],
+        ['0xfb8f41b2' + '0'.repeat(192), 'ERC20InsufficientAllowance', 'insufficientAllowance'],
+        ['0xe450d38c' + '0'.repeat(192), 'ERC20InsufficientBalance', 'insufficientTokenBalance'],
+        ['0x5274afe7' + '0'.repeat(64), 'SafeERC20FailedOperation', 'tokenTransferFailed']
+    ])('custom error data %s should decode to %s', (data, name, code) => {
+        const decoded = decoder.decode({ code: 'CALL_EXCEPTION', reason: null, data });
+
+        expect(decoded.code).toBe(code);
+        expect(decoded.reason).toBe(name);
+    });
+
+    test('custom errors ethers already decoded should be matched by name', () => {
+        const error = { code: 'CALL_EXCEPTION', revert: { name: 'EnforcedPause', args: [] } };
+        expect(decoder.decode(error).code).toBe('paused');
+    });
+
+    test('panics should keep their code', () => {
+        const decoded = decoder.decode({ code: 'CALL_EXCEPTION', data: '0x4e487b71' + '0'.repeat(62) + '11' });
+
+        expect(decoded.code).toBe('panic');
+        expect(decoded.params.panicCode).toBe(0x11);
+    });
+
+    test('unknown selectors should decode to unknownRevert', () => {
+        const decoded = decoder.decode({ code: 'CALL_EXCEPTION', data: '0xdeadbeef' });
+
+        expect(decoded.code).toBe('unknownRevert');
+        expect(decoded.reason).toBe('0xdeadbeef');
+    });
+});
+
+describe('Where the revert is found', () => {
+    test('should read revert data nested in a MetaMask RPC error', () => {
+        const error = {
+            code: 'UNKNOWN_ERROR',
+            info: { error: { code: -32603, message: 'Internal JSON-RPC error.', data: { code: 3, data: encodeErrorString('Bid too low') } } }
+        };
+        expect(decoder.decode(error).code).toBe('bidTooLow');
+    });
+
+    test('should read revert data under data.originalError', () => {
+        const error = { code: -32603, data: { originalError: { code: 3, data: encodeErrorString('Not ended') } } };
+        expect(decoder.decode(error).code).toBe('auctionNotEnded');
+    });
+
+    test('should parse the reason out of node messages without data', () => {
+        expect(decoder.decode(new Error('execution reverted: Nothing to withdraw')).code).toBe('nothingToWithdraw');
+        expect(decoder.decode(new Error("VM Exception while processing transaction: reverted with reason string 'Ended'")).code)
+            .toBe('auctionEnded');
+    });
+
+    test('should decode multi-byte reason strings', () => {
+        expect(decoder.decode(encodeErrorString('拍賣已結束')).reason).toBe('拍賣已結束');
+    });
+
+    test('should use the revert reason of a failed tracked transaction', () => {
+        const error = Object.assign(new Error('Bid too low'), { transaction: { status: 'failed', revertReason: 'Bid too low' } });
+        expect(decoder.decode(error).code).toBe('bidTooLow');
+    });
+
+    test('should decode a bare revert reason', () => {
+        expect(decoder.decode('Already shipped').code).toBe('alreadyShipped');
+    });
+
+    test('reverts without a reason should decode to unknownRevert', () => {
+        expect(decoder.decode({ code: 'CALL_EXCEPTION', reason: null, data: null }).code).toBe('unknownRevert');
+    });
+});
+
+describe('Wallet and RPC errors', () => {
+    test.each([
+        [4001, 'userRejected', 'none'],
+        [4100, 'walletUnauthorized', 'connectWallet'],
+        [4200, 'unsupportedMethod', 'useAnotherWallet'],
+        [4900, 'walletDisconnected', 'reconnect'],
+        [4901, 'walletDisconnected', 'reconnect'],
+        [4902, 'unknownChain', 'addNetwork'],
+        [-32002, 'requestPending', 'openWallet']
+    ])('EIP-1193 code %s should decode to %s', (code, expected, action) => {
+        const decoded = decoder.decode({ code, message: 'Provider error' });
+
+        expect(decoded.code).toBe(expected);
+        expect(decoded.category).toBe('wallet');
+        expect(decoded.action).toBe(action);
+    });
+
+    test.each([
+        ['ACTION_REJECTED', 'userRejected'],
+        ['INSUFFICIENT_FUNDS', 'insufficientFunds'],
+        ['NONCE_EXPIRED', 'nonceExpired'],
+        ['REPLACEMENT_UNDERPRICED', 'replacementUnderpriced']
+    ])('ethers code %s should decode to %s', (code, expected) => {
+        // ethers sets a reason on rejections too; it must not be taken for a revert reason
+        expect(decoder.decode({ code, reason: 'rejected' }).code).toBe(expected);
+    });
+
+    test('a rejection wrapped by ethers should decode from the inner code', () => {
+        const error = { code: 'UNKNOWN_ERROR', info: { error: { code: 4001, message: 'User rejected the request.' } } };
+        expect(decoder.decode(error).code).toBe('userRejected');
+    });
+
+    test('node messages should be recognised without a code', () => {
+        expect(decoder.decode({ code: -32000, message: 'insufficient funds for gas * price + value' }).code)
+            .toBe('insufficientFunds');
+        expect(decoder.decode({ code: -32000, message: 'nonce too low' }).code).toBe('nonceExpired');
+    });
+
+    test('network failures should be network errors', () => {
+        expect(decoder.decode({ code: 'NETWORK_ERROR' }).category).toBe('network');
+        expect(decoder.decode({ code: -32005, message: 'Too many requests' }).code).toBe('rateLimited');
+        expect(decoder.decode(new TypeError('Failed to fetch')).code).toBe('networkError');
+    });
+
+    test.each([
+        ['cancelled', 'transactionCancelled'],
+        ['replaced', 'transactionReplaced'],
+        ['dropped', 'transactionDropped']
+    ])('tracked transactions that were %s should decode to %s', (status, code) => {
+        const error = Object.assign(new Error(`Transaction ${status}`), { transaction: { status } });
+        expect(decoder.decode(error).code).toBe(code);
+    });
+
+    test('anything else should decode to unknown', () => {
+        const decoded = decoder.decode(new Error('Wallet not connected'), { lot: 'YZ-001' });
+
+        expect(decoded.code).toBe('unknown');
+        expect(decoded.category).toBe('unknown');
+        expect(decoded.params.lot).toBe('YZ-001');
+        expect(decoder.decode(null).code).toBe('unknown');
+    });
+});
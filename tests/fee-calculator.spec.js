@@ -0,0 +1,84 @@
+// fee-calculator.spec.js - Buyer's cost breakdown
+// fees.json sets shipping and the premium bands in USDT; a lot paid in ETH must see them in ETH
+
+import FeeCalculator from '../public/assets/js/fee-calculator.js';
+import CurrencyConverter from '../public/assets/js/currency.js';
+import config from '../public/assets/data/fees.json';
+import snapshot from '../public/assets/data/fx-rates.json';
+
+globalThis.localStorage = { getItem: () => null, setItem: () => {} };
+
+const ETH_PER_USDT = snapshot.rates.ETH / snapshot.rates.USDT;
+
+function createCalculator() {
+    const calculator = new FeeCalculator();
+    calculator.setConfig(config);
+    return calculator;
+}
+
+function createConverter() {
+    const converter = new CurrencyConverter({ settlementCurrency: 'ETH' });
+    converter.snapshot = snapshot;
+    return converter;
+}
+
+describe('Lot in the config currency', () => {
+    test('should charge the configured shipping and a single band below the first threshold', () => {
+        const fees = createCalculator().breakdown(92000, { region: 'hongKong', currency: 'USDT' });
+
+        expect(fees.shipping).toBe(180);
+        expect(fees.premiumTiers).toEqual([{ rate: 0.26, from: 0, upTo: 1000000, amount: 92000 * 0.26 }]);
+        expect(fees.insurance).toBe((92000 + 92000 * 0.26) * 0.006);
+        expect(fees.total).toBe(92000 + fees.premium + 180 + fees.insurance);
+    });
+
+    test('should split a hammer across bands marginally', () => {
+        const fees = createCalculator().breakdown(5000000, { region: 'europe', currency: 'USDT' });
+
+        expect(fees.premiumTiers.map(tier => tier.amount)).toEqual([1000000 * 0.26, 3500000 * 0.2, 500000 * 0.15]);
+        expect(fees.shipping).toBe(1100);
+    });
+
+    test('should take the contract\'s platform fee over the configured one', () => {
+        const calculator = createCalculator();
+        calculator.setContractFees({ platformFeeBps: 500 });
+
+        expect(calculator.breakdown(10000, { currency: 'USDT' }).platformFee).toBe(500);
+    });
+});
+
+describe('ETH lot', () => {
+    test('should convert shipping from USDT into ETH', () => {
+        const fees = createCalculator().breakdown(23.184, { region: 'hongKong', currency: 'ETH', converter: createConverter() });
+
+        expect(fees.shipping).toBeCloseTo(180 * ETH_PER_USDT, 10);
+        expect(fees.shipping).toBeLessThan(1);
+    });
+
+    test('should convert the premium bands from USDT into ETH', () => {
+        const fees = createCalculator().breakdown(300, { region: 'hongKong', currency: 'ETH', converter: createConverter() });
+        const firstBand = 1000000 * ETH_PER_USDT;
+
+        expect(fees.premiumTiers).toHaveLength(2);
+        expect(fees.premiumTiers[0].upTo).toBeCloseTo(firstBand, 10);
+        expect(fees.premiumTiers[1].from).toBeCloseTo(firstBand, 10);
+        expect(fees.premium).toBeCloseTo(firstBand * 0.26 + (300 - firstBand) * 0.2, 10);
+    });
+
+    test('should total the hammer, premium, gas, shipping and insurance in ETH', () => {
+        const fees = createCalculator().breakdown(23.184, { region: 'europe', gas: 0.0012, currency: 'ETH', converter: createConverter() });
+
+        expect(fees.total).toBeCloseTo(23.184 + 23.184 * 0.26 + 0.0012 + 1100 * ETH_PER_USDT + fees.insurance, 10);
+        expect(fees.total).toBeLessThan(30);
+    });
+
+    test('should not price a lot without rates to convert with', () => {
+        const calculator = createCalculator();
+        const converter = createConverter();
+        converter.snapshot = null;
+
+        expect(calculator.breakdown(23.184, { currency: 'ETH' })).toBe(null);
+        expect(calculator.breakdown(23.184, { currency: 'ETH', converter })).toBe(null);
+        expect(calculator.breakdown(23.184, { currency: 'WBTC', converter: createConverter() })).toBe(null);
+    });
+});
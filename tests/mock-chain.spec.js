@@ -0,0 +1,372 @@
+// mock-chain.spec.js - In-browser auction chain used by demo mode
+// Runs against the real catalogue with a manual clock, so every block and bid is deterministic
+
+import { ethers } from 'ethers';
+import MockChain from '../public/assets/js/mock-chain.js';
+import SeededRandom from '../public/assets/js/seeded-random.js';
+import artifacts from '../public/assets/data/artifacts.json';
+import nftAbi from '../public/assets/abi/nft.json';
+
+const NOW = Date.UTC(2025, 0, 15, 12, 0, 0);
+const BID_PLACED = '0x0e54eff26401bf69b81b26f60bd85ef47f5d85275c1d268d84f68d6897431c47';
+const AUCTION_EXTENDED = '0xd9490a862e96c085ac726226d1d4635ca34842a4fbd0d96c2d662a8a0bea0b49';
+const AUCTION_ENDED = '0xd2aa34a4fdbbc6dff6a3e56f46e0f3ae2a31d7785ff3487aa5c95c642acea501';
+const nft = new ethers.Interface(nftAbi);
+
+function createChain({ seed = 'spec', scenario = 'quiet' } = {}) {
+    const clock = { now: NOW };
+    const chain = new MockChain({ artifacts, random: new SeededRandom(seed), scenario, clock: () => clock.now });
+    const advance = (ms) => {
+        clock.now += ms;
+        return chain.tick();
+    };
+    return { chain, clock, advance };
+}
+
+function sendBid(chain, auctionId, amount, from = chain.accounts.collector) {
+    return chain.request({
+        method: 'eth_sendTransaction',
+        params: [{ from, to: chain.addresses.auction, data: chain.encodeCall('placeBid', [auctionId]), value: '0x' + amount.toString(16) }]
+    });
+}
+
+function minimumBid(chain, auctionId) {
+    const auction = chain.getAuction(auctionId);
+    return auction.highestBid + auction.minBidIncrement;
+}
+
+// The lot that closes first, which scenarios target by default
+function firstToClose(chain) {
+    return [...chain.auctions.entries()].sort((a, b) => Number(a[1].endTime - b[1].endTime))[0][0];
+}
+
+// The collector wins the next lot to close and settles it
+async function winFirstLot(chain, clock, advance) {
+    const auctionId = firstToClose(chain);
+    await sendBid(chain, auctionId, minimumBid(chain, auctionId));
+    advance(2000);
+    advance(Number(chain.getAuction(auctionId).endTime) * 1000 - clock.now + 1000);
+    const hash = await chain.request({
+        method: 'eth_sendTransaction',
+        params: [{ from: chain.accounts.collector, to: chain.addresses.auction, data: chain.encodeCall('endAuction', [auctionId]) }]
+    });
+    advance(2000);
+    return { auctionId, receipt: await chain.request({ method: 'eth_getTransactionReceipt', params: [hash] }) };
+}
+
+async function callNft(chain, name, args, from = chain.accounts.collector) {
+    const data = await chain.request({ method: 'eth_call', params: [{ from, to: chain.addresses.nft, data: nft.encodeFunctionData(name, args) }] });
+    return nft.decodeFunctionResult(name, data);
+}
+
+function sendNft(chain, name, args, from = chain.accounts.collector) {
+    return chain.request({ method: 'eth_sendTransaction', params: [{ from, to: chain.addresses.nft, data: nft.encodeFunctionData(name, args) }] });
+}
+
+async function rpcError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the request to fail');
+}
+
+describe('Genesis', () => {
+    test('should list every lot under its auction ID at its current bid', () => {
+        const { chain } = createChain();
+
+        artifacts.forEach(artifact => {
+            const auction = chain.getAuction(artifact.auctionId);
+            expect(auction.highestBid).toBe(chain.toPrice(artifact.currentBid));
+            expect(auction.minBidIncrement).toBe(chain.toPrice(artifact.minBidIncrement));
+            expect(auction.reservePrice).toBe(chain.toPrice(artifact.estimate.low));
+            expect(auction.ended).toBe(false);
+        });
+        expect(chain.nextAuctionId).toBe(BigInt(artifacts.length));
+    });
+
+    test('should list the catalogue\'s dollar prices in the settlement currency at priceRate', () => {
+        const chain = new MockChain({ artifacts, random: new SeededRandom('spec'), scenario: 'quiet', priceRate: 0.000252, clock: () => NOW });
+        const artifact = artifacts.find(a => a.currentBid === 92000);
+
+        const auction = chain.getAuction(artifact.auctionId);
+        expect(auction.highestBid).toBe(chain.toUnits(23.184));
+        expect(auction.minBidIncrement).toBe(chain.toUnits(artifact.minBidIncrement * 0.000252));
+    });
+
+    test('should replay each lot\'s bid count as BidPlaced logs from rival accounts', async () => {
+        const { chain } = createChain();
+        const artifact = artifacts[0];
+        const topic = '0x' + BigInt(artifact.auctionId).toString(16).padStart(64, '0');
+
+        const logs = await chain.request({ method: 'eth_getLogs', params: [{ fromBlock: '0x0', topics: [BID_PLACED, topic] }] });
+        expect(logs).toHaveLength(artifact.bidCount);
+        logs.forEach(log => expect(chain.accounts.rivals).toContain('0x' + log.topics[2].slice(26)));
+    });
+
+    test('should move a past sale forward so the first lot closes 15 minutes from now', () => {
+        const { chain } = createChain();
+        const auction = chain.getAuction(firstToClose(chain));
+        expect(Number(auction.endTime) * 1000).toBe(Math.floor((NOW + 15 * 60 * 1000) / 1000) * 1000);
+    });
+
+    test('should give the same chain for the same seed and a different one for another', () => {
+        const a = createChain({ seed: 'trade-show' }).chain;
+        const b = createChain({ seed: 'trade-show' }).chain;
+        const c = createChain({ seed: 'other' }).chain;
+
+        expect(b.accounts).toEqual(a.accounts);
+        expect(b.addresses).toEqual(a.addresses);
+        expect(b.latestBlock.hash).toBe(a.latestBlock.hash);
+        expect(c.accounts.collector === a.accounts.collector).toBe(false);
+    });
+});
+
+describe('Bidding', () => {
+    test('should mine a bid with a BidPlaced log and refund the previous leader', async () => {
+        const { chain, advance } = createChain();
+        const { highestBidder, highestBid } = chain.getAuction(3);
+        const refunded = chain.getPendingReturn(3, highestBidder);
+        const amount = minimumBid(chain, 3);
+
+        const hash = await sendBid(chain, 3, amount);
+        expect(await chain.request({ method: 'eth_getTransactionReceipt', params: [hash] })).toBeNull();
+        advance(2000);
+
+        const receipt = await chain.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+        expect(receipt.status).toBe('0x1');
+        expect(receipt.logs[0].topics[0]).toBe(BID_PLACED);
+        expect(chain.getAuction(3).highestBidder).toBe(chain.accounts.collector);
+        expect(chain.getPendingReturn(3, highestBidder)).toBe(refunded + highestBid);
+    });
+
+    test.each([
+        ['a bid below the minimum', (chain) => ({ data: chain.encodeCall('placeBid', [3]), value: '0x1' }), 'Bid too low'],
+        ['settling an open lot', (chain) => ({ data: chain.encodeCall('endAuction', [3]) }), 'Not ended'],
+        ['withdrawing nothing', (chain) => ({ data: chain.encodeCall('withdraw', [3]) }), 'Nothing to withdraw'],
+        ['a token bid on a native auction', (chain) => ({ data: chain.encodeCall('placeTokenBid', [3, 1]) }), 'Native auction']
+    ])('should revert %s with the contract\'s message', async (name, call, reason) => {
+        const { chain } = createChain();
+        const tx = { from: chain.accounts.collector, to: chain.addresses.auction, ...call(chain) };
+
+        const error = await rpcError(chain.request({ method: 'eth_estimateGas', params: [tx] }));
+        expect(error.code).toBe(3);
+        expect(error.message).toBe(`execution reverted: ${reason}`);
+        expect(error.data.slice(0, 10)).toBe('0x08c379a0');
+    });
+
+    test('should refuse a bid larger than the balance', async () => {
+        const { chain } = createChain();
+        const error = await rpcError(sendBid(chain, 3, chain.toUnits(1e9)));
+        expect(error.code).toBe(-32000);
+        expect(error.message).toMatch(/insufficient funds/);
+    });
+
+    test('should fail a bid overtaken in the same block and replay its revert reason', async () => {
+        const { chain, advance } = createChain();
+        const amount = minimumBid(chain, 3);
+
+        await sendBid(chain, 3, amount, chain.accounts.rivals[0]);
+        const hash = await sendBid(chain, 3, amount);
+        advance(2000);
+
+        const receipt = await chain.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+        expect(receipt.status).toBe('0x0');
+        expect(receipt.logs).toHaveLength(0);
+
+        // Replayed on the state the block was built on, as a node would
+        const tx = await chain.request({ method: 'eth_getTransactionByHash', params: [hash] });
+        const parentBlock = `0x${(Number(receipt.blockNumber) - 1).toString(16)}`;
+        const error = await rpcError(chain.request({
+            method: 'eth_call',
+            params: [{ from: tx.from, to: tx.to, data: tx.input, value: tx.value }, parentBlock]
+        }));
+        expect(error.message).toBe('execution reverted: Bid too low');
+    });
+
+    test('should extend a lot bid on inside the soft close window', async () => {
+        const { chain, clock, advance } = createChain();
+        const auctionId = firstToClose(chain);
+        const endTime = chain.getAuction(auctionId).endTime;
+
+        advance(Number(endTime) * 1000 - clock.now - 60 * 1000);
+        const hash = await sendBid(chain, auctionId, minimumBid(chain, auctionId));
+        advance(2000);
+
+        const receipt = await chain.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+        expect(receipt.logs.map(log => log.topics[0])).toEqual([BID_PLACED, AUCTION_EXTENDED]);
+        expect(chain.getAuction(auctionId).endTime).toBe(endTime + 300n);
+    });
+
+    test('should settle a lot that met its reserve and let the outbid withdraw', async () => {
+        const { chain, clock, advance } = createChain();
+        const auctionId = firstToClose(chain);
+        const leader = chain.getAuction(auctionId).highestBidder;
+
+        await sendBid(chain, auctionId, minimumBid(chain, auctionId));
+        advance(2000);
+        advance(Number(chain.getAuction(auctionId).endTime) * 1000 - clock.now + 1000);
+
+        const settle = await chain.request({
+            method: 'eth_sendTransaction',
+            params: [{ from: chain.accounts.collector, to: chain.addresses.auction, data: chain.encodeCall('endAuction', [auctionId]) }]
+        });
+        const withdraw = chain.submit({ from: leader, to: chain.addresses.auction, data: chain.encodeCall('withdraw', [auctionId]) });
+        advance(2000);
+
+        const receipt = await chain.request({ method: 'eth_getTransactionReceipt', params: [settle] });
+        expect(receipt.logs[0].topics[0]).toBe(AUCTION_ENDED);
+        expect(chain.getAuction(auctionId).nftMinted).toBe(true);
+        expect(chain.receipts.get(withdraw).status).toBe(1);
+        expect(chain.getPendingReturn(auctionId, leader)).toBe(0n);
+    });
+});
+
+describe('Filters', () => {
+    test('should return only logs mined since the last poll', async () => {
+        const { chain, advance } = createChain();
+        const id = await chain.request({ method: 'eth_newFilter', params: [{ address: chain.addresses.auction, topics: [BID_PLACED] }] });
+
+        expect(await chain.request({ method: 'eth_getFilterChanges', params: [id] })).toHaveLength(0);
+        await sendBid(chain, 3, minimumBid(chain, 3));
+        advance(2000);
+        expect(await chain.request({ method: 'eth_getFilterChanges', params: [id] })).toHaveLength(1);
+        expect(await chain.request({ method: 'eth_getFilterChanges', params: [id] })).toHaveLength(0);
+    });
+
+    test('should reject an unknown filter and an unsupported method', async () => {
+        const { chain } = createChain();
+        expect((await rpcError(chain.request({ method: 'eth_getFilterChanges', params: ['0x99'] }))).message).toBe('filter not found');
+        expect((await rpcError(chain.request({ method: 'eth_sign', params: [] }))).code).toBe(4200);
+    });
+});
+
+describe('Rivals and scenarios', () => {
+    test('should have rivals answer some of the collector\'s bids and none in the quiet scenario', async () => {
+        const leaders = async (scenario) => {
+            const { chain, advance } = createChain({ scenario });
+            for (const artifact of artifacts) {
+                await sendBid(chain, artifact.auctionId, minimumBid(chain, artifact.auctionId));
+            }
+            advance(2000);
+            advance(10000);
+            advance(2000);
+            return artifacts.filter(artifact => chain.getAuction(artifact.auctionId).highestBidder !== chain.accounts.collector).length;
+        };
+
+        expect(await leaders('quiet')).toBe(0);
+        expect(await leaders('default')).toBeGreaterThan(0);
+    });
+
+    test('should outbid the collector 30 seconds before the close in outbidAtClose', async () => {
+        const { chain, clock, advance } = createChain({ scenario: 'outbidAtClose' });
+        const auctionId = firstToClose(chain);
+        expect(Number(chain.getAuction(auctionId).endTime) * 1000).toBe(Math.floor((NOW + 2 * 60 * 1000) / 1000) * 1000);
+
+        // The collector's bid is already inside the soft close window, so T moves with it
+        await sendBid(chain, auctionId, minimumBid(chain, auctionId));
+        advance(2000);
+        const endTime = chain.getAuction(auctionId).endTime;
+        advance(Number(endTime) * 1000 - clock.now - 31 * 1000);
+        expect(chain.getAuction(auctionId).highestBidder).toBe(chain.accounts.collector);
+
+        advance(2000);
+        advance(2000);
+        const auction = chain.getAuction(auctionId);
+        expect(chain.accounts.rivals).toContain(auction.highestBidder);
+        expect(auction.endTime).toBe(endTime + 300n);
+    });
+
+    test('should close below the reserve and refund the leader in reserveNotMet', () => {
+        const { chain, clock, advance } = createChain({ scenario: 'reserveNotMet' });
+        const auctionId = firstToClose(chain);
+        const { reservePrice, highestBid, highestBidder, endTime } = chain.getAuction(auctionId);
+        const refunded = chain.getPendingReturn(auctionId, highestBidder);
+        expect(reservePrice > highestBid).toBe(true);
+
+        advance(Number(endTime) * 1000 - clock.now + 6000);
+        advance(2000);
+
+        const auction = chain.getAuction(auctionId);
+        expect(auction.ended).toBe(true);
+        expect(auction.nftMinted).toBe(false);
+        expect(chain.getPendingReturn(auctionId, highestBidder)).toBe(refunded + highestBid);
+        expect(chain.logs.some(log => log.topics[0] === AUCTION_ENDED)).toBe(false);
+    });
+
+    test('should reject an unknown scenario', () => {
+        expect(() => new MockChain({ artifacts, random: new SeededRandom(1), scenario: 'nope' })).toThrow('Unknown scenario: nope');
+    });
+});
+
+describe('NFT', () => {
+    test('should mint the lot\'s token to the winner when it is settled', async () => {
+        const { chain, clock, advance } = createChain();
+        const { auctionId, receipt } = await winFirstLot(chain, clock, advance);
+        const artifact = artifacts.find(a => a.auctionId === Number(auctionId));
+
+        expect(receipt.logs.map(log => log.topics[0])).toEqual([AUCTION_ENDED, nft.getEvent('Transfer').topicHash, nft.getEvent('CeramicMinted').topicHash]);
+        expect(receipt.logs[1].address).toBe(chain.addresses.nft);
+
+        const [owner] = await callNft(chain, 'ownerOf', [0]);
+        expect(owner.toLowerCase()).toBe(chain.accounts.collector);
+        const [ceramic, metadataURI, shippingAddress] = await callNft(chain, 'getCeramicDetails', [0]);
+        expect(ceramic.lotNumber).toBe(artifact.lotNumber);
+        expect(ceramic.titleZh).toBe(artifact.titleZh);
+        expect(ceramic.shipped).toBe(false);
+        expect(metadataURI).toBe('');
+        expect(shippingAddress).toBe('');
+    });
+
+    test('should revert for a token that was never minted', async () => {
+        const { chain } = createChain();
+        const error = await rpcError(callNft(chain, 'ownerOf', [0]));
+        expect(error.message).toBe('execution reverted: ERC721: invalid token ID');
+    });
+
+    test('should record the owner\'s shipping address and refuse anyone else\'s', async () => {
+        const { chain, clock, advance } = createChain();
+        await winFirstLot(chain, clock, advance);
+
+        const error = await rpcError(sendNft(chain, 'updateShippingAddress', [0, 'sealed'], chain.accounts.rivals[0]));
+        expect(error.message).toBe('execution reverted: Not the owner');
+
+        const hash = await sendNft(chain, 'updateShippingAddress', [0, 'sealed']);
+        advance(2000);
+        const receipt = await chain.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+        expect(receipt.logs[0].topics[0]).toBe(nft.getEvent('ShippingAddressUpdated').topicHash);
+        expect((await callNft(chain, 'getCeramicDetails', [0])).shippingAddress).toBe('sealed');
+    });
+
+    test('should have the platform ship the piece once its address is recorded', async () => {
+        const { chain, clock, advance } = createChain();
+        await winFirstLot(chain, clock, advance);
+        advance(chain.shipDelayMs);
+        expect((await callNft(chain, 'getCeramicDetails', [0])).ceramic.shipped).toBe(false);
+
+        await sendNft(chain, 'updateShippingAddress', [0, 'sealed']);
+        advance(2000);
+        advance(chain.shipDelayMs);
+        advance(2000);
+
+        const { ceramic } = await callNft(chain, 'getCeramicDetails', [0]);
+        expect(ceramic.shipped).toBe(true);
+        expect(ceramic.trackingNumber).toMatch(/^SF\d{12}$/);
+        const [shipped] = await chain.request({ method: 'eth_getLogs', params: [{ fromBlock: '0x0', address: chain.addresses.nft, topics: [nft.getEvent('ItemShipped').topicHash] }] });
+        expect(nft.parseLog(shipped).args.trackingNumber).toBe(ceramic.trackingNumber);
+
+        const error = await rpcError(sendNft(chain, 'updateShippingAddress', [0, 'elsewhere']));
+        expect(error.message).toBe('execution reverted: Already shipped');
+    });
+
+    test('should only let the platform mark a piece shipped', async () => {
+        const { chain, clock, advance } = createChain();
+        await winFirstLot(chain, clock, advance);
+        await sendNft(chain, 'updateShippingAddress', [0, 'sealed']);
+        advance(2000);
+
+        const error = await rpcError(sendNft(chain, 'markAsShipped', [0, 'SF123456789012']));
+        expect(error.message).toBe('execution reverted: Ownable: caller is not the owner');
+    });
+});
@@ -0,0 +1,193 @@
+// privacy-requests.spec.js - Data subject requests
+// Drives /api/privacy/requests with a signed-in session for each request type; the subject is
+// always the session's address
+
+import { ethers } from 'ethers';
+import { issueSession } from '../api/_lib/session.js';
+import handleRequest from '../api/privacy/requests.js';
+
+process.env.SESSION_SECRET = 'test-secret-that-is-long-enough-for-hmac';
+
+const PROFILE = { name: 'Lin Wei', email: 'lin@example.com', preferences: { language: 'zh' } };
+
+function createResponse() {
+    const res = { statusCode: null, headers: {}, body: null };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+}
+
+// A session cookie for a new wallet, as /api/auth/verify issues it
+function signIn() {
+    const wallet = ethers.Wallet.createRandom();
+    const res = createResponse();
+    issueSession(res, { address: wallet.address, chainId: 11155111, expiresAt: Date.now() + 60000 });
+    return { address: wallet.address, cookie: res.headers['set-cookie'][0].split(';')[0] };
+}
+
+async function post(body, cookie = '') {
+    const res = createResponse();
+    await handleRequest({ method: 'POST', headers: { cookie }, body }, res);
+    return res;
+}
+
+// A collector whose profile was given by correcting it
+async function createCollector() {
+    const collector = signIn();
+    const res = await post({ type: 'rectification', data: { corrections: PROFILE } }, collector.cookie);
+    expect(res.statusCode).toBe(200);
+    return collector;
+}
+
+async function createManager() {
+    const { PrivacyComplianceManager } = await import('../compliance/core/compliance-privacy.js');
+    return new PrivacyComplianceManager({ scheduleRetention: false });
+}
+
+describe('Requests', () => {
+    test('should reject a request without a session', async () => {
+        const res = await post({ type: 'access' });
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe('signedOut');
+    });
+
+    test('should reject an unknown request type', async () => {
+        const { cookie } = signIn();
+        const res = await post({ type: 'sale' }, cookie);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('invalidRequest');
+    });
+
+    test('should only allow POST', async () => {
+        const res = createResponse();
+        await handleRequest({ method: 'GET', headers: {} }, res);
+
+        expect(res.statusCode).toBe(405);
+        expect(res.headers.allow).toBe('POST');
+    });
+});
+
+describe('Request types', () => {
+    test('should report everything held on the subject for access', async () => {
+        const { cookie } = await createCollector();
+        const res = await post({ type: 'access' }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.type).toBe('access');
+        expect(res.body.result.report.personalData.identity).toEqual({ name: PROFILE.name, email: PROFILE.email });
+        expect(res.body.result.report.personalData.behavioral).toEqual({ preferences: PROFILE.preferences });
+        expect(res.body.result.summary.categories).toBe(2);
+        expect(res.body.result.report.rights).toHaveLength(6);
+    });
+
+    test('should not report another wallet\'s data', async () => {
+        await createCollector();
+        const { cookie } = signIn();
+        const res = await post({ type: 'access' }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.report.personalData).toEqual({});
+    });
+
+    test('should export what the subject provided as JSON, CSV and XML for portability', async () => {
+        const { cookie } = await createCollector();
+        const res = await post({ type: 'portability' }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        const { formats, downloads, schema } = res.body.result;
+        expect(formats).toEqual(['json', 'csv', 'xml']);
+        expect(JSON.parse(downloads.json).data.identity.email).toBe(PROFILE.email);
+        expect(downloads.csv).toContain('"identity","email","lin@example.com"');
+        expect(downloads.xml).toContain('<email>lin@example.com</email>');
+        expect(schema.identity).toContain('email');
+    });
+
+    test('should correct identity fields and refuse wallet data for rectification', async () => {
+        const { cookie } = await createCollector();
+        const res = await post({ type: 'rectification', data: { corrections: { email: 'wei@example.com', walletAddress: '0x0' } } }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.rectified).toEqual(['email']);
+        expect(res.body.result.rejected).toEqual(['walletAddress']);
+
+        const access = await post({ type: 'access' }, cookie);
+        expect(access.body.result.report.personalData.identity.email).toBe('wei@example.com');
+    });
+
+    test('should erase the subject\'s data for erasure', async () => {
+        const { cookie } = await createCollector();
+        const res = await post({ type: 'erasure' }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.categories).toEqual(['identity', 'behavioral']);
+        expect(res.body.result.retainedData).toEqual([]);
+
+        const access = await post({ type: 'access' }, cookie);
+        expect(access.body.result.report.personalData).toEqual({});
+    });
+
+    test('should restrict the named categories for restriction', async () => {
+        const { cookie } = await createCollector();
+        const res = await post({ type: 'restriction', data: { categories: ['behavioral', 'unknown'], reason: 'accuracy contested' } }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.status).toBe('restricted');
+        expect(res.body.result.categories).toEqual(['behavioral']);
+    });
+
+    test('should uphold an objection to marketing but not to KYC checks', async () => {
+        const { cookie } = await createCollector();
+        const res = await post({ type: 'objection', data: { purposes: ['marketing', 'kyc-verification'] } }, cookie);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.status).toBe('upheld');
+        expect(res.body.result.upheld).toEqual(['marketing']);
+        expect(res.body.result.rejected).toEqual([{ purpose: 'kyc-verification', reason: 'Processing is required by law' }]);
+    });
+});
+
+describe('Retention', () => {
+    test('should keep KYC records through an erasure', async () => {
+        const manager = await createManager();
+        const session = { address: '0xABC', expiresAt: Date.now() + 60000 };
+        manager.storeData('0xabc', { data: await manager.encryptData({ kycLevel: 2, name: 'Lin Wei' }), legalBasis: 'legal-obligation', timestamp: Date.now() });
+
+        const result = await manager.handleDataRequest('erasure', session);
+
+        expect(result.categories).toEqual(['identity']);
+        expect(result.retainedData.map(retained => retained.category)).toEqual(['kyc']);
+        const left = await manager.collectAllUserData('0xabc');
+        expect(left.get('kyc')).toEqual({ kycLevel: 2 });
+        expect(left.has('identity')).toBe(false);
+    });
+
+    test('should deny an erasure when everything held must be retained', async () => {
+        const manager = await createManager();
+        const session = { address: '0xabc', expiresAt: Date.now() + 60000 };
+        manager.storeData('0xabc', { data: { kycLevel: 2 }, legalBasis: 'legal-obligation', timestamp: Date.now() });
+
+        const result = await manager.handleDataRequest('erasure', session);
+
+        expect(result.status).toBe('denied');
+        expect(result.alternativeAction).toBe('restriction');
+    });
+
+    test('should start the daily retention scheduler only when not told otherwise', async () => {
+        const { PrivacyComplianceManager } = await import('../compliance/core/compliance-privacy.js');
+        const original = globalThis.setInterval;
+        const timers = [];
+        globalThis.setInterval = (...args) => timers.push(args);
+        try {
+            new PrivacyComplianceManager({ scheduleRetention: false });
+            expect(timers).toHaveLength(0);
+
+            new PrivacyComplianceManager();
+            expect(timers).toHaveLength(1);
+        } finally {
+            globalThis.setInterval = original;
+        }
+    });
+});
@@ -0,0 +1,191 @@
+// shipment-api.spec.js - Tracking proxy and delivery confirmation handlers
+// Carriers and the delivery webhook are replaced by a stubbed fetch; the local network's node is
+// answered from the NFT ABI through ethers' request hook, so no test leaves the process
+
+import { ethers } from 'ethers';
+import track from '../api/tracking/[carrier]/[number].js';
+import confirm from '../api/shipments/confirm.js';
+import ShipmentTracker from '../public/assets/js/shipment-tracker.js';
+import nftAbi from '../public/assets/abi/nft.json';
+import dhlResponse from './fixtures/carriers/dhl.json';
+import fedexResponse from './fixtures/carriers/fedex.json';
+
+const LOCAL_CHAIN_ID = 31337;
+const collector = new ethers.Wallet('0x' + '42'.repeat(32));
+
+function createResponse() {
+    const res = { statusCode: null, headers: {}, body: null };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+}
+
+function jsonResponse(body, status = 200) {
+    return { ok: status < 400, status, json: async () => body };
+}
+
+async function request(handler, req) {
+    const res = createResponse();
+    await handler({ headers: {}, query: {}, ...req }, res);
+    return res;
+}
+
+// Tokens on the local network by id: { owner, shipped, trackingNumber }
+const tokens = {};
+const nft = new ethers.Interface(nftAbi);
+
+function rpcAnswer({ id, method, params }) {
+    if (method !== 'eth_call') {
+        return { id, jsonrpc: '2.0', error: { code: -32601, message: `${method} not supported` } };
+    }
+    const call = nft.parseTransaction({ data: params[0].data });
+    const token = tokens[call.args[0].toString()];
+    if (!token) {
+        return { id, jsonrpc: '2.0', error: { code: 3, message: 'execution reverted', data: '0x' } };
+    }
+    const result = call.name === 'ownerOf'
+        ? [token.owner]
+        : ['004', 'Celadon Vase', '青瓷瓶', 'Song', 0, token.shipped, token.trackingNumber, token.owner];
+    return { id, jsonrpc: '2.0', result: nft.encodeFunctionResult(call.name, result) };
+}
+
+ethers.FetchRequest.registerGetUrl(async (req) => {
+    const payload = JSON.parse(ethers.toUtf8String(req.body));
+    const answer = Array.isArray(payload) ? payload.map(rpcAnswer) : rpcAnswer(payload);
+    return { statusCode: 200, statusMessage: 'OK', headers: { 'content-type': 'application/json' }, body: ethers.toUtf8Bytes(JSON.stringify(answer)) };
+});
+
+async function signedConfirmation(overrides = {}, signer = collector) {
+    const confirmation = {
+        tokenId: '7',
+        lotNumber: '004',
+        trackingNumber: 'EA123456785CN',
+        chainId: LOCAL_CHAIN_ID,
+        confirmedAt: Date.now(),
+        owner: collector.address,
+        ...overrides
+    };
+    const signature = await signer.signMessage(ShipmentTracker.confirmationMessage(confirmation));
+    return { ...confirmation, signature };
+}
+
+describe('Tracking proxy', () => {
+    test('should return the carrier response unchanged', async () => {
+        process.env.DHL_API_KEY = 'dhl-key';
+        globalThis.fetch = jest.fn(async () => jsonResponse(dhlResponse));
+        const res = await request(track, { method: 'GET', query: { carrier: 'dhl', number: '4528194036' } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual(dhlResponse);
+        expect(res.headers['cache-control']).toBe('private, max-age=300');
+        const [url, options] = globalThis.fetch.mock.calls[0];
+        expect(url).toContain('trackingNumber=4528194036');
+        expect(options.headers['DHL-API-Key']).toBe('dhl-key');
+    });
+
+    test('should reuse the FedEx access token between requests', async () => {
+        process.env.FEDEX_CLIENT_ID = 'fedex-id';
+        process.env.FEDEX_CLIENT_SECRET = 'fedex-secret';
+        globalThis.fetch = jest.fn(async (url) => (url.endsWith('/oauth/token')
+            ? jsonResponse({ access_token: 'token-1', expires_in: 3600 })
+            : jsonResponse(fedexResponse)));
+
+        const query = { carrier: 'fedex', number: '771234567890' };
+        expect((await request(track, { method: 'GET', query })).body).toEqual(fedexResponse);
+        expect((await request(track, { method: 'GET', query })).body).toEqual(fedexResponse);
+
+        const urls = globalThis.fetch.mock.calls.map(([url]) => url);
+        expect(urls.filter(url => url.endsWith('/oauth/token'))).toHaveLength(1);
+        expect(globalThis.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer token-1');
+        expect(JSON.parse(globalThis.fetch.mock.calls[1][1].body).trackingInfo[0].trackingNumberInfo.trackingNumber).toBe('771234567890');
+    });
+
+    test.each([
+        ['an unknown carrier', { carrier: 'ups', number: '1Z999' }, 404, 'unknownCarrier'],
+        ['a number the carrier does not issue', { carrier: 'dhl', number: '12345' }, 400, 'invalidNumber'],
+        ['a number that is not canonical', { carrier: 'dhl', number: '4528-194036' }, 400, 'invalidNumber'],
+        ['a carrier without credentials', { carrier: 'ems', number: 'EA123456785CN' }, 500, 'notConfigured']
+    ])('should refuse %s', async (name, query, status, error) => {
+        globalThis.fetch = jest.fn();
+        const res = await request(track, { method: 'GET', query });
+
+        expect(res.statusCode).toBe(status);
+        expect(res.body).toEqual({ error });
+        expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should report a failing carrier as unavailable', async () => {
+        process.env.DHL_API_KEY = 'dhl-key';
+        globalThis.fetch = jest.fn(async () => jsonResponse({}, 503));
+        const res = await request(track, { method: 'GET', query: { carrier: 'dhl', number: '4528194036' } });
+
+        expect(res.statusCode).toBe(502);
+        expect(res.body).toEqual({ error: 'carrierUnavailable' });
+        expect(res.headers['cache-control']).toBe('no-store');
+    });
+});
+
+describe('Delivery confirmation', () => {
+    process.env.DELIVERY_WEBHOOK_URL = 'https://ops.example/deliveries';
+
+    test('should record a receipt signed by the owner of a shipped token', async () => {
+        tokens[7] = { owner: collector.address, shipped: true, trackingNumber: 'EA123456785CN' };
+        globalThis.fetch = jest.fn(async () => jsonResponse({}));
+        const body = await signedConfirmation();
+        const res = await request(confirm, { method: 'POST', body });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.message).toBe(ShipmentTracker.confirmationMessage(body));
+        const [url, options] = globalThis.fetch.mock.calls[0];
+        expect(url).toBe('https://ops.example/deliveries');
+        const posted = JSON.parse(options.body);
+        expect(posted.type).toBe('deliveryConfirmed');
+        expect(posted.receipt.signature).toBe(body.signature);
+    });
+
+    test.each([
+        ['a token owned by someone else', { owner: ethers.Wallet.createRandom().address, shipped: true, trackingNumber: 'EA123456785CN' }, 403, 'notTokenOwner'],
+        ['a token not yet shipped', { owner: collector.address, shipped: false, trackingNumber: '' }, 409, 'notShipped'],
+        ['a token shipped under another number', { owner: collector.address, shipped: true, trackingNumber: 'EA000000000CN' }, 409, 'notShipped']
+    ])('should refuse %s', async (name, token, status, error) => {
+        tokens[7] = token;
+        globalThis.fetch = jest.fn(async () => jsonResponse({}));
+        const res = await request(confirm, { method: 'POST', body: await signedConfirmation() });
+
+        expect(res.statusCode).toBe(status);
+        expect(res.body).toEqual({ error });
+        expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a token that was never minted', async () => {
+        const res = await request(confirm, { method: 'POST', body: await signedConfirmation({ tokenId: '99' }) });
+        expect(res.statusCode).toBe(404);
+        expect(res.body).toEqual({ error: 'tokenNotFound' });
+    });
+
+    test('should refuse a signature over different fields or from another wallet', async () => {
+        const altered = { ...(await signedConfirmation()), trackingNumber: 'EA000000000CN' };
+        expect((await request(confirm, { method: 'POST', body: altered })).body).toEqual({ error: 'signature' });
+
+        const forged = await signedConfirmation({}, ethers.Wallet.createRandom());
+        expect((await request(confirm, { method: 'POST', body: forged })).statusCode).toBe(401);
+    });
+
+    test('should refuse malformed receipts and chains without the NFT contract', async () => {
+        expect((await request(confirm, { method: 'POST', body: {} })).body).toEqual({ error: 'invalidRequest' });
+        const future = await signedConfirmation({ confirmedAt: Date.now() + 60 * 60 * 1000 });
+        expect((await request(confirm, { method: 'POST', body: future })).body).toEqual({ error: 'invalidRequest' });
+        const mainnet = await signedConfirmation({ chainId: 1 });
+        expect((await request(confirm, { method: 'POST', body: mainnet })).body).toEqual({ error: 'unsupportedChain' });
+    });
+
+    test('should not confirm when the receipt could not be recorded', async () => {
+        tokens[7] = { owner: collector.address, shipped: true, trackingNumber: 'EA123456785CN' };
+        globalThis.fetch = jest.fn(async () => jsonResponse({}, 500));
+        const res = await request(confirm, { method: 'POST', body: await signedConfirmation() });
+
+        expect(res.statusCode).toBe(502);
+        expect(res.body).toEqual({ error: 'notRecorded' });
+    });
+});
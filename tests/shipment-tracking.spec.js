@@ -0,0 +1,237 @@
+// shipment-tracking.spec.js - Carrier adapters and shipment timeline
+// Adapters are checked against recorded carrier responses in ./fixtures/carriers
+
+import CarrierAdapters from '../public/assets/js/carrier-adapters.js';
+import ShipmentTracker from '../public/assets/js/shipment-tracker.js';
+import sfExpressResponse from './fixtures/carriers/sf-express.json';
+import dhlResponse from './fixtures/carriers/dhl.json';
+import fedexResponse from './fixtures/carriers/fedex.json';
+import emsResponse from './fixtures/carriers/ems.json';
+
+const { SFExpressAdapter, DHLAdapter, FedExAdapter, EMSAdapter } = CarrierAdapters;
+
+function createTracker(responses = {}) {
+    const fetchImpl = jest.fn(async (url) => {
+        const carrier = url.split('/')[3];
+        if (!responses[carrier]) return { ok: false, status: 502 };
+        return { ok: true, json: async () => responses[carrier] };
+    });
+
+    const tracker = new ShipmentTracker({
+        adapters: [new EMSAdapter(), new SFExpressAdapter(), new DHLAdapter(), new FedExAdapter()],
+        fetchImpl
+    });
+    return { tracker, fetchImpl };
+}
+
+describe('Tracking number normalisation', () => {
+    const { tracker } = createTracker();
+
+    test('should recognise each carrier by number format', () => {
+        expect(tracker.detect('SF1452093317706').adapter.id).toBe('sf');
+        expect(tracker.detect('4528194036').adapter.id).toBe('dhl');
+        expect(tracker.detect('771234567890').adapter.id).toBe('fedex');
+        expect(tracker.detect('EA123456785CN').adapter.id).toBe('ems');
+    });
+
+    test('should strip spaces, dashes and case', () => {
+        expect(tracker.detect(' sf 1452-0933-1770-6 ').number).toBe('SF1452093317706');
+        expect(tracker.detect('ea 123 456 785 cn').number).toBe('EA123456785CN');
+        expect(tracker.detect('7712 3456 7890').number).toBe('771234567890');
+    });
+
+    test('should honour a carrier prefix', () => {
+        const detected = tracker.detect('DHL: 4528 1940 36');
+        expect(detected.adapter.id).toBe('dhl');
+        expect(detected.number).toBe('4528194036');
+        expect(tracker.detect('FEDEX:4528194036')).toBeNull();
+    });
+
+    test('should reject EMS numbers with a wrong check digit', () => {
+        expect(new EMSAdapter().normalize('EA123456780CN')).toBeNull();
+        expect(new EMSAdapter().normalize('EA123456785CN')).toBe('EA123456785CN');
+    });
+
+    test('should return null for unrecognised numbers', () => {
+        expect(tracker.detect('ABC123')).toBeNull();
+        expect(tracker.detect('')).toBeNull();
+    });
+});
+
+describe('Carrier responses', () => {
+    test('SF Express routes should be parsed from the nested result string', () => {
+        const events = new SFExpressAdapter().parseResponse(sfExpressResponse);
+
+        expect(events.map(event => event.status)).toEqual([
+            'pickedUp', 'inTransit', 'inTransit', 'outForDelivery', 'delivered'
+        ]);
+        expect(events[0].location).toBe('香港');
+        // Route times are China Standard Time
+        expect(events[0].time).toBe(Date.parse('2026-10-08T08:42:11Z'));
+    });
+
+    test('DHL events should be classified from status code and description', () => {
+        const events = new DHLAdapter().parseResponse(dhlResponse);
+
+        expect(events.map(event => event.status)).toEqual([
+            'delivered', 'outForDelivery', 'customs', 'inTransit', 'pickedUp', 'label'
+        ]);
+        expect(events[0].location).toBe('LONDON - UK');
+        expect(events[0].time).toBe(Date.parse('2026-10-13T10:42:00Z'));
+    });
+
+    test('FedEx scan events should map event types', () => {
+        const events = new FedExAdapter().parseResponse(fedexResponse);
+
+        expect(events.map(event => event.status)).toEqual([
+            'exception', 'outForDelivery', 'customs', 'inTransit', 'pickedUp', 'label'
+        ]);
+        expect(events[0].location).toBe('SAN FRANCISCO, US');
+        expect(events[5].location).toBe('');
+    });
+
+    test('EMS events should map UPU event codes', () => {
+        const events = new EMSAdapter().parseResponse(emsResponse);
+
+        expect(events.map(event => event.status)).toEqual([
+            'pickedUp', 'inTransit', 'inTransit', 'customs', 'exception', 'delivered'
+        ]);
+        expect(events[0].time).toBe(Date.parse('2026-10-05T02:12:00Z'));
+    });
+
+    test('should return no events for empty responses', () => {
+        expect(new SFExpressAdapter().parseResponse({ apiResultData: '{"success":false}' })).toEqual([]);
+        expect(new DHLAdapter().parseResponse({ shipments: [] })).toEqual([]);
+        expect(new FedExAdapter().parseResponse({})).toEqual([]);
+        expect(new EMSAdapter().parseResponse({})).toEqual([]);
+    });
+});
+
+describe('ShipmentTracker', () => {
+    test('should fetch through the tracking endpoint and parse with the detected adapter', async () => {
+        const { tracker, fetchImpl } = createTracker({ dhl: dhlResponse });
+        const result = await tracker.track('4528194036');
+
+        expect(fetchImpl).toHaveBeenCalledWith('/api/tracking/dhl/4528194036');
+        expect(result.carrier).toBe('dhl');
+        expect(result.url).toContain('4528194036');
+        expect(result.events).toHaveLength(6);
+        expect(result.error).toBeNull();
+        expect(tracker.isDelivered(result.events)).toBe(true);
+    });
+
+    test('should keep the carrier link when the carrier cannot be reached', async () => {
+        const { tracker } = createTracker();
+        const result = await tracker.track('SF1452093317706');
+
+        expect(result.carrierName).toBe('SF Express');
+        expect(result.url).toContain('SF1452093317706');
+        expect(result.events).toEqual([]);
+        expect(result.error).toBe('HTTP 502');
+    });
+
+    test('should not fetch unrecognised numbers', async () => {
+        const { tracker, fetchImpl } = createTracker();
+        const result = await tracker.track('UNKNOWN-1');
+
+        expect(result.carrier).toBeNull();
+        expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    test('should let a registered adapter replace a built-in one', () => {
+        const { tracker } = createTracker();
+        class HongKongPostAdapter extends EMSAdapter {
+            constructor() {
+                super();
+                this.id = 'ems';
+                this.name = 'Hongkong Post';
+            }
+        }
+
+        tracker.register(new HongKongPostAdapter());
+        expect(tracker.adapters.filter(adapter => adapter.id === 'ems')).toHaveLength(1);
+        expect(tracker.detect('EA123456785CN').adapter.name).toBe('Hongkong Post');
+    });
+
+    test('should merge chain, carrier and collector events chronologically', () => {
+        const { tracker } = createTracker();
+        const carrierEvents = new EMSAdapter().parseResponse(emsResponse);
+        const chainEvents = [
+            { time: Date.parse('2026-10-03T12:00:00Z'), status: 'addressRecorded', source: 'chain' },
+            { time: Date.parse('2026-10-05T04:00:00Z'), status: 'shipped', description: 'EA123456785CN', source: 'chain' }
+        ];
+        const confirmation = { confirmedAt: Date.parse('2026-10-10T09:00:00Z') };
+
+        const timeline = tracker.buildTimeline({
+            chainEvents,
+            carrierEvents: [...carrierEvents, carrierEvents[0]],
+            confirmation
+        });
+
+        expect(timeline.map(event => event.status)).toEqual([
+            'addressRecorded', 'pickedUp', 'shipped', 'inTransit', 'inTransit',
+            'customs', 'exception', 'delivered', 'received'
+        ]);
+        expect(timeline[timeline.length - 1].source).toBe('collector');
+    });
+
+    test('should place undated events last', () => {
+        const { tracker } = createTracker();
+        const timeline = tracker.buildTimeline({
+            carrierEvents: [
+                { time: null, status: 'label', source: 'fedex' },
+                { time: 2, status: 'inTransit', source: 'fedex' },
+                { time: 1, status: 'pickedUp', source: 'fedex' }
+            ]
+        });
+
+        expect(timeline.map(event => event.status)).toEqual(['pickedUp', 'inTransit', 'label']);
+    });
+});
+
+describe('Delivery confirmation', () => {
+    const confirmation = {
+        tokenId: '7',
+        lotNumber: '004',
+        trackingNumber: 'EA123456785CN',
+        chainId: 11155111,
+        confirmedAt: Date.parse('2026-10-10T09:00:00Z')
+    };
+
+    test('should name every field in the signed statement', () => {
+        expect(ShipmentTracker.confirmationMessage(confirmation).split('\n')).toEqual([
+            'Yizhen Platform delivery confirmation',
+            'Token: #7',
+            'Lot: 004',
+            'Tracking: EA123456785CN',
+            'Chain ID: 11155111',
+            'Received: 2026-10-10T09:00:00.000Z'
+        ]);
+    });
+
+    test('should post the signed receipt to the confirmation endpoint', async () => {
+        const recorded = { ...confirmation, recordedAt: 1 };
+        const fetchImpl = jest.fn(async () => ({ ok: true, json: async () => recorded }));
+        const tracker = new ShipmentTracker({ fetchImpl });
+        const receipt = { ...confirmation, owner: '0x' + '11'.repeat(20), signature: '0x1234' };
+
+        expect(await tracker.submitConfirmation(receipt)).toEqual(recorded);
+        const [url, request] = fetchImpl.mock.calls[0];
+        expect(url).toBe('/api/shipments/confirm');
+        expect(request.method).toBe('POST');
+        expect(JSON.parse(request.body)).toEqual(receipt);
+    });
+
+    test('should throw the error code the server refused with', async () => {
+        const fetchImpl = jest.fn(async () => ({ ok: false, status: 403, json: async () => ({ error: 'notTokenOwner' }) }));
+        const tracker = new ShipmentTracker({ fetchImpl });
+
+        let error = null;
+        try {
+            await tracker.submitConfirmation(confirmation);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.message).toBe('notTokenOwner');
+    });
+});
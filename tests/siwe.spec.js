@@ -0,0 +1,96 @@
+// siwe.spec.js - Sign-In With Ethereum messages
+// What the browser builds must parse back to the same fields, and the checks the verifier runs
+// must each catch their own problem
+
+import SiweMessage from '../public/assets/js/siwe.js';
+
+const NOW = Date.UTC(2025, 0, 15, 12, 0, 0);
+const ADDRESS = '0x' + 'aB'.repeat(20);
+
+function createMessage(overrides = {}) {
+    return new SiweMessage({
+        domain: 'yizhen.example',
+        address: ADDRESS,
+        statement: 'Sign in to Yizhen Platform',
+        uri: 'https://yizhen.example',
+        chainId: 11155111,
+        nonce: 'a1b2c3d4e5f6a7b8',
+        issuedAt: new Date(NOW).toISOString(),
+        ...overrides
+    });
+}
+
+function withLine(text, field, replacement) {
+    return text.split('\n').map(line => (line.startsWith(`${field}: `) ? replacement : line)).filter(line => line !== null).join('\n');
+}
+
+describe('Message text', () => {
+    test('should parse its own text back to the same fields', () => {
+        const message = createMessage({
+            expirationTime: new Date(NOW + 60000).toISOString(),
+            notBefore: new Date(NOW - 60000).toISOString(),
+            requestId: 'req-1'
+        });
+        const parsed = SiweMessage.parse(message.toString());
+        expect(parsed).toEqual(message);
+        expect(parsed.toString()).toBe(message.toString());
+    });
+
+    test('should keep the blank line when there is no statement', () => {
+        const message = createMessage({ statement: null });
+        expect(message.toString().split('\n').slice(2, 5)).toEqual(['', '', 'URI: https://yizhen.example']);
+        expect(SiweMessage.parse(message.toString())).toEqual(message);
+    });
+
+    test('should read the domain from a header with a scheme', () => {
+        const text = createMessage().toString().replace(/^yizhen\.example/, 'https://yizhen.example');
+        expect(SiweMessage.parse(text).domain).toBe('yizhen.example');
+    });
+
+    test('should skip resources and fields it does not use', () => {
+        const text = createMessage().toString() + '\nResources:\n- https://yizhen.example/terms';
+        expect(SiweMessage.parse(text)).toEqual(createMessage());
+    });
+
+    test.each([
+        ['an empty string', () => ''],
+        ['a different header', (text) => text.replace('wants you to sign in', 'asks you to sign in')],
+        ['a malformed address', (text) => text.replace(ADDRESS, '0x1234')],
+        ['no blank line after the address', (text) => text.replace(`${ADDRESS}\n`, `${ADDRESS}\nextra\n`)],
+        ['an unsupported version', (text) => withLine(text, 'Version', 'Version: 2')],
+        ['a chain id that is not a number', (text) => withLine(text, 'Chain ID', 'Chain ID: sepolia')],
+        ['a short nonce', (text) => withLine(text, 'Nonce', 'Nonce: abc')],
+        ['no nonce', (text) => withLine(text, 'Nonce', null)],
+        ['no URI', (text) => withLine(text, 'URI', null)],
+        ['an unreadable issue time', (text) => withLine(text, 'Issued At', 'Issued At: yesterday')]
+    ])('should reject %s', (name, mangle) => {
+        expect(SiweMessage.parse(mangle(createMessage().toString()))).toBeNull();
+    });
+});
+
+describe('Validation', () => {
+    const expected = { domain: 'yizhen.example', nonce: 'a1b2c3d4e5f6a7b8', now: NOW };
+
+    test('should accept a message for this site with the issued nonce', () => {
+        expect(createMessage().validate(expected)).toBeNull();
+    });
+
+    test('should reject a message issued for another site', () => {
+        expect(createMessage({ domain: 'evil.example' }).validate(expected)).toBe('domain');
+    });
+
+    test('should reject a nonce that does not match or was never issued', () => {
+        expect(createMessage({ nonce: 'ffffffffffffffff' }).validate(expected)).toBe('nonce');
+        expect(createMessage().validate({ ...expected, nonce: null })).toBe('nonce');
+    });
+
+    test('should reject a message past its expiration time', () => {
+        expect(createMessage({ expirationTime: new Date(NOW).toISOString() }).validate(expected)).toBe('expired');
+        expect(createMessage({ expirationTime: new Date(NOW + 1).toISOString() }).validate(expected)).toBeNull();
+    });
+
+    test('should reject a message before its not-before time', () => {
+        expect(createMessage({ notBefore: new Date(NOW + 1).toISOString() }).validate(expected)).toBe('notYetValid');
+        expect(createMessage({ notBefore: new Date(NOW).toISOString() }).validate(expected)).toBeNull();
+    });
+});
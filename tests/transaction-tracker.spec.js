@@ -0,0 +1,225 @@
+// transaction-tracker.spec.js - Following wallet transactions until they settle
+// The mock chain behind an ethers provider stands in for the node; replacements are made by
+// mining another transaction under the nonce of one that never reached the chain
+
+import { ethers } from 'ethers';
+import TransactionTracker from '../public/assets/js/transaction-tracker.js';
+import MockChain from '../public/assets/js/mock-chain.js';
+import SeededRandom from '../public/assets/js/seeded-random.js';
+import artifacts from '../public/assets/data/artifacts.json';
+
+const NOW = Date.UTC(2025, 0, 15, 12, 0, 0);
+const AUCTION_ID = 3;
+
+// The tracker keeps its records in localStorage, which Node does not have
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+
+// Polled by hand, so no timer outlives a test
+class ManualTracker extends TransactionTracker {
+    schedule() {}
+}
+
+function createTracker() {
+    store.clear();
+    const clock = { now: NOW };
+    const chain = new MockChain({ artifacts, random: new SeededRandom('tracker'), scenario: 'quiet', clock: () => clock.now });
+    const provider = new ethers.BrowserProvider(chain);
+    const tracker = new ManualTracker({ confirmationsTarget: 2 });
+    tracker.setProvider(provider);
+
+    const advance = (ms = 2000) => {
+        clock.now += ms;
+        return chain.tick();
+    };
+    return { chain, provider, tracker, advance };
+}
+
+function minimumBid(chain, auctionId = AUCTION_ID) {
+    const auction = chain.getAuction(auctionId);
+    return auction.highestBid + auction.minBidIncrement;
+}
+
+function bidCall(chain, amount, auctionId = AUCTION_ID) {
+    return { to: chain.addresses.auction, data: chain.encodeCall('placeBid', [auctionId]), value: amount };
+}
+
+function send(chain, { to, data = '0x', value = 0n }, from = chain.accounts.collector) {
+    return chain.request({
+        method: 'eth_sendTransaction',
+        params: [{ from, to, data, value: '0x' + value.toString(16) }]
+    });
+}
+
+// A transaction the wallet signed but the node never saw, holding the collector's next nonce
+async function unsentTransaction(chain, provider, call) {
+    return {
+        hash: '0x' + 'ab'.repeat(32),
+        from: chain.accounts.collector,
+        nonce: await provider.getTransactionCount(chain.accounts.collector, 'pending'),
+        chainId: chain.chainId,
+        ...call
+    };
+}
+
+// ethers answers a repeated request from a 250 ms cache, so each poll waits for fresh answers
+async function poll(tracker) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await tracker.poll();
+}
+
+async function settled(promise) {
+    try {
+        return { value: await promise };
+    } catch (error) {
+        return { error };
+    }
+}
+
+describe('Mined transactions', () => {
+    test('should count confirmations up to the target and resolve waiters', async () => {
+        const { chain, provider, tracker, advance } = createTracker();
+        const hash = await send(chain, bidCall(chain, minimumBid(chain)));
+        tracker.track(await provider.getTransaction(hash), { kind: 'bid', details: { auctionId: AUCTION_ID } });
+        const waiting = tracker.wait(hash);
+
+        await poll(tracker);
+        expect(tracker.get(hash).status).toBe('pending');
+
+        advance();
+        await poll(tracker);
+        expect(tracker.get(hash).status).toBe('confirmed');
+        expect(tracker.get(hash).confirmations).toBe(1);
+        expect(tracker.isSettled(tracker.get(hash))).toBe(false);
+
+        advance();
+        await poll(tracker);
+        expect(tracker.get(hash).confirmations).toBe(2);
+        expect(tracker.isSettled(tracker.get(hash))).toBe(true);
+        expect((await waiting).hash).toBe(hash);
+        provider.destroy();
+    });
+
+    test('should fail a reverted transaction with the reason replayed on the previous block', async () => {
+        const { chain, provider, tracker, advance } = createTracker();
+        const amount = minimumBid(chain);
+
+        const replay = provider.call.bind(provider);
+        provider.call = jest.fn(tx => replay(tx));
+
+        await send(chain, bidCall(chain, amount), chain.accounts.rivals[0]);
+        const hash = await send(chain, bidCall(chain, amount));
+        tracker.track(await provider.getTransaction(hash), { kind: 'bid' });
+        const waiting = settled(tracker.wait(hash));
+        const block = advance();
+
+        await poll(tracker);
+        const record = tracker.get(hash);
+        expect(record.status).toBe('failed');
+        expect(record.blockNumber).toBe(block.number);
+        expect(record.revertReason).toBe('Bid too low');
+        expect(provider.call.mock.calls[0][0].blockTag).toBe(block.number - 1);
+
+        const { error } = await waiting;
+        expect(error.message).toBe('Bid too low');
+        expect(error.transaction.hash).toBe(hash);
+        provider.destroy();
+    });
+});
+
+describe('Replacements', () => {
+    test('should follow a speed-up under its new hash and hand the waiters over', async () => {
+        const { chain, provider, tracker, advance } = createTracker();
+        const call = bidCall(chain, minimumBid(chain));
+        const original = await unsentTransaction(chain, provider, call);
+        tracker.track(original, { kind: 'bid', details: { auctionId: AUCTION_ID } });
+        const waiting = tracker.wait(original.hash);
+
+        const replacementHash = await send(chain, call);
+        advance();
+        await poll(tracker);
+
+        const record = tracker.get(original.hash);
+        expect(record.status).toBe('replaced');
+        expect(record.replacement).toBe('speedUp');
+        expect(record.replacedBy).toBe(replacementHash);
+
+        const replacement = tracker.get(replacementHash);
+        expect(replacement.replaces).toBe(original.hash);
+        expect(replacement.kind).toBe('bid');
+        expect(replacement.details).toEqual({ auctionId: AUCTION_ID });
+        expect(replacement.status).toBe('confirmed');
+
+        advance();
+        await poll(tracker);
+        expect((await waiting).hash).toBe(replacementHash);
+        provider.destroy();
+    });
+
+    test('should mark an empty self-transfer under the nonce as a cancellation', async () => {
+        const { chain, provider, tracker, advance } = createTracker();
+        const original = await unsentTransaction(chain, provider, bidCall(chain, minimumBid(chain)));
+        tracker.track(original, { kind: 'bid' });
+        const waiting = settled(tracker.wait(original.hash));
+
+        const cancelHash = await send(chain, { to: chain.accounts.collector });
+        advance();
+        await poll(tracker);
+
+        const record = tracker.get(original.hash);
+        expect(record.status).toBe('cancelled');
+        expect(record.replacement).toBe('cancel');
+        expect(record.replacedBy).toBe(cancelHash);
+        expect(tracker.get(cancelHash)).toBeNull();
+
+        const { error } = await waiting;
+        expect(error.message).toBe('Transaction cancelled');
+        expect(error.transaction.replacedBy).toBe(cancelHash);
+        provider.destroy();
+    });
+
+    test('should mark a different call under the nonce as replaced', async () => {
+        const { chain, provider, tracker, advance } = createTracker();
+        const original = await unsentTransaction(chain, provider, bidCall(chain, minimumBid(chain)));
+        tracker.track(original, { kind: 'bid' });
+        const waiting = settled(tracker.wait(original.hash));
+
+        const otherLot = AUCTION_ID + 1;
+        const otherHash = await send(chain, bidCall(chain, minimumBid(chain, otherLot), otherLot));
+        advance();
+        await poll(tracker);
+
+        const record = tracker.get(original.hash);
+        expect(record.status).toBe('replaced');
+        expect(record.replacement).toBe('replaced');
+        expect(record.replacedBy).toBe(otherHash);
+
+        const { error } = await waiting;
+        expect(error.message).toBe('Transaction replaced');
+        provider.destroy();
+    });
+});
+
+describe('Dropped transactions', () => {
+    test('should wait for a transaction the node has not seen until dropAfterMs', async () => {
+        const { chain, provider, tracker } = createTracker();
+        const original = await unsentTransaction(chain, provider, bidCall(chain, minimumBid(chain)));
+        tracker.track(original, { kind: 'bid' });
+        const waiting = settled(tracker.wait(original.hash));
+
+        await poll(tracker);
+        expect(tracker.get(original.hash).status).toBe('pending');
+
+        tracker.get(original.hash).submittedAt = Date.now() - tracker.dropAfterMs - 1;
+        await poll(tracker);
+        expect(tracker.get(original.hash).status).toBe('dropped');
+
+        const { error } = await waiting;
+        expect(error.message).toBe('Transaction dropped');
+        provider.destroy();
+    });
+});